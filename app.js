@@ -134,6 +134,30 @@ const DataPreservationService = require('./src/services/DataPreservationService'
 const CloudBackupService = require('./src/services/CloudBackupService');
 const BackupAPIService = require('./src/services/BackupAPIService');
 const SecurityService = require('./src/services/SecurityService');
+const ImportRulesService = require('./src/services/ImportRulesService');
+const ImportDiffService = require('./src/services/ImportDiffService');
+const BulkImportService = require('./src/services/BulkImportService');
+const InboxWatcherService = require('./src/services/InboxWatcherService');
+const TemplateVersionService = require('./src/services/TemplateVersionService');
+const TemplateInheritanceService = require('./src/services/TemplateInheritanceService');
+const ReportRepository = require('./src/services/ReportRepository');
+const ReportRevisionService = require('./src/services/ReportRevisionService');
+const ReportComparisonService = require('./src/services/ReportComparisonService');
+const WorkbookExportService = require('./src/services/WorkbookExportService');
+const PdfExportService = require('./src/services/PdfExportService');
+const ReportDataExportService = require('./src/services/ReportDataExportService');
+const BatchExportService = require('./src/services/BatchExportService');
+const SectionConfigService = require('./src/services/SectionConfigService');
+const SourceFormattingService = require('./src/services/SourceFormattingService');
+const ReportDigestService = require('./src/services/ReportDigestService');
+const WebhookService = require('./src/services/WebhookService');
+const MetricStoreService = require('./src/services/MetricStoreService');
+const MetricMappingService = require('./src/services/MetricMappingService');
+const AcademicCalendarService = require('./src/services/AcademicCalendarService');
+const ForecastService = require('./src/services/ForecastService');
+const EmailService = require('./src/services/EmailService');
+const templateFormula = require('./src/shared/templateFormula');
+const sectionRules = require('./src/shared/sectionRules');
 
 // Initialize services
 const volumeService = new VolumeService();
@@ -173,6 +197,17 @@ async function initializeBackupService() {
 // For compatibility, create a proxy object
 const railwayBackupService = new Proxy({}, {
   get(target, prop) {
+    // Every backup goes through here, so failures are reported to webhooks once
+    if (prop === 'createBackup' && backupService && typeof backupService.createBackup === 'function') {
+      return async (description, ...rest) => {
+        try {
+          return await backupService.createBackup(description, ...rest);
+        } catch (error) {
+          webhookService.emit('backup.failed', { description: description || null, service: backupService.constructor.name, error: error.message });
+          throw error;
+        }
+      };
+    }
     if (backupService && typeof backupService[prop] === 'function') {
       return backupService[prop].bind(backupService);
     }
@@ -335,11 +370,120 @@ async function getInitializedUserManager() {
 const userManager = new UserManager(volumeService);
 const databaseUserManager = databaseUserManagerInstance;
 const aiAnalyzer = new AIAnalyzer();
-const reportScheduler = new ReportScheduler();
-const dataImporter = new DataImporter();
+// Academic years, terms and half terms (per college); report periods, to-date ranges and scheduling follow it
+const academicCalendarService = new AcademicCalendarService({ volumeService });
+const reportScheduler = new ReportScheduler({
+  volumeService,
+  academicCalendar: academicCalendarService,
+  getColleges: async () => (await getInitializedUserManager()).getColleges(),
+  hasTemplate: async (college) => !!(await resolveCollegeTemplate(college)),
+  generateDraft: (college, files, options) => draftReportFromFiles(college, files, {
+    source: 'scheduler',
+    label: 'Scheduled',
+    description: options.source === 'staged' ? 'staged files' : 'the previous report\'s source files'
+  }),
+  onFailed: ({ college, error }) => webhookService.emit('import.failed', {
+    source: 'scheduler',
+    collegeId: college.id,
+    collegeName: college.name,
+    files: [],
+    error: error.message
+  })
+});
+const importRulesService = new ImportRulesService(volumeService);
+const dataImporter = new DataImporter({ importRulesService });
+const importDiffService = new ImportDiffService();
+const bulkImportService = new BulkImportService(volumeService, dataImporter);
+const templateVersionService = new TemplateVersionService(volumeService);
+const templateInheritanceService = new TemplateInheritanceService();
+const reportRepository = ReportRepository.fromEnvironment({ volumeService, databaseUserManager });
+const reportRevisionService = new ReportRevisionService(volumeService);
+const reportComparisonService = new ReportComparisonService({ volumeService, academicCalendar: academicCalendarService });
+const sectionConfigService = new SectionConfigService(volumeService);
+sectionConfigService.load();
+const pdfExportService = new PdfExportService({ getColumnSection: getExportColumnSection, reportComparisonService });
+const reportDataExportService = new ReportDataExportService({ getColumnSection: getExportColumnSection, reportComparisonService });
+const batchExportService = new BatchExportService({
+  volumeService,
+  ttlHours: parseInt(process.env.BATCH_EXPORT_TTL_HOURS || '24', 10),
+  maxReports: parseInt(process.env.BATCH_EXPORT_MAX_REPORTS || '500', 10)
+});
+const webhookService = new WebhookService({
+  volumeService,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+  retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30', 10)
+});
+webhookService.load().catch(error => console.error('Webhook load error:', error));
+// Expired batch export zips are removed hourly
+setInterval(() => {
+  batchExportService.cleanupExpired().catch(() => {});
+}, 60 * 60 * 1000);
+const inboxWatcher = new InboxWatcherService({
+  volumeService,
+  bulkImportService,
+  getColleges: async () => (await getInitializedUserManager()).getColleges(),
+  ingest: (college, files) => ingestInboxFiles(college, files),
+  onFailed: (entry) => webhookService.emit('import.failed', {
+    source: 'inbox',
+    collegeId: entry.collegeId ?? null,
+    collegeName: entry.collegeName || null,
+    files: [entry.file],
+    error: entry.error
+  })
+});
+if (process.env.INBOX_WATCH_ENABLED !== 'false') {
+  inboxWatcher.start();
+}
+if (process.env.REPORT_SCHEDULER_ENABLED !== 'false') {
+  reportScheduler.start();
+}
 const authService = new AuthService();
-const analyticsService = new AnalyticsService();
-const enhancedAnalyticsService = new EnhancedAnalyticsService();
+const emailService = new EmailService();
+const reportDigestService = new ReportDigestService({
+  volumeService,
+  emailService,
+  reportScheduler,
+  getColleges: async () => (await getInitializedUserManager()).getColleges(),
+  getAccountManagers: async () => (await getInitializedUserManager()).getAccountManagers(),
+  getUsers: () => authService.getUsers(),
+  getCollegeReports: (collegeId) => getCollegeReports(collegeId)
+});
+if (process.env.REPORT_DIGEST_ENABLED !== 'false') {
+  reportDigestService.start();
+}
+// Canonical metrics (students, placements, ...) come only from the columns a report's template maps to them
+const metricMappingService = new MetricMappingService({
+  findTemplate: (templateId) => findTemplateById(templateId),
+  reportComparisonService
+});
+// Every final report's metric points; the dashboard charts and /api/metrics/query read from here
+const metricStoreService = new MetricStoreService({
+  volumeService,
+  reportComparisonService,
+  academicCalendar: academicCalendarService,
+  summarize: report => analyticsService.summaryMetrics(report),
+  listCollegeIds: () => reportRepository.primary.listCollegeIds(),
+  listReports: (collegeId) => reportRepository.list(collegeId)
+});
+const analyticsService = new AnalyticsService({ metricStore: metricStoreService, metricMappingService });
+// End-of-year projections from the metric store against KPI or report targets (computed locally)
+const forecastService = new ForecastService({
+  metricStore: metricStoreService,
+  academicCalendar: academicCalendarService,
+  reportComparisonService,
+  getKpis: (collegeId) => userManager.getKPIs(collegeId),
+  getLatestReport: async (collegeId) => {
+    const reports = (await reportRepository.list(parseInt(collegeId))).filter(r => r.status !== 'draft');
+    return reports.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
+  },
+  getColleges: async () => (await getInitializedUserManager()).getColleges()
+});
+const workbookExportService = new WorkbookExportService({ analyticsService, reportComparisonService });
+const sourceFormattingService = new SourceFormattingService();
+const enhancedAnalyticsService = new EnhancedAnalyticsService({
+  metricMappingService,
+  listReports: (collegeId) => reportRepository.list(collegeId)
+});
 const shareLinkService = new ShareLinkService();
 // Enable cloud backup API service
 // const backupAPIService = new BackupAPIService(app, authService);
@@ -387,6 +531,8 @@ app.use(express.json());
 app.use(cookieParser());
 // Serve static assets with no-cache to ensure latest frontend is always loaded
 app.use(express.static('public', { etag: false, lastModified: false, maxAge: 0, cacheControl: true }));
+// Modules shared between the server and the browser (e.g. template formulas)
+app.use('/shared', express.static(path.join(__dirname, 'src', 'shared'), { etag: false, lastModified: false, maxAge: 0 }));
 // Extra safety for HTML responses
 app.use((req, res, next) => {
   if (req.path.endsWith('.html') || req.path === '/' || req.path === '/index.html') {
@@ -1137,37 +1283,20 @@ app.get('/api/debug/reports/:collegeId', ...debugMiddlewares, async (req, res) =
     const { collegeId } = req.params;
     console.log(`🔍 Debug reports for college ${collegeId}...`);
     
-    // Ensure reports directory exists
-    await fs.ensureDir('data/reports');
-    
-    const reportsPath = `data/reports/${collegeId}.json`;
-    console.log(`📁 Checking reports file: ${reportsPath}`);
-    
-    if (await fs.pathExists(reportsPath)) {
-      const reports = await fs.readJson(reportsPath);
-      console.log(`✅ Found ${reports.length} reports for college ${collegeId}`);
-      res.json({
-        collegeId,
-        reportsCount: reports.length,
-        reports: reports.map(r => ({
-          id: r.id,
-          name: r.name,
-          createdAt: r.createdAt,
-          summary: r.summary
-        })),
-        filePath: reportsPath,
-        fileExists: true
-      });
-    } else {
-      console.log(`📝 No reports file found for college ${collegeId}`);
-      res.json({
-        collegeId,
-        reportsCount: 0,
-        reports: [],
-        filePath: reportsPath,
-        fileExists: false
-      });
-    }
+    const reports = await reportRepository.list(parseInt(collegeId));
+    console.log(`✅ Found ${reports.length} reports for college ${collegeId}`);
+    res.json({
+      collegeId,
+      reportsCount: reports.length,
+      reports: reports.map(r => ({
+        id: r.id,
+        name: r.name,
+        createdAt: r.createdAt,
+        summary: r.summary
+      })),
+      store: reportRepository.primary.name,
+      mirrors: reportRepository.mirrors.map(m => m.name)
+    });
   } catch (error) {
     console.error('❌ Debug reports error:', error);
     res.json({ 
@@ -1633,6 +1762,18 @@ app.delete('/api/account-managers/:id', authService.requireAuth(), async (req, r
   }
 });
 
+// Admin: compare report stores (primary vs mirrors) and list missing or differing reports
+app.get('/api/admin/report-consistency', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const collegeIds = req.query.collegeId ? String(req.query.collegeId).split(',').filter(Boolean) : undefined;
+    const result = await reportRepository.checkConsistency({ collegeIds });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Report consistency check error:', error);
+    res.status(500).json({ success: false, error: 'Failed to check report consistency' });
+  }
+});
+
 // College Reports Routes
 app.get('/api/colleges/:collegeId/reports', authService.requireAuth(), async (req, res) => {
   try {
@@ -1645,6 +1786,72 @@ app.get('/api/colleges/:collegeId/reports', authService.requireAuth(), async (re
   }
 });
 
+// Compare two reports side by side. target defaults to the latest report; base is a report id,
+// 'previous' (the earlier report for the same template), 'term-start' / 'year-start' (the first
+// report of the target's term or academic year: term and year to date) or 'same-point-last-year'
+// (alias 'last-year': as far into the same term last year, per the college's academic calendar)
+app.get('/api/colleges/:collegeId/reports/compare', authService.requireAuth(), async (req, res) => {
+  try {
+    const { collegeId } = req.params;
+    const { base = 'previous', target, tolerance } = req.query;
+    const reports = (await reportRepository.list(parseInt(collegeId)))
+      .slice()
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    if (reports.length === 0) return res.status(404).json({ success: false, error: 'No reports found for this college' });
+
+    const templateKeyOf = r => r.templateKey || r.data?.meta?.templateKey || null;
+    const targetReport = target ? reports.find(r => String(r.id) === String(target)) : reports[reports.length - 1];
+    if (!targetReport) return res.status(404).json({ success: false, error: `Report ${target} not found` });
+
+    let baseReport = null;
+    if (base === 'last-year' || base === 'same-point-last-year') {
+      baseReport = reportComparisonService.findSamePointLastYear(reports, targetReport, {
+        collegeId: parseInt(collegeId),
+        templateKey: templateKeyOf(targetReport),
+        toleranceWeeks: tolerance !== undefined ? parseInt(tolerance, 10) || 0 : 1
+      });
+      if (!baseReport) {
+        const point = academicCalendarService.describe(academicCalendarService.samePointLastYear(targetReport.createdAt, parseInt(collegeId)), parseInt(collegeId));
+        return res.status(404).json({ success: false, error: `No report found near the same point last year (${point.label})` });
+      }
+    } else if (base === 'term-start' || base === 'year-start') {
+      baseReport = reportComparisonService.findPeriodStart(reports, targetReport, base === 'term-start' ? 'term_to_date' : 'year_to_date', {
+        collegeId: parseInt(collegeId),
+        templateKey: templateKeyOf(targetReport)
+      });
+      if (!baseReport) {
+        const period = academicCalendarService.describe(targetReport.createdAt, parseInt(collegeId));
+        return res.status(404).json({ success: false, error: `No earlier report in ${base === 'term-start' ? `${period.term.label} term` : 'the academic year'} ${period.academicYear}` });
+      }
+    } else if (base === 'previous') {
+      const earlier = reports.filter(r => new Date(r.createdAt) < new Date(targetReport.createdAt) && String(r.id) !== String(targetReport.id));
+      const tk = templateKeyOf(targetReport);
+      baseReport = (tk ? earlier.filter(r => String(templateKeyOf(r)) === String(tk)) : []).pop() || earlier.pop() || null;
+      if (!baseReport) return res.status(404).json({ success: false, error: 'No earlier report to compare with' });
+    } else {
+      baseReport = reports.find(r => String(r.id) === String(base));
+      if (!baseReport) return res.status(404).json({ success: false, error: `Report ${base} not found` });
+    }
+
+    const describe = r => ({
+      id: r.id,
+      name: r.name,
+      createdAt: r.createdAt,
+      templateKey: templateKeyOf(r),
+      templateName: r.templateName || r.data?.meta?.templateName || null,
+      academicWeek: r.createdAt ? reportComparisonService.academicWeek(r.createdAt, parseInt(collegeId)) : null,
+      period: r.createdAt ? academicCalendarService.describe(r.createdAt, parseInt(collegeId)) : null
+    });
+    const comparison = reportComparisonService.compare(baseReport.data, targetReport.data, {
+      aliases: await reportComparisonService.getDepartmentAliases(collegeId)
+    });
+    res.json({ success: true, base: describe(baseReport), target: describe(targetReport), ...comparison });
+  } catch (error) {
+    console.error('Compare reports error:', error);
+    res.status(500).json({ success: false, error: 'Failed to compare reports' });
+  }
+});
+
 // Replace the contents of a target report from a source report, preserving target createdAt
 app.post('/api/colleges/:collegeId/reports/:reportId/replace-from', authService.requireAuth(), async (req, res) => {
   try {
@@ -1652,22 +1859,15 @@ app.post('/api/colleges/:collegeId/reports/:reportId/replace-from', authService.
     const { sourceReportId, deleteSource = false, preserveName = true, preserveSummary = true } = req.body || {};
     if (!sourceReportId) return res.status(400).json({ success: false, error: 'sourceReportId required' });
 
-    const reportsPath = `reports/${collegeId}.json`;
-    let reports = await volumeService.readFile(reportsPath).catch(() => []);
-    const targetIdx = reports.findIndex(r => String(r.id) === String(reportId));
-    const sourceIdx = reports.findIndex(r => String(r.id) === String(sourceReportId));
-    if (targetIdx === -1 || sourceIdx === -1) return res.status(404).json({ success: false, error: 'Report not found' });
-
-    const target = reports[targetIdx];
-    const source = reports[sourceIdx];
+    const target = await reportRepository.get(parseInt(collegeId), reportId);
+    const source = await reportRepository.get(parseInt(collegeId), sourceReportId);
+    if (!target || !source) return res.status(404).json({ success: false, error: 'Report not found' });
 
     // Copy data over
     const updated = { ...target };
     updated.data = source.data ? JSON.parse(JSON.stringify(source.data)) : target.data;
     if (!preserveName && source.name) updated.name = source.name;
     if (!preserveSummary && source.summary !== undefined) updated.summary = source.summary;
-    // Keep createdAt, update updatedAt
-    updated.updatedAt = new Date().toISOString();
     // Align template metadata
     if (source.templateKey) updated.templateKey = source.templateKey;
     if (source.templateName) updated.templateName = source.templateName;
@@ -1677,28 +1877,24 @@ app.post('/api/colleges/:collegeId/reports/:reportId/replace-from', authService.
       templateName: source.templateName || source.data?.meta?.templateName || updated.data?.meta?.templateName || null
     });
 
-    reports[targetIdx] = updated;
+    // Keeps createdAt, stamps updatedAt
+    const saved = await reportRepository.update(parseInt(collegeId), reportId, updated);
+    const revision = await recordReportRevision(collegeId, saved, {
+      previous: target,
+      savedBy: req.user?.username || null,
+      reason: `replaced from report ${sourceReportId}`
+    });
+    emitReportEvent('report.updated', collegeId, saved, { updatedBy: req.user?.username || null, reason: `replaced from report ${sourceReportId}` });
+    await analyticsService.processNewReport(String(collegeId), saved);
     // Optionally delete the source report
-    if (deleteSource && sourceIdx !== -1) {
-      reports.splice(sourceIdx, 1);
+    if (deleteSource) {
+      await deleteCollegeReport(collegeId, sourceReportId);
     }
 
-    await volumeService.writeFile(reportsPath, reports);
-
     // Refresh previous cache if target is now most recent for its template
-    const tk = updated.templateKey || updated.data?.meta?.templateKey || null;
-    if (tk) {
-      try {
-        const latestForTk = reports
-          .filter(r => (r.templateKey || r.data?.meta?.templateKey) && String(r.templateKey || r.data?.meta?.templateKey) === String(tk))
-          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
-        if (latestForTk && String(latestForTk.id) === String(updated.id)) {
-          await storeCurrentReportAsPrevious(collegeId, updated.data, tk);
-        }
-      } catch (_) {}
-    }
+    await refreshPreviousIfLatest(collegeId, saved);
 
-    return res.json({ success: true, report: updated });
+    return res.json({ success: true, report: saved, revision: revision ? revision.revision : null });
   } catch (e) {
     console.error('Replace-from error:', e);
     return res.status(500).json({ success: false, error: 'Failed to replace report contents' });
@@ -1738,6 +1934,7 @@ app.get('/api/shared/validate', async (req, res) => {
     if (!verification.valid) return res.status(401).json({ success: false, error: 'Invalid or expired token' });
     const { shareId, collegeId } = verification.payload;
     if (await shareLinkService.isRevoked(shareId)) return res.status(403).json({ success: false, error: 'Share link revoked' });
+    emitShareAccessed(req, verification.payload, { action: 'view' });
     res.json({ success: true, payload: verification.payload });
   } catch (error) {
     console.error('Validate share token error:', error);
@@ -1835,6 +2032,7 @@ app.get('/api/shared/colleges/:collegeId/reports/:reportId/excel', async (req, r
     if (await shareLinkService.isRevoked(shareId)) return res.status(403).json({ success: false, error: 'Share link revoked' });
     if (String(tokenCollegeId) !== String(req.params.collegeId)) return res.status(403).json({ success: false, error: 'Token not valid for this college' });
     if (!permissions?.download) return res.status(403).json({ success: false, error: 'Download not allowed on this share link' });
+    emitShareAccessed(req, verification.payload, { action: 'download', format: 'xlsx', reportId: req.params.reportId });
 
     // Build advanced Excel like the internal export route
     const { collegeId, reportId } = req.params;
@@ -1877,39 +2075,18 @@ app.get('/api/shared/colleges/:collegeId/reports/:reportId/excel', async (req, r
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet('Report Data');
     const { headers, rows } = report.data;
+    const changeTracker = reportComparisonService.createChangeTracker(previousData, headers, {
+      rows,
+      aliases: await reportComparisonService.getDepartmentAliases(collegeId)
+    });
 
     // Add report metadata
     worksheet.getCell('A1').value = `Report: ${report.name}`;
     worksheet.getCell('A1').font = { bold: true, size: 14 };
     worksheet.getCell('A1').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6F3FF' } };
-    worksheet.getCell('A2').value = `Generated: ${new Date(report.createdAt).toLocaleString()}`;
+    worksheet.getCell('A2').value = `Generated: ${new Date(report.createdAt).toLocaleString()}${report.period ? ` · ${report.period.label}` : ''}`;
     worksheet.getCell('A2').font = { size: 10, color: { argb: 'FF666666' } };
 
-    // Prepare header colouring (match UI)
-    function getColumnSection(header) {
-      const SECTION_COLORS_EXCEL = {
-        placements: 'FFDBEAFE',
-        assessments: 'FFBBF7D0',
-        careers: 'FFFEF3C7',
-        activities: 'FFFEF3C7',
-        enrichment: 'FFBFDBFE',
-        employment: 'FFF3E8FF',
-        targets: 'FFFCE7F3',
-        login: 'FFE0E7FF',
-        default: 'FFF3F4F6'
-      };
-      const h = (header || '').toLowerCase();
-      if (header === 'Department') return { section: 'Department', color: 'FFFEF3C7' };
-      if (h.includes('placements') || h.includes('placed') || h.includes('scheduled to date')) return { section: 'placements', color: SECTION_COLORS_EXCEL.placements };
-      if (h.includes('enrichment')) return { section: 'enrichment', color: SECTION_COLORS_EXCEL.enrichment };
-      if (h.includes('employment') || (h.includes('employer') && (h.includes('engagement') || h.includes('activity') || h.includes('activities') || h.includes('students with') || h.includes('total students') || h.includes('total activities')) && !h.includes('enrichment'))) return { section: 'employment', color: SECTION_COLORS_EXCEL.employment };
-      if (h.includes('career') || h.includes('quiz') || h.includes('job profile') || h.includes('mapped')) return { section: 'careers', color: SECTION_COLORS_EXCEL.careers };
-      if (h.includes('assessment') || h.includes('score') || h.includes('students without') || h.includes('assessed')) return { section: 'assessments', color: SECTION_COLORS_EXCEL.assessments };
-      if (h.includes('activity') || (h.includes('hours') && !h.includes('scheduled'))) return { section: 'activities', color: SECTION_COLORS_EXCEL.activities };
-      if (h.includes('target') || h.includes('goal')) return { section: 'targets', color: SECTION_COLORS_EXCEL.targets };
-      if (h.includes('login') || h.includes('access')) return { section: 'login', color: SECTION_COLORS_EXCEL.login };
-      return { section: 'default', color: SECTION_COLORS_EXCEL.default };
-    }
 
     // Build complete headers with change cols
     let completeHeaders = [];
@@ -1932,22 +2109,6 @@ app.get('/api/shared/colleges/:collegeId/reports/:reportId/excel', async (req, r
     // Set header values and style
     worksheet.getRow(dataStartRow).values = completeHeaders;
     // Prefer saved meta colours if present
-    const classToArgbShared = {
-      'bg-blue-100': 'FFDBEAFE', 'bg-blue-200': 'FFBFDBFE',
-      'bg-purple-100': 'FFF3E8FF', 'bg-yellow-100': 'FFFEF3C7',
-      'bg-green-100': 'FFDCFCE7', 'bg-green-200': 'FFBBF7D0',
-      'bg-pink-100': 'FFFCE7F3', 'bg-indigo-100': 'FFE0E7FF',
-      'bg-gray-100': 'FFF3F4F6', 'bg-amber-100': 'FFFEF3C7',
-      'bg-teal-100': 'FFCCFBF1', 'bg-cyan-100': 'FFE0F7FA',
-      'bg-orange-100': 'FFFED7AA', 'bg-red-100': 'FFFEE2E2'
-    };
-    const toArgbShared = (hex) => {
-      if (!hex || typeof hex !== 'string') return null;
-      const clean = hex.replace('#','').toUpperCase();
-      const rgb = clean.length === 8 ? clean.slice(2) : clean;
-      if (!/^[0-9A-F]{6}$/.test(rgb)) return null;
-      return `FF${rgb}`;
-    };
     const metaShared = report.data?.meta || {};
     const headerHexShared = metaShared.headerHexColors || {};
     const headerClassShared = metaShared.headerColorClasses || {};
@@ -1958,14 +2119,13 @@ app.get('/api/shared/colleges/:collegeId/reports/:reportId/excel', async (req, r
       // Determine ARGB
       let argb = null;
       const savedHex = headerHexShared[baseHeader];
-      if (savedHex) argb = toArgbShared(savedHex);
+      if (savedHex) argb = sectionRules.toArgb(savedHex);
       if (!argb) {
         const cls = headerClassShared[baseHeader];
-        if (cls && classToArgbShared[cls]) argb = classToArgbShared[cls];
+        if (cls) argb = sectionRules.argbOfClass(cls);
       }
       if (!argb) {
-        const sectionInfo = getColumnSection(baseHeader);
-        argb = sectionInfo.color;
+        argb = getExportColumnSection(baseHeader).color;
       }
       cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb } };
       cell.font = { bold: true, color: { argb: 'FF1F2937' }, size: 11, name: 'Arial' };
@@ -2002,7 +2162,8 @@ app.get('/api/shared/colleges/:collegeId/reports/:reportId/excel', async (req, r
         colIndex++;
         if (changeColumnMap.has(originalColIndex)) {
           const changeCell = dataRow.getCell(colIndex + 1);
-          const changeValue = calculateChange(value, previousData, rowIndex, originalColIndex);
+          const isNewRow = changeTracker.isNew(row);
+          const changeValue = isNewRow ? null : calculateChange(value, changeTracker.previousValue(row, originalColIndex));
           if (changeValue !== null) {
             changeCell.value = changeValue;
             if (changeValue > 0) { changeCell.font = { color: { argb: 'FF2E7D32' }, bold: true, size: 10 }; changeCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE8F5E8' } }; }
@@ -2010,8 +2171,8 @@ app.get('/api/shared/colleges/:collegeId/reports/:reportId/excel', async (req, r
             else { changeCell.font = { color: { argb: 'FFE65100' }, bold: true, size: 10 }; changeCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF3E0' } }; }
             if (header.toLowerCase().includes('percent') || header.includes('%')) changeCell.numFmt = '+0.00%;-0.00%;0.00%'; else changeCell.numFmt = '+0.00;-0.00;0.00';
           } else {
-            changeCell.value = '';
-            changeCell.font = { color: { argb: 'FF666666' }, bold: true, size: 10 };
+            changeCell.value = isNewRow ? 'New' : '';
+            changeCell.font = { color: { argb: isNewRow ? 'FF1565C0' : 'FF666666' }, bold: true, size: 10, italic: isNewRow };
             changeCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF5F5F5' } };
           }
           changeCell.border = { top: { style: 'thin', color: { argb: 'FFE5E7EB' } }, left: { style: 'thin', color: { argb: 'FFE5E7EB' } }, bottom: { style: 'thin', color: { argb: 'FFE5E7EB' } }, right: { style: 'thin', color: { argb: 'FFE5E7EB' } } };
@@ -2020,6 +2181,9 @@ app.get('/api/shared/colleges/:collegeId/reports/:reportId/excel', async (req, r
       });
     });
 
+    // Computed columns become live formulas referencing the row's cells
+    writeComputedColumnFormulas(worksheet, report.data?.meta?.computedColumns, headers, rows, dataStartRow, changeColumnMap);
+
     // Add data bars for percentage columns
     headers.forEach((header, colIndex) => {
       if (header && (header.toLowerCase().includes('percent') || header.includes('%'))) {
@@ -2059,6 +2223,13 @@ app.get('/api/shared/colleges/:collegeId/reports/:reportId/excel', async (req, r
       });
     }
 
+    // Departments in the previous report that no longer appear
+    if (changeTracker.removed.length > 0) {
+      const noteCell = worksheet.getCell(`A${dataStartRow + rows.length + 3}`);
+      noteCell.value = `Not in this report (were in previous): ${changeTracker.removed.join(', ')}`;
+      noteCell.font = { italic: true, size: 10, color: { argb: 'FF991B1B' } };
+    }
+
     // File name
     const safeReportName = report.name.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_');
     const safeCollegeName = collegeName.replace(/\s+/g, '_');
@@ -2076,6 +2247,100 @@ app.get('/api/shared/colleges/:collegeId/reports/:reportId/excel', async (req, r
   }
 });
 
+// Public: download a report or the college overview as PDF via share token (respects allowDownload)
+app.get(['/api/shared/colleges/:collegeId/reports/:reportId/pdf', '/api/shared/colleges/:collegeId/overview/pdf'], async (req, res) => {
+  try {
+    const token = req.query.token;
+    if (!token) return res.status(400).json({ success: false, error: 'Missing token' });
+    const verification = shareLinkService.verifyShareToken(token);
+    if (!verification.valid) return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    const { collegeId: tokenCollegeId, shareId, permissions } = verification.payload;
+    if (await shareLinkService.isRevoked(shareId)) return res.status(403).json({ success: false, error: 'Share link revoked' });
+    if (String(tokenCollegeId) !== String(req.params.collegeId)) return res.status(403).json({ success: false, error: 'Token not valid for this college' });
+    if (!permissions?.download) return res.status(403).json({ success: false, error: 'Download not allowed on this share link' });
+    emitShareAccessed(req, verification.payload, { action: 'download', format: 'pdf', reportId: req.params.reportId || null });
+
+    const { collegeId, reportId } = req.params;
+    const colleges = await (await getInitializedUserManager()).getColleges();
+    const college = colleges.find(c => String(c.id) === String(collegeId));
+    if (!college) return res.status(404).json({ success: false, error: 'College not found' });
+    let pdf;
+    if (reportId) {
+      const report = await getCollegeReport(parseInt(collegeId), reportId);
+      if (!report) return res.status(404).json({ success: false, error: 'Report not found' });
+      pdf = await buildReportPdf(college, report);
+    } else {
+      pdf = await buildCollegeOverviewPdf(college);
+    }
+    sendPdf(res, pdf);
+  } catch (error) {
+    console.error('Shared PDF download error:', error);
+    res.status(500).json({ success: false, error: 'Failed to export PDF' });
+  }
+});
+
+// Public: download a report in the requested format via share token (respects allowDownload);
+// same format negotiation and options as /api/colleges/:collegeId/reports/:reportId/export
+app.get('/api/shared/colleges/:collegeId/reports/:reportId/export', async (req, res) => {
+  try {
+    const token = req.query.token;
+    if (!token) return res.status(400).json({ success: false, error: 'Missing token' });
+    const verification = shareLinkService.verifyShareToken(token);
+    if (!verification.valid) return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    const { collegeId: tokenCollegeId, shareId, permissions } = verification.payload;
+    if (await shareLinkService.isRevoked(shareId)) return res.status(403).json({ success: false, error: 'Share link revoked' });
+    if (String(tokenCollegeId) !== String(req.params.collegeId)) return res.status(403).json({ success: false, error: 'Token not valid for this college' });
+    if (!permissions?.download) return res.status(403).json({ success: false, error: 'Download not allowed on this share link' });
+
+    const format = negotiateReportFormat(req);
+    if (!format) {
+      return res.status(406).json({ success: false, error: `Unsupported format; use one of ${REPORT_EXPORT_FORMATS.join(', ')}` });
+    }
+    if (format === 'xlsx' || format === 'pdf') {
+      return res.redirect(307, reportExportRedirect(req, format));
+    }
+    const resolved = reportDataExportService.resolveOptions({ ...req.query, format });
+    if (!resolved.valid) return res.status(400).json({ success: false, error: resolved.errors.join('; ') });
+    emitShareAccessed(req, verification.payload, { action: 'download', format, reportId: req.params.reportId });
+
+    const { collegeId, reportId } = req.params;
+    const colleges = await (await getInitializedUserManager()).getColleges();
+    const college = colleges.find(c => String(c.id) === String(collegeId));
+    if (!college) return res.status(404).json({ success: false, error: 'College not found' });
+    const report = await getCollegeReport(parseInt(collegeId), reportId);
+    if (!report) return res.status(404).json({ success: false, error: 'Report not found' });
+    sendReportExport(res, await buildReportDataExport(college, report, resolved.options));
+  } catch (error) {
+    console.error('Shared report export error:', error);
+    res.status(500).json({ success: false, error: 'Failed to export report' });
+  }
+});
+
+// Helper: tell webhooks a share link was used. Repeats of the same view or download within
+// 10 minutes are not sent again, so a page that makes several requests raises one event.
+const shareAccessSeen = new Map();
+function emitShareAccessed(req, payload, details) {
+  const key = `${payload.shareId}:${details.action}:${details.format || ''}:${details.reportId || ''}`;
+  const now = Date.now();
+  if (shareAccessSeen.has(key) && now - shareAccessSeen.get(key) < 10 * 60 * 1000) return;
+  shareAccessSeen.set(key, now);
+  if (shareAccessSeen.size > 1000) {
+    shareAccessSeen.forEach((seenAt, seenKey) => { if (now - seenAt >= 10 * 60 * 1000) shareAccessSeen.delete(seenKey); });
+  }
+  (async () => {
+    const colleges = await (await getInitializedUserManager()).getColleges().catch(() => []);
+    const college = colleges.find(c => String(c.id) === String(payload.collegeId));
+    await webhookService.emit('share.accessed', {
+      shareId: payload.shareId,
+      collegeId: payload.collegeId,
+      collegeName: college ? college.name : null,
+      ...details,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null
+    });
+  })().catch(() => {});
+}
+
 // Revoke a share link (requires auth)
 app.post('/api/shared/:shareId/revoke', authService.requireAuth(), async (req, res) => {
   try {
@@ -2093,8 +2358,8 @@ app.post('/api/shared/:shareId/revoke', authService.requireAuth(), async (req, r
 app.post('/api/colleges/:collegeId/reports', authService.requireAuth(), async (req, res) => {
   try {
     const { collegeId } = req.params;
-    const { reportData, reportName, summary } = req.body;
-    const report = await saveCollegeReport(parseInt(collegeId), reportData, reportName, summary);
+    const { reportData, reportName, summary, templateKey, templateName } = req.body;
+    const report = await saveCollegeReport(parseInt(collegeId), reportData, reportName, summary, templateKey, templateName);
     res.json({ success: true, report });
   } catch (error) {
     console.error('Save college report error:', error);
@@ -2175,1156 +2440,1955 @@ app.get('/api/colleges/:collegeId/reports/:reportId/excel', authService.requireA
       return res.status(404).json({ error: 'Report not found' });
     }
 
-    // Get college data for filename
-    const colleges = await (await getInitializedUserManager()).getColleges();
-    const college = colleges.find(c => 
-      c.id === parseInt(collegeId) || c.id === collegeId || c.id.toString() === collegeId
-    );
-    const collegeName = college ? college.name.replace(/[^a-zA-Z0-9\s]/g, '') : 'College';
-    
-    // Load previous report data for change indicators - SCOPE BY TEMPLATE
-    // Only compare against a previous report created with the SAME template to avoid mismatches
-    let previousData = null;
-    try {
-      const templateKey = report.templateKey || report.data?.meta?.templateKey || null;
-      if (templateKey) {
-        const prevEntry = await getPreviousReportData(parseInt(collegeId), String(templateKey));
-        // prevEntry may be { data, timestamp } or raw data
-        previousData = prevEntry && prevEntry.data ? prevEntry.data : prevEntry;
-        if (previousData) {
-          console.log('Excel: Loaded template-scoped previous report for comparison');
-        } else {
-          console.log('Excel: No template-scoped previous report found');
-        }
+    const { buffer, filename } = await buildReportExcel(collegeId, report, { style: req.query.style });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.status(200).send(buffer);
+  } catch (error) {
+    console.error('Excel export error:', error);
+    res.status(500).json({ error: 'Failed to export report' });
+  }
+});
+
+// Helper: the formatted Excel workbook of a report (section colours, +/- columns against the previous
+// report of the same template, data bars, profile sheets); options.style overrides the template's style
+async function buildReportExcel(collegeId, report, options = {}) {
+  // Get college data for filename
+  const colleges = await (await getInitializedUserManager()).getColleges();
+  const college = colleges.find(c => 
+    c.id === parseInt(collegeId) || c.id === collegeId || c.id.toString() === collegeId
+  );
+  const collegeName = college ? college.name.replace(/[^a-zA-Z0-9\s]/g, '') : 'College';
+  
+  // Load previous report data for change indicators - SCOPE BY TEMPLATE
+  // Only compare against a previous report created with the SAME template to avoid mismatches
+  let previousData = null;
+  try {
+    const templateKey = report.templateKey || report.data?.meta?.templateKey || null;
+    if (templateKey) {
+      const prevEntry = await getPreviousReportData(parseInt(collegeId), String(templateKey));
+      // prevEntry may be { data, timestamp } or raw data
+      previousData = prevEntry && prevEntry.data ? prevEntry.data : prevEntry;
+      if (previousData) {
+        console.log('Excel: Loaded template-scoped previous report for comparison');
       } else {
-        console.log('Excel: No templateKey on report; skipping comparison');
+        console.log('Excel: No template-scoped previous report found');
       }
-    } catch (error) {
-      console.error('Excel: Error loading previous report data (template-scoped):', error);
-      previousData = null;
+    } else {
+      console.log('Excel: No templateKey on report; skipping comparison');
     }
+  } catch (error) {
+    console.error('Excel: Error loading previous report data (template-scoped):', error);
+    previousData = null;
+  }
+  
+  // Create Excel workbook
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Report Data');
+  
+  const { headers, rows } = report.data;
+  
+  // Add report metadata
+  worksheet.getCell('A1').value = `Report: ${report.name}`;
+  worksheet.getCell('A1').font = { bold: true, size: 14 };
+  worksheet.getCell('A1').fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FFE6F3FF' }
+  };
+  
+  worksheet.getCell('A2').value = `Generated: ${new Date(report.createdAt).toLocaleString()}${report.period ? ` · ${report.period.label}` : ''}`;
+  worksheet.getCell('A2').font = { size: 10, color: { argb: 'FF666666' } };
+  
+  // Only add summary if it exists and is not empty
+  let currentRow = 3;
+  let dataStartRow = 4;
+  
+  if (report.summary && report.summary.trim() !== '' && report.summary !== 'No summary provided') {
+    worksheet.getCell(`A${currentRow}`).value = `Summary: ${report.summary}`;
+    worksheet.getCell(`A${currentRow}`).font = { size: 10, color: { argb: 'FF666666' } };
+    currentRow++;
+    dataStartRow = 5;
+  }
+  
+  // Add empty row for spacing
+  worksheet.getCell(`A${currentRow}`).value = '';
+  currentRow++;
+  dataStartRow = currentRow;
+  
+  // Try to get headerFileMap from report data
+  let reportHeaderFileMap = null;
+  if (report.data && report.data.headerFileMap) {
+    reportHeaderFileMap = report.data.headerFileMap;
+    console.log('Using file-based coloring for Excel export:', reportHeaderFileMap);
+  } else {
+    console.log('No headerFileMap found, using content-based coloring for Excel export');
+  }
+  
+  // Previous-report lookup for +/- columns: rows by department (and department aliases), columns by header
+  const departmentAliases = await reportComparisonService.getDepartmentAliases(collegeId);
+  const changeTracker = reportComparisonService.createChangeTracker(previousData, headers, {
+    rows,
+    aliases: departmentAliases
+  });
+
+  // Helpers for numeric detection and parsing
+  const isPercentageHeader = (h) => {
+    const s = String(h || '').toLowerCase();
+    return s.includes('percent') || s.includes('%');
+  };
+  const parseNumberLike = (val) => {
+    if (val === undefined || val === null || val === '') return null;
+    if (typeof val === 'number') return isFinite(val) ? val : null;
+    const str = String(val).trim();
+    if (!str) return null;
+    if (str.endsWith('%')) {
+      const p = parseFloat(str);
+      return isNaN(p) ? null : p / 100;
+    }
+    const n = parseFloat(str);
+    return isNaN(n) ? null : n;
+  };
+  const isNumericColumn = (colIndex) => {
+    if (isPercentageHeader(headers[colIndex])) return true;
+    // Check first 25 rows (or all if fewer) for numeric values
+    const limit = Math.min(rows.length, 25);
+    for (let i = 0; i < limit; i++) {
+      const v = parseNumberLike(rows[i]?.[colIndex]);
+      if (typeof v === 'number') return true;
+    }
+    return false;
+  };
+
+  // Build complete header structure with change columns positioned correctly
+  let completeHeaders = [];
+  let changeColumnMap = new Map(); // Maps original column index to change column index
+  
+  headers.forEach((header, colIndex) => {
+    completeHeaders.push(header);
     
-    // Create Excel workbook
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Report Data');
-    
-    const { headers, rows } = report.data;
-    
-    // Add report metadata
-    worksheet.getCell('A1').value = `Report: ${report.name}`;
-    worksheet.getCell('A1').font = { bold: true, size: 14 };
-    worksheet.getCell('A1').fill = {
+    // Add change indicator column only for numeric/percentage columns (not Department)
+    if (header !== 'Department' && isNumericColumn(colIndex)) {
+      const changeHeader = `${header} +/-`;
+      completeHeaders.push(changeHeader);
+      changeColumnMap.set(colIndex, completeHeaders.length - 1);
+    }
+  });
+  
+  // Clear existing headers and add complete headers
+  worksheet.getRow(dataStartRow).values = completeHeaders;
+  
+  // Enhanced header formatting to match frontend typography
+  completeHeaders.forEach((header, index) => {
+    const cell = worksheet.getCell(dataStartRow, index + 1);
+    
+    // Debug: Log header section detection
+    const isChangeColumn = header.endsWith(' +/-');
+    const originalHeader = isChangeColumn ? header.replace(' +/-', '') : header;
+    const sectionInfo = getExportColumnSection(originalHeader);
+    console.log(`🎨 Header: "${header}" -> Section: ${sectionInfo.section}, Color: ${sectionInfo.color}`);
+    
+    // Apply section colors
+    cell.fill = {
       type: 'pattern',
       pattern: 'solid',
-      fgColor: { argb: 'FFE6F3FF' }
+      fgColor: { argb: sectionInfo.color }
     };
     
-    worksheet.getCell('A2').value = `Generated: ${new Date(report.createdAt).toLocaleString()}`;
-    worksheet.getCell('A2').font = { size: 10, color: { argb: 'FF666666' } };
+    // Enhanced typography to match frontend (uppercase, tracking, font weights)
+    cell.font = { 
+      bold: true, 
+      color: { argb: 'FF1F2937' }, // text-gray-800 equivalent
+      size: 11,
+      name: 'Arial'
+    };
     
-    // Only add summary if it exists and is not empty
-    let currentRow = 3;
-    let dataStartRow = 4;
+    // Center alignment for headers
+    cell.alignment = { 
+      horizontal: 'center', 
+      vertical: 'middle',
+      wrapText: true
+    };
     
-    if (report.summary && report.summary.trim() !== '' && report.summary !== 'No summary provided') {
-      worksheet.getCell(`A${currentRow}`).value = `Summary: ${report.summary}`;
-      worksheet.getCell(`A${currentRow}`).font = { size: 10, color: { argb: 'FF666666' } };
-      currentRow++;
-      dataStartRow = 5;
+    // Special formatting for change columns
+    if (isChangeColumn) {
+      cell.font = { 
+        bold: true, 
+        color: { argb: 'FF1F2937' }, 
+        italic: true,
+        size: 10,
+        name: 'Arial'
+      };
+      
+      // Use the same section color for change columns
+      cell.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: sectionInfo.color }
+      };
     }
     
-    // Add empty row for spacing
-    worksheet.getCell(`A${currentRow}`).value = '';
-    currentRow++;
-    dataStartRow = currentRow;
-    
-    // Function to determine column section and color
-    function getColumnSection(header, headerFileMap = null) {
-      // Define colors that exactly match frontend Tailwind classes (Excel hex format)
-      // Keep this mapping aligned with SECTION_COLORS_EXCEL in public/generate-report.html
-      const SECTION_COLORS_EXCEL = {
-        'placements': 'FFDBEAFE',          // bg-blue-100 - Light blue
-        'assessments': 'FFBBF7D0',         // bg-green-200 - Light green
-        'careers': 'FFFED7AA',             // bg-orange-100 - Light orange
-        'activities': 'FFFEF3C7',          // bg-yellow-100 - Light yellow
-        'enrichment': 'FFCCFBF1',          // bg-teal-100 - Light teal
-        'employment': 'FFF3E8FF',          // bg-purple-100 - Light purple
-        'employer-activity': 'FFFEE2E2',   // bg-red-100 - Light red
-        'enrichment-activity': 'FFE0F7FA', // bg-cyan-100 - Light cyan
-        'targets': 'FFFCE7F3',             // bg-pink-100 - Light pink
-        'login': 'FFE0E7FF',               // bg-indigo-100 - Light indigo
-        'default': 'FFF3F4F6'              // bg-gray-100 - Light gray
-      };
+    // Enhanced border styling to match frontend table borders
+    cell.border = {
+      top: { style: 'thick', color: { argb: 'FFE5E7EB' } }, // border-gray-200
+      left: { style: 'thin', color: { argb: 'FFE5E7EB' } },
+      bottom: { style: 'thick', color: { argb: 'FFE5E7EB' } },
+      right: { style: 'thin', color: { argb: 'FFE5E7EB' } }
+    };
+  });
+  
+  // Set column widths for complete headers
+  completeHeaders.forEach((header, index) => {
+    const column = worksheet.getColumn(index + 1);
+    
+    // Make +/- change columns much narrower
+    if (header.endsWith(' +/-')) {
+      column.width = 8; // Much narrower for change indicators
+    } else if (header === 'Department') {
+      column.width = 35; // Wide enough for full department names
+    } else {
+      column.width = Math.max(header.length + 5, 15);
+    }
+  });
+  
+  // Add data rows with change indicators
+  console.log(`Processing ${rows.length} data rows...`);
+  rows.forEach((row, rowIndex) => {
+    const dataRow = worksheet.getRow(dataStartRow + 1 + rowIndex);
+    let colIndex = 0;
+    
+    headers.forEach((header, originalColIndex) => {
+      const value = row[originalColIndex];
+      const cell = dataRow.getCell(colIndex + 1);
       
-      // Function to determine section type from header - matches frontend logic exactly
-      function getSectionType(header) {
-        const headerLower = header.toLowerCase();
-        
-        // First check if the header itself contains type information (from our renaming) - MATCHES FRONTEND
-        if (headerLower.includes('(enrichment)')) {
-          return 'enrichment';
-        }
-        
-        if (headerLower.includes('(employer)') || headerLower.includes('(employment)')) {
-          return 'employment';
+      // Ensure all values are properly set, even empty ones
+      if (value === undefined || value === null || value === '') {
+        // For percentage columns, display 0% when there is no info
+        if ((header && (header.toLowerCase().includes('percent') || header.includes('%')))) {
+          cell.value = 0;
+          cell.numFmt = '0.00%';
+        } else {
+          cell.value = '';
         }
-        
-        if (headerLower.includes('(placements)')) {
-          return 'placements';
+      } else {
+        cell.value = value;
+      }
+      
+      // Enhanced cell alignment and formatting
+      cell.alignment = { 
+        horizontal: 'left', 
+        vertical: 'middle',
+        wrapText: false
+      };
+      
+      // Enhanced font styling for data cells
+      cell.font = {
+        size: 10,
+        name: 'Arial',
+        color: { argb: 'FF111827' } // text-gray-900 equivalent
+      };
+      
+      // Format numbers
+      if (typeof value === 'number') {
+        if (value < 1 && value > 0) {
+          // Format as percentage
+          cell.numFmt = '0.00%';
+        } else if (value % 1 !== 0) {
+          // Format as decimal
+          cell.numFmt = '0.00';
+        } else {
+          // Format as integer
+          cell.numFmt = '0';
         }
-        
-        if (headerLower.includes('(careers)')) {
-          return 'careers';
+      }
+      
+      // Format percentage columns properly for data bars
+      if ((header.toLowerCase().includes('percent') || header.includes('%')) && typeof value === 'number' && value >= 0 && value <= 1) {
+        // Convert to proper percentage format for Excel data bars
+        cell.value = value; // Keep as decimal (0-1) for data bars
+        cell.numFmt = '0.00%'; // Format as percentage
+      }
+      
+      // Add alternating row colors to match frontend (white/gray-50)
+      // Only apply to non-percentage columns to avoid conflicts with conditional formatting
+      if (rowIndex % 2 === 1 && !(header.toLowerCase().includes('percent') || header.includes('%'))) {
+        cell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFF9FAFB' } // gray-50 equivalent
+        };
+      }
+      
+      // For percentage columns, apply background colors directly based on value
+      // This ensures the colors are applied regardless of conditional formatting issues
+      if ((header.toLowerCase().includes('percent') || header.includes('%')) && typeof value === 'number' && value >= 0 && value <= 1) {
+        // Apply background color based on percentage value
+        if (value < 0.4) {
+          cell.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFFFEBEE' } // Light red background for < 40%
+          };
+        } else if (value >= 0.4 && value <= 0.7) {
+          cell.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFFFF3E0' } // Light orange background for 40-70%
+          };
+        } else if (value > 0.7) {
+          cell.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFE8F5E8' } // Light green background for > 70%
+          };
         }
+      }
+      
+      // Enhanced border styling to match frontend
+      cell.border = {
+        top: { style: 'thin', color: { argb: 'FFE5E7EB' } }, // border-gray-200
+        left: { style: 'thin', color: { argb: 'FFE5E7EB' } },
+        bottom: { style: 'thin', color: { argb: 'FFE5E7EB' } },
+        right: { style: 'thin', color: { argb: 'FFE5E7EB' } }
+      };
+      
+      colIndex++;
+      
+      // Add change indicator if this column has a change column
+      if (changeColumnMap.has(originalColIndex)) {
+        const changeCell = dataRow.getCell(colIndex + 1);
         
-        if (headerLower.includes('(assessments)')) {
-          return 'assessments';
+        // Compare with the same department and column in the previous report
+        let changeValue = null;
+        const isNewRow = changeTracker.isNew(row);
+        if (!isNewRow) {
+          changeValue = calculateChange(value, changeTracker.previousValue(row, originalColIndex));
         }
-        
-        if (headerLower.includes('(targets)')) {
-          return 'targets';
+        if (changeValue === null && !changeTracker.hasPrevious) {
+          // Match dashboard behavior when there's no previous report for this template
+          changeValue = 0;
         }
         
-        if (headerLower.includes('(login)')) {
-          return 'login';
+        if (changeValue !== null) {
+          changeCell.value = changeValue;
+          
+          // Enhanced color coding to match frontend badge styling
+          if (changeValue > 0) {
+            changeCell.font = { color: { argb: 'FF2E7D32' }, bold: true, size: 10 };
+            changeCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE8F5E8' } };
+          } else if (changeValue < 0) {
+            changeCell.font = { color: { argb: 'FFC62828' }, bold: true, size: 10 };
+            changeCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEBEE' } };
+          } else {
+            changeCell.font = { color: { argb: 'FFE65100' }, bold: true, size: 10 };
+            changeCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF3E0' } };
+          }
+          
+          // Format as percentage for percentage columns
+          if (isPercentageHeader(header)) {
+            changeCell.numFmt = '+0.00%;-0.00%;0.00%';
+          } else {
+            changeCell.numFmt = '+0.00;-0.00;0.00';
+          }
+        } else {
+          // Departments that were not in the previous report are marked rather than left blank
+          changeCell.value = isNewRow ? 'New' : '';
+          changeCell.font = { color: { argb: isNewRow ? 'FF1565C0' : 'FF666666' }, bold: true, size: 10, italic: isNewRow };
+          changeCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF5F5F5' } };
         }
         
-        // Fallback to header content analysis if no filename info - MATCHES FRONTEND
-        if (headerLower.includes('placement') || headerLower.includes('placed') || 
-            headerLower.includes('employer confirmed') || headerLower.includes('student confirmed') ||
-            headerLower.includes('hours scheduled') || headerLower.includes('scheduled to date')) {
-          return 'placements';
-        }
+        // Note: Change cells maintain their color coding (green/red/orange) 
+        // and don't get alternating row colors to preserve their visual significance
         
-        if (headerLower.includes('enrichment') || headerLower.includes('enrich')) {
-          return 'enrichment';
-        }
+        // Enhanced border styling for change cells
+        changeCell.border = {
+          top: { style: 'thin', color: { argb: 'FFE5E7EB' } }, // border-gray-200
+          left: { style: 'thin', color: { argb: 'FFE5E7EB' } },
+          bottom: { style: 'thin', color: { argb: 'FFE5E7EB' } },
+          right: { style: 'thin', color: { argb: 'FFE5E7EB' } }
+        };
         
-        if (headerLower.includes('employer') && (headerLower.includes('engagement') || 
-            headerLower.includes('activity') || headerLower.includes('activities')) && 
-            !headerLower.includes('enrichment')) {
-          return 'employment';
-        }
-        
-        if (headerLower.includes('career') || headerLower.includes('quiz') || 
-            headerLower.includes('job profile') || headerLower.includes('mapped')) {
-          return 'careers';
-        }
-        
-        // Check for assessments - broader matching
-        if (headerLower.includes('assessment') || headerLower.includes('score') || 
-            headerLower.includes('students without') || headerLower.includes('average score') || 
-            headerLower.includes('assessed')) {
-          return 'assessments';
-        }
-        
-        // Check for activities - broader matching
-        if (headerLower.includes('activity') || 
-            (headerLower.includes('hours') && !headerLower.includes('scheduled'))) {
-          return 'activities';
-        }
-        
-        // Check for enrichment
-        if (headerLower.includes('enrichment') || headerLower.includes('enrich')) {
-          return 'enrichment';
-        }
-        
-        // Check for employment - broader matching to catch all employer-related headers
-        if (headerLower.includes('employment') || 
-            (headerLower.includes('employer') && (headerLower.includes('engagement') || 
-            headerLower.includes('activity') || headerLower.includes('activities') ||
-            headerLower.includes('students with') || headerLower.includes('total students') ||
-            headerLower.includes('total activities')) && !headerLower.includes('enrichment'))) {
-          return 'employment';
-        }
-        
-        // Check for targets
-        if (headerLower.includes('target') || headerLower.includes('goal')) {
-          return 'targets';
-        }
-        
-        // Check for login data
-        if (headerLower.includes('login') || headerLower.includes('log in') || 
-            headerLower.includes('access')) {
-          return 'login';
-        }
-        
-        return 'default';
-      }
-      
-      // Handle Department column specially - matches frontend amber-100
-      if (header === 'Department') {
-        return { section: 'Department', color: 'FFFEF3C7' }; // bg-amber-100
+        colIndex++;
       }
+    });
+  });
+  
+  // Computed columns become live formulas referencing the row's cells
+  writeComputedColumnFormulas(worksheet, report.data?.meta?.computedColumns, headers, rows, dataStartRow, changeColumnMap);
+  
+  // Set column widths for percentage columns
+  completeHeaders.forEach((header, index) => {
+    if ((header.toLowerCase().includes('percent') || header.includes('%')) && !header.endsWith(' +/-')) {
+      const column = worksheet.getColumn(index + 1);
       
-      // Use section-based coloring
-      const sectionType = getSectionType(header);
-      const color = SECTION_COLORS_EXCEL[sectionType] || SECTION_COLORS_EXCEL.default;
-      
-      return { section: sectionType, color: color };
-    }
-    
-    // Try to get headerFileMap from report data
-    let reportHeaderFileMap = null;
-    if (report.data && report.data.headerFileMap) {
-      reportHeaderFileMap = report.data.headerFileMap;
-      console.log('Using file-based coloring for Excel export:', reportHeaderFileMap);
-    } else {
-      console.log('No headerFileMap found, using content-based coloring for Excel export');
-    }
-    
-    // Prepare previous-report lookup maps for accurate +/- calculation by Department and header name
-    // Support both { headers, rows } and { data: { headers, rows } } shapes
-    const prevHeaders = Array.isArray(previousData?.headers)
-      ? previousData.headers
-      : (Array.isArray(previousData?.data?.headers) ? previousData.data.headers : null);
-    const prevRows = Array.isArray(previousData?.rows)
-      ? previousData.rows
-      : (Array.isArray(previousData?.data?.rows) ? previousData.data.rows : null);
-
-    // Normalisation to match headers across template updates (base text + category)
-    const normalizeHeader = (h) => {
-      let s = String(h || '').toLowerCase();
-      // remove trailing +/- marker and trailing [File Label]
-      s = s.replace(/\s*\+\/-?\s*$/, '').replace(/\s*\[[^\]]+\]\s*$/g, '');
-      // detect category from parentheses
-      let category = null;
-      const parens = s.match(/\(([^)]+)\)/g) || [];
-      const toCat = (txt) => {
-        const v = String(txt || '').toLowerCase();
-        if (/activities\s*combined/.test(v)) return 'activities-combined';
-        if (/employer\s*(engagement|activity)/.test(v)) return 'employment';
-        if (/enrichment/.test(v)) return 'enrichment';
-        if (/placements?/.test(v)) return 'placements';
-        if (/assessments?/.test(v)) return 'assessments';
-        if (/careers?/.test(v)) return 'careers';
-        if (/targets?/.test(v)) return 'targets';
-        if (/login|access/.test(v)) return 'login';
-        return null;
-      };
-      for (const p of parens) {
-        const m = /\(([^)]+)\)/.exec(p);
-        const cat = m ? toCat(m[1]) : null;
-        if (cat) { category = cat; break; }
-      }
-      // remove all parentheses content from base text
-      s = s.replace(/\([^)]*\)/g, ' ');
-      // infer category if none found from plain text
-      if (!category) category = toCat(s);
-      if (!category) category = 'default';
-      // collapse whitespace for base
-      const base = s.replace(/\s+/g, ' ').trim();
-      return `${base}::${category}`;
-    };
-
-    const prevHeaderIndex = new Map();
-    const prevHeaderNormIndex = new Map();
-    if (prevHeaders) {
-      prevHeaders.forEach((h, i) => {
-        const key = String(h || '');
-        if (!prevHeaderIndex.has(key)) prevHeaderIndex.set(key, i);
-        const nkey = normalizeHeader(key);
-        if (nkey && !prevHeaderNormIndex.has(nkey)) prevHeaderNormIndex.set(nkey, i);
-      });
+      // Set column width to accommodate progress bars
+      column.width = Math.max(column.width, 25);
     }
-    const prevDeptRowMap = new Map();
-    if (prevRows) prevRows.forEach(r => {
-      const key = (r && r.length ? String(r[0] || '') : '').trim().toLowerCase();
-      if (key) prevDeptRowMap.set(key, r);
-    });
-
-    // Helpers for numeric detection and parsing
-    const isPercentageHeader = (h) => {
-      const s = String(h || '').toLowerCase();
-      return s.includes('percent') || s.includes('%');
-    };
-    const parseNumberLike = (val) => {
-      if (val === undefined || val === null || val === '') return null;
-      if (typeof val === 'number') return isFinite(val) ? val : null;
-      const str = String(val).trim();
-      if (!str) return null;
-      if (str.endsWith('%')) {
-        const p = parseFloat(str);
-        return isNaN(p) ? null : p / 100;
-      }
-      const n = parseFloat(str);
-      return isNaN(n) ? null : n;
-    };
-    const isNumericColumn = (colIndex) => {
-      if (isPercentageHeader(headers[colIndex])) return true;
-      // Check first 25 rows (or all if fewer) for numeric values
-      const limit = Math.min(rows.length, 25);
-      for (let i = 0; i < limit; i++) {
-        const v = parseNumberLike(rows[i]?.[colIndex]);
-        if (typeof v === 'number') return true;
-      }
-      return false;
-    };
-
-    // Build complete header structure with change columns positioned correctly
-    let completeHeaders = [];
-    let changeColumnMap = new Map(); // Maps original column index to change column index
+  });
+  
+  // Add totals row if there are multiple data rows
+  if (rows.length > 1) {
+    const totalsRow = worksheet.getRow(dataStartRow + 1 + rows.length);
+    let colIndex = 0;
     
-    headers.forEach((header, colIndex) => {
-      completeHeaders.push(header);
+    headers.forEach((header, originalColIndex) => {
+      const cell = totalsRow.getCell(colIndex + 1);
       
-      // Add change indicator column only for numeric/percentage columns (not Department)
-      if (header !== 'Department' && isNumericColumn(colIndex)) {
-        const changeHeader = `${header} +/-`;
-        completeHeaders.push(changeHeader);
-        changeColumnMap.set(colIndex, completeHeaders.length - 1);
+      if (originalColIndex === 0) {
+        cell.value = 'TOTAL';
+        cell.font = { bold: true };
+      } else if (header.toLowerCase().includes('department')) {
+        cell.value = '';
+      } else {
+        // Calculate totals for numeric columns
+        let total = 0;
+        let hasValidData = false;
+        
+        rows.forEach(row => {
+          if (row[originalColIndex] !== '' && row[originalColIndex] !== null && !isNaN(parseFloat(row[originalColIndex]))) {
+            total += parseFloat(row[originalColIndex]);
+            hasValidData = true;
+          }
+        });
+        
+        // For percentage columns, calculate average across ALL rows (treat empties as 0)
+        if (header.toLowerCase().includes('percent') || header.includes('%')) {
+          const count = rows.length;
+          let totalNormalized = 0;
+          rows.forEach(r => {
+            const raw = r[originalColIndex];
+            if (raw === undefined || raw === null || raw === '') return; // 0 contribution
+            if (typeof raw === 'number') {
+              const num = raw > 1 ? raw / 100 : raw;
+              if (!isNaN(num) && isFinite(num)) totalNormalized += num;
+            } else if (typeof raw === 'string') {
+              const s = raw.trim();
+              if (!s) return; // treat empty as 0
+              if (s.endsWith('%')) {
+                const p = parseFloat(s);
+                if (!isNaN(p)) totalNormalized += p / 100;
+              } else {
+                const p = parseFloat(s);
+                if (!isNaN(p)) totalNormalized += p <= 1 ? p : p / 100;
+              }
+            }
+          });
+          const average = count > 0 ? totalNormalized / count : 0;
+          
+          // Format total percentage properly
+          cell.value = average;
+          cell.numFmt = '0.00%';
+          cell.font = { bold: true };
+          
+          // Style totals row with same formatting as +/- cells
+          cell.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFF5F5F5' }
+          };
+          cell.font = { bold: true, color: { argb: 'FF666666' } }; // Gray text like +/- cells
+        } else {
+          if (hasValidData) {
+            cell.value = total;
+            cell.font = { bold: true };
+            
+            // Format based on header type
+            if (header.toLowerCase().includes('score')) {
+              cell.numFmt = '0.00';
+            } else {
+              cell.numFmt = '0';
+            }
+          } else {
+            // Even if no valid data, set empty string to ensure cell is properly formatted
+            cell.value = '';
+          }
+        }
       }
-    });
-    
-    // Clear existing headers and add complete headers
-    worksheet.getRow(dataStartRow).values = completeHeaders;
-    
-    // Enhanced header formatting to match frontend typography
-    completeHeaders.forEach((header, index) => {
-      const cell = worksheet.getCell(dataStartRow, index + 1);
-      
-      // Debug: Log header section detection
-      const isChangeColumn = header.endsWith(' +/-');
-      const originalHeader = isChangeColumn ? header.replace(' +/-', '') : header;
-      const sectionInfo = getColumnSection(originalHeader, reportHeaderFileMap);
-      console.log(`🎨 Header: "${header}" -> Section: ${sectionInfo.section}, Color: ${sectionInfo.color}`);
-      
-      // Apply section colors
-      cell.fill = {
-        type: 'pattern',
-        pattern: 'solid',
-        fgColor: { argb: sectionInfo.color }
-      };
-      
-      // Enhanced typography to match frontend (uppercase, tracking, font weights)
-      cell.font = { 
-        bold: true, 
-        color: { argb: 'FF1F2937' }, // text-gray-800 equivalent
-        size: 11,
-        name: 'Arial'
-      };
-      
-      // Center alignment for headers
-      cell.alignment = { 
-        horizontal: 'center', 
-        vertical: 'middle',
-        wrapText: true
-      };
       
-      // Special formatting for change columns
-      if (isChangeColumn) {
-        cell.font = { 
-          bold: true, 
-          color: { argb: 'FF1F2937' }, 
-          italic: true,
-          size: 10,
-          name: 'Arial'
-        };
-        
-        // Use the same section color for change columns
+      // Style totals row with same formatting as +/- cells (only for non-percentage columns)
+      if (!(header.toLowerCase().includes('percent') || header.includes('%'))) {
         cell.fill = {
           type: 'pattern',
           pattern: 'solid',
-          fgColor: { argb: sectionInfo.color }
+          fgColor: { argb: 'FFF5F5F5' }
         };
+        cell.font = { bold: true, color: { argb: 'FF666666' } }; // Gray text like +/- cells
       }
       
-      // Enhanced border styling to match frontend table borders
+      // Enhanced border styling for totals row
       cell.border = {
-        top: { style: 'thick', color: { argb: 'FFE5E7EB' } }, // border-gray-200
+        top: { style: 'thin', color: { argb: 'FFE5E7EB' } }, // border-gray-200
         left: { style: 'thin', color: { argb: 'FFE5E7EB' } },
-        bottom: { style: 'thick', color: { argb: 'FFE5E7EB' } },
+        bottom: { style: 'thin', color: { argb: 'FFE5E7EB' } },
         right: { style: 'thin', color: { argb: 'FFE5E7EB' } }
       };
-    });
-    
-    // Set column widths for complete headers
-    completeHeaders.forEach((header, index) => {
-      const column = worksheet.getColumn(index + 1);
       
-      // Make +/- change columns much narrower
-      if (header.endsWith(' +/-')) {
-        column.width = 8; // Much narrower for change indicators
-      } else if (header === 'Department') {
-        column.width = 35; // Wide enough for full department names
-      } else {
-        column.width = Math.max(header.length + 5, 15);
-      }
-    });
-    
-    // Add data rows with change indicators
-    console.log(`Processing ${rows.length} data rows...`);
-    rows.forEach((row, rowIndex) => {
-      const dataRow = worksheet.getRow(dataStartRow + 1 + rowIndex);
-      let colIndex = 0;
+      colIndex++;
       
-      headers.forEach((header, originalColIndex) => {
-        const value = row[originalColIndex];
-        const cell = dataRow.getCell(colIndex + 1);
-        
-        // Ensure all values are properly set, even empty ones
-        if (value === undefined || value === null || value === '') {
-          // For percentage columns, display 0% when there is no info
-          if ((header && (header.toLowerCase().includes('percent') || header.includes('%')))) {
-            cell.value = 0;
-            cell.numFmt = '0.00%';
-          } else {
-            cell.value = '';
-          }
-        } else {
-          cell.value = value;
-        }
-        
-        // Enhanced cell alignment and formatting
-        cell.alignment = { 
-          horizontal: 'left', 
-          vertical: 'middle',
-          wrapText: false
-        };
-        
-        // Enhanced font styling for data cells
-        cell.font = {
-          size: 10,
-          name: 'Arial',
-          color: { argb: 'FF111827' } // text-gray-900 equivalent
+      // Add empty totals for change columns with same formatting
+      if (changeColumnMap.has(originalColIndex)) {
+        const changeCell = totalsRow.getCell(colIndex + 1);
+        changeCell.value = '';
+        changeCell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFF5F5F5' }
         };
-        
-        // Format numbers
-        if (typeof value === 'number') {
-          if (value < 1 && value > 0) {
-            // Format as percentage
-            cell.numFmt = '0.00%';
-          } else if (value % 1 !== 0) {
-            // Format as decimal
-            cell.numFmt = '0.00';
-          } else {
-            // Format as integer
-            cell.numFmt = '0';
-          }
-        }
-        
-        // Format percentage columns properly for data bars
-        if ((header.toLowerCase().includes('percent') || header.includes('%')) && typeof value === 'number' && value >= 0 && value <= 1) {
-          // Convert to proper percentage format for Excel data bars
-          cell.value = value; // Keep as decimal (0-1) for data bars
-          cell.numFmt = '0.00%'; // Format as percentage
-        }
-        
-        // Add alternating row colors to match frontend (white/gray-50)
-        // Only apply to non-percentage columns to avoid conflicts with conditional formatting
-        if (rowIndex % 2 === 1 && !(header.toLowerCase().includes('percent') || header.includes('%'))) {
-          cell.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FFF9FAFB' } // gray-50 equivalent
-          };
-        }
-        
-        // For percentage columns, apply background colors directly based on value
-        // This ensures the colors are applied regardless of conditional formatting issues
-        if ((header.toLowerCase().includes('percent') || header.includes('%')) && typeof value === 'number' && value >= 0 && value <= 1) {
-          // Apply background color based on percentage value
-          if (value < 0.4) {
-            cell.fill = {
-              type: 'pattern',
-              pattern: 'solid',
-              fgColor: { argb: 'FFFFEBEE' } // Light red background for < 40%
-            };
-          } else if (value >= 0.4 && value <= 0.7) {
-            cell.fill = {
-              type: 'pattern',
-              pattern: 'solid',
-              fgColor: { argb: 'FFFFF3E0' } // Light orange background for 40-70%
-            };
-          } else if (value > 0.7) {
-            cell.fill = {
-              type: 'pattern',
-              pattern: 'solid',
-              fgColor: { argb: 'FFE8F5E8' } // Light green background for > 70%
-            };
-          }
-        }
-        
-        // Enhanced border styling to match frontend
-        cell.border = {
+        changeCell.font = { bold: true, color: { argb: 'FF1565C0' } }; // Darker blue for total change cells
+        changeCell.border = {
           top: { style: 'thin', color: { argb: 'FFE5E7EB' } }, // border-gray-200
           left: { style: 'thin', color: { argb: 'FFE5E7EB' } },
           bottom: { style: 'thin', color: { argb: 'FFE5E7EB' } },
           right: { style: 'thin', color: { argb: 'FFE5E7EB' } }
         };
-        
         colIndex++;
-        
-        // Add change indicator if this column has a change column
-        if (changeColumnMap.has(originalColIndex)) {
-          const changeCell = dataRow.getCell(colIndex + 1);
-          
-          // Compute change by matching Department and header name in previous data
-          let changeValue = null;
-          const deptKey = String(row[0] || '').trim().toLowerCase();
-          const prevRow = deptKey ? prevDeptRowMap.get(deptKey) : null;
-          // Try exact header match, then normalised match, then index fallback
-          let prevColIdx = prevHeaderIndex.has(header) ? prevHeaderIndex.get(header) : null;
-          if (prevColIdx == null) {
-            const n = normalizeHeader(header);
-            if (prevHeaderNormIndex.has(n)) prevColIdx = prevHeaderNormIndex.get(n);
-          }
-          if (prevColIdx == null && Array.isArray(prevHeaders)) {
-            const normalizedPrev = prevHeaders.map(normalizeHeader);
-            const normalizedCurr = headers.map(normalizeHeader);
-            const matches = normalizedCurr.reduce((map, key, idx) => {
-              if (!map.has(key)) map.set(key, []);
-              map.get(key).push(idx);
-              return map;
-            }, new Map());
-            const currentKey = normalizeHeader(header);
-            const prevIndexes = normalizedPrev
-              .map((key, idx) => ({ key, idx }))
-              .filter(item => item.key === currentKey)
-              .map(item => item.idx);
-            if (prevIndexes.length === 1) {
-              prevColIdx = prevIndexes[0];
-            } else if (prevIndexes.length > 1) {
-              // Choose the closest match based on position
-              prevColIdx = prevIndexes.reduce((best, idx) => {
-                if (best == null) return idx;
-                return Math.abs(idx - originalColIndex) < Math.abs(best - originalColIndex) ? idx : best;
-              }, null);
-            } else {
-              // Fallback to same column index (headers exclude Department at index 0 consistently)
-              prevColIdx = originalColIndex;
-            }
-          }
-          const currentNum = isPercentageHeader(header) ? parseNumberLike(value) : parseNumberLike(value);
-          const prevNum = (prevRow != null && prevColIdx != null) ? (isPercentageHeader(header) ? parseNumberLike(prevRow[prevColIdx]) : parseNumberLike(prevRow[prevColIdx])) : null;
-          
-          if (currentNum != null && prevNum != null) {
-            changeValue = currentNum - prevNum;
-          } else if (!previousData) {
-            // Match dashboard behavior when there's no previous report for this template
-            changeValue = 0;
-          }
-          
-          if (changeValue !== null) {
-            changeCell.value = changeValue;
-            
-            // Enhanced color coding to match frontend badge styling
-            if (changeValue > 0) {
-              changeCell.font = { color: { argb: 'FF2E7D32' }, bold: true, size: 10 };
-              changeCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE8F5E8' } };
-            } else if (changeValue < 0) {
-              changeCell.font = { color: { argb: 'FFC62828' }, bold: true, size: 10 };
-              changeCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEBEE' } };
-            } else {
-              changeCell.font = { color: { argb: 'FFE65100' }, bold: true, size: 10 };
-              changeCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF3E0' } };
-            }
-            
-            // Format as percentage for percentage columns
-            if (isPercentageHeader(header)) {
-              changeCell.numFmt = '+0.00%;-0.00%;0.00%';
-            } else {
-              changeCell.numFmt = '+0.00;-0.00;0.00';
-            }
-          } else {
-            // Set empty string when we cannot determine change
-            changeCell.value = '';
-            changeCell.font = { color: { argb: 'FF666666' }, bold: true, size: 10 };
-            changeCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF5F5F5' } };
-          }
-          
-          // Note: Change cells maintain their color coding (green/red/orange) 
-          // and don't get alternating row colors to preserve their visual significance
-          
-          // Enhanced border styling for change cells
-          changeCell.border = {
-            top: { style: 'thin', color: { argb: 'FFE5E7EB' } }, // border-gray-200
-            left: { style: 'thin', color: { argb: 'FFE5E7EB' } },
-            bottom: { style: 'thin', color: { argb: 'FFE5E7EB' } },
-            right: { style: 'thin', color: { argb: 'FFE5E7EB' } }
-          };
-          
-          colIndex++;
-        }
-      });
-    });
-    
-    // Set column widths for percentage columns
-    completeHeaders.forEach((header, index) => {
-      if ((header.toLowerCase().includes('percent') || header.includes('%')) && !header.endsWith(' +/-')) {
-        const column = worksheet.getColumn(index + 1);
-        
-        // Set column width to accommodate progress bars
-        column.width = Math.max(column.width, 25);
       }
     });
-    
-    // Add totals row if there are multiple data rows
-    if (rows.length > 1) {
-      const totalsRow = worksheet.getRow(dataStartRow + 1 + rows.length);
-      let colIndex = 0;
-      
-      headers.forEach((header, originalColIndex) => {
-        const cell = totalsRow.getCell(colIndex + 1);
-        
-        if (originalColIndex === 0) {
-          cell.value = 'TOTAL';
-          cell.font = { bold: true };
-        } else if (header.toLowerCase().includes('department')) {
-          cell.value = '';
-        } else {
-          // Calculate totals for numeric columns
-          let total = 0;
-          let hasValidData = false;
-          
-          rows.forEach(row => {
-            if (row[originalColIndex] !== '' && row[originalColIndex] !== null && !isNaN(parseFloat(row[originalColIndex]))) {
-              total += parseFloat(row[originalColIndex]);
-              hasValidData = true;
-            }
-          });
-          
-          // For percentage columns, calculate average across ALL rows (treat empties as 0)
-          if (header.toLowerCase().includes('percent') || header.includes('%')) {
-            const count = rows.length;
-            let totalNormalized = 0;
-            rows.forEach(r => {
-              const raw = r[originalColIndex];
-              if (raw === undefined || raw === null || raw === '') return; // 0 contribution
-              if (typeof raw === 'number') {
-                const num = raw > 1 ? raw / 100 : raw;
-                if (!isNaN(num) && isFinite(num)) totalNormalized += num;
-              } else if (typeof raw === 'string') {
-                const s = raw.trim();
-                if (!s) return; // treat empty as 0
-                if (s.endsWith('%')) {
-                  const p = parseFloat(s);
-                  if (!isNaN(p)) totalNormalized += p / 100;
-                } else {
-                  const p = parseFloat(s);
-                  if (!isNaN(p)) totalNormalized += p <= 1 ? p : p / 100;
-                }
-              }
-            });
-            const average = count > 0 ? totalNormalized / count : 0;
-            
-            // Format total percentage properly
-            cell.value = average;
-            cell.numFmt = '0.00%';
-            cell.font = { bold: true };
-            
-            // Style totals row with same formatting as +/- cells
-            cell.fill = {
-              type: 'pattern',
-              pattern: 'solid',
-              fgColor: { argb: 'FFF5F5F5' }
-            };
-            cell.font = { bold: true, color: { argb: 'FF666666' } }; // Gray text like +/- cells
-          } else {
-            if (hasValidData) {
-              cell.value = total;
-              cell.font = { bold: true };
-              
-              // Format based on header type
-              if (header.toLowerCase().includes('score')) {
-                cell.numFmt = '0.00';
-              } else {
-                cell.numFmt = '0';
-              }
-            } else {
-              // Even if no valid data, set empty string to ensure cell is properly formatted
-              cell.value = '';
-            }
-          }
-        }
-        
-        // Style totals row with same formatting as +/- cells (only for non-percentage columns)
-        if (!(header.toLowerCase().includes('percent') || header.includes('%'))) {
-          cell.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FFF5F5F5' }
-          };
-          cell.font = { bold: true, color: { argb: 'FF666666' } }; // Gray text like +/- cells
-        }
-        
-        // Enhanced border styling for totals row
-        cell.border = {
-          top: { style: 'thin', color: { argb: 'FFE5E7EB' } }, // border-gray-200
-          left: { style: 'thin', color: { argb: 'FFE5E7EB' } },
-          bottom: { style: 'thin', color: { argb: 'FFE5E7EB' } },
-          right: { style: 'thin', color: { argb: 'FFE5E7EB' } }
-        };
-        
-        colIndex++;
-        
-        // Add empty totals for change columns with same formatting
-        if (changeColumnMap.has(originalColIndex)) {
-          const changeCell = totalsRow.getCell(colIndex + 1);
-          changeCell.value = '';
-          changeCell.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FFF5F5F5' }
-          };
-          changeCell.font = { bold: true, color: { argb: 'FF1565C0' } }; // Darker blue for total change cells
-          changeCell.border = {
-            top: { style: 'thin', color: { argb: 'FFE5E7EB' } }, // border-gray-200
-            left: { style: 'thin', color: { argb: 'FFE5E7EB' } },
-            bottom: { style: 'thin', color: { argb: 'FFE5E7EB' } },
-            right: { style: 'thin', color: { argb: 'FFE5E7EB' } }
-          };
-          colIndex++;
-        }
-      });
+  }
+  
+  // List departments from the previous report that are missing from this one
+  if (changeTracker.removed.length > 0) {
+    const noteCell = worksheet.getCell(`A${dataStartRow + rows.length + 3}`);
+    noteCell.value = `Not in this report (were in previous): ${changeTracker.removed.join(', ')}`;
+    noteCell.font = { italic: true, size: 10, color: { argb: 'FF991B1B' } };
+  }
+  
+  // Set column widths for percentage columns
+  completeHeaders.forEach((header, colIndex) => {
+    const column = worksheet.getColumn(colIndex + 1);
+    
+    if (header.endsWith(' +/-')) {
+      // Keep +/- columns very narrow
+      column.width = 8;
+    } else if (header === 'Department') {
+      // Keep Department column wide
+      column.width = 35;
+    } else if (header && (header.toLowerCase().includes('percent') || header.includes('%'))) {
+      console.log(`📊 Setting width for percentage column: ${header} (${worksheet.getColumn(colIndex + 1).letter})`);
+      // Set wider columns for percentage data to accommodate bars
+      column.width = Math.max(column.width, 25);
     }
-    
-    // Set column widths for percentage columns
-    completeHeaders.forEach((header, colIndex) => {
-      const column = worksheet.getColumn(colIndex + 1);
+  });
+  
+  // Add data bars for percentage columns to main export function
+  completeHeaders.forEach((header, colIndex) => {
+    if (header && (header.toLowerCase().includes('percent') || header.includes('%')) && !header.endsWith(' +/-')) {
+      const columnLetter = worksheet.getColumn(colIndex + 1).letter;
+      const dataRange = `${columnLetter}${dataStartRow + 1}:${columnLetter}${dataStartRow + rows.length}`;
+      console.log(`📊 Adding data bars to column ${columnLetter} (${header}) for range ${dataRange}`);
       
-      if (header.endsWith(' +/-')) {
-        // Keep +/- columns very narrow
-        column.width = 8;
-      } else if (header === 'Department') {
-        // Keep Department column wide
-        column.width = 35;
-      } else if (header && (header.toLowerCase().includes('percent') || header.includes('%'))) {
-        console.log(`📊 Setting width for percentage column: ${header} (${worksheet.getColumn(colIndex + 1).letter})`);
-        // Set wider columns for percentage data to accommodate bars
-        column.width = Math.max(column.width, 25);
+      try {
+        worksheet.addConditionalFormatting({
+          ref: dataRange,
+          rules: [{
+            type: 'dataBar',
+            cfvo: [
+              { type: 'num', value: 0 }, // Fixed minimum at 0%
+              { type: 'num', value: 1 }  // Fixed maximum at 100%
+            ],
+            color: { argb: 'FF3B82F6' }, // Blue data bars
+            showValue: true
+          }]
+        });
+      } catch (error) {
+        console.error(`Failed to add data bars for column ${header}:`, error);
       }
-    });
-    
-    // Add data bars for percentage columns to main export function
-    completeHeaders.forEach((header, colIndex) => {
-      if (header && (header.toLowerCase().includes('percent') || header.includes('%')) && !header.endsWith(' +/-')) {
-        const columnLetter = worksheet.getColumn(colIndex + 1).letter;
-        const dataRange = `${columnLetter}${dataStartRow + 1}:${columnLetter}${dataStartRow + rows.length}`;
-        console.log(`📊 Adding data bars to column ${columnLetter} (${header}) for range ${dataRange}`);
-        
-        try {
-          worksheet.addConditionalFormatting({
-            ref: dataRange,
-            rules: [{
-              type: 'dataBar',
-              cfvo: [
-                { type: 'num', value: 0 }, // Fixed minimum at 0%
-                { type: 'num', value: 1 }  // Fixed maximum at 100%
-              ],
-              color: { argb: 'FF3B82F6' }, // Blue data bars
-              showValue: true
-            }]
+    }
+  });
+  
+  // Template's own spreadsheet formatting, then Summary and Trend sheets (and their charts) from its export profile
+  const exportTemplate = await getExportTemplate(report.templateKey || report.data?.meta?.templateKey || null);
+  const exportProfile = workbookExportService.resolveProfile(exportTemplate);
+  applySourceFormatting(worksheet, exportTemplate, exportProfile, options.style, {
+    headers: completeHeaders,
+    headerRow: dataStartRow,
+    firstDataRow: dataStartRow + 1,
+    lastDataRow: dataStartRow + rows.length
+  });
+  const charts = await workbookExportService.addProfileSheets(workbook, worksheet, {
+    profile: exportProfile,
+    report,
+    collegeName,
+    collegeId,
+    data: report.data,
+    previousData,
+    aliases: departmentAliases
+  });
+  
+  // Set response headers with proper filename (fixed duplicate name issue)
+  const safeReportName = report.name.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_');
+  const safeCollegeName = collegeName.replace(/\s+/g, '_');
+  // Remove duplicate college name if it appears in report name
+  const cleanReportName = safeReportName.replace(new RegExp(safeCollegeName, 'gi'), '').trim();
+  const filename = `${safeCollegeName}_${cleanReportName}_${new Date().toISOString().split('T')[0]}.xlsx`;
+  
+  // Charts are added to the written workbook
+  const buffer = workbookExportService.addCharts(await workbook.xlsx.writeBuffer(), charts);
+  return { buffer, filename };
+}
+
+// Download a report as PDF (section colours, +/- against the previous report, percentage bars)
+app.get('/api/colleges/:collegeId/reports/:reportId/pdf', authService.requireAuth(), async (req, res) => {
+  try {
+    const { collegeId, reportId } = req.params;
+    const report = await getCollegeReport(parseInt(collegeId), reportId);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    const colleges = await (await getInitializedUserManager()).getColleges();
+    const college = colleges.find(c => String(c.id) === String(collegeId)) || { id: collegeId, name: 'College' };
+    sendPdf(res, await buildReportPdf(college, report));
+  } catch (error) {
+    console.error('PDF export error:', error);
+    res.status(500).json({ error: 'Failed to export PDF' });
+  }
+});
+
+// Download a report in the requested format: ?format=xlsx|pdf|csv|json|ods, else the Accept header.
+// CSV/JSON/ODS take changes=1 for the +/- columns; CSV also takes delimiter, encoding and bom.
+app.get('/api/colleges/:collegeId/reports/:reportId/export', authService.requireAuth(), async (req, res) => {
+  try {
+    const format = negotiateReportFormat(req);
+    if (!format) {
+      return res.status(406).json({ error: `Unsupported format; use one of ${REPORT_EXPORT_FORMATS.join(', ')}` });
+    }
+    if (format === 'xlsx' || format === 'pdf') {
+      return res.redirect(307, reportExportRedirect(req, format));
+    }
+    const resolved = reportDataExportService.resolveOptions({ ...req.query, format });
+    if (!resolved.valid) {
+      return res.status(400).json({ error: resolved.errors.join('; ') });
+    }
+    const { collegeId, reportId } = req.params;
+    const report = await getCollegeReport(parseInt(collegeId), reportId);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    const colleges = await (await getInitializedUserManager()).getColleges();
+    const college = colleges.find(c => String(c.id) === String(collegeId)) || { id: collegeId, name: 'College' };
+    sendReportExport(res, await buildReportDataExport(college, report, resolved.options));
+  } catch (error) {
+    console.error('Report export error:', error);
+    res.status(500).json({ error: 'Failed to export report' });
+  }
+});
+
+// Download the college overview (KPIs, health and growth checks, SWOT) as PDF
+app.get('/api/colleges/:collegeId/overview/pdf', authService.requireAuth(), async (req, res) => {
+  try {
+    const colleges = await (await getInitializedUserManager()).getColleges();
+    const college = colleges.find(c => String(c.id) === String(req.params.collegeId));
+    if (!college) {
+      return res.status(404).json({ error: 'College not found' });
+    }
+    sendPdf(res, await buildCollegeOverviewPdf(college));
+  } catch (error) {
+    console.error('Overview PDF export error:', error);
+    res.status(500).json({ error: 'Failed to export PDF' });
+  }
+});
+
+// Batch export: queue a zip of Excel/PDF files for the reports matching
+// { collegeIds, accountManagerId, from, to, templateKey, formats }; poll the job for progress
+app.post('/api/exports/batch', authService.requireAuth(), async (req, res) => {
+  try {
+    const validation = batchExportService.validateRequest(req.body || {});
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.errors.join('; ') });
+    }
+    const { filter, formats } = validation;
+    const colleges = (await (await getInitializedUserManager()).getColleges()).filter(c =>
+      (!filter.collegeIds || filter.collegeIds.includes(String(c.id))) &&
+      (!filter.accountManagerId || String(c.accountManagerId) === filter.accountManagerId)
+    );
+    const items = [];
+    for (const college of colleges) {
+      const reports = (await getCollegeReports(parseInt(college.id))) || [];
+      reports
+        .filter(report => batchExportService.matchesReport(filter, report))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .forEach(report => items.push({ college, report }));
+    }
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'No reports match the filter' });
+    }
+    const result = await batchExportService.start({
+      filter,
+      formats,
+      createdBy: req.user?.username || null,
+      items,
+      exportItem: ({ college, report }, format) => (format === 'pdf'
+        ? buildReportPdf(college, report)
+        : buildReportExcel(String(college.id), report))
+    });
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+    res.status(202).json({ success: true, job: result.job });
+  } catch (error) {
+    console.error('Batch export error:', error);
+    res.status(500).json({ error: 'Failed to start batch export' });
+  }
+});
+
+// Batch export jobs: the user's own (admins see all), newest first
+app.get('/api/exports/batch', authService.requireAuth(), async (req, res) => {
+  try {
+    const jobs = await batchExportService.listJobs(req.user?.username || null, req.user?.role === 'admin');
+    res.json({ success: true, jobs });
+  } catch (error) {
+    console.error('List batch exports error:', error);
+    res.status(500).json({ error: 'Failed to list batch exports' });
+  }
+});
+
+app.get('/api/exports/batch/:jobId', authService.requireAuth(), async (req, res) => {
+  try {
+    const job = await getOwnBatchExport(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Batch export not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Get batch export error:', error);
+    res.status(500).json({ error: 'Failed to load batch export' });
+  }
+});
+
+app.get('/api/exports/batch/:jobId/download', authService.requireAuth(), async (req, res) => {
+  try {
+    const job = await getOwnBatchExport(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Batch export not found' });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Batch export is ${job.status}` });
+    }
+    const zipPath = batchExportService.zipPath(job.id);
+    if (new Date(job.expiresAt) < new Date() || !(await fs.pathExists(zipPath))) {
+      return res.status(410).json({ error: 'Batch export has expired' });
+    }
+    res.download(zipPath, `Reports_${job.createdAt.split('T')[0]}_${job.id.slice(0, 8)}.zip`);
+  } catch (error) {
+    console.error('Download batch export error:', error);
+    res.status(500).json({ error: 'Failed to download batch export' });
+  }
+});
+
+// Helper: a batch export job if it belongs to the requesting user (or they are an admin)
+async function getOwnBatchExport(req) {
+  const job = await batchExportService.getJob(req.params.jobId);
+  if (!job) return null;
+  return job.createdBy === (req.user?.username || null) || req.user?.role === 'admin' ? job : null;
+}
+
+// Helper: PDF of a saved report, with changes against the template-scoped previous report
+async function buildReportPdf(college, report) {
+  const templateKey = report.templateKey || report.data?.meta?.templateKey || null;
+  const prevEntry = templateKey ? await getPreviousReportData(parseInt(college.id), String(templateKey)) : null;
+  const collegeName = String(college.name || 'College');
+  const buffer = pdfExportService.renderReport({
+    report,
+    collegeName,
+    previousData: prevEntry && prevEntry.data ? prevEntry.data : prevEntry,
+    aliases: await reportComparisonService.getDepartmentAliases(college.id)
+  });
+  const safeCollegeName = collegeName.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_');
+  const safeReportName = String(report.name || 'Report').replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_');
+  const cleanReportName = safeReportName.replace(new RegExp(safeCollegeName, 'gi'), '').trim();
+  return { buffer, filename: `${safeCollegeName}_${cleanReportName}_${new Date().toISOString().split('T')[0]}.pdf` };
+}
+
+// Helper: PDF of the college overview; KPIs come from the college's metrics, else its latest report
+async function buildCollegeOverviewPdf(college) {
+  const reports = (await getCollegeReports(parseInt(college.id))) || [];
+  const latestReport = reports.slice().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
+  const extracted = latestReport ? await analyticsService.extractMetricsFromReport(latestReport) : null;
+  const m = college.metrics || {};
+  const pick = (...values) => values.find(v => v !== undefined && v !== null && v !== '');
+  const metrics = {
+    students: pick(m.numberOfStudents, extracted?.students),
+    placements: pick(m.totalPlacements, extracted?.placements),
+    activities: pick(m.totalActivities, extracted?.activities),
+    hoursScheduled: pick(m.hoursScheduledToDate),
+    assessments: pick(m.studentsWithAtLeastOneAssessment, extracted?.assessments?.completed),
+    percentStudentsWithPlacements: pick(m.percentStudentsWithPlacements),
+    percentStudentsWithActivities: pick(m.percentStudentsWithActivities),
+    percentStudentsWithSkillsAssessment: pick(m.percentStudentsWithSkillsAssessment)
+  };
+  let accountManagerName = college.accountManager || null;
+  if (college.accountManagerId) {
+    const managers = await (await getInitializedUserManager()).getAccountManagers();
+    const manager = managers.find(am => String(am.id) === String(college.accountManagerId));
+    if (manager) accountManagerName = manager.name;
+  }
+  const buffer = pdfExportService.renderCollegeOverview({ college, accountManagerName, metrics, latestReport });
+  const safeCollegeName = String(college.name || 'College').replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_');
+  return { buffer, filename: `${safeCollegeName}_Overview_${new Date().toISOString().split('T')[0]}.pdf` };
+}
+
+const REPORT_EXPORT_FORMATS = ['xlsx', 'pdf', ...Object.keys(ReportDataExportService.FORMATS)];
+const REPORT_EXPORT_MEDIA_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf',
+  csv: 'text/csv',
+  json: 'application/json',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet'
+};
+
+// Helper: export format from ?format= (excel is accepted for xlsx), else the Accept header (xlsx for */*).
+// null when the format is not supported.
+function negotiateReportFormat(req) {
+  if (req.query.format) {
+    const requested = String(req.query.format).toLowerCase();
+    const format = requested === 'excel' ? 'xlsx' : requested;
+    return REPORT_EXPORT_FORMATS.includes(format) ? format : null;
+  }
+  const accepted = req.accepts(REPORT_EXPORT_FORMATS.map(f => REPORT_EXPORT_MEDIA_TYPES[f]));
+  return accepted ? REPORT_EXPORT_FORMATS.find(f => REPORT_EXPORT_MEDIA_TYPES[f] === accepted) : null;
+}
+
+// Helper: the existing Excel/PDF route for an /export request, keeping the query (share token, style)
+function reportExportRedirect(req, format) {
+  const [path, query] = req.originalUrl.split('?');
+  return path.replace(/\/export$/, format === 'pdf' ? '/pdf' : '/excel') + (query ? `?${query}` : '');
+}
+
+// Helper: CSV, JSON or ODS of a report, with +/- changes against the previous report of the same template
+async function buildReportDataExport(college, report, options) {
+  let previousData = null;
+  if (options.changes) {
+    const templateKey = report.templateKey || report.data?.meta?.templateKey || null;
+    const prevEntry = templateKey ? await getPreviousReportData(parseInt(college.id), String(templateKey)) : null;
+    previousData = prevEntry && prevEntry.data ? prevEntry.data : prevEntry;
+  }
+  const collegeName = String(college.name || 'College');
+  const { buffer, contentType, extension } = reportDataExportService.render({
+    report,
+    college,
+    previousData,
+    aliases: options.changes ? await reportComparisonService.getDepartmentAliases(college.id) : {}
+  }, options);
+  const safeCollegeName = collegeName.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_');
+  const safeReportName = String(report.name || 'Report').replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_');
+  const cleanReportName = safeReportName.replace(new RegExp(safeCollegeName, 'gi'), '').trim();
+  return { buffer, contentType, filename: `${safeCollegeName}_${cleanReportName}_${new Date().toISOString().split('T')[0]}.${extension}` };
+}
+
+function sendReportExport(res, { buffer, contentType, filename }) {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.vary('Accept');
+  res.status(200).send(buffer);
+}
+
+function sendPdf(res, { buffer, filename }) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.status(200).send(buffer);
+}
+
+// Helper: section and header colour of a report column (Excel and PDF exports).
+// Sections and their matching rules come from src/shared/sectionRules.js (admin-editable).
+function getExportColumnSection(header) {
+  const { section, color } = sectionConfigService.describe(header);
+  return { section, color };
+}
+
+// Helper function to calculate the change between a current value and the matched previous value
+// (rows and columns are matched by reportComparisonService.createChangeTracker)
+function calculateChange(currentValue, previousValue) {
+  const toNumber = (val) => {
+    if (val === undefined || val === null || val === '') return null;
+    if (typeof val === 'number') return isFinite(val) ? val : null;
+    const str = String(val).trim();
+    const n = parseFloat(str);
+    if (isNaN(n)) return null;
+    return str.endsWith('%') ? n / 100 : n;
+  };
+
+  const current = toNumber(currentValue);
+  const previous = toNumber(previousValue);
+  if (current === null || previous === null) {
+    return null;
+  }
+
+  return current - previous;
+}
+
+// API endpoint for previous report data
+app.get('/api/previous-report/:collegeId', authService.requireAuth(), async (req, res) => {
+  try {
+    const { collegeId } = req.params;
+    const { templateKey } = req.query;
+    
+    // Try both storage methods for backwards compatibility
+    let previousData = null;
+    
+    // Preferred: centralized volume storage with template grouping
+    try {
+      const previousReportsPath = 'previous-reports.json';
+      const previousReports = await volumeService.readFile(previousReportsPath).catch(() => ({}));
+      const entry = previousReports[collegeId];
+      if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+        if (templateKey && entry[templateKey]) {
+          previousData = entry[templateKey];
+        } else {
+          // fallback to any available previous data
+          const anyKey = Object.keys(entry)[0];
+          previousData = anyKey ? entry[anyKey] : null;
+        }
+      }
+    } catch (_) {}
+    
+    // Legacy centralized (file system path inside data/)
+    if (!previousData) {
+      try {
+        const legacyPath = 'data/previous-reports.json';
+        const previousReports = await fs.readJson(legacyPath).catch(() => ({}));
+        const entry = previousReports[collegeId];
+        if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+          if (templateKey && entry[templateKey]) previousData = entry[templateKey];
+          else {
+            const anyKey = Object.keys(entry)[0];
+            previousData = anyKey ? entry[anyKey] : null;
+          }
+        } else if (entry) {
+          // very old format
+          previousData = entry;
+        }
+      } catch (_) {}
+    }
+    
+    // Very old fallback: individual file method
+    if (!previousData) {
+      try {
+        const previousReportPath = `data/reports/${collegeId}_previous.json`;
+        if (await fs.pathExists(previousReportPath)) {
+          const data = await fs.readJson(previousReportPath);
+          previousData = { data: data, timestamp: new Date().toISOString() };
+        }
+      } catch (_) {}
+    }
+    
+    // Derive from existing reports for this college filtered by templateKey
+    // Always prefer the most recent matching report from the reports list if it's newer than cached
+    if (templateKey) {
+      try {
+        const reports = await getCollegeReports(parseInt(collegeId));
+        if (Array.isArray(reports) && reports.length > 0) {
+          const sorted = reports.slice().sort((a,b) => new Date(b.createdAt) - new Date(a.createdAt));
+          // Find the most recent report for this templateKey (not necessarily the latest overall)
+          const match = sorted.find(r => {
+            const tk = r.templateKey || r.data?.meta?.templateKey || null;
+            return tk && String(tk) === String(templateKey);
           });
-        } catch (error) {
-          console.error(`Failed to add data bars for column ${header}:`, error);
+          if (!previousData && match && match.data) {
+            const derived = { data: match.data, timestamp: match.createdAt };
+            previousData = derived;
+            // Cache it for future (only when none existed)
+            try {
+              const previousReportsPath = 'previous-reports.json';
+              const prevMap = await volumeService.readFile(previousReportsPath).catch(() => ({}));
+              if (!prevMap[collegeId] || typeof prevMap[collegeId] !== 'object' || Array.isArray(prevMap[collegeId])) prevMap[collegeId] = {};
+              prevMap[collegeId][String(templateKey)] = previousData;
+              await volumeService.writeFile(previousReportsPath, prevMap);
+            } catch (_) {}
+          }
+        }
+      } catch (_) {}
+    }
+    
+    res.json({ success: true, previousData, data: previousData || null });
+  } catch (error) {
+    console.error('Get previous report error:', error);
+    res.status(500).json({ error: 'Failed to get previous report data' });
+  }
+});
+
+// Store previous report (template-scoped)
+app.post('/api/previous-report/:collegeId', authService.requireAuth(), async (req, res) => {
+  try {
+    const { collegeId } = req.params;
+    const { data, templateKey } = req.body || {};
+    if (!data) return res.status(400).json({ success: false, error: 'No data provided' });
+    await storeCurrentReportAsPrevious(collegeId, data, templateKey);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Store previous report API error:', e);
+    res.status(500).json({ success: false, error: 'Failed to store previous report' });
+  }
+});
+
+// Helper function to get previous report data - use centralized method
+async function getPreviousReportData(collegeId, templateKey) {
+  try {
+    const previousReportsPath = 'previous-reports.json';
+    const previousReports = await volumeService.readFile(previousReportsPath).catch(() => ({}));
+    const entry = previousReports[collegeId];
+    if (!entry) return null;
+    if (typeof entry === 'object' && !Array.isArray(entry)) {
+      if (templateKey && entry[templateKey]) return entry[templateKey];
+      const anyKey = Object.keys(entry)[0];
+      return anyKey ? entry[anyKey] : null;
+    }
+    return entry;
+  } catch (error) {
+    console.error('Get previous report error:', error);
+    return null;
+  }
+}
+
+// Store current report as previous - use centralized method
+// By default, DO NOT overwrite an existing baseline unless force=true
+async function storeCurrentReportAsPrevious(collegeId, reportData, templateKey, opts = {}) {
+  try {
+    const previousReportsPath = 'previous-reports.json';
+    const previousReports = await volumeService.readFile(previousReportsPath).catch(() => ({}));
+    const tk = templateKey || '_default';
+    if (!previousReports[collegeId] || typeof previousReports[collegeId] !== 'object' || Array.isArray(previousReports[collegeId])) {
+      previousReports[collegeId] = {};
+    }
+    const existing = previousReports[collegeId][tk];
+    const force = !!opts.force;
+    if (existing && !force) {
+      console.log(`Previous baseline exists for college ${collegeId}, template ${tk}; not overwriting.`);
+      return; // keep existing baseline unless forced
+    }
+    previousReports[collegeId][tk] = {
+      data: reportData,
+      timestamp: new Date().toISOString()
+    };
+    
+    await volumeService.writeFile(previousReportsPath, previousReports);
+    console.log(`Stored previous report data for college ${collegeId} in volume`);
+  } catch (error) {
+    console.error('Store previous report error:', error);
+  }
+}
+
+// Dashboard Data Routes
+app.get('/api/dashboard/stats', async (req, res) => {
+  try {
+    const stats = await userManager.getDashboardStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('Get dashboard stats error:', error);
+    res.status(500).json({ error: 'Failed to get dashboard stats' });
+  }
+});
+
+app.get('/api/dashboard/college/:collegeId', authService.requireAuth(), async (req, res) => {
+  try {
+    const { collegeId } = req.params;
+    const data = await userManager.getCollegeDashboardData(collegeId);
+    res.json(data);
+  } catch (error) {
+    console.error('Get college dashboard error:', error);
+    res.status(500).json({ error: 'Failed to get college dashboard data' });
+  }
+});
+
+// File Upload Routes
+// Handler for header extraction only
+async function handleHeaderExtractionOnly(req, res) {
+  try {
+    const allHeaders = [];
+    const headerFileMap = {};
+    const fileInfo = [];
+
+    // Process each file to extract headers with a per-file label to avoid mixing
+    for (let fileIndex = 0; fileIndex < req.files.length; fileIndex++) {
+      const file = req.files[fileIndex];
+      console.log(`Extracting headers from: ${file.originalname}`);
+
+      // Build a short label from the filename
+      const parsedName = path.parse(file.originalname || 'file');
+      let fileLabel = (parsedName.name || 'file').replace(/[^a-zA-Z0-9]+/g, ' ').trim();
+      if (fileLabel.length > 24) fileLabel = fileLabel.substring(0, 24).trim();
+      const sheets = await dataImporter.readFile(file.path);
+      const layouts = [];
+      fileInfo.push({ originalName: file.originalname, filename: file.filename, label: fileLabel, layout: layouts });
+
+      // Process each sheet in the workbook
+      Object.keys(sheets).forEach(sheetName => {
+        const jsonData = sheets[sheetName];
+
+        if (jsonData && jsonData.length > 0) {
+          // Auto-detected header row (title/filter rows skipped, pivoted tables transposed)
+          const { table, layout } = dataImporter.normalizeSheet(jsonData);
+          layouts.push({ sheetName, ...layout });
+          const headers = table[0];
+          if (Array.isArray(headers)) {
+            headers.forEach(header => {
+              if (header && header.toString().trim() !== '') {
+                const labeled = `${header.toString().trim()} [${fileLabel}]`;
+                allHeaders.push(labeled);
+                headerFileMap[labeled] = fileIndex;
+              }
+            });
+          }
         }
+      });
+    }
+
+    console.log(`Extracted ${allHeaders.length} headers (file-labeled):`, allHeaders);
+
+    res.json({
+      success: true,
+      message: `Extracted ${allHeaders.length} headers (file-labeled) from ${req.files.length} files`,
+      headers: allHeaders,
+      fileCount: req.files.length,
+      headerFileMap,
+      fileInfo
+    });
+  } catch (error) {
+    console.error('Header extraction error:', error);
+    res.status(500).json({ error: 'Header extraction failed: ' + error.message });
+  }
+}
+
+// Handler for manual assignment processing
+async function handleManualAssignment(req, res) {
+  try {
+    console.log('Processing files with manual header assignments');
+    
+    // Get header assignments from request body
+    let headerAssignments = {};
+    if (req.body.headerAssignments) {
+      try {
+        headerAssignments = JSON.parse(req.body.headerAssignments);
+        console.log('Header assignments received:', headerAssignments);
+      } catch (error) {
+        console.warn('Could not parse header assignments:', error.message);
+      }
+    }
+    
+    // Optional: file-level type/color selections (for per-file colours)
+    let manualFileSelections = {};
+    if (req.body.fileTypes) {
+      try {
+        manualFileSelections = JSON.parse(req.body.fileTypes);
+        console.log('Manual assignment file type selections received:', manualFileSelections);
+      } catch (error) {
+        console.warn('Could not parse manual file type selections:', error.message);
       }
+    }
+    
+    // Map files with manual assignment logic
+    const mappedFiles = req.files.map((file, index) => {
+      return {
+        filename: file.filename,
+        path: file.path,
+        originalName: file.originalname,
+        userSelectedType: (manualFileSelections && manualFileSelections[index] && manualFileSelections[index].type) ? manualFileSelections[index].type : 'manual',
+        userSelectedColor: (manualFileSelections && manualFileSelections[index] && manualFileSelections[index].color) ? manualFileSelections[index].color : '#dbeafe',
+        headerAssignments: headerAssignments // Pass assignments to each file
+      };
     });
     
-    // Set response headers with proper filename (fixed duplicate name issue)
-    const safeReportName = report.name.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_');
-    const safeCollegeName = collegeName.replace(/\s+/g, '_');
-    // Remove duplicate college name if it appears in report name
-    const cleanReportName = safeReportName.replace(new RegExp(safeCollegeName, 'gi'), '').trim();
-    const filename = `${safeCollegeName}_${cleanReportName}_${new Date().toISOString().split('T')[0]}.xlsx`;
+    console.log('Mapped files for manual assignment:', mappedFiles.map(f => ({ name: f.originalName, type: f.userSelectedType })));
     
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // Process files with the manual assignment logic
+    const result = await dataImporter.processFilesWithManualAssignment(mappedFiles, headerAssignments);
+    
+    if (result) {
+      console.log('Files processed successfully with manual assignments');
+      res.json({
+        success: true,
+        message: `${req.files.length} files processed successfully with manual assignments`,
+        data: result,
+        filename: req.files.map(f => f.originalname).join(', '),
+        headerAssignments: headerAssignments
+      });
+    } else {
+      console.log('Failed to process files with manual assignments');
+      res.status(400).json({ error: 'Failed to process files with manual assignments' });
+    }
+  } catch (error) {
+    console.error('Manual assignment processing error:', error);
+    res.status(500).json({ error: 'Manual assignment processing failed: ' + error.message });
+  }
+}
+
+app.post('/api/upload', authService.requireAuth(), upload.array('files'), async (req, res) => {
+  try {
+    console.log('📁 File upload request received');
+    console.log('👤 User:', req.user);
+    console.log('🍪 Cookies:', req.cookies);
+    console.log('📋 Headers:', req.headers.authorization ? 'Authorization header present' : 'No Authorization header');
+    
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+    
+    console.log(`📄 Processing ${req.files.length} files:`, req.files.map(f => f.originalname));
+    
+    // Check if this is a header extraction only request
+    if (req.body.extractHeadersOnly === 'true') {
+      console.log('🔍 Header extraction only requested');
+      return await handleHeaderExtractionOnly(req, res);
+    }
+    
+    // Check if this is a manual assignment request
+    if (req.body.useManualAssignment === 'true') {
+      console.log('🎨 Manual assignment requested');
+      return await handleManualAssignment(req, res);
+    }
+    
+    // Get file type selections from request body
+    let fileTypeSelections = {};
+    if (req.body.fileTypes) {
+      try {
+        fileTypeSelections = JSON.parse(req.body.fileTypes);
+        console.log('📋 File type selections received:', fileTypeSelections);
+      } catch (error) {
+        console.warn('⚠️ Could not parse file type selections:', error.message);
+      }
+    }
+    
+    // Map files to the expected format with user-selected types and colours
+    const mappedFiles = req.files.map((file, index) => {
+      const selection = fileTypeSelections[index];
+      const selectedType = selection?.type || selection || 'default';
+      return {
+        filename: file.filename,
+        path: file.path,
+        originalName: file.originalname,
+        // 'auto' defers to the import rules (filename/content detection)
+        userSelectedType: selectedType === 'auto' ? null : selectedType,
+        userSelectedColor: selection?.color || '#dbeafe',
+        // Optional layout overrides when auto-detection picks the wrong header row/orientation
+        headerRow: selection?.headerRow,
+        orientation: selection?.orientation
+      };
+    });
+    
+    console.log('📋 Mapped files with types:', mappedFiles.map(f => ({ name: f.originalName, type: f.userSelectedType })));
+    
+    // Process all files and combine them
+    const result = await dataImporter.processFiles(mappedFiles);
     
-    // Write to response
-    await workbook.xlsx.write(res);
-    res.end();
+    if (result) {
+      console.log('✅ Files processed successfully');
+      res.json({
+        success: true,
+        message: `${req.files.length} files processed successfully`,
+        data: result,
+        filename: req.files.map(f => f.originalname).join(', ')
+      });
+    } else {
+      console.log('❌ Failed to process files');
+      webhookService.emit('import.failed', { source: 'upload', files: req.files.map(f => f.originalname), error: 'Failed to process files', user: req.user?.username || null });
+      res.status(400).json({ error: 'Failed to process files' });
+    }
+  } catch (error) {
+    console.error('File upload error:', error);
+    webhookService.emit('import.failed', { source: 'upload', files: (req.files || []).map(f => f.originalname), error: error.message, user: req.user?.username || null });
+    res.status(500).json({ error: 'File upload failed: ' + error.message });
+  }
+});
+
+// Helper: find a template by id (database first, then volume storage)
+async function findTemplateById(templateId) {
+  if (!templateId) return null;
+  if (process.env.DATABASE_URL) {
+    try {
+      await databaseUserManager.initialize();
+      const dbTemplates = await databaseUserManager.getTemplates();
+      const found = (dbTemplates || []).find(t => String(t.id) === String(templateId));
+      if (found) return found;
+    } catch (dbError) {
+      console.log('⚠️ Database template lookup failed, falling back to file system:', dbError.message);
+    }
+  }
+  const templates = await volumeService.readFile('templates.json').catch(() => []);
+  return (Array.isArray(templates) ? templates : []).find(t => String(t.id) === String(templateId)) || null;
+}
+
+// Import dry-run: process files and map them onto the template, then diff against the
+// previous report for the same templateKey. Nothing is saved.
+app.post('/api/colleges/:collegeId/import/dry-run', authService.requireAuth(), upload.array('files'), async (req, res) => {
+  try {
+    const { collegeId } = req.params;
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    let fileTypeSelections = {};
+    if (req.body.fileTypes) {
+      try {
+        fileTypeSelections = JSON.parse(req.body.fileTypes);
+      } catch (error) {
+        console.warn('⚠️ Could not parse file type selections:', error.message);
+      }
+    }
+
+    const mappedFiles = req.files.map((file, index) => {
+      const selection = fileTypeSelections[index];
+      const selectedType = selection?.type || selection || 'default';
+      return {
+        filename: file.filename,
+        path: file.path,
+        originalName: file.originalname,
+        userSelectedType: selectedType === 'auto' ? null : selectedType,
+        userSelectedColor: selection?.color || '#dbeafe'
+      };
+    });
+
+    let template = null;
+    if (req.body.templateId) {
+      template = await findTemplateById(req.body.templateId);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+    }
+
+    const processed = await dataImporter.processFiles(mappedFiles);
+    if (!processed) {
+      return res.status(400).json({ error: 'Failed to process files' });
+    }
+
+    const mapped = importDiffService.mapToTemplate(processed, template ? template.headers : null);
+    if (template && Array.isArray(template.computedColumns) && template.computedColumns.length > 0) {
+      // Computed columns are filled from the formulas, not from the files
+      const computed = applyComputedColumns({ headers: mapped.headers, rows: mapped.rows }, template.computedColumns);
+      mapped.headers = computed.headers;
+      mapped.rows = computed.rows;
+      mapped.unmappedColumns = mapped.unmappedColumns
+        .filter(h => !template.computedColumns.some(c => templateFormula.findHeaderIndex([h], c.header) !== -1));
+    }
+    const templateKey = req.body.templateKey || (template ? String(template.id) : computeHeaderSignature(mapped.headers));
+
+    // Baseline: latest saved report for this template, else the stored previous-report snapshot
+    const reports = await getCollegeReports(parseInt(collegeId));
+    let previous = importDiffService.findPreviousReport(reports, templateKey, r =>
+      r.templateKey || r.data?.meta?.templateKey || computeHeaderSignature(r.data?.headers || [])
+    );
+    let previousSource = previous ? 'report' : null;
+    let previousTable = previous ? previous.data : null;
+    if (!previousTable) {
+      const cached = await getPreviousReportData(collegeId, templateKey);
+      if (cached && cached.data && Array.isArray(cached.data.rows)) {
+        previousTable = cached.data;
+        previousSource = 'previous-report-cache';
+      }
+    }
+
+    const diff = previousTable
+      ? importDiffService.diff(mapped, previousTable, { threshold: req.body.threshold })
+      : null;
+
+    res.json({
+      success: true,
+      dryRun: true,
+      templateKey,
+      templateName: template ? template.name : null,
+      preview: { headers: mapped.headers, rows: mapped.rows },
+      unmappedColumns: mapped.unmappedColumns,
+      unmappedSourceColumns: mapped.unmappedSourceColumns,
+      previousReport: previousTable ? {
+        source: previousSource,
+        id: previous ? previous.id : null,
+        name: previous ? previous.name : null,
+        createdAt: previous ? previous.createdAt : null
+      } : null,
+      diff,
+      processed
+    });
+  } catch (error) {
+    console.error('Import dry-run error:', error);
+    res.status(500).json({ error: 'Import dry-run failed: ' + error.message });
+  } finally {
+    (req.files || []).forEach(file => fs.remove(file.path).catch(() => {}));
+  }
+});
+
+// Helper: the template a college reports with - its configured template if that is a saved
+// template id, otherwise the template (or ad-hoc headers) of its most recent report
+async function resolveCollegeTemplate(college) {
+  if (college.template) {
+    const configured = await findTemplateById(college.template);
+    if (configured) return { template: configured, templateKey: String(configured.id), templateName: configured.name, headers: configured.headers };
+  }
+  const reports = await getCollegeReports(parseInt(college.id));
+  const latest = importDiffService.findPreviousReport(reports, null);
+  if (!latest) return null;
+  const key = latest.templateKey || latest.data?.meta?.templateKey || null;
+  const fromReport = key ? await findTemplateById(key) : null;
+  if (fromReport) return { template: fromReport, templateKey: String(fromReport.id), templateName: fromReport.name, headers: fromReport.headers };
+  return {
+    template: null,
+    templateKey: key || computeHeaderSignature(latest.data.headers || []),
+    templateName: latest.templateName || latest.data?.meta?.templateName || null,
+    headers: latest.data.headers
+  };
+}
+
+// Bulk import: split consolidated exports (every college in one file, identified by a
+// College/Provider column) and save one draft report per matched college
+app.post('/api/bulk-import', authService.requireAuth(), upload.array('files'), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+
+    let fileTypeSelections = {};
+    if (req.body.fileTypes) {
+      try {
+        fileTypeSelections = JSON.parse(req.body.fileTypes);
+      } catch (error) {
+        console.warn('⚠️ Could not parse file type selections:', error.message);
+      }
+    }
+
+    const colleges = await (await getInitializedUserManager()).getColleges();
+    const aliases = await bulkImportService.getAliases();
+    const lookup = bulkImportService.buildCollegeLookup(colleges, aliases);
+
+    // Split each file by college
+    const splits = [];
+    const unmatched = new Map();
+    const unsplittable = [];
+    for (let index = 0; index < req.files.length; index++) {
+      const file = req.files[index];
+      const sheets = await dataImporter.readFile(file.path);
+      const split = bulkImportService.splitSheetsByCollege(sheets, lookup);
+      split.unmatched.forEach(({ name, rows }) => unmatched.set(name, (unmatched.get(name) || 0) + rows));
+      split.unsplittable.forEach(sheetName => unsplittable.push({ filename: file.originalname, sheetName }));
+      splits.push({ file, selection: fileTypeSelections[index], groups: split.groups });
+      console.log(`📦 Bulk import: ${file.originalname} split into ${split.groups.size} colleges, ${split.unmatched.length} unmatched names`);
+    }
+
+    const collegeIds = new Set();
+    splits.forEach(split => split.groups.forEach((_, collegeId) => collegeIds.add(collegeId)));
+
+    const results = [];
+    for (const collegeId of collegeIds) {
+      const college = colleges.find(c => c.id === collegeId);
+      try {
+        const files = splits
+          .filter(split => split.groups.has(collegeId))
+          .map(split => {
+            const selectedType = split.selection?.type || split.selection || 'default';
+            return {
+              filename: split.file.filename,
+              path: split.file.path,
+              originalName: split.file.originalname,
+              userSelectedType: selectedType === 'auto' ? null : selectedType,
+              userSelectedColor: split.selection?.color || '#dbeafe',
+              sheets: split.groups.get(collegeId).sheets
+            };
+          });
+
+        const processed = await dataImporter.processFiles(files);
+        const resolved = await resolveCollegeTemplate(college);
+        const mapped = importDiffService.mapToTemplate(processed, resolved ? resolved.headers : null);
+        const templateKey = resolved ? resolved.templateKey : computeHeaderSignature(mapped.headers);
+        const templateName = resolved ? resolved.templateName : null;
+
+        const result = {
+          collegeId,
+          collegeName: college.name,
+          templateKey,
+          templateName,
+          rows: mapped.rows.length,
+          unmappedColumns: mapped.unmappedColumns
+        };
+
+        if (!dryRun) {
+          const reportName = `${college.name} - Bulk import ${new Date().toLocaleDateString('en-GB')}`;
+          const saved = await saveCollegeReport(
+            collegeId,
+            { headers: mapped.headers, rows: mapped.rows, meta: { templateKey, templateName, importSource: 'bulk-import' } },
+            reportName,
+            `Draft created by bulk import from ${files.map(f => f.originalName).join(', ')}`,
+            templateKey,
+            templateName,
+            { status: 'draft', createdBy: req.user?.username || 'system', source: 'bulk-import' }
+          );
+          if (!saved.success) throw new Error(saved.message || 'Failed to save report');
+          result.reportId = saved.report.id;
+          result.reportName = saved.report.name;
+        }
+        results.push(result);
+      } catch (collegeError) {
+        console.error(`Bulk import failed for college ${collegeId}:`, collegeError);
+        results.push({ collegeId, collegeName: college ? college.name : null, error: collegeError.message });
+        webhookService.emit('import.failed', {
+          source: 'bulk-import',
+          collegeId,
+          collegeName: college ? college.name : null,
+          files: splits.filter(split => split.groups.has(collegeId)).map(split => split.file.originalname),
+          error: collegeError.message,
+          user: req.user?.username || null
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      dryRun,
+      reports: results,
+      unmatchedColleges: Array.from(unmatched.entries()).map(([name, rows]) => ({ name, rows })),
+      unsplittableSheets: unsplittable,
+      summary: {
+        collegesMatched: collegeIds.size,
+        draftsCreated: results.filter(r => r.reportId).length,
+        failed: results.filter(r => r.error).length,
+        unmatchedNames: unmatched.size
+      }
+    });
+  } catch (error) {
+    console.error('Bulk import error:', error);
+    webhookService.emit('import.failed', { source: 'bulk-import', files: (req.files || []).map(f => f.originalname), error: error.message, user: req.user?.username || null });
+    res.status(500).json({ error: 'Bulk import failed: ' + error.message });
+  } finally {
+    (req.files || []).forEach(file => fs.remove(file.path).catch(() => {}));
+  }
+});
+
+// Inbox ingestion: run dropped files for one college through DataImporter and the
+// college's template, saving the result as a draft report
+async function ingestInboxFiles(college, files) {
+  const result = await draftReportFromFiles(college, files, { source: 'inbox', label: 'Inbox', description: 'inbox files' });
+  // The scheduler falls back to these when nothing new has been staged for the college
+  await reportScheduler.recordSources(college.id, files).catch(error => console.warn('⚠️ Could not keep inbox files as sources:', error.message));
+  return result;
+}
+
+// Helper: save a draft report for a college from input files ([{ name, path }]) mapped onto its template
+async function draftReportFromFiles(college, files, { source, label, description }) {
+  const processed = await dataImporter.processFiles(files.map(file => ({
+    filename: file.name,
+    path: file.path,
+    originalName: file.name,
+    userSelectedType: null // detected by the import rules
+  })));
+  const resolved = await resolveCollegeTemplate(college);
+  const mapped = importDiffService.mapToTemplate(processed, resolved ? resolved.headers : null);
+  const templateKey = resolved ? resolved.templateKey : computeHeaderSignature(mapped.headers);
+  const templateName = resolved ? resolved.templateName : null;
+  const saved = await saveCollegeReport(
+    college.id,
+    { headers: mapped.headers, rows: mapped.rows, meta: { templateKey, templateName, importSource: source } },
+    `${college.name} - ${label} ${new Date().toLocaleDateString('en-GB')}`,
+    `Draft created from ${description}: ${files.map(f => f.name).join(', ')}`,
+    templateKey,
+    templateName,
+    { status: 'draft', createdBy: source, source }
+  );
+  if (!saved.success) throw new Error(saved.message || 'Failed to save report');
+  return { reportId: saved.report.id };
+}
+
+app.get('/api/inbox', authService.requireAuth(), async (req, res) => {
+  try {
+    const pending = await inboxWatcher.listPending();
+    const log = await inboxWatcher.getLog(parseInt(req.query.limit) || 100);
+    res.json({
+      success: true,
+      status: inboxWatcher.getStatus(),
+      pending: pending.map(({ path: _path, ...file }) => file),
+      log
+    });
   } catch (error) {
-    console.error('Excel export error:', error);
-    res.status(500).json({ error: 'Failed to export report' });
+    console.error('Get inbox error:', error);
+    res.status(500).json({ error: 'Failed to read inbox' });
   }
 });
 
-// Helper function to calculate changes between current and previous report
-function calculateChange(currentValue, previousData, rowIndex, colIndex) {
-  if (!previousData || !previousData.rows || !previousData.rows[rowIndex]) {
-    return null;
+app.post('/api/inbox/poll', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await inboxWatcher.poll();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Inbox poll error:', error);
+    res.status(500).json({ error: 'Inbox poll failed: ' + error.message });
   }
-  
-  const previousValue = previousData.rows[rowIndex][colIndex];
-  
-  if (currentValue === '' || currentValue === null || previousValue === '' || previousValue === null) {
-    return null;
+});
+
+// Scheduled reports: run the due-report check now (admin)
+app.post('/api/scheduler/run', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await reportScheduler.checkDueReports();
+    res.json({ success: true, status: reportScheduler.getStatus(), ...result });
+  } catch (error) {
+    console.error('Scheduled report run error:', error);
+    res.status(500).json({ error: 'Scheduled report run failed: ' + error.message });
   }
-  
-  const current = parseFloat(currentValue);
-  const previous = parseFloat(previousValue);
-  
-  if (isNaN(current) || isNaN(previous)) {
-    return null;
+});
+
+// Files staged for a college's next scheduled report
+app.get('/api/colleges/:collegeId/staged-files', authService.requireAuth(), async (req, res) => {
+  try {
+    const files = await reportScheduler.listFiles(reportScheduler.getStagingPath(req.params.collegeId));
+    const sources = await reportScheduler.listFiles(reportScheduler.getSourcesPath(req.params.collegeId));
+    res.json({
+      success: true,
+      files: files.map(({ path: _path, ...file }) => file),
+      lastSources: sources.map(({ path: _path, ...file }) => file)
+    });
+  } catch (error) {
+    console.error('List staged files error:', error);
+    res.status(500).json({ error: 'Failed to list staged files' });
   }
-  
-  return current - previous;
-}
+});
 
-// API endpoint for previous report data
-app.get('/api/previous-report/:collegeId', authService.requireAuth(), async (req, res) => {
+app.post('/api/colleges/:collegeId/staged-files', authService.requireAuth(), upload.array('files'), async (req, res) => {
   try {
-    const { collegeId } = req.params;
-    const { templateKey } = req.query;
-    
-    // Try both storage methods for backwards compatibility
-    let previousData = null;
-    
-    // Preferred: centralized volume storage with template grouping
-    try {
-      const previousReportsPath = 'previous-reports.json';
-      const previousReports = await volumeService.readFile(previousReportsPath).catch(() => ({}));
-      const entry = previousReports[collegeId];
-      if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
-        if (templateKey && entry[templateKey]) {
-          previousData = entry[templateKey];
-        } else {
-          // fallback to any available previous data
-          const anyKey = Object.keys(entry)[0];
-          previousData = anyKey ? entry[anyKey] : null;
-        }
-      }
-    } catch (_) {}
-    
-    // Legacy centralized (file system path inside data/)
-    if (!previousData) {
-      try {
-        const legacyPath = 'data/previous-reports.json';
-        const previousReports = await fs.readJson(legacyPath).catch(() => ({}));
-        const entry = previousReports[collegeId];
-        if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
-          if (templateKey && entry[templateKey]) previousData = entry[templateKey];
-          else {
-            const anyKey = Object.keys(entry)[0];
-            previousData = anyKey ? entry[anyKey] : null;
-          }
-        } else if (entry) {
-          // very old format
-          previousData = entry;
-        }
-      } catch (_) {}
-    }
-    
-    // Very old fallback: individual file method
-    if (!previousData) {
-      try {
-        const previousReportPath = `data/reports/${collegeId}_previous.json`;
-        if (await fs.pathExists(previousReportPath)) {
-          const data = await fs.readJson(previousReportPath);
-          previousData = { data: data, timestamp: new Date().toISOString() };
-        }
-      } catch (_) {}
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
     }
-    
-    // Derive from existing reports for this college filtered by templateKey
-    // Always prefer the most recent matching report from the reports list if it's newer than cached
-    if (templateKey) {
-      try {
-        const reports = await getCollegeReports(parseInt(collegeId));
-        if (Array.isArray(reports) && reports.length > 0) {
-          const sorted = reports.slice().sort((a,b) => new Date(b.createdAt) - new Date(a.createdAt));
-          // Find the most recent report for this templateKey (not necessarily the latest overall)
-          const match = sorted.find(r => {
-            const tk = r.templateKey || r.data?.meta?.templateKey || null;
-            return tk && String(tk) === String(templateKey);
-          });
-          if (!previousData && match && match.data) {
-            const derived = { data: match.data, timestamp: match.createdAt };
-            previousData = derived;
-            // Cache it for future (only when none existed)
-            try {
-              const previousReportsPath = 'previous-reports.json';
-              const prevMap = await volumeService.readFile(previousReportsPath).catch(() => ({}));
-              if (!prevMap[collegeId] || typeof prevMap[collegeId] !== 'object' || Array.isArray(prevMap[collegeId])) prevMap[collegeId] = {};
-              prevMap[collegeId][String(templateKey)] = previousData;
-              await volumeService.writeFile(previousReportsPath, prevMap);
-            } catch (_) {}
-          }
-        }
-      } catch (_) {}
+    const colleges = await (await getInitializedUserManager()).getColleges();
+    if (!colleges.some(c => String(c.id) === String(req.params.collegeId))) {
+      await Promise.all(req.files.map(file => fs.remove(file.path).catch(() => {})));
+      return res.status(404).json({ error: 'College not found' });
     }
-    
-    res.json({ success: true, previousData, data: previousData || null });
+    const staged = await reportScheduler.stageFiles(req.params.collegeId, req.files);
+    res.json({ success: true, staged, skipped: req.files.length - staged.length });
   } catch (error) {
-    console.error('Get previous report error:', error);
-    res.status(500).json({ error: 'Failed to get previous report data' });
+    console.error('Stage files error:', error);
+    res.status(500).json({ error: 'Failed to stage files' });
   }
 });
 
-// Store previous report (template-scoped)
-app.post('/api/previous-report/:collegeId', authService.requireAuth(), async (req, res) => {
+app.delete('/api/colleges/:collegeId/staged-files/:name', authService.requireAuth(), async (req, res) => {
   try {
-    const { collegeId } = req.params;
-    const { data, templateKey } = req.body || {};
-    if (!data) return res.status(400).json({ success: false, error: 'No data provided' });
-    await storeCurrentReportAsPrevious(collegeId, data, templateKey);
+    const removed = await reportScheduler.removeStagedFile(req.params.collegeId, req.params.name);
+    if (!removed) return res.status(404).json({ error: 'Staged file not found' });
     res.json({ success: true });
-  } catch (e) {
-    console.error('Store previous report API error:', e);
-    res.status(500).json({ success: false, error: 'Failed to store previous report' });
+  } catch (error) {
+    console.error('Remove staged file error:', error);
+    res.status(500).json({ error: 'Failed to remove staged file' });
   }
 });
 
-// Helper function to get previous report data - use centralized method
-async function getPreviousReportData(collegeId, templateKey) {
+// Drafts made by the scheduler, waiting for the account manager (admins see every account manager's)
+app.get('/api/report-reviews', authService.requireAuth(), async (req, res) => {
   try {
-    const previousReportsPath = 'previous-reports.json';
-    const previousReports = await volumeService.readFile(previousReportsPath).catch(() => ({}));
-    const entry = previousReports[collegeId];
-    if (!entry) return null;
-    if (typeof entry === 'object' && !Array.isArray(entry)) {
-      if (templateKey && entry[templateKey]) return entry[templateKey];
-      const anyKey = Object.keys(entry)[0];
-      return anyKey ? entry[anyKey] : null;
-    }
-    return entry;
+    const accountManagerId = await getReviewerAccountManagerId(req);
+    const entries = await reportScheduler.getReviewQueue({
+      status: req.query.status === 'all' ? null : (req.query.status || 'pending'),
+      accountManagerId
+    });
+    res.json({ success: true, reviews: entries });
   } catch (error) {
-    console.error('Get previous report error:', error);
-    return null;
+    console.error('List report reviews error:', error);
+    res.status(500).json({ error: 'Failed to load report reviews' });
+  }
+});
+
+// Approve a scheduled draft: it becomes the college's latest report (baseline, analytics, lastReportDate)
+app.post('/api/report-reviews/:id/approve', authService.requireAuth(), async (req, res) => {
+  try {
+    const entry = await getOwnReviewEntry(req);
+    if (!entry) return res.status(404).json({ error: 'Review not found' });
+    if (entry.status !== 'pending') return res.status(400).json({ error: `Review already ${entry.status}` });
+    const finalised = await finaliseDraftReport(entry.collegeId, entry.reportId, req.user?.username || null);
+    if (!finalised.success) return res.status(400).json({ error: finalised.message });
+    const result = await reportScheduler.resolveReview(entry.id, 'approved', req.user?.username || null);
+    res.json({ success: true, review: result.entry, report: finalised.report });
+  } catch (error) {
+    console.error('Approve report review error:', error);
+    res.status(500).json({ error: 'Failed to approve report' });
+  }
+});
+
+// Dismiss a scheduled draft (the draft report itself is kept until deleted)
+app.post('/api/report-reviews/:id/dismiss', authService.requireAuth(), async (req, res) => {
+  try {
+    const entry = await getOwnReviewEntry(req);
+    if (!entry) return res.status(404).json({ error: 'Review not found' });
+    const result = await reportScheduler.resolveReview(entry.id, 'dismissed', req.user?.username || null);
+    if (!result.success) return res.status(400).json({ error: result.message });
+    res.json({ success: true, review: result.entry });
+  } catch (error) {
+    console.error('Dismiss report review error:', error);
+    res.status(500).json({ error: 'Failed to dismiss report review' });
   }
+});
+
+// Helper: the account manager whose review queue a user sees (null for admins = all)
+async function getReviewerAccountManagerId(req) {
+  if (req.user?.role === 'admin') return req.query.accountManagerId || null;
+  const user = await authService.getUserById(req.user?.userId).catch(() => null);
+  // Users without an account manager only see unassigned colleges' drafts
+  return user?.accountManagerId || 'unassigned';
 }
 
-// Store current report as previous - use centralized method
-// By default, DO NOT overwrite an existing baseline unless force=true
-async function storeCurrentReportAsPrevious(collegeId, reportData, templateKey, opts = {}) {
+async function getOwnReviewEntry(req) {
+  const entry = await reportScheduler.getReviewEntry(req.params.id);
+  if (!entry) return null;
+  if (req.user?.role === 'admin') return entry;
+  const accountManagerId = await getReviewerAccountManagerId(req);
+  const owner = entry.accountManagerId ? String(entry.accountManagerId) : 'unassigned';
+  return owner === String(accountManagerId) ? entry : null;
+}
+
+// Helper: turn a reviewed draft into a regular report, then do what saving a final report does
+async function finaliseDraftReport(collegeId, reportId, finalisedBy = null) {
+  const existing = await reportRepository.get(parseInt(collegeId), reportId);
+  if (!existing) return { success: false, message: 'Draft report not found' };
+  const report = await reportRepository.update(parseInt(collegeId), reportId, current => {
+    delete current.status;
+    current.finalisedAt = new Date().toISOString();
+    current.finalisedBy = finalisedBy;
+    return current;
+  });
+  if (!report) return { success: false, message: 'Draft report not found' };
+  const templateKey = report.templateKey || report.data?.meta?.templateKey || null;
+  await storeCurrentReportAsPrevious(collegeId, report.data, templateKey, { force: true });
   try {
-    const previousReportsPath = 'previous-reports.json';
-    const previousReports = await volumeService.readFile(previousReportsPath).catch(() => ({}));
-    const tk = templateKey || '_default';
-    if (!previousReports[collegeId] || typeof previousReports[collegeId] !== 'object' || Array.isArray(previousReports[collegeId])) {
-      previousReports[collegeId] = {};
-    }
-    const existing = previousReports[collegeId][tk];
-    const force = !!opts.force;
-    if (existing && !force) {
-      console.log(`Previous baseline exists for college ${collegeId}, template ${tk}; not overwriting.`);
-      return; // keep existing baseline unless forced
-    }
-    previousReports[collegeId][tk] = {
-      data: reportData,
-      timestamp: new Date().toISOString()
-    };
-    
-    await volumeService.writeFile(previousReportsPath, previousReports);
-    console.log(`Stored previous report data for college ${collegeId} in volume`);
+    await analyticsService.processNewReport(String(collegeId), report);
   } catch (error) {
-    console.error('Store previous report error:', error);
+    console.error('Error updating analytics for finalised draft:', error);
+  }
+  try {
+    const manager = await getInitializedUserManager();
+    await manager.updateCollege(parseInt(collegeId), { lastreportdate: new Date().toISOString() });
+  } catch (error) {
+    console.error('❌ Error updating college lastReportDate:', error);
   }
+  emitReportEvent('report.updated', collegeId, report, { updatedBy: finalisedBy, reason: 'draft approved' });
+  return { success: true, report };
 }
 
-// Dashboard Data Routes
-app.get('/api/dashboard/stats', async (req, res) => {
+// Weekly digest emails: the signed-in user's opt-in/opt-out. The digest goes to the user's
+// account manager's email (or their own); the admin roll-up to the admin's own email.
+app.get('/api/notifications/preferences', authService.requireAuth(), async (req, res) => {
   try {
-    const stats = await userManager.getDashboardStats();
-    res.json(stats);
+    const emails = await getNotificationEmails(req);
+    const digest = await reportDigestService.getPreferences(emails.digest);
+    const rollup = await reportDigestService.getPreferences(emails.rollup);
+    res.json({
+      success: true,
+      digestEmail: emails.digest,
+      rollupEmail: req.user?.role === 'admin' ? emails.rollup : null,
+      weeklyDigest: digest.weeklyDigest,
+      adminRollup: req.user?.role === 'admin' ? rollup.adminRollup : null
+    });
   } catch (error) {
-    console.error('Get dashboard stats error:', error);
-    res.status(500).json({ error: 'Failed to get dashboard stats' });
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to load notification preferences' });
   }
 });
 
-app.get('/api/dashboard/college/:collegeId', authService.requireAuth(), async (req, res) => {
+app.put('/api/notifications/preferences', authService.requireAuth(), async (req, res) => {
   try {
-    const { collegeId } = req.params;
-    const data = await userManager.getCollegeDashboardData(collegeId);
-    res.json(data);
+    const { weeklyDigest, adminRollup } = req.body || {};
+    const errors = [];
+    if (weeklyDigest !== undefined && typeof weeklyDigest !== 'boolean') errors.push('weeklyDigest must be true or false');
+    if (adminRollup !== undefined && typeof adminRollup !== 'boolean') errors.push('adminRollup must be true or false');
+    if (adminRollup !== undefined && req.user?.role !== 'admin') errors.push('Only admins receive the roll-up');
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid preferences', errors });
+
+    const emails = await getNotificationEmails(req);
+    if (weeklyDigest !== undefined) {
+      const result = await reportDigestService.updatePreferences(emails.digest, { weeklyDigest });
+      if (!result.success) return res.status(400).json({ error: result.message });
+    }
+    if (adminRollup !== undefined) {
+      const result = await reportDigestService.updatePreferences(emails.rollup, { adminRollup });
+      if (!result.success) return res.status(400).json({ error: result.message });
+    }
+    res.json({ success: true, message: 'Notification preferences saved' });
   } catch (error) {
-    console.error('Get college dashboard error:', error);
-    res.status(500).json({ error: 'Failed to get college dashboard data' });
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to save notification preferences' });
   }
 });
 
-// File Upload Routes
-// Handler for header extraction only
-async function handleHeaderExtractionOnly(req, res) {
+// One-click unsubscribe from a digest email (the link is signed, no login needed)
+app.get('/api/notifications/unsubscribe', async (req, res) => {
   try {
-    const XLSX = require('xlsx');
-    const allHeaders = [];
-    const headerFileMap = {};
-    const fileInfo = [];
+    const { email, type = 'digest', token } = req.query;
+    const result = await reportDigestService.unsubscribe(email, String(type), token);
+    const message = result.success
+      ? `${email} will no longer receive the weekly ${type === 'rollup' ? 'roll-up' : 'digest'}. You can turn it back on from the dashboard.`
+      : result.message;
+    res.status(result.success ? 200 : 400).send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>Navigate Reports Hub</title></head><body style="font-family: Arial, sans-serif; text-align: center; padding: 60px;"><p>${String(message).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]))}</p></body></html>`);
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).send('Failed to unsubscribe');
+  }
+});
 
-    // Process each file to extract headers with a per-file label to avoid mixing
-    for (let fileIndex = 0; fileIndex < req.files.length; fileIndex++) {
-      const file = req.files[fileIndex];
-      console.log(`Extracting headers from: ${file.originalname}`);
+// Send the weekly digests now (admin); dryRun returns the emails without sending them
+app.post('/api/notifications/digest/send', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await reportDigestService.sendWeeklyDigests({ dryRun: !!req.body?.dryRun, today: req.body?.today });
+    res.json({ success: true, status: reportDigestService.getStatus(), ...result });
+  } catch (error) {
+    console.error('Send weekly digest error:', error);
+    res.status(500).json({ error: 'Failed to send weekly digest: ' + error.message });
+  }
+});
 
-      // Build a short label from the filename
-      const parsedName = path.parse(file.originalname || 'file');
-      let fileLabel = (parsedName.name || 'file').replace(/[^a-zA-Z0-9]+/g, ' ').trim();
-      if (fileLabel.length > 24) fileLabel = fileLabel.substring(0, 24).trim();
-      fileInfo.push({ originalName: file.originalname, filename: file.filename, label: fileLabel });
+// Helper: the emails a user's digest preferences apply to
+async function getNotificationEmails(req) {
+  const user = await authService.getUserById(req.user?.userId).catch(() => null);
+  let managerEmail = null;
+  if (user?.accountManagerId) {
+    const managers = await (await getInitializedUserManager()).getAccountManagers();
+    managerEmail = managers.find(m => String(m.id) === String(user.accountManagerId))?.email || null;
+  }
+  return { digest: managerEmail || user?.email || null, rollup: user?.email || null };
+}
 
-      const workbook = XLSX.readFile(file.path);
+// Webhooks (admin): endpoints notified of report, import, backup, share-link and KPI events
+app.get('/api/webhooks', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const webhooks = await webhookService.listEndpoints();
+    res.json({ success: true, webhooks, events: WebhookService.EVENTS, formats: WebhookService.FORMATS });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({ error: 'Failed to load webhooks' });
+  }
+});
 
-      // Process each sheet in the workbook
-      workbook.SheetNames.forEach(sheetName => {
-        const worksheet = workbook.Sheets[sheetName];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+app.post('/api/webhooks', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await webhookService.createEndpoint(req.body || {}, req.user?.username || null);
+    if (!result.success) return res.status(400).json({ error: 'Invalid webhook', errors: result.errors });
+    // The secret is only shown now (and when rotated)
+    res.status(201).json({ success: true, webhook: result.endpoint, secret: result.secret });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
 
-        if (jsonData && jsonData.length > 0) {
-          const headers = jsonData[0]; // First row contains headers
-          if (Array.isArray(headers)) {
-            headers.forEach(header => {
-              if (header && header.toString().trim() !== '') {
-                const labeled = `${header.toString().trim()} [${fileLabel}]`;
-                allHeaders.push(labeled);
-                headerFileMap[labeled] = fileIndex;
-              }
-            });
-          }
-        }
-      });
-    }
+app.put('/api/webhooks/:id', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await webhookService.updateEndpoint(req.params.id, req.body || {});
+    if (result.notFound) return res.status(404).json({ error: 'Webhook not found' });
+    if (!result.success) return res.status(400).json({ error: 'Invalid webhook', errors: result.errors });
+    res.json({ success: true, webhook: result.endpoint, secret: result.secret });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+app.delete('/api/webhooks/:id', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const removed = await webhookService.deleteEndpoint(req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ success: true, message: 'Webhook deleted' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Send a webhook.test event now and return the delivery with its first attempt
+app.post('/api/webhooks/:id/test', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const delivery = await webhookService.sendTest(req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ success: true, delivery });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ error: 'Failed to send test webhook' });
+  }
+});
 
-    console.log(`Extracted ${allHeaders.length} headers (file-labeled):`, allHeaders);
+app.get('/api/webhooks/deliveries', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const { endpointId, event, status, limit } = req.query;
+    const deliveries = await webhookService.listDeliveries({ endpointId, event, status, limit });
+    res.json({ success: true, deliveries });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to load webhook deliveries' });
+  }
+});
 
-    res.json({
-      success: true,
-      message: `Extracted ${allHeaders.length} headers (file-labeled) from ${req.files.length} files`,
-      headers: allHeaders,
-      fileCount: req.files.length,
-      headerFileMap,
-      fileInfo
-    });
+app.get('/api/webhooks/deliveries/:id', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const delivery = await webhookService.getDelivery(req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    res.json({ success: true, delivery });
   } catch (error) {
-    console.error('Header extraction error:', error);
-    res.status(500).json({ error: 'Header extraction failed: ' + error.message });
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({ error: 'Failed to load webhook delivery' });
   }
-}
+});
 
-// Handler for manual assignment processing
-async function handleManualAssignment(req, res) {
+app.post('/api/webhooks/deliveries/:id/redeliver', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
   try {
-    console.log('Processing files with manual header assignments');
-    
-    // Get header assignments from request body
-    let headerAssignments = {};
-    if (req.body.headerAssignments) {
-      try {
-        headerAssignments = JSON.parse(req.body.headerAssignments);
-        console.log('Header assignments received:', headerAssignments);
-      } catch (error) {
-        console.warn('Could not parse header assignments:', error.message);
-      }
-    }
-    
-    // Optional: file-level type/color selections (for per-file colours)
-    let manualFileSelections = {};
-    if (req.body.fileTypes) {
-      try {
-        manualFileSelections = JSON.parse(req.body.fileTypes);
-        console.log('Manual assignment file type selections received:', manualFileSelections);
-      } catch (error) {
-        console.warn('Could not parse manual file type selections:', error.message);
-      }
-    }
-    
-    // Map files with manual assignment logic
-    const mappedFiles = req.files.map((file, index) => {
-      return {
-        filename: file.filename,
-        path: file.path,
-        originalName: file.originalname,
-        userSelectedType: (manualFileSelections && manualFileSelections[index] && manualFileSelections[index].type) ? manualFileSelections[index].type : 'manual',
-        userSelectedColor: (manualFileSelections && manualFileSelections[index] && manualFileSelections[index].color) ? manualFileSelections[index].color : '#dbeafe',
-        headerAssignments: headerAssignments // Pass assignments to each file
-      };
-    });
-    
-    console.log('Mapped files for manual assignment:', mappedFiles.map(f => ({ name: f.originalName, type: f.userSelectedType })));
-    
-    // Process files with the manual assignment logic
-    const result = await dataImporter.processFilesWithManualAssignment(mappedFiles, headerAssignments);
-    
-    if (result) {
-      console.log('Files processed successfully with manual assignments');
-      res.json({
-        success: true,
-        message: `${req.files.length} files processed successfully with manual assignments`,
-        data: result,
-        filename: req.files.map(f => f.originalname).join(', '),
-        headerAssignments: headerAssignments
-      });
-    } else {
-      console.log('Failed to process files with manual assignments');
-      res.status(400).json({ error: 'Failed to process files with manual assignments' });
-    }
+    const result = await webhookService.redeliver(req.params.id);
+    if (result.notFound) return res.status(404).json({ error: result.message });
+    if (!result.success) return res.status(400).json({ error: result.message });
+    res.status(202).json({ success: true, delivery: result.delivery });
   } catch (error) {
-    console.error('Manual assignment processing error:', error);
-    res.status(500).json({ error: 'Manual assignment processing failed: ' + error.message });
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
   }
-}
+});
 
-app.post('/api/upload', authService.requireAuth(), upload.array('files'), async (req, res) => {
+// College name aliases used to match consolidated exports to colleges
+app.get('/api/college-aliases', authService.requireAuth(), async (req, res) => {
   try {
-    console.log('📁 File upload request received');
-    console.log('👤 User:', req.user);
-    console.log('🍪 Cookies:', req.cookies);
-    console.log('📋 Headers:', req.headers.authorization ? 'Authorization header present' : 'No Authorization header');
-    
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
-    }
-    
-    console.log(`📄 Processing ${req.files.length} files:`, req.files.map(f => f.originalname));
-    
-    // Check if this is a header extraction only request
-    if (req.body.extractHeadersOnly === 'true') {
-      console.log('🔍 Header extraction only requested');
-      return await handleHeaderExtractionOnly(req, res);
-    }
-    
-    // Check if this is a manual assignment request
-    if (req.body.useManualAssignment === 'true') {
-      console.log('🎨 Manual assignment requested');
-      return await handleManualAssignment(req, res);
+    const aliases = await bulkImportService.getAliases();
+    res.json({ success: true, aliases });
+  } catch (error) {
+    console.error('Get college aliases error:', error);
+    res.status(500).json({ error: 'Failed to load college aliases' });
+  }
+});
+
+app.put('/api/colleges/:collegeId/aliases', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const { collegeId } = req.params;
+    const colleges = await (await getInitializedUserManager()).getColleges();
+    const college = colleges.find(c => String(c.id) === String(collegeId));
+    if (!college) {
+      return res.status(404).json({ error: 'College not found' });
     }
-    
-    // Get file type selections from request body
-    let fileTypeSelections = {};
-    if (req.body.fileTypes) {
-      try {
-        fileTypeSelections = JSON.parse(req.body.fileTypes);
-        console.log('📋 File type selections received:', fileTypeSelections);
-      } catch (error) {
-        console.warn('⚠️ Could not parse file type selections:', error.message);
+    const result = await bulkImportService.setAliases(college.id, req.body?.aliases);
+    if (!result.success) return res.status(400).json({ error: result.message });
+    res.json({ success: true, collegeId: college.id, aliases: result.aliases });
+  } catch (error) {
+    console.error('Update college aliases error:', error);
+    res.status(500).json({ error: 'Failed to update college aliases' });
+  }
+});
+
+// Department aliases used to match renamed departments to the previous report (+/- columns, comparisons)
+app.get('/api/department-aliases', authService.requireAuth(), async (req, res) => {
+  try {
+    const { collegeId } = req.query;
+    const aliases = collegeId
+      ? await reportComparisonService.getDepartmentAliases(collegeId)
+      : await reportComparisonService.readAliases();
+    res.json({ success: true, collegeId: collegeId || null, aliases });
+  } catch (error) {
+    console.error('Get department aliases error:', error);
+    res.status(500).json({ error: 'Failed to load department aliases' });
+  }
+});
+
+app.put('/api/department-aliases/:scope', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const { scope } = req.params;
+    if (scope !== '*') {
+      const colleges = await (await getInitializedUserManager()).getColleges();
+      if (!colleges.some(c => String(c.id) === String(scope))) {
+        return res.status(404).json({ error: 'College not found' });
       }
     }
-    
-    // Map files to the expected format with user-selected types and colours
-    const mappedFiles = req.files.map((file, index) => {
-      const selection = fileTypeSelections[index];
-      return {
-        filename: file.filename,
-        path: file.path,
-        originalName: file.originalname,
-        userSelectedType: selection?.type || selection || 'default',
-        userSelectedColor: selection?.color || '#dbeafe'
-      };
-    });
-    
-    console.log('📋 Mapped files with types:', mappedFiles.map(f => ({ name: f.originalName, type: f.userSelectedType })));
-    
-    // Process all files and combine them
-    const result = await dataImporter.processFiles(mappedFiles);
-    
-    if (result) {
-      console.log('✅ Files processed successfully');
-      res.json({
-        success: true,
-        message: `${req.files.length} files processed successfully`,
-        data: result,
-        filename: req.files.map(f => f.originalname).join(', ')
-      });
-    } else {
-      console.log('❌ Failed to process files');
-      res.status(400).json({ error: 'Failed to process files' });
-    }
+    const result = await reportComparisonService.setDepartmentAliases(scope, req.body?.aliases);
+    if (!result.success) return res.status(400).json({ error: result.message });
+    res.json({ success: true, scope, aliases: result.aliases });
   } catch (error) {
-    console.error('File upload error:', error);
-    res.status(500).json({ error: 'File upload failed: ' + error.message });
+    console.error('Update department aliases error:', error);
+    res.status(500).json({ error: 'Failed to update department aliases' });
   }
 });
 
@@ -3374,6 +4438,8 @@ app.post('/api/template-preview', authService.requireAuth(), upload.array('files
 
     // Store headers from each file separately for proper mapping
     const fileHeaders = [];
+    const fileLayouts = []; // Header row / orientation chosen for each file
+    const fileFormatting = []; // Cell formatting of each Excel file, offered as the template's source formatting
     const allFileData = []; // Store data from all files
 
     for (const file of req.files) {
@@ -3383,6 +4449,7 @@ app.post('/api/template-preview', authService.requireAuth(), upload.array('files
       const workbook = XLSX.readFile(file.path);
       const worksheet = workbook.Sheets[workbook.SheetNames[0]];
       const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+      dataImporter.applyMergedCells(worksheet, jsonData);
       
       // Store data from this file
       allFileData.push({
@@ -3390,30 +4457,21 @@ app.post('/api/template-preview', authService.requireAuth(), upload.array('files
         data: jsonData
       });
       
-      // Use the first file's raw grid as the main structure
-      if (Array.isArray(jsonData) && jsonData.length && rawData.rawGrid.length === 0) {
-        rawData.rawGrid = jsonData;
-      }
-      
       if (jsonData && jsonData.length > 0) {
-        // Find the header row - look for the row with the most non-empty cells
-        let headerRowIndex = 0;
-        let maxHeaderCells = 0;
-        
-        // Check first 5 rows to find the best header row
-        for (let i = 0; i < Math.min(5, jsonData.length); i++) {
-          const row = jsonData[i] || [];
-          const nonEmptyCells = row.filter(cell => cell !== null && cell !== undefined && cell.toString().trim() !== '').length;
-          console.log(`Row ${i} has ${nonEmptyCells} non-empty cells:`, row);
-          
-          if (nonEmptyCells > maxHeaderCells) {
-            maxHeaderCells = nonEmptyCells;
-            headerRowIndex = i;
-          }
+        // Find the header row (skipping PowerBI title/filter rows), resolve merged
+        // group headings and un-pivot departments-across-columns exports
+        const { table, layout } = dataImporter.normalizeSheet(jsonData);
+        const headerRowIndex = layout.headerRow - 1;
+        fileLayouts.push({ filename: file.originalname, sheetName: workbook.SheetNames[0], ...layout });
+
+        // Use the first file's normalised grid (header first) as the main structure
+        if (rawData.rawGrid.length === 0) {
+          rawData.rawGrid = table;
+          rawData.headerRowIndex = 0;
         }
         
-        console.log(`📋 Using row ${headerRowIndex} as header row with ${maxHeaderCells} columns`);
-        const rawHeaders = jsonData[headerRowIndex] || [];
+        console.log(`📋 Using row ${headerRowIndex} as header row (${layout.headerRowReason}, orientation: ${layout.orientation})`);
+        const rawHeaders = table[0] || [];
         console.log(`📋 Raw headers from ${file.originalname}:`, rawHeaders);
         
         // Store headers from this specific file
@@ -3434,8 +4492,8 @@ app.post('/api/template-preview', authService.requireAuth(), upload.array('files
         console.log(`✅ Clean headers from ${file.originalname}:`, cleanHeaders);
         
         // Combine data rows from all files
-        if (jsonData.length > headerRowIndex + 1) {
-          const dataRows = jsonData.slice(headerRowIndex + 1);
+        if (table.length > 1) {
+          const dataRows = table.slice(1);
           // Build a quick lookup from this file's raw header -> index
           const headerIndexMap = new Map();
           cleanHeaders.forEach((h, i) => headerIndexMap.set(h, i));
@@ -3461,8 +4519,13 @@ app.post('/api/template-preview', authService.requireAuth(), upload.array('files
         // Extract header colors from Excel file
         rawData.headerColors = [];
         try {
-          // For Excel files, try to extract cell styling
-          if (file.originalname.toLowerCase().includes('.xlsx') || file.originalname.toLowerCase().includes('.xls')) {
+          if (layout.orientation === 'columns') {
+            // Departments-across-columns exports are un-pivoted: their headers come from the first column,
+            // so the header row's fills (and cell formatting) do not belong to them
+            console.log('📎 Pivoted sheet - header colors not taken from the source');
+            rawData.headerColors = rawHeaders.map(() => null);
+          } else if (file.originalname.toLowerCase().includes('.xlsx') || file.originalname.toLowerCase().includes('.xls')) {
+            // For Excel files, try to extract cell styling
             console.log('📎 Trying ExcelJS for better color extraction...');
             
             // Try ExcelJS first - better color support
@@ -3561,6 +4624,10 @@ app.post('/api/template-preview', authService.requireAuth(), upload.array('files
                   console.log(`✅ ExcelJS: Header "${rawHeaders[colIndex]}" color: ${backgroundColor || 'none'}`);
                 }
                 
+                fileFormatting.push(sourceFormattingService.capture(excelWorksheet, {
+                  headerRow: headerRowIndex + 1,
+                  source: file.originalname
+                }));
                 console.log('📎 ExcelJS extraction completed successfully');
               } else {
                 throw new Error('No worksheet found');
@@ -3642,7 +4709,7 @@ app.post('/api/template-preview', authService.requireAuth(), upload.array('files
         // Find department column (first non-empty column by default)
         const deptColIndex = rawHeaders.findIndex(h => h && h.toString().trim() !== '');
         console.log(`📍 Department column index: ${deptColIndex}`);
-        const dataRowsForDepts = jsonData.slice(headerRowIndex + 1).filter(row => row && row.length > 0 && row[deptColIndex]);
+        const dataRowsForDepts = table.slice(1).filter(row => row && row.length > 0 && row[deptColIndex]);
         dataRowsForDepts.forEach(row => {
           const dept = row[deptColIndex];
           if (dept && dept.toString().trim() !== '' && !rawData.departments.includes(dept)) {
@@ -3670,31 +4737,16 @@ app.post('/api/template-preview', authService.requireAuth(), upload.array('files
       }
     }
     
+    // Filename fallback detection uses the admin-editable import rules
+    await dataImporter.loadImportRules();
+
     // Process each file and map its specific headers
     req.files.forEach((file, fileIndex) => {
       // Use user-selected type if available, otherwise detect from filename
       let contentType = fileTypeSelections[fileIndex] || 'default';
       
       if (!fileTypeSelections[fileIndex]) {
-        // Fallback to filename detection
-        const filenameLower = file.originalname.toLowerCase();
-        if (filenameLower.includes('placement') || filenameLower.includes('placed')) {
-          contentType = 'placements';
-        } else if (filenameLower.includes('employer') || filenameLower.includes('engagement') || 
-                   filenameLower.includes('employer activity') || filenameLower.includes('employer activities') ||
-                   filenameLower.includes('employer engagement')) {
-          contentType = 'employment';
-        } else if (filenameLower.includes('enrichment') || filenameLower.includes('enrich')) {
-          contentType = 'enrichment';
-        } else if (filenameLower.includes('career') || filenameLower.includes('careers') || filenameLower.includes('my futures') || filenameLower.includes('myfutures') || filenameLower.includes('my-futures')) {
-          contentType = 'careers';
-        } else if (filenameLower.includes('assessment') || filenameLower.includes('assess')) {
-          contentType = 'assessments';
-        } else if (filenameLower.includes('target') || filenameLower.includes('targets')) {
-          contentType = 'targets';
-        } else if (filenameLower.includes('login') || filenameLower.includes('access')) {
-          contentType = 'login';
-        }
+        contentType = dataImporter.detectContentTypeFromFilename(file.originalname);
       }
       
       // Normalize content type names to match frontend expectations
@@ -3727,6 +4779,8 @@ app.post('/api/template-preview', authService.requireAuth(), upload.array('files
     // Add headerFileMap and fileInfo to response
     rawData.headerFileMap = headerFileMap;
     rawData.fileInfo = fileInfo;
+    rawData.layouts = fileLayouts;
+    rawData.sourceFormatting = sourceFormattingService.merge(fileFormatting);
     
     console.log('📊 Raw template preview data prepared:');
     console.log(`  - Files processed: ${req.files.length}`);
@@ -3745,8 +4799,206 @@ app.post('/api/template-preview', authService.requireAuth(), upload.array('files
     });
     
   } catch (error) {
-    console.error('Template preview error:', error);
-    res.status(500).json({ error: 'Template preview failed: ' + error.message });
+    console.error('Template preview error:', error);
+    res.status(500).json({ error: 'Template preview failed: ' + error.message });
+  }
+});
+
+// Report sections (header colours and matching rules) - admin editable, see src/shared/sectionRules.js.
+// Readable without a session because the view-only shared pages colour headers with it too.
+app.get('/api/section-config', async (req, res) => {
+  try {
+    const result = await sectionConfigService.getConfig();
+    res.json({ success: true, ...result, defaults: sectionRules.DEFAULT_CONFIG });
+  } catch (error) {
+    console.error('Get section config error:', error);
+    res.status(500).json({ error: 'Failed to load section config' });
+  }
+});
+
+app.put('/api/section-config', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await sectionConfigService.saveConfig(req.body?.config, req.user?.username || null);
+    if (!result.success) return res.status(400).json({ error: result.message });
+    res.json({ success: true, config: result.config });
+  } catch (error) {
+    console.error('Update section config error:', error);
+    res.status(500).json({ error: 'Failed to update section config' });
+  }
+});
+
+app.post('/api/section-config/reset', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const config = await sectionConfigService.resetToDefaults();
+    res.json({ success: true, config });
+  } catch (error) {
+    console.error('Reset section config error:', error);
+    res.status(500).json({ error: 'Failed to reset section config' });
+  }
+});
+
+// Academic calendar (term dates, half terms, per-college overrides) - admin editable.
+// ?collegeId= also returns that college's calendar for the current year; ?date= (default today)
+// is described against it.
+app.get('/api/academic-calendar', authService.requireAuth(), async (req, res) => {
+  try {
+    const result = await academicCalendarService.getConfig();
+    const collegeId = req.query.collegeId ? parseInt(req.query.collegeId) : null;
+    const date = req.query.date || new Date();
+    const year = academicCalendarService.academicYear(date, collegeId);
+    res.json({
+      success: true,
+      ...result,
+      defaults: AcademicCalendarService.DEFAULT_CONFIG,
+      collegeId,
+      year: { ...year, terms: academicCalendarService.termsOfYear(year, collegeId) },
+      period: academicCalendarService.describe(date, collegeId)
+    });
+  } catch (error) {
+    console.error('Get academic calendar error:', error);
+    res.status(500).json({ error: 'Failed to load academic calendar' });
+  }
+});
+
+app.put('/api/academic-calendar', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await academicCalendarService.saveConfig(req.body?.config, req.user?.username || null);
+    if (!result.success) return res.status(400).json({ error: 'Invalid academic calendar', details: result.errors });
+    res.json({ success: true, config: result.config });
+  } catch (error) {
+    console.error('Update academic calendar error:', error);
+    res.status(500).json({ error: 'Failed to update academic calendar' });
+  }
+});
+
+// One college's overrides: { yearStart, pauseInBreaks, terms, years }
+app.put('/api/academic-calendar/colleges/:collegeId', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await academicCalendarService.saveCollegeCalendar(req.params.collegeId, req.body?.calendar || {}, req.user?.username || null);
+    if (!result.success) return res.status(400).json({ error: 'Invalid academic calendar', details: result.errors });
+    res.json({ success: true, calendar: result.config.colleges[String(req.params.collegeId)] });
+  } catch (error) {
+    console.error('Update college academic calendar error:', error);
+    res.status(500).json({ error: 'Failed to update academic calendar' });
+  }
+});
+
+app.delete('/api/academic-calendar/colleges/:collegeId', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await academicCalendarService.saveCollegeCalendar(req.params.collegeId, null, req.user?.username || null);
+    if (!result.success) return res.status(400).json({ error: 'Invalid academic calendar', details: result.errors });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete college academic calendar error:', error);
+    res.status(500).json({ error: 'Failed to update academic calendar' });
+  }
+});
+
+app.post('/api/academic-calendar/reset', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const config = await academicCalendarService.resetToDefaults();
+    res.json({ success: true, config });
+  } catch (error) {
+    console.error('Reset academic calendar error:', error);
+    res.status(500).json({ error: 'Failed to reset academic calendar' });
+  }
+});
+
+// Import detection rules (filename regex, header signatures, filter text) - admin editable
+app.get('/api/import-rules', authService.requireAuth(), async (req, res) => {
+  try {
+    const rules = await importRulesService.getRules();
+    res.json({ success: true, rules: ImportRulesService.sortRules(rules), contentTypes: ImportRulesService.CONTENT_TYPES });
+  } catch (error) {
+    console.error('Get import rules error:', error);
+    res.status(500).json({ error: 'Failed to load import rules' });
+  }
+});
+
+app.get('/api/import-rules/:id', authService.requireAuth(), async (req, res) => {
+  try {
+    const rule = await importRulesService.getRule(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('Get import rule error:', error);
+    res.status(500).json({ error: 'Failed to load import rule' });
+  }
+});
+
+app.post('/api/import-rules', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await importRulesService.createRule(req.body || {}, req.user?.username || null);
+    if (!result.success) return res.status(400).json({ error: result.message });
+    res.json({ success: true, rule: result.rule });
+  } catch (error) {
+    console.error('Create import rule error:', error);
+    res.status(500).json({ error: 'Failed to create import rule' });
+  }
+});
+
+app.put('/api/import-rules/:id', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await importRulesService.updateRule(req.params.id, req.body || {}, req.user?.username || null);
+    if (!result.success) return res.status(result.message === 'Rule not found' ? 404 : 400).json({ error: result.message });
+    res.json({ success: true, rule: result.rule });
+  } catch (error) {
+    console.error('Update import rule error:', error);
+    res.status(500).json({ error: 'Failed to update import rule' });
+  }
+});
+
+app.delete('/api/import-rules/:id', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await importRulesService.deleteRule(req.params.id);
+    if (!result.success) return res.status(404).json({ error: result.message });
+    res.json({ success: true, rule: result.rule });
+  } catch (error) {
+    console.error('Delete import rule error:', error);
+    res.status(500).json({ error: 'Failed to delete import rule' });
+  }
+});
+
+app.post('/api/import-rules/reset', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const rules = await importRulesService.resetToDefaults();
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('Reset import rules error:', error);
+    res.status(500).json({ error: 'Failed to reset import rules' });
+  }
+});
+
+// Test uploaded files against the rule set and explain which rule matched and why
+app.post('/api/import-rules/test', authService.requireAuth(), upload.array('files'), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+    const rules = await importRulesService.getRules();
+    const results = [];
+    for (const file of req.files) {
+      try {
+        const sheets = await dataImporter.readFile(file.path);
+        const explanation = ImportRulesService.explain(rules, file.originalname, sheets);
+        // Resolve the final type exactly as DataImporter.processFiles would
+        let detectedType = explanation.filenameRule ? explanation.filenameRule.contentType : 'default';
+        if (detectedType === 'employer') detectedType = 'employment';
+        results.push({
+          ...explanation,
+          detectedType,
+          activityType: explanation.contentRule ? explanation.contentRule.contentType : null
+        });
+      } catch (fileError) {
+        results.push({ filename: file.originalname, error: fileError.message });
+      } finally {
+        fs.remove(file.path).catch(() => {});
+      }
+    }
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('Test import rules error:', error);
+    res.status(500).json({ error: 'Failed to test import rules: ' + error.message });
   }
 });
 
@@ -3892,6 +5144,7 @@ app.post('/api/upload-template-DISABLED', authService.requireAuth(), upload.arra
     };
 
     // Save template (DISABLED route fallback)
+    await recordTemplateVersion(template, { savedBy: req.user.username, reason: 'create' });
     existingTemplates.push(template);
     await writeTemplatesAllLocations(existingTemplates);
 
@@ -3973,6 +5226,7 @@ app.post('/api/create-template-from-preview', authService.requireAuth(), async (
     };
     
     // Save template
+    await recordTemplateVersion(template, { savedBy: req.user.username, reason: 'create' });
     existingTemplates.push(template);
     await writeTemplatesAllLocations(existingTemplates);
     
@@ -4150,7 +5404,7 @@ app.get('/api/templates', authService.requireAuth(), async (req, res) => {
           // Also sync to file system as backup
           await writeTemplatesAllLocations(dbTemplates);
           console.log('💾 Database templates synced to file system as backup');
-          return res.json({ templates: dbTemplates });
+          return res.json(await buildTemplateListing(dbTemplates));
         }
       } catch (dbError) {
         console.log('⚠️ Database template read failed, falling back to file system:', dbError.message);
@@ -4255,7 +5509,7 @@ app.get('/api/templates', authService.requireAuth(), async (req, res) => {
     }
     
     console.log(`📤 Returning ${templates.length} templates to frontend`);
-    res.json({ templates });
+    res.json(await buildTemplateListing(templates));
   } catch (error) {
     console.error('❌ Error loading templates:', error);
     res.status(500).json({ error: 'Failed to load templates' });
@@ -4280,6 +5534,287 @@ async function snapshotTemplatesToBackups(volumeService, templates, reason = 'ma
   }
 }
 
+// Helper: record a template version without failing the save it belongs to
+async function recordTemplateVersion(template, options = {}) {
+  try {
+    const result = await templateVersionService.recordVersion(template, options);
+    if (result.recorded) {
+      console.log(`🗂️ Template ${template.id} saved as version ${result.version}`);
+    }
+    return result;
+  } catch (e) {
+    console.warn('⚠️ Failed to record template version:', e.message);
+    return null;
+  }
+}
+
+// Helper: resolve a template against its base template (body.extends sets/clears the base).
+// Overrides come from body.overrides, or are derived from the submitted headers.
+function applyTemplateParent(templates, template, body = {}, previous = null) {
+  const current = previous || template;
+  const parentId = body.extends !== undefined
+    ? (body.extends ? String(body.extends) : null)
+    : templateInheritanceService.getParentId(current);
+  if (!parentId) {
+    delete template.extends;
+    delete template.overrides;
+    delete template.inheritedFrom;
+    return { success: true, template };
+  }
+  const check = templateInheritanceService.validateParent(template.id, parentId, templates);
+  if (!check.success) return check;
+
+  const parent = templates.find(t => String(t.id) === parentId);
+  const base = templateInheritanceService.resolve(parent, templates);
+  let overrides;
+  if (body.overrides && typeof body.overrides === 'object') {
+    overrides = body.overrides;
+  } else if (Array.isArray(template.headers) && template.headers.length > 0) {
+    overrides = templateInheritanceService.deriveOverrides(base, template.headers, {
+      existing: current.overrides,
+      sections: body.headerSections,
+      tableData: template.tableData,
+      computedColumns: Array.isArray(body.computedColumns) ? body.computedColumns : undefined
+    });
+  } else {
+    overrides = current.overrides || {};
+  }
+  Object.assign(template, templateInheritanceService.resolve({ ...template, extends: parentId, overrides }, templates));
+  return { success: true, template };
+}
+
+// Helper: refresh templates that extend baseId, version them and sync them to the database
+async function propagateTemplateInheritance(templates, baseId, savedBy = null) {
+  const changed = templateInheritanceService.propagate(templates, baseId);
+  for (const child of changed) {
+    await recordTemplateVersion(child, { savedBy, reason: `base template ${baseId} updated` });
+    if (process.env.DATABASE_URL) {
+      try {
+        await databaseUserManager.initialize();
+        await databaseUserManager.saveTemplate(child);
+      } catch (dbError) {
+        console.warn(`⚠️ Failed to sync inherited template ${child.id} to database:`, dbError.message);
+      }
+    }
+  }
+  if (changed.length > 0) {
+    console.log(`🧬 Propagated template ${baseId} changes to ${changed.length} child template(s)`);
+  }
+  return changed;
+}
+
+// Helper: fill computed columns into report data and keep the formulas in meta for editors/exports
+function applyComputedColumns(reportData, computedColumns) {
+  if (!reportData || !Array.isArray(computedColumns) || computedColumns.length === 0) return reportData;
+  const result = templateFormula.computeTable(reportData.headers || [], reportData.rows || [], computedColumns);
+  result.errors.forEach(error => console.warn(`⚠️ Computed column ${error.header || ''}: ${error.message}`));
+  return {
+    ...reportData,
+    headers: result.headers,
+    rows: result.rows,
+    meta: { ...(reportData.meta || {}), computedColumns }
+  };
+}
+
+// Helper: write computed columns into an exported worksheet as Excel formulas (the saved value
+// is kept as the cached result). changeColumnMap marks headers followed by a +/- column.
+function writeComputedColumnFormulas(worksheet, computedColumns, headers, rows, dataStartRow, changeColumnMap = new Map()) {
+  if (!Array.isArray(computedColumns) || computedColumns.length === 0) return;
+  const worksheetColumn = headerIndex => {
+    let shift = 0;
+    changeColumnMap.forEach((_, originalIndex) => { if (originalIndex < headerIndex) shift++; });
+    return headerIndex + 1 + shift;
+  };
+  computedColumns.forEach(column => {
+    const headerIndex = templateFormula.findHeaderIndex(headers, column.header);
+    if (headerIndex === -1) return;
+    rows.forEach((row, rowIndex) => {
+      const rowNumber = dataStartRow + 1 + rowIndex;
+      try {
+        const formula = templateFormula.toExcelFormula(column.formula, name => {
+          const refIndex = templateFormula.findHeaderIndex(headers, name);
+          return refIndex === -1 ? null : `${worksheet.getColumn(worksheetColumn(refIndex)).letter}${rowNumber}`;
+        });
+        const value = row[headerIndex];
+        const cell = worksheet.getRow(rowNumber).getCell(worksheetColumn(headerIndex));
+        cell.value = { formula, result: value === '' || value === null || value === undefined ? '' : value };
+      } catch (error) {
+        console.warn(`⚠️ Could not export formula for ${column.header}:`, error.message);
+      }
+    });
+  });
+}
+
+// Helper: check a template's computed column formulas against its headers
+function validateTemplateFormulas(template) {
+  if (!template || template.computedColumns === undefined || template.computedColumns === null) {
+    return { valid: true, errors: [] };
+  }
+  return templateFormula.validate(template.computedColumns, template.headers || []);
+}
+
+// Helper: the template a report was generated with (export profile, captured source formatting)
+async function getExportTemplate(templateKey) {
+  if (!templateKey) return null;
+  const templates = await volumeService.readFile('templates.json').catch(() => []);
+  return (Array.isArray(templates) ? templates : []).find(t => String(t.id) === String(templateKey)) || null;
+}
+
+// Helper: store (or clear with null) a template's captured source formatting
+async function saveTemplateSourceFormatting(templateId, formatting, savedBy = null) {
+  const templates = await volumeService.readFile('templates.json').catch(() => []);
+  const index = (Array.isArray(templates) ? templates : []).findIndex(t => String(t.id) === String(templateId));
+  if (index === -1) return { success: false, message: 'Template not found' };
+  const previous = templates[index];
+  const updated = { ...previous, updatedAt: new Date().toISOString() };
+  if (formatting) updated.sourceFormatting = formatting;
+  else delete updated.sourceFormatting;
+  await recordTemplateVersion(updated, { previous, savedBy, reason: 'update' });
+  templates[index] = updated;
+  await writeTemplatesAllLocations(templates);
+  if (process.env.DATABASE_URL) {
+    try {
+      await databaseUserManager.initialize();
+      await databaseUserManager.saveTemplate(updated);
+    } catch (dbError) {
+      console.error('⚠️ Failed to save template formatting to database:', dbError.message);
+    }
+  }
+  return { success: true, template: updated };
+}
+
+// Helper: set (or with null, clear) a template's metric mapping
+async function saveTemplateMetricMappings(templateId, mappings, savedBy = null) {
+  const templates = await volumeService.readFile('templates.json').catch(() => []);
+  const index = (Array.isArray(templates) ? templates : []).findIndex(t => String(t.id) === String(templateId));
+  if (index === -1) return { success: false, status: 404, message: 'Template not found' };
+  const previous = templates[index];
+  const check = metricMappingService.validate(mappings, previous.headers || []);
+  if (!check.valid) return { success: false, status: 400, message: 'Invalid metric mappings', details: check.errors };
+  const updated = { ...previous, updatedAt: new Date().toISOString() };
+  if (mappings) updated.metricMappings = mappings;
+  else delete updated.metricMappings;
+  await recordTemplateVersion(updated, { previous, savedBy, reason: 'update' });
+  templates[index] = updated;
+  await writeTemplatesAllLocations(templates);
+  if (process.env.DATABASE_URL) {
+    try {
+      await databaseUserManager.initialize();
+      await databaseUserManager.saveTemplate(updated);
+    } catch (dbError) {
+      console.error('⚠️ Failed to save template metric mappings to database:', dbError.message);
+    }
+  }
+  refreshTemplateMetrics(templates, updated, previous);
+  return { success: true, template: updated };
+}
+
+// Helper: restyle an export sheet with the template's captured spreadsheet formatting when the
+// export style (request override, else the template's exportProfile.style) is 'source'
+function applySourceFormatting(worksheet, template, profile, requestedStyle, layout) {
+  const style = WorkbookExportService.STYLES.includes(requestedStyle) ? requestedStyle : profile.style;
+  if (style !== 'source' || !template || !template.sourceFormatting) return null;
+  const result = sourceFormattingService.apply(worksheet, template.sourceFormatting, layout);
+  console.log(`🎨 Source formatting applied to ${result.matched}/${result.total} columns`);
+  return result;
+}
+
+// Helper: which colleges use each template (configured template or saved report baselines)
+async function getTemplateUsage() {
+  const usage = new Map();
+  const add = (templateId, college, via) => {
+    const key = String(templateId);
+    if (!usage.has(key)) usage.set(key, []);
+    const list = usage.get(key);
+    if (!list.some(c => String(c.id) === String(college.id))) {
+      list.push({ id: college.id, name: college.name, via });
+    }
+  };
+  try {
+    const colleges = await (await getInitializedUserManager()).getColleges();
+    const previousReports = await volumeService.readFile('previous-reports.json').catch(() => ({}));
+    (colleges || []).forEach(college => {
+      if (college.template) add(college.template, college, 'configured');
+      const entry = previousReports[college.id];
+      if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+        Object.keys(entry).filter(k => !k.startsWith('hdr_') && k !== '_default').forEach(k => add(k, college, 'reports'));
+      }
+    });
+  } catch (error) {
+    console.warn('⚠️ Could not work out template usage:', error.message);
+  }
+  return usage;
+}
+
+// Helper: templates with inheritance details and usage, plus the inheritance tree
+async function buildTemplateListing(templates) {
+  const list = Array.isArray(templates) ? templates : [];
+  const usage = await getTemplateUsage();
+  return {
+    templates: templateInheritanceService.annotate(list, usage).map(template => ({
+      ...template,
+      metricMapping: describeMetricMapping(template, list)
+    })),
+    tree: templateInheritanceService.buildTree(list)
+  };
+}
+
+// Helper: the metric mapping that applies to a template (its own, else its nearest base's)
+function effectiveMetricMappings(template, templates) {
+  const seen = new Set();
+  let current = template;
+  while (current && !seen.has(String(current.id))) {
+    if (current.metricMappings && typeof current.metricMappings === 'object') {
+      return { mappings: current.metricMappings, from: String(current.id) };
+    }
+    seen.add(String(current.id));
+    const parentId = templateInheritanceService.getParentId(current);
+    current = parentId ? templates.find(t => String(t.id) === parentId) : null;
+  }
+  return { mappings: null, from: null };
+}
+
+// Helper: { complete, missing, errors, inheritedFrom } for the template listing and editor
+function describeMetricMapping(template, templates) {
+  const { mappings, from } = effectiveMetricMappings(template, templates);
+  const check = metricMappingService.validate(mappings, template.headers || []);
+  return {
+    complete: check.complete,
+    total: MetricMappingService.METRIC_KEYS.length,
+    missing: check.missing,
+    notCollected: check.notCollected,
+    errors: check.errors,
+    inheritedFrom: from && from !== String(template.id) ? from : null
+  };
+}
+
+// Helper: after a template's metric mapping changes, rebuild the metric store for the colleges
+// using it or a template that inherits it (in the background; the save has already succeeded)
+function refreshTemplateMetrics(templates, template, previous) {
+  if (JSON.stringify(template.metricMappings || null) === JSON.stringify(previous?.metricMappings || null)) return;
+  const affected = new Set([String(template.id)]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    templates.forEach(t => {
+      const parentId = templateInheritanceService.getParentId(t);
+      if (parentId && affected.has(parentId) && !affected.has(String(t.id)) && !t.metricMappings) {
+        affected.add(String(t.id));
+        grew = true;
+      }
+    });
+  }
+  getTemplateUsage()
+    .then(usage => {
+      const collegeIds = new Set();
+      affected.forEach(id => (usage.get(id) || []).forEach(college => collegeIds.add(college.id)));
+      if (collegeIds.size === 0) return null;
+      console.log(`📈 Metric mapping of template ${template.id} changed, rebuilding metrics for ${collegeIds.size} college(s)`);
+      return metricStoreService.backfill({ collegeIds: Array.from(collegeIds) });
+    })
+    .catch(error => console.error('Metric rebuild after mapping change failed:', error));
+}
+
 // Helper: aggressively write templates to every plausible persistent location
 async function writeTemplatesAllLocations(templates) {
   const fs = require('fs-extra');
@@ -4358,6 +5893,21 @@ app.post('/api/save-template', authService.requireAuth(), async (req, res) => {
       rowCount: rowCount,
       createdAt: req.body.createdAt || new Date().toISOString()
     };
+    if (Array.isArray(req.body.computedColumns)) {
+      templateData.computedColumns = req.body.computedColumns;
+    }
+    if (req.body.exportProfile !== undefined) {
+      templateData.exportProfile = req.body.exportProfile;
+    }
+    if (req.body.metricMappings !== undefined) {
+      templateData.metricMappings = req.body.metricMappings;
+    }
+    if (req.body.sourceFormatting !== undefined) {
+      if (!SourceFormattingService.isValid(req.body.sourceFormatting)) {
+        return res.status(400).json({ error: 'Invalid source formatting' });
+      }
+      templateData.sourceFormatting = req.body.sourceFormatting;
+    }
     
     console.log('🔄 Transformed template data:', {
       id: templateData.id,
@@ -4397,6 +5947,7 @@ app.post('/api/save-template', authService.requireAuth(), async (req, res) => {
     
     const existingTemplateIndex = templates.findIndex(t => String(t.id) === String(templateData.id));
     console.log('🔍 Existing template index found:', existingTemplateIndex);
+    const originalTemplateForVersion = existingTemplateIndex !== -1 ? templates[existingTemplateIndex] : null;
     
     if (existingTemplateIndex !== -1) {
       // This is an update of an existing template
@@ -4405,6 +5956,10 @@ app.post('/api/save-template', authService.requireAuth(), async (req, res) => {
       const updatedTemplate = {
         ...templateData,
         id: String(templateData.id),
+        computedColumns: templateData.computedColumns || originalTemplate.computedColumns,
+        exportProfile: templateData.exportProfile !== undefined ? templateData.exportProfile : originalTemplate.exportProfile,
+        metricMappings: templateData.metricMappings !== undefined ? templateData.metricMappings : originalTemplate.metricMappings,
+        sourceFormatting: templateData.sourceFormatting !== undefined ? templateData.sourceFormatting : originalTemplate.sourceFormatting,
         createdAt: originalTemplate.createdAt || templateData.createdAt, // Preserve original creation date
         updatedAt: new Date().toISOString(), // Add update timestamp
         validationChecksum: validationResult.checksum,
@@ -4434,6 +5989,37 @@ app.post('/api/save-template', authService.requireAuth(), async (req, res) => {
       templates.push(newTemplate);
     }
     
+    // Resolve against the base template when this template extends one
+    const inheritance = applyTemplateParent(
+      templates,
+      existingTemplateIndex !== -1 ? templates[existingTemplateIndex] : templates[templates.length - 1],
+      req.body,
+      originalTemplateForVersion
+    );
+    if (!inheritance.success) {
+      return res.status(400).json({ error: inheritance.message });
+    }
+    const formulaCheck = validateTemplateFormulas(inheritance.template);
+    if (!formulaCheck.valid) {
+      return res.status(400).json({ error: 'Invalid computed columns', details: formulaCheck.errors });
+    }
+    const profileCheck = workbookExportService.validateProfile(inheritance.template.exportProfile);
+    if (!profileCheck.valid) {
+      return res.status(400).json({ error: 'Invalid export profile: ' + profileCheck.errors.join('; ') });
+    }
+    const mappingCheck = metricMappingService.validate(inheritance.template.metricMappings, inheritance.template.headers);
+    if (!mappingCheck.valid) {
+      return res.status(400).json({ error: 'Invalid metric mappings', details: mappingCheck.errors });
+    }
+    
+    // Record a template version (the pre-edit state becomes v1 for templates without history)
+    await recordTemplateVersion(inheritance.template, {
+      previous: originalTemplateForVersion,
+      savedBy: req.user?.username || null,
+      reason: existingTemplateIndex !== -1 ? 'update' : 'create'
+    });
+    const propagatedTemplates = await propagateTemplateInheritance(templates, inheritance.template.id, req.user?.username || null);
+    
     // Priority 1: Save to database first (using existing Report model - safe)
     if (process.env.DATABASE_URL) {
       try {
@@ -4485,6 +6071,7 @@ app.post('/api/save-template', authService.requireAuth(), async (req, res) => {
     }
     
     console.log('✅ Template save completed successfully');
+    refreshTemplateMetrics(templates, inheritance.template, originalTemplateForVersion);
     
     // Return the appropriate template based on whether it was an update or new template
     let savedTemplate;
@@ -4498,7 +6085,8 @@ app.post('/api/save-template', authService.requireAuth(), async (req, res) => {
       success: true, 
       template: savedTemplate,
       validation: validationResult,
-      action: existingTemplateIndex !== -1 ? 'updated' : 'created'
+      action: existingTemplateIndex !== -1 ? 'updated' : 'created',
+      propagatedTo: propagatedTemplates.map(t => ({ id: t.id, name: t.name, version: t.version || null }))
     });
   } catch (error) {
     console.error('❌ Error saving template:', error);
@@ -4540,6 +6128,14 @@ app.delete('/api/templates/:id', authService.requireAuth(), async (req, res) =>
       return res.status(404).json({ error: 'Template not found' });
     }
     
+    const children = templates.filter(t => templateInheritanceService.getParentId(t) === String(templates[templateIndex].id));
+    if (children.length > 0) {
+      return res.status(409).json({
+        error: `Template is used as a base by ${children.length} template(s): ${children.map(t => t.name).join(', ')}`,
+        children: children.map(t => ({ id: t.id, name: t.name }))
+      });
+    }
+    
     const deletedTemplate = templates.splice(templateIndex, 1)[0];
     
     // Priority 1: Delete from database first (using existing Report model - safe)
@@ -4570,6 +6166,11 @@ app.delete('/api/templates/:id', authService.requireAuth(), async (req, res) =>
       console.warn('⚠️ Failed to sync templates to legacy storage after delete:', syncError.message);
     }
     
+    // The template's version history goes with it
+    await templateVersionService.deleteHistory(deletedTemplate.id).catch(error => {
+      console.warn('⚠️ Failed to delete template version history:', error.message);
+    });
+    
     // Snapshot after delete
     await snapshotTemplatesToBackups(volumeService, templates, 'delete');
     
@@ -4615,96 +6216,351 @@ app.put('/api/templates/:id', authService.requireAuth(), async (req, res) => {
       console.log('Template not found for update. Available IDs:', templates.map(t => ({ id: t.id, type: typeof t.id, name: t.name })));
       return res.status(404).json({ error: 'Template not found' });
     }
-    
-    // Validate the updated template data
-    const { name, description, headers, tableData, rowCount, columnCount } = req.body;
-    
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Template name is required' });
+    
+    // Validate the updated template data
+    const { name, description, headers, tableData, rowCount, columnCount } = req.body;
+    
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Template name is required' });
+    }
+    
+    if (!Array.isArray(headers) || headers.length === 0) {
+      return res.status(400).json({ error: 'Template headers are required' });
+    }
+    
+    if (!Array.isArray(tableData)) {
+      return res.status(400).json({ error: 'Template table data must be an array' });
+    }
+    
+    // Preserve the original template ID and creation date
+    const originalTemplate = templates[templateIndex];
+    const updatedTemplate = {
+      // Spread original template to preserve any extra metadata (e.g., headerFileMap, fileInfo, type, createdBy)
+      ...originalTemplate,
+      id: originalTemplate.id, // Keep original ID
+      name: name.trim(),
+      description: description || '',
+      headers: headers,
+      tableData: tableData,
+      columnCount: columnCount || headers.length,
+      rowCount: rowCount || tableData.length,
+      // If client provided updated metadata for file mapping/colouring, accept it; otherwise keep previous
+      headerFileMap: (req.body && typeof req.body.headerFileMap === 'object') ? req.body.headerFileMap : originalTemplate.headerFileMap,
+      fileInfo: (req.body && Array.isArray(req.body.fileInfo)) ? req.body.fileInfo : originalTemplate.fileInfo,
+      computedColumns: (req.body && Array.isArray(req.body.computedColumns)) ? req.body.computedColumns : originalTemplate.computedColumns,
+      exportProfile: (req.body && req.body.exportProfile !== undefined) ? req.body.exportProfile : originalTemplate.exportProfile,
+      metricMappings: (req.body && req.body.metricMappings !== undefined) ? req.body.metricMappings : originalTemplate.metricMappings,
+      sourceFormatting: (req.body && req.body.sourceFormatting !== undefined) ? req.body.sourceFormatting : originalTemplate.sourceFormatting,
+      createdAt: originalTemplate.createdAt, // Keep original creation date
+      updatedAt: new Date().toISOString(), // Add/update modification date
+      validationChecksum: 'updated-checksum',
+      validationTime: new Date().toISOString()
+    };
+    
+    const inheritance = applyTemplateParent(templates, updatedTemplate, req.body, originalTemplate);
+    if (!inheritance.success) {
+      return res.status(400).json({ error: inheritance.message });
+    }
+    const formulaCheck = validateTemplateFormulas(updatedTemplate);
+    if (!formulaCheck.valid) {
+      return res.status(400).json({ error: 'Invalid computed columns', details: formulaCheck.errors });
+    }
+    const profileCheck = workbookExportService.validateProfile(updatedTemplate.exportProfile);
+    if (!profileCheck.valid) {
+      return res.status(400).json({ error: 'Invalid export profile: ' + profileCheck.errors.join('; ') });
+    }
+    const mappingCheck = metricMappingService.validate(updatedTemplate.metricMappings, updatedTemplate.headers);
+    if (!mappingCheck.valid) {
+      return res.status(400).json({ error: 'Invalid metric mappings', details: mappingCheck.errors });
+    }
+    if (!SourceFormattingService.isValid(updatedTemplate.sourceFormatting)) {
+      return res.status(400).json({ error: 'Invalid source formatting' });
+    }
+
+    await recordTemplateVersion(updatedTemplate, {
+      previous: originalTemplate,
+      savedBy: req.user?.username || null,
+      reason: 'update'
+    });
+
+    // Replace the template at the found index
+    templates[templateIndex] = updatedTemplate;
+    const propagatedTemplates = await propagateTemplateInheritance(templates, updatedTemplate.id, req.user?.username || null);
+
+    console.log('💾 Writing updated templates to volume...');
+    await writeTemplatesAllLocations(templates);
+    console.log('✅ Templates file updated successfully');
+
+    if (process.env.DATABASE_URL) {
+      try {
+        console.log('🐘 Syncing updated template to database...');
+        await databaseUserManager.initialize();
+        await databaseUserManager.saveTemplate(updatedTemplate);
+        console.log('✅ Database template updated successfully');
+      } catch (dbError) {
+        console.warn('⚠️ Failed to update template in database:', dbError.message);
+      }
+    }
+
+    // Also sync to legacy data path for backward compatibility
+    try {
+      const fs = require('fs-extra');
+      const path = require('path');
+      const legacyPath = path.join('data', 'templates.json');
+      await fs.ensureDir(path.dirname(legacyPath));
+      await fs.writeJson(legacyPath, templates, { spaces: 2 });
+      console.log('✅ Templates synced to legacy storage after update');
+    } catch (syncError) {
+      console.warn('⚠️ Failed to sync templates to legacy storage after update:', syncError.message);
+    }
+    
+    // Snapshot after update
+    await snapshotTemplatesToBackups(volumeService, templates, 'update');
+    
+    // Create backup after successful update
+    try {
+      console.log('💾 Creating backup after template update...');
+      await railwayBackupService.createBackup(`Template update backup - ${updatedTemplate.name} - ${Date.now()}`);
+      console.log('✅ Backup created after template update');
+    } catch (backupError) {
+      console.error('⚠️ Failed to create backup after template update:', backupError);
+      // Don't fail the update if backup fails
+    }
+    
+    console.log('✅ Template update completed successfully');
+    refreshTemplateMetrics(templates, updatedTemplate, originalTemplate);
+    res.json({ 
+      success: true, 
+      message: 'Template updated successfully',
+      template: updatedTemplate,
+      propagatedTo: propagatedTemplates.map(t => ({ id: t.id, name: t.name, version: t.version || null }))
+    });
+  } catch (error) {
+    console.error('❌ Error updating template:', error);
+    console.error('❌ Error stack:', error.stack);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+// Capture a template's source formatting from an uploaded workbook (sheet = name or number,
+// headerRow = 1-based row, detected when omitted). Exports use it when exportProfile.style is 'source'.
+app.post('/api/templates/:id/source-formatting', authService.requireAuth(), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No workbook uploaded' });
+    }
+    if (!/\.xlsx$/i.test(req.file.originalname || '')) {
+      return res.status(400).json({ error: 'Formatting can only be read from .xlsx workbooks' });
+    }
+    let formatting;
+    try {
+      formatting = await sourceFormattingService.captureFromFile(req.file.path, {
+        sheet: req.body?.sheet,
+        headerRow: req.body?.headerRow,
+        source: req.file.originalname
+      });
+    } catch (error) {
+      return res.status(400).json({ error: 'Could not read workbook formatting: ' + error.message });
+    }
+    const result = await saveTemplateSourceFormatting(req.params.id, formatting, req.user?.username || null);
+    if (!result.success) return res.status(404).json({ error: result.message });
+    res.json({ success: true, sourceFormatting: formatting, columns: formatting.columns.length });
+  } catch (error) {
+    console.error('Capture source formatting error:', error);
+    res.status(500).json({ error: 'Failed to capture source formatting' });
+  } finally {
+    if (req.file) fs.remove(req.file.path).catch(() => {});
+  }
+});
+
+app.delete('/api/templates/:id/source-formatting', authService.requireAuth(), async (req, res) => {
+  try {
+    const result = await saveTemplateSourceFormatting(req.params.id, null, req.user?.username || null);
+    if (!result.success) return res.status(404).json({ error: result.message });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Clear source formatting error:', error);
+    res.status(500).json({ error: 'Failed to clear source formatting' });
+  }
+});
+
+// Metric mapping editor data: canonical metrics, the template's mapping (own or inherited), its
+// validation and column suggestions for metrics the mapping does not cover yet
+app.get('/api/templates/:id/metric-mappings', authService.requireAuth(), async (req, res) => {
+  try {
+    const templates = await volumeService.readFile('templates.json').catch(() => []);
+    const list = Array.isArray(templates) ? templates : [];
+    const template = list.find(t => String(t.id) === String(req.params.id)) || await findTemplateById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    const { mappings } = effectiveMetricMappings(template, list);
+    const headers = (template.headers || []).filter(h => h !== undefined && h !== null && String(h).trim() !== '');
+    res.json({
+      success: true,
+      metrics: MetricMappingService.METRICS,
+      headers,
+      mappings: mappings || {},
+      validation: describeMetricMapping(template, list),
+      suggestions: metricMappingService.suggest(template.headers || [])
+    });
+  } catch (error) {
+    console.error('Get metric mappings error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load metric mappings' });
+  }
+});
+
+// Save a template's metric mapping ({ mappings: { metric: 'Column' | null } }, or mappings: null to clear)
+app.put('/api/templates/:id/metric-mappings', authService.requireAuth(), async (req, res) => {
+  try {
+    const mappings = req.body ? req.body.mappings : undefined;
+    if (mappings === undefined) {
+      return res.status(400).json({ success: false, error: 'mappings is required' });
+    }
+    const result = await saveTemplateMetricMappings(req.params.id, mappings, req.user?.username || null);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, error: result.message, details: result.details });
+    }
+    const templates = await volumeService.readFile('templates.json').catch(() => []);
+    res.json({
+      success: true,
+      mappings: result.template.metricMappings || {},
+      validation: describeMetricMapping(result.template, Array.isArray(templates) ? templates : [])
+    });
+  } catch (error) {
+    console.error('Save metric mappings error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save metric mappings' });
+  }
+});
+
+// Template version history (newest first)
+app.get('/api/templates/:id/versions', authService.requireAuth(), async (req, res) => {
+  try {
+    const template = await findTemplateById(req.params.id);
+    const versions = await templateVersionService.getHistory(req.params.id);
+    if (!template && versions.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({
+      success: true,
+      templateId: req.params.id,
+      currentVersion: template?.version || (versions[0] ? versions[0].version : null),
+      versions
+    });
+  } catch (error) {
+    console.error('Template versions error:', error);
+    res.status(500).json({ error: 'Failed to load template versions' });
+  }
+});
+
+// A single stored template version, including its full snapshot
+app.get('/api/templates/:id/versions/:version', authService.requireAuth(), async (req, res) => {
+  try {
+    const entry = await templateVersionService.getVersion(req.params.id, req.params.version);
+    if (!entry) {
+      return res.status(404).json({ error: `Version ${req.params.version} not found` });
+    }
+    res.json({ success: true, templateId: req.params.id, ...entry });
+  } catch (error) {
+    console.error('Template version error:', error);
+    res.status(500).json({ error: 'Failed to load template version' });
+  }
+});
+
+// Diff two versions of a template; "to" defaults to the current template
+app.get('/api/templates/:id/diff', authService.requireAuth(), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from) {
+      return res.status(400).json({ error: 'Query parameter "from" is required' });
+    }
+    const current = (!to || to === 'current') ? await findTemplateById(req.params.id) : null;
+    const result = await templateVersionService.diffVersions(req.params.id, from, to || 'current', current);
+    if (!result.success) {
+      return res.status(404).json({ error: result.message });
     }
-    
-    if (!Array.isArray(headers) || headers.length === 0) {
-      return res.status(400).json({ error: 'Template headers are required' });
+    res.json({ success: true, templateId: req.params.id, from: parseInt(from, 10), to: to || 'current', diff: result.diff });
+  } catch (error) {
+    console.error('Template diff error:', error);
+    res.status(500).json({ error: 'Failed to diff template versions' });
+  }
+});
+
+// Roll a single template back to a stored version (recorded as a new version)
+app.post('/api/templates/:id/rollback', authService.requireAuth(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { version } = req.body || {};
+    if (version === undefined || version === null || isNaN(parseInt(version, 10))) {
+      return res.status(400).json({ error: 'Version number is required' });
     }
-    
-    if (!Array.isArray(tableData)) {
-      return res.status(400).json({ error: 'Template table data must be an array' });
+
+    const entry = await templateVersionService.getVersion(id, version);
+    if (!entry) {
+      return res.status(404).json({ error: `Version ${version} not found` });
     }
-    
-    // Preserve the original template ID and creation date
-    const originalTemplate = templates[templateIndex];
-    const updatedTemplate = {
-      // Spread original template to preserve any extra metadata (e.g., headerFileMap, fileInfo, type, createdBy)
-      ...originalTemplate,
-      id: originalTemplate.id, // Keep original ID
-      name: name.trim(),
-      description: description || '',
-      headers: headers,
-      tableData: tableData,
-      columnCount: columnCount || headers.length,
-      rowCount: rowCount || tableData.length,
-      // If client provided updated metadata for file mapping/colouring, accept it; otherwise keep previous
-      headerFileMap: (req.body && typeof req.body.headerFileMap === 'object') ? req.body.headerFileMap : originalTemplate.headerFileMap,
-      fileInfo: (req.body && Array.isArray(req.body.fileInfo)) ? req.body.fileInfo : originalTemplate.fileInfo,
-      createdAt: originalTemplate.createdAt, // Keep original creation date
-      updatedAt: new Date().toISOString(), // Add/update modification date
-      validationChecksum: 'updated-checksum',
+
+    let templates = [];
+    try {
+      templates = await volumeService.readFile('templates.json');
+    } catch (e) {
+      templates = [];
+    }
+    if (!Array.isArray(templates)) templates = [];
+
+    const templateIndex = templates.findIndex(t => String(t.id) === String(id));
+    const currentTemplate = templateIndex !== -1 ? templates[templateIndex] : await findTemplateById(id);
+    const restoredTemplate = {
+      ...JSON.parse(JSON.stringify(entry.snapshot)),
+      id: currentTemplate ? currentTemplate.id : String(id),
+      createdAt: currentTemplate?.createdAt || entry.savedAt,
+      updatedAt: new Date().toISOString(),
+      validationChecksum: 'rollback-checksum',
       validationTime: new Date().toISOString()
     };
-    
-    // Replace the template at the found index
-    templates[templateIndex] = updatedTemplate;
 
-    console.log('💾 Writing updated templates to volume...');
+    // A rolled back child keeps its old overrides but picks up the current base
+    if (templateInheritanceService.getParentId(restoredTemplate)) {
+      const inheritance = applyTemplateParent(templates, restoredTemplate, { overrides: restoredTemplate.overrides || {} });
+      if (!inheritance.success) {
+        return res.status(400).json({ error: inheritance.message });
+      }
+    }
+
+    await recordTemplateVersion(restoredTemplate, {
+      previous: currentTemplate,
+      savedBy: req.user?.username || null,
+      reason: `rollback to v${entry.version}`
+    });
+
+    if (templateIndex !== -1) {
+      templates[templateIndex] = restoredTemplate;
+    } else {
+      templates.push(restoredTemplate);
+    }
+    await propagateTemplateInheritance(templates, restoredTemplate.id, req.user?.username || null);
     await writeTemplatesAllLocations(templates);
-    console.log('✅ Templates file updated successfully');
 
     if (process.env.DATABASE_URL) {
       try {
-        console.log('🐘 Syncing updated template to database...');
         await databaseUserManager.initialize();
-        await databaseUserManager.saveTemplate(updatedTemplate);
-        console.log('✅ Database template updated successfully');
+        await databaseUserManager.saveTemplate(restoredTemplate);
       } catch (dbError) {
-        console.warn('⚠️ Failed to update template in database:', dbError.message);
+        console.warn('⚠️ Failed to save rolled back template to database:', dbError.message);
       }
     }
 
-    // Also sync to legacy data path for backward compatibility
-    try {
-      const fs = require('fs-extra');
-      const path = require('path');
-      const legacyPath = path.join('data', 'templates.json');
-      await fs.ensureDir(path.dirname(legacyPath));
-      await fs.writeJson(legacyPath, templates, { spaces: 2 });
-      console.log('✅ Templates synced to legacy storage after update');
-    } catch (syncError) {
-      console.warn('⚠️ Failed to sync templates to legacy storage after update:', syncError.message);
-    }
-    
-    // Snapshot after update
-    await snapshotTemplatesToBackups(volumeService, templates, 'update');
-    
-    // Create backup after successful update
-    try {
-      console.log('💾 Creating backup after template update...');
-      await railwayBackupService.createBackup(`Template update backup - ${updatedTemplate.name} - ${Date.now()}`);
-      console.log('✅ Backup created after template update');
-    } catch (backupError) {
-      console.error('⚠️ Failed to create backup after template update:', backupError);
-      // Don't fail the update if backup fails
-    }
-    
-    console.log('✅ Template update completed successfully');
-    res.json({ 
-      success: true, 
-      message: 'Template updated successfully',
-      template: updatedTemplate
+    await snapshotTemplatesToBackups(volumeService, templates, 'rollback');
+
+    console.log(`⏪ Template ${id} rolled back to version ${entry.version} (now version ${restoredTemplate.version})`);
+    res.json({
+      success: true,
+      message: `Template rolled back to version ${entry.version}`,
+      template: restoredTemplate
     });
   } catch (error) {
-    console.error('❌ Error updating template:', error);
-    console.error('❌ Error stack:', error.stack);
-    res.status(500).json({ error: 'Failed to update template' });
+    console.error('Template rollback error:', error);
+    res.status(500).json({ error: 'Failed to roll back template' });
   }
 });
 
@@ -4753,7 +6609,7 @@ app.post('/api/templates/restore', authService.requireAuth(), async (req, res) =
 // Export Excel from editor payload, preserving basic formatting
 app.post('/api/export-excel', authService.requireAuth(), async (req, res) => {
   try {
-    const { headers = [], rows = [], name = 'Report', createdAt, meta = {} } = req.body || {};
+    const { headers = [], rows = [], name = 'Report', createdAt, meta = {}, collegeId = null, summary = null, style = null } = req.body || {};
 
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet('Report Data');
@@ -4768,62 +6624,8 @@ app.post('/api/export-excel', authService.requireAuth(), async (req, res) => {
     // Header row styling (+ column colour mapping similar to UI)
     const headerRowIndex = 4;
     const dataStartRow = headerRowIndex + 1;
-    const uiArgbBySection = {
-      placements: 'FFDBEAFE',            // bg-blue-100
-      assessments: 'FFBBF7D0',           // bg-green-200
-      careers: 'FFFED7AA',               // bg-yellow/orange-100
-      activities: 'FFFEF3C7',            // bg-yellow-100 (legacy activities)
-      enrichment: 'FFCCFBF1',            // bg-teal-100
-      employment: 'FFF3E8FF',            // bg-purple-100
-      'activities-combined': 'FFECFCCB', // bg-lime-100
-      targets: 'FFFCE7F3',               // bg-pink-100
-      login: 'FFE0E7FF',                 // bg-indigo-100
-      department: 'FFFEF3C7',            // same as activities/yellow
-      default: 'FFF3F4F6'                // light grey
-    };
-    // Map Tailwind bg-* classes to ARGB for Excel
-    const classToArgb = {
-      'bg-blue-100': 'FFDBEAFE', 'bg-blue-200': 'FFBFDBFE',
-      'bg-purple-100': 'FFF3E8FF', 'bg-yellow-100': 'FFFEF3C7',
-      'bg-green-100': 'FFDCFCE7', 'bg-green-200': 'FFBBF7D0',
-      'bg-pink-100': 'FFFCE7F3', 'bg-indigo-100': 'FFE0E7FF',
-      'bg-gray-100': 'FFF3F4F6', 'bg-amber-100': 'FFFEF3C7',
-      'bg-teal-100': 'FFCCFBF1', 'bg-cyan-100': 'FFE0F7FA',
-      'bg-orange-100': 'FFFED7AA', 'bg-red-100': 'FFFEE2E2',
-      'bg-lime-100': 'FFECFCCB'
-    };
-    const toArgb = (hex) => {
-      if (!hex || typeof hex !== 'string') return null;
-      const clean = hex.replace('#', '').toUpperCase();
-      const rgb = clean.length === 8 ? clean.slice(2) : clean;
-      if (!/^[0-9A-F]{6}$/.test(rgb)) return null;
-      return `FF${rgb}`;
-    };
     const headerHexColors = (meta && meta.headerHexColors) ? meta.headerHexColors : {};
     const headerColorClasses = (meta && meta.headerColorClasses) ? meta.headerColorClasses : {};
-    function sectionFromHeader(h) {
-      const s = String(h || '').toLowerCase();
-      // 1) Prioritise explicit suffixes added in UI
-      if (/(activities\s*combined\s*kc|activities-combined)/i.test(s)) return 'activities-combined';
-      if (/\(enrichment\)|\(enrichment activity\)/i.test(s)) return 'enrichment';
-      if (/\(employer\s*(engagement|activity)\)/i.test(s)) return 'employment';
-      if (/\(placements\)/i.test(s)) return 'placements';
-      if (/\(careers\)/i.test(s)) return 'careers';
-      if (/\(assessments\)/i.test(s)) return 'assessments';
-      if (/\(targets\)/i.test(s)) return 'targets';
-      if (/\(login\)/i.test(s)) return 'login';
-      // 2) Heuristics (no suffix)
-      if (s.includes('placements') || s.includes('placed') || s.includes('scheduled to date')) return 'placements';
-      if (s.includes('enrichment')) return 'enrichment';
-      if (s.includes('employment') || (s.includes('employer') && !s.includes('enrichment'))) return 'employment';
-      if (s.includes('activities combined')) return 'activities-combined';
-      if (s.includes('careers')) return 'careers';
-      if (s.includes('assessments')) return 'assessments';
-      if (s.includes('targets')) return 'targets';
-      if (s.includes('login')) return 'login';
-      if (s.includes('department')) return 'department';
-      return 'default';
-    }
     const columnArgb = [];
     if (headers.length) {
       const headerRow = worksheet.getRow(headerRowIndex);
@@ -4835,15 +6637,14 @@ app.post('/api/export-excel', authService.requireAuth(), async (req, res) => {
         let argb = null;
         const savedHex = headerHexColors && headerHexColors[h] ? headerHexColors[h] : null;
         if (savedHex) {
-          argb = toArgb(savedHex);
+          argb = sectionRules.toArgb(savedHex);
         }
         if (!argb) {
           const cls = headerColorClasses && headerColorClasses[h] ? headerColorClasses[h] : null;
-          if (cls && classToArgb[cls]) argb = classToArgb[cls];
+          if (cls) argb = sectionRules.argbOfClass(cls);
         }
         if (!argb) {
-          const sec = sectionFromHeader(h);
-          argb = uiArgbBySection[sec] || uiArgbBySection.default;
+          argb = getExportColumnSection(h).color;
         }
         columnArgb[idx] = argb;
         cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb } };
@@ -4917,12 +6718,40 @@ app.post('/api/export-excel', authService.requireAuth(), async (req, res) => {
       }
     }
 
+    // Summary and Trend sheets from the template's export profile; changes need the college's baseline
+    const templateKey = meta && meta.templateKey ? String(meta.templateKey) : null;
+    let previousData = null;
+    let collegeName = null;
+    if (collegeId) {
+      const prevEntry = templateKey ? await getPreviousReportData(parseInt(collegeId), templateKey) : null;
+      previousData = prevEntry && prevEntry.data ? prevEntry.data : prevEntry;
+      const colleges = await (await getInitializedUserManager()).getColleges();
+      collegeName = colleges.find(c => String(c.id) === String(collegeId))?.name || null;
+    }
+    const exportTemplate = await getExportTemplate(templateKey);
+    const exportProfile = workbookExportService.resolveProfile(exportTemplate);
+    applySourceFormatting(worksheet, exportTemplate, exportProfile, style, {
+      headers,
+      headerRow: headerRowIndex,
+      firstDataRow: dataStartRow,
+      lastDataRow: lastRow
+    });
+    const charts = await workbookExportService.addProfileSheets(workbook, worksheet, {
+      profile: exportProfile,
+      report: { name, createdAt, summary },
+      collegeName,
+      collegeId,
+      data: { headers, rows },
+      previousData,
+      aliases: collegeId ? await reportComparisonService.getDepartmentAliases(collegeId) : {}
+    });
+
     const filename = `${name.replace(/[^a-zA-Z0-9_-]/g, '_')}.xlsx`;
-    const buffer = await workbook.xlsx.writeBuffer();
+    const buffer = workbookExportService.addCharts(await workbook.xlsx.writeBuffer(), charts);
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Length', Buffer.byteLength(buffer));
-    res.status(200).send(Buffer.from(buffer));
+    res.setHeader('Content-Length', buffer.length);
+    res.status(200).send(buffer);
   } catch (e) {
     console.error('Export Excel error:', e);
     res.status(500).json({ error: 'Failed to export Excel' });
@@ -5016,44 +6845,36 @@ function calculateChanges(currentData, previousReportPath) {
 
 async function getCollegeReports(collegeId) {
   try {
-    // First try to load from database if available
-    if (process.env.DATABASE_URL) {
-      try {
-        console.log(`📊 Loading reports for college ${collegeId} from database...`);
-        await databaseUserManager.initialize();
-        const dbReports = await databaseUserManager.getReports(parseInt(collegeId));
-        if (dbReports && dbReports.length > 0) {
-          console.log(`✅ Found ${dbReports.length} reports for college ${collegeId} in database`);
-          return dbReports;
-        }
-      } catch (dbError) {
-        console.log(`⚠️ Failed to load reports from database, trying file system: ${dbError.message}`);
-      }
-    }
-
-    // Fallback to file system
-    console.log(`📊 Loading reports for college ${collegeId} from volume...`);
-    
-    const reportsPath = `reports/${collegeId}.json`;
-    console.log(`📁 Checking reports file: ${reportsPath}`);
-    
-    if (await volumeService.fileExists(reportsPath)) {
-      const reports = await volumeService.readFile(reportsPath);
-      console.log(`✅ Found ${reports.length} reports for college ${collegeId} in volume`);
-      return reports;
-    } else {
-      console.log(`📝 No reports file found for college ${collegeId} in volume`);
-      return [];
-    }
+    const reports = await reportRepository.list(parseInt(collegeId));
+    console.log(`📊 Loaded ${reports.length} reports for college ${collegeId} (${reportRepository.primary.name} store)`);
+    return reports.map(report => withReportPeriod(collegeId, report));
   } catch (error) {
     console.error('❌ Get college reports error:', error);
     return [];
   }
 }
 
-async function saveCollegeReport(collegeId, reportData, reportName, summary, templateKey, templateName) {
+// Reports are labelled with their place in the college's academic calendar when read (not stored,
+// so a calendar change relabels every report)
+function withReportPeriod(collegeId, report) {
+  if (!report || !report.createdAt) return report;
+  return { ...report, period: academicCalendarService.describe(report.createdAt, parseInt(collegeId)) };
+}
+
+// opts.status 'draft' saves the report for review only: the previous-report baseline,
+// analytics and the college's lastReportDate are left untouched until it is finalised
+async function saveCollegeReport(collegeId, reportData, reportName, summary, templateKey, templateName, opts = {}) {
   try {
-    console.log(`💾 Saving report for college ${collegeId} to volume...`);
+    const isDraft = opts.status === 'draft';
+    const template = templateKey && !String(templateKey).startsWith('hdr_')
+      ? await findTemplateById(templateKey).catch(() => null)
+      : null;
+    // Evaluate template computed columns (an edited report carries its formulas in meta)
+    const computedColumns = (reportData && reportData.meta && Array.isArray(reportData.meta.computedColumns))
+      ? reportData.meta.computedColumns
+      : (template && Array.isArray(template.computedColumns) ? template.computedColumns : null);
+    reportData = applyComputedColumns(reportData, computedColumns);
+    console.log(`💾 Saving report for college ${collegeId}...`);
     console.log(`📄 Report name: ${reportName}`);
     console.log(`📊 Report data structure:`, reportData);
     
@@ -5078,65 +6899,41 @@ async function saveCollegeReport(collegeId, reportData, reportName, summary, tem
     };
     console.log('✅ Report validation bypassed for memory optimization');
     
-    const reportsPath = `reports/${collegeId}.json`;
-    console.log(`📁 Reports file path in volume: ${reportsPath}`);
-    
-    let reports = [];
-    try {
-      reports = await volumeService.readFile(reportsPath);
-      console.log(`📖 Read ${reports.length} existing reports from volume`);
-    } catch (e) {
-      console.log('📝 No existing reports file in volume, starting fresh');
-      reports = [];
-    }
-    
-    const report = {
+    let report = {
       ...transformedReportData,
       summary: summary || 'No summary provided',
-      createdBy: 'system',
+      createdBy: opts.createdBy || 'system',
       validationChecksum: validationResult.checksum,
       validationTime: validationResult.validationTime
     };
+    if (opts.status) report.status = opts.status;
+    if (opts.source) report.source = opts.source;
     // Attach template metadata (file JSON top-level + embedded in data for DB)
     if (templateKey) report.templateKey = String(templateKey);
     if (templateName) report.templateName = String(templateName);
     report.data = report.data || {};
     const incomingMeta = (reportData && reportData.meta) ? reportData.meta : {};
+    // Record which template version produced this report (templates without history are v1)
+    let templateVersion = incomingMeta.templateVersion || null;
+    if (!templateVersion && template) {
+      try {
+        templateVersion = template.version || await templateVersionService.getLatestVersion(template.id) || 1;
+      } catch (versionError) {
+        console.warn('⚠️ Could not resolve template version for report:', versionError.message);
+      }
+    }
+    if (templateVersion) report.templateVersion = templateVersion;
     report.data.meta = Object.assign({}, report.data.meta, incomingMeta, {
       templateKey: templateKey || report.data?.meta?.templateKey || null,
-      templateName: templateName || report.data?.meta?.templateName || null
+      templateName: templateName || report.data?.meta?.templateName || null,
+      templateVersion: templateVersion || null
     });
     
     console.log(`📋 Adding new report with ID: ${report.id}`);
-    reports.push(report);
-    
-    console.log(`💾 Writing ${reports.length} reports to volume...`);
-    await volumeService.writeFile(reportsPath, reports);
-    console.log('✅ Reports file written to volume successfully');
-    
-    // Also save to database if available for permanent storage
-    if (process.env.DATABASE_URL) {
-      try {
-        console.log('💾 Saving report to database for permanent storage...');
-        await databaseUserManager.initialize();
-        const dbReportData = {
-          name: report.name,
-          collegeId: parseInt(collegeId),
-          data: report.data, // contains meta.templateKey/templateName
-          summary: report.summary,
-          createdBy: report.createdBy,
-          validationChecksum: report.validationChecksum,
-          validationTime: report.validationTime,
-          status: 'completed'
-        };
-        
-        const dbReport = await databaseUserManager.createReport(dbReportData);
-        console.log(`✅ Report saved to database with ID: ${dbReport.id}`);
-      } catch (dbError) {
-        console.error('⚠️ Failed to save report to database (file system backup available):', dbError.message);
-        // Don't fail the entire operation if database save fails, file system backup exists
-      }
-    }
+    report = await reportRepository.create(collegeId, report);
+    console.log(`✅ Report saved to ${reportRepository.backends.map(b => b.name).join(' + ')} store`);
+    await recordReportRevision(collegeId, report, { savedBy: report.createdBy, reason: opts.source || 'create' });
+    emitReportEvent('report.created', collegeId, report, { createdBy: report.createdBy, source: opts.source || null });
     
     // Create backup after successful save
     try {
@@ -5147,6 +6944,11 @@ async function saveCollegeReport(collegeId, reportData, reportName, summary, tem
       // Don't fail the save if backup fails
     }
     
+    if (isDraft) {
+      console.log(`📝 Draft report ${report.id} saved for college ${collegeId}; baseline, analytics and lastReportDate unchanged`);
+      return { success: true, report, validation: validationResult };
+    }
+    
     // Store as previous report for comparison (template-scoped)
     const tk = templateKey || report.templateKey || null;
     await storeCurrentReportAsPrevious(collegeId, reportData, tk);
@@ -5197,8 +6999,7 @@ async function saveCollegeReport(collegeId, reportData, reportName, summary, tem
 
 async function getCollegeReport(collegeId, reportId) {
   try {
-    const reports = await getCollegeReports(collegeId);
-    return reports.find(report => report.id === reportId);
+    return withReportPeriod(collegeId, await reportRepository.get(parseInt(collegeId), reportId));
   } catch (error) {
     console.error('Get college report error:', error);
     return null;
@@ -5207,27 +7008,12 @@ async function getCollegeReport(collegeId, reportId) {
 
 async function deleteCollegeReport(collegeId, reportId) {
   try {
-    // 1) Delete from database if available
-    if (process.env.DATABASE_URL) {
-      try {
-        await databaseUserManager.initialize();
-        const dbReports = await databaseUserManager.getReports(parseInt(collegeId));
-        const target = dbReports.find(r => String(r.id) === String(reportId));
-        if (target) {
-          await (require('./src/services/DatabaseUserManager')).models.Report.destroy({ where: { id: target.id } });
-        }
-      } catch (e) {
-        console.log('DB delete failed or not applicable, will still remove from volume:', e.message);
-      }
-    }
+    const removed = await reportRepository.delete(parseInt(collegeId), reportId);
+    if (!removed) console.log(`📝 Report ${reportId} not found in ${reportRepository.primary.name} store for college ${collegeId}`);
+    await reportRevisionService.deleteHistory(collegeId, reportId).catch(() => {});
+    await metricStoreService.removeReport(collegeId, reportId).catch(() => {});
 
-    // 2) Delete from volume JSON
-    const reportsPath = `reports/${collegeId}.json`;
-    const reports = await volumeService.readFile(reportsPath).catch(() => []);
-    const filteredReports = reports.filter(report => String(report.id) !== String(reportId));
-    await volumeService.writeFile(reportsPath, filteredReports);
-
-    // 3) Also prune previous-reports cache
+    // Also prune previous-reports cache
     try {
       const previousReportsPath = 'previous-reports.json';
       const prevMap = await volumeService.readFile(previousReportsPath).catch(() => ({}));
@@ -5244,51 +7030,98 @@ async function deleteCollegeReport(collegeId, reportId) {
   }
 }
 
+// Record an immutable revision of a saved report (never fails the save)
+async function recordReportRevision(collegeId, report, options = {}) {
+  try {
+    const result = await reportRevisionService.recordRevision(collegeId, report, options);
+    if (result.recorded) {
+      console.log(`🗂️ Report ${report.id} saved as revision ${result.revision}`);
+    }
+    return result;
+  } catch (e) {
+    console.warn('⚠️ Failed to record report revision:', e.message);
+    return null;
+  }
+}
+
+// Helper: report.created / report.updated webhook event (sent in the background)
+function emitReportEvent(event, collegeId, report, details = {}) {
+  (async () => {
+    const colleges = await (await getInitializedUserManager()).getColleges().catch(() => []);
+    const college = colleges.find(c => String(c.id) === String(collegeId));
+    await webhookService.emit(event, {
+      collegeId: parseInt(collegeId),
+      collegeName: college ? college.name : null,
+      reportId: report.id,
+      reportName: report.name || null,
+      status: report.status || 'final',
+      templateKey: report.templateKey || report.data?.meta?.templateKey || null,
+      rows: Array.isArray(report.data?.rows) ? report.data.rows.length : 0,
+      url: `${process.env.BASE_URL}/college-dashboard.html?tab=reports&id=${encodeURIComponent(collegeId)}`,
+      ...details
+    });
+  })().catch(() => {});
+}
+
+// If a report is the most recent one for its template, make it the +/- comparison baseline
+async function refreshPreviousIfLatest(collegeId, report) {
+  const tk = report?.templateKey || report?.data?.meta?.templateKey || null;
+  if (!tk) return;
+  try {
+    const reports = await reportRepository.list(parseInt(collegeId));
+    const latestForTk = reports
+      .filter(r => (r.templateKey || r.data?.meta?.templateKey) && String(r.templateKey || r.data?.meta?.templateKey) === String(tk))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    if (latestForTk && String(latestForTk.id) === String(report.id)) {
+      await storeCurrentReportAsPrevious(collegeId, report.data, tk);
+    }
+  } catch (_) {}
+}
+
 // Update an existing report without changing its createdAt (preserve timestamp)
 app.put('/api/colleges/:collegeId/reports/:reportId', authService.requireAuth(), async (req, res) => {
   try {
     const { collegeId, reportId } = req.params;
     const { reportData, reportName, summary, templateKey, templateName } = req.body || {};
 
-    const reportsPath = `reports/${collegeId}.json`;
-    let reports = await volumeService.readFile(reportsPath).catch(() => []);
-    const idx = reports.findIndex(r => String(r.id) === String(reportId));
-    if (idx === -1) return res.status(404).json({ success: false, error: 'Report not found' });
+    const existing = await reportRepository.get(parseInt(collegeId), reportId);
+    if (!existing) return res.status(404).json({ success: false, error: 'Report not found' });
 
-    const existing = reports[idx];
     const updated = { ...existing };
     // Update content while preserving original createdAt
     if (reportData && reportData.headers && reportData.rows) {
+      // Recompute formula columns from the edited values
+      const computed = applyComputedColumns(reportData, reportData.meta?.computedColumns || existing.data?.meta?.computedColumns);
       updated.data = {
         ...(updated.data || {}),
-        headers: reportData.headers,
-        rows: reportData.rows,
-        meta: Object.assign({}, updated.data?.meta, reportData.meta || {})
+        headers: computed.headers,
+        rows: computed.rows,
+        meta: Object.assign({}, updated.data?.meta, computed.meta || {})
       };
     }
     if (reportName) updated.name = reportName;
     if (summary !== undefined) updated.summary = summary;
     if (templateKey) updated.templateKey = String(templateKey);
     if (templateName) updated.templateName = String(templateName);
-    updated.updatedAt = new Date().toISOString();
-
-    reports[idx] = updated;
-    await volumeService.writeFile(reportsPath, reports);
-
-    // If this is the most recent report for its template, refresh the previous-reports cache
-    const tk = updated.templateKey || updated.data?.meta?.templateKey || templateKey || null;
-    if (tk) {
-      try {
-        const latestForTk = reports
-          .filter(r => (r.templateKey || r.data?.meta?.templateKey) && String(r.templateKey || r.data?.meta?.templateKey) === String(tk))
-          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
-        if (latestForTk && String(latestForTk.id) === String(updated.id)) {
-          await storeCurrentReportAsPrevious(collegeId, updated.data, tk);
-        }
-      } catch (_) {}
+    if (templateKey || templateName) {
+      updated.data = Object.assign({}, updated.data);
+      updated.data.meta = Object.assign({}, updated.data.meta, {
+        templateKey: updated.templateKey || null,
+        templateName: updated.templateName || null
+      });
     }
 
-    return res.json({ success: true, report: updated });
+    const saved = await reportRepository.update(parseInt(collegeId), reportId, updated);
+    const revision = await recordReportRevision(collegeId, saved, {
+      previous: existing,
+      savedBy: req.user?.username || null,
+      reason: 'edit'
+    });
+    emitReportEvent('report.updated', collegeId, saved, { updatedBy: req.user?.username || null, reason: 'edit' });
+    await analyticsService.processNewReport(String(collegeId), saved);
+    await refreshPreviousIfLatest(collegeId, saved);
+
+    return res.json({ success: true, report: saved, revision: revision ? revision.revision : null });
   } catch (e) {
     console.error('Update college report error:', e);
     return res.status(500).json({ success: false, error: 'Failed to update report' });
@@ -5299,9 +7132,7 @@ app.put('/api/colleges/:collegeId/reports/:reportId', authService.requireAuth(),
 app.post('/api/colleges/:collegeId/reports/:reportId/use-as-previous', authService.requireAuth(), async (req, res) => {
   try {
     const { collegeId, reportId } = req.params;
-    const reportsPath = `reports/${collegeId}.json`;
-    const reports = await volumeService.readFile(reportsPath).catch(() => []);
-    const report = reports.find(r => String(r.id) === String(reportId));
+    const report = await reportRepository.get(parseInt(collegeId), reportId);
     if (!report) return res.status(404).json({ success: false, error: 'Report not found' });
     const tk = report.templateKey || report.data?.meta?.templateKey || null;
     if (!tk) return res.status(400).json({ success: false, error: 'Report has no template identity to mark as baseline' });
@@ -5313,6 +7144,86 @@ app.post('/api/colleges/:collegeId/reports/:reportId/use-as-previous', authServi
   }
 });
 
+// Revision history of a report (newest first)
+app.get('/api/colleges/:collegeId/reports/:reportId/revisions', authService.requireAuth(), async (req, res) => {
+  try {
+    const { collegeId, reportId } = req.params;
+    const report = await reportRepository.get(parseInt(collegeId), reportId);
+    if (!report) return res.status(404).json({ success: false, error: 'Report not found' });
+    const revisions = await reportRevisionService.getHistory(collegeId, reportId);
+    res.json({ success: true, reportId: report.id, reportName: report.name, revisions });
+  } catch (error) {
+    console.error('Get report revisions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load report revisions' });
+  }
+});
+
+// Cell-level diff between two revisions (to defaults to the current report)
+app.get('/api/colleges/:collegeId/reports/:reportId/revisions/diff', authService.requireAuth(), async (req, res) => {
+  try {
+    const { collegeId, reportId } = req.params;
+    const { from, to } = req.query;
+    if (!from) return res.status(400).json({ success: false, error: 'from revision is required' });
+    const current = await reportRepository.get(parseInt(collegeId), reportId);
+    const result = await reportRevisionService.diffRevisions(collegeId, reportId, from, to, current);
+    if (!result.success) return res.status(404).json({ success: false, error: result.message });
+    res.json({ success: true, from: parseInt(from, 10), to: to || 'current', diff: result.diff });
+  } catch (error) {
+    console.error('Diff report revisions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to diff report revisions' });
+  }
+});
+
+// A single revision including its snapshot
+app.get('/api/colleges/:collegeId/reports/:reportId/revisions/:revision', authService.requireAuth(), async (req, res) => {
+  try {
+    const { collegeId, reportId, revision } = req.params;
+    const entry = await reportRevisionService.getRevision(collegeId, reportId, revision);
+    if (!entry) return res.status(404).json({ success: false, error: `Revision ${revision} not found` });
+    res.json({ success: true, revision: entry });
+  } catch (error) {
+    console.error('Get report revision error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load report revision' });
+  }
+});
+
+// Restore a report to a prior revision; the restore is recorded as a new revision
+app.post('/api/colleges/:collegeId/reports/:reportId/revisions/:revision/restore', authService.requireAuth(), async (req, res) => {
+  try {
+    const { collegeId, reportId, revision } = req.params;
+    const entry = await reportRevisionService.getRevision(collegeId, reportId, revision);
+    if (!entry) return res.status(404).json({ success: false, error: `Revision ${revision} not found` });
+    const existing = await reportRepository.get(parseInt(collegeId), reportId);
+    if (!existing) return res.status(404).json({ success: false, error: 'Report not found' });
+
+    const snapshot = JSON.parse(JSON.stringify(entry.snapshot));
+    const restored = {
+      ...existing,
+      name: snapshot.name || existing.name,
+      summary: snapshot.summary === null ? existing.summary : snapshot.summary,
+      data: snapshot.data || existing.data
+    };
+    if (snapshot.templateKey) restored.templateKey = snapshot.templateKey;
+    if (snapshot.templateName) restored.templateName = snapshot.templateName;
+
+    const saved = await reportRepository.update(parseInt(collegeId), reportId, restored);
+    const result = await recordReportRevision(collegeId, saved, {
+      previous: existing,
+      savedBy: req.user?.username || null,
+      reason: `restore to revision ${entry.revision}`,
+      force: true
+    });
+    emitReportEvent('report.updated', collegeId, saved, { updatedBy: req.user?.username || null, reason: `restore to revision ${entry.revision}` });
+    await analyticsService.processNewReport(String(collegeId), saved);
+    await refreshPreviousIfLatest(collegeId, saved);
+
+    res.json({ success: true, report: saved, restoredFrom: entry.revision, revision: result ? result.revision : null });
+  } catch (error) {
+    console.error('Restore report revision error:', error);
+    res.status(500).json({ success: false, error: 'Failed to restore report revision' });
+  }
+});
+
 // KPI API Endpoints
 app.get('/api/colleges/:collegeId/kpis', authService.requireAuth(), async (req, res) => {
   try {
@@ -5344,16 +7255,18 @@ app.post('/api/colleges/:collegeId/kpis', authService.requireAuth(), async (req,
       });
     }
     
+    const previous = await userManager.getKPIs(collegeId);
     const result = await userManager.saveKPIs(collegeId, kpis);
     
     if (result.success) {
+      emitKpiStatusChanges(collegeId, previous, result.kpis, req.user?.username || null);
       res.json({
         success: true,
         message: 'KPIs saved successfully',
         kpis: result.kpis
       });
     } else {
-      res.status(500).json({
+      res.status(result.status || 500).json({
         success: false,
         error: result.message
       });
@@ -5372,16 +7285,18 @@ app.put('/api/kpis/:kpiId', authService.requireAuth(), async (req, res) => {
     const { kpiId } = req.params;
     const updates = req.body;
     
+    const previous = await userManager.getKPIById(kpiId);
     const result = await userManager.updateKPI(kpiId, updates);
     
     if (result.success) {
+      if (previous) emitKpiStatusChanges(result.kpi.collegeId, [previous], [result.kpi], req.user?.username || null);
       res.json({
         success: true,
         message: 'KPI updated successfully',
         kpi: result.kpi
       });
     } else {
-      res.status(404).json({
+      res.status(result.status || 404).json({
         success: false,
         error: result.message
       });
@@ -5421,6 +7336,31 @@ app.delete('/api/kpis/:kpiId', authService.requireAuth(), async (req, res) => {
   }
 });
 
+// Helper: kpi.status_changed for each KPI (matched by id, then name) whose status changed
+function emitKpiStatusChanges(collegeId, before, after, changedBy) {
+  const changes = (after || []).map(kpi => {
+    const old = (before || []).find(k => String(k.id) === String(kpi.id)) ||
+      (before || []).find(k => k.name && k.name === kpi.name);
+    return old && (old.status || null) !== (kpi.status || null) ? { kpi, from: old.status || null } : null;
+  }).filter(Boolean);
+  if (changes.length === 0) return;
+  (async () => {
+    const colleges = await (await getInitializedUserManager()).getColleges().catch(() => []);
+    const college = colleges.find(c => String(c.id) === String(collegeId));
+    for (const { kpi, from } of changes) {
+      await webhookService.emit('kpi.status_changed', {
+        collegeId: parseInt(collegeId),
+        collegeName: college ? college.name : null,
+        kpiId: kpi.id,
+        name: kpi.name,
+        from,
+        to: kpi.status || null,
+        changedBy
+      });
+    }
+  })().catch(() => {});
+}
+
 // AI KPI Generation Endpoint
 app.post('/api/colleges/:collegeId/generate-kpis', authService.requireAuth(), async (req, res) => {
   try {
@@ -5442,7 +7382,6 @@ app.post('/api/colleges/:collegeId/generate-kpis', authService.requireAuth(), as
     }
     
     // Load performance data
-    const enhancedAnalyticsService = new (require('./src/services/EnhancedAnalyticsService'))();
     const performanceData = await enhancedAnalyticsService.loadPerformanceData(collegeId);
     
     if (!performanceData) {
@@ -5496,7 +7435,6 @@ app.post('/api/debug/colleges/:collegeId/generate-kpis', ...debugMiddlewares, as
     }
     
     // Load performance data
-    const enhancedAnalyticsService = new (require('./src/services/EnhancedAnalyticsService'))();
     const performanceData = await enhancedAnalyticsService.loadPerformanceData(collegeId);
     
     if (!performanceData) {
@@ -5538,9 +7476,18 @@ app.get('/api/analytics/:collegeId', authService.requireAuth(), async (req, res)
       });
     }
     
+    // Card figures from the template metric mappings: the latest final report and the highest
+    // value each metric has reached. Unmapped metrics are null and listed in unavailable.
+    const reports = (await reportRepository.list(parseInt(collegeId))).filter(r => r.status !== 'draft');
+    const latestReport = reports.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
+    const metrics = latestReport ? await analyticsService.extractMetricsFromReport(latestReport) : null;
+    const master = await analyticsService.masterMetrics(collegeId);
+    
     res.json({
       success: true,
-      data: chartData
+      data: chartData,
+      metrics,
+      master
     });
   } catch (error) {
     console.error('Analytics API error:', error);
@@ -5551,6 +7498,56 @@ app.get('/api/analytics/:collegeId', authService.requireAuth(), async (req, res)
   }
 });
 
+// Summary metrics term to date, year to date and up to the same point last year
+// ?asOf=YYYY-MM-DD (default today)&metric=placements,activities&aggregate=last|sum|avg|min|max
+app.get('/api/analytics/:collegeId/periods', authService.requireAuth(), async (req, res) => {
+  try {
+    const { collegeId } = req.params;
+    const { valid, errors } = metricStoreService.validateQuery({ ...req.query, collegeId });
+    if (!valid) {
+      return res.status(400).json({ success: false, error: errors.join(', '), errors });
+    }
+    const result = await analyticsService.periodComparison(parseInt(collegeId), req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Period analytics error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load period analytics' });
+  }
+});
+
+// End-of-year forecast of the college's metrics against their targets
+// ?asOf=YYYY-MM-DD (default today)&metric=placements,activities
+app.get('/api/analytics/:collegeId/forecast', authService.requireAuth(), async (req, res) => {
+  try {
+    const { collegeId } = req.params;
+    const { valid, errors, options } = forecastService.validate(req.query);
+    if (!valid) {
+      return res.status(400).json({ success: false, error: errors.join(', '), errors });
+    }
+    const result = await forecastService.forecastCollege(parseInt(collegeId), options);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Forecast error:', error);
+    res.status(500).json({ success: false, error: 'Failed to forecast metrics' });
+  }
+});
+
+// Colleges whose forecasts fall short of their targets, off track first and by shortfall
+// ?asOf=&metric=&status=off_track,at_risk
+app.get('/api/forecasts/off-trajectory', authService.requireAuth(), async (req, res) => {
+  try {
+    const { valid, errors, options } = forecastService.validate(req.query);
+    if (!valid) {
+      return res.status(400).json({ success: false, error: errors.join(', '), errors });
+    }
+    const result = await forecastService.offTrajectory(options);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Off-trajectory forecast error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load forecasts' });
+  }
+});
+
 app.post('/api/analytics/:collegeId/generate', authService.requireAuth(), async (req, res) => {
   try {
     const { collegeId } = req.params;
@@ -5582,6 +7579,59 @@ app.post('/api/analytics/:collegeId/generate', authService.requireAuth(), async
   }
 });
 
+// Metric store: report metrics as time series.
+// ?collegeId=1,2&metric=placements,col.students_with_placements&department=&from=&to=
+//   &granularity=report|week|month|term|half_term|academic_year&aggregate=last|sum|avg|min|max&templateKey=&limit=
+//   &period=term_to_date|year_to_date|same_point_last_year&asOf=
+app.get('/api/metrics/query', authService.requireAuth(), async (req, res) => {
+  try {
+    const { valid, errors, query } = metricStoreService.validateQuery(req.query);
+    if (!valid) {
+      return res.status(400).json({ success: false, error: errors.join(', '), errors });
+    }
+    const series = await metricStoreService.query(query);
+    res.json({
+      success: true,
+      granularity: query.granularity,
+      aggregate: query.aggregate,
+      from: query.from,
+      to: query.to,
+      period: query.period,
+      series
+    });
+  } catch (error) {
+    console.error('Metric query error:', error);
+    res.status(500).json({ success: false, error: 'Failed to query metrics' });
+  }
+});
+
+// Metrics a college has data for, with their departments and date range
+app.get('/api/metrics/catalog', authService.requireAuth(), async (req, res) => {
+  try {
+    const { collegeId } = req.query;
+    if (!collegeId) {
+      return res.status(400).json({ success: false, error: 'collegeId is required' });
+    }
+    const metrics = await metricStoreService.getCatalog(collegeId);
+    res.json({ success: true, collegeId: parseInt(collegeId), metrics });
+  } catch (error) {
+    console.error('Metric catalog error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load metric catalog' });
+  }
+});
+
+// Rebuild the metric store from saved reports (all colleges, or body.collegeIds)
+app.post('/api/metrics/backfill', authService.requireAuth(), authService.requireRole(['admin']), async (req, res) => {
+  try {
+    const collegeIds = Array.isArray(req.body?.collegeIds) ? req.body.collegeIds.map(id => parseInt(id)).filter(id => !isNaN(id)) : [];
+    const result = await metricStoreService.backfill({ collegeIds });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Metric backfill error:', error);
+    res.status(500).json({ success: false, error: 'Failed to backfill metrics' });
+  }
+});
+
 // Basic AI Analysis API Endpoint
 app.post('/api/ai/analyze', authService.requireAuth(), async (req, res) => {
   try {
@@ -5598,9 +7648,10 @@ app.post('/api/ai/analyze', authService.requireAuth(), async (req, res) => {
     const https = require('https');
     
     const prompt = `You are an expert UK Further Education (FE) consultant. Use clear, casual but professional British English for UK college staff. Provide 2-3 KPI suggestions for a college with:
-- ${performanceData.totalStudents || 0} students
-- ${performanceData.percentWithPlacements || 0}% placement rate
-- ${performanceData.percentStudentsWithActivities || 0}% activity participation
+- Students: ${aiAnalyzer.describeValue(performanceData.totalStudents)}
+- Placement rate: ${aiAnalyzer.describeValue(performanceData.percentWithPlacements, '%')}
+- Activity participation: ${aiAnalyzer.describeValue(performanceData.percentStudentsWithActivities, '%')}
+Only suggest KPIs for figures that are available.
 
 Format as numbered list with specific, measurable targets.`;
 
@@ -5689,8 +7740,8 @@ app.post('/api/reports/:collegeId/recalculate', authService.requireAuth(), async
 
     console.log(`📊 Recalculating report totals for college: ${collegeId}`);
 
-    // Initialize EnhancedAnalyticsService
-    const analyticsService = new EnhancedAnalyticsService();
+    // The app's EnhancedAnalyticsService reads performance data through the report repository
+    const analyticsService = enhancedAnalyticsService;
 
     // Load the current report
     const fs = require('fs').promises;
@@ -5791,13 +7842,7 @@ app.get('/api/enhanced-analytics/:collegeId', authService.requireAuth(), async (
           data: {
             success: true,
             collegeData: collegeData || { id: Number(collegeId) },
-            performanceData: performanceData || {
-              totalStudents: 0,
-              percentWithPlacements: 0,
-              percentStudentsWithActivities: 0,
-              assessmentCompletionRate: 0,
-              availableSections: { placements: false, activities: false, assessments: false, careers: false }
-            },
+            performanceData: performanceData || enhancedAnalyticsService.emptyPerformanceData(),
             peerComparison: {},
             aiRecommendations: { success: false, recommendations: { sections: { kpiSuggestions: '' } } },
             timestamp: new Date().toISOString()
@@ -5814,9 +7859,10 @@ app.get('/api/enhanced-analytics/:collegeId', authService.requireAuth(), async (
 
 COLLEGE CONTEXT:
 - Name: ${collegeData.name || 'Unknown College'}
-- Student Population: ${performanceData.totalStudents || 0} students
-- Placement Rate: ${performanceData.percentWithPlacements || 0}%
-- Activity Participation: ${performanceData.percentStudentsWithActivities || 0}%
+- Student Population: ${aiAnalyzer.describeValue(performanceData.totalStudents, ' students')}
+- Placement Rate: ${aiAnalyzer.describeValue(performanceData.percentWithPlacements, '%')}
+- Activity Participation: ${aiAnalyzer.describeValue(performanceData.percentStudentsWithActivities, '%')}
+(Figures marked not available are not collected by this college's report template; do not assume values for them.)
 
 NAVIGATE SOFTWARE SCOPE:
 - Non-curricular enrichment activities
@@ -6876,6 +8922,13 @@ async function initializeServices() {
       console.log('ℹ️ Skipping cloud backup service in Railway environment - using Railway persistent storage');
     }
     
+    // The saved academic calendar lives on the volume, so it is read once the volume is ready
+    console.log('🔄 Loading academic calendar...');
+    await academicCalendarService.load();
+    
+    // First start with the metric store: build it from the reports already saved (in the background)
+    metricStoreService.ensureBackfilled().catch(error => console.error('Metric store backfill error:', error));
+    
     console.log('✅ Core services initialized successfully');
   } catch (error) {
     console.error('❌ Failed to initialize services:', error);
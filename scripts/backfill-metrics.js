@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Rebuild the metric store (data/metrics/) from the saved reports.
+// Usage: node scripts/backfill-metrics.js [--college=12,14] [--json]
+require('dotenv').config();
+const VolumeService = require('../src/services/VolumeService');
+const ReportRepository = require('../src/services/ReportRepository');
+const ReportComparisonService = require('../src/services/ReportComparisonService');
+const MetricStoreService = require('../src/services/MetricStoreService');
+const MetricMappingService = require('../src/services/MetricMappingService');
+const AnalyticsService = require('../src/services/AnalyticsService');
+
+(async () => {
+  try {
+    const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+      const [key, value] = arg.replace(/^--/, '').split('=');
+      return [key, value === undefined ? true : value];
+    }));
+
+    const volumeService = new VolumeService();
+    await volumeService.initialize();
+    const databaseUserManager = process.env.DATABASE_URL ? require('../src/services/DatabaseUserManager') : null;
+    const repository = ReportRepository.fromEnvironment({ volumeService, databaseUserManager });
+
+    // Metric values come from each report's template metric mappings
+    const templates = databaseUserManager
+      ? await databaseUserManager.initialize().then(() => databaseUserManager.getTemplates()).catch(() => [])
+      : await volumeService.readFile('templates.json').catch(() => []);
+    const reportComparisonService = new ReportComparisonService({ volumeService });
+    const metricMappingService = new MetricMappingService({
+      findTemplate: async (templateId) => (Array.isArray(templates) ? templates : []).find(t => String(t.id) === String(templateId)) || null,
+      reportComparisonService
+    });
+    const analyticsService = new AnalyticsService({ metricMappingService });
+    const metricStore = new MetricStoreService({
+      volumeService,
+      reportComparisonService,
+      summarize: report => analyticsService.summaryMetrics(report),
+      listCollegeIds: () => repository.primary.listCollegeIds(),
+      listReports: (collegeId) => repository.list(collegeId)
+    });
+
+    const result = await metricStore.backfill({
+      collegeIds: typeof args.college === 'string' ? args.college.split(',').map(id => parseInt(id)) : undefined
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(`${result.points} metric point(s) from ${result.reports} report(s) in ${result.colleges} college(s)`);
+      result.failed.forEach(f => console.log(`  ❌ College ${f.collegeId}: ${f.error}`));
+    }
+    process.exit(result.failed.length === 0 ? 0 : 2);
+  } catch (err) {
+    console.error('Metric backfill failed:', err.message);
+    process.exit(1);
+  }
+})();
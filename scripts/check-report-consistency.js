@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// One-shot comparison of the configured report stores (see REPORT_STORE / REPORT_STORE_MIRROR).
+// Usage: node scripts/check-report-consistency.js [--against=json|database] [--college=12,14] [--json]
+require('dotenv').config();
+const VolumeService = require('../src/services/VolumeService');
+const ReportRepository = require('../src/services/ReportRepository');
+
+(async () => {
+  try {
+    const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+      const [key, value] = arg.replace(/^--/, '').split('=');
+      return [key, value === undefined ? true : value];
+    }));
+
+    const volumeService = new VolumeService();
+    await volumeService.initialize();
+    const databaseUserManager = process.env.DATABASE_URL ? require('../src/services/DatabaseUserManager') : null;
+    const repository = ReportRepository.fromEnvironment({ volumeService, databaseUserManager });
+
+    let against;
+    if (args.against) {
+      if (args.against === 'json') against = new ReportRepository.JsonReportBackend(volumeService);
+      else if (args.against === 'database' && databaseUserManager) against = new ReportRepository.SequelizeReportBackend(databaseUserManager);
+      else {
+        console.error(`Cannot compare against "${args.against}" (DATABASE_URL is required for database)`);
+        process.exit(1);
+      }
+      if (against.name === repository.primary.name) {
+        console.error(`"${against.name}" is already the primary store`);
+        process.exit(1);
+      }
+    } else if (repository.mirrors.length === 0) {
+      console.error('No second report store configured. Set DATABASE_URL or pass --against=json|database.');
+      process.exit(1);
+    }
+
+    const result = await repository.checkConsistency({
+      against,
+      collegeIds: typeof args.college === 'string' ? args.college.split(',') : undefined
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(`Primary store: ${result.primary}`);
+      result.stores.forEach(store => {
+        console.log(`\nAgainst "${store.store}": ${store.collegesChecked} college(s) checked, ${store.missing} missing, ${store.extra} extra, ${store.mismatched} differing`);
+        store.colleges.forEach(college => {
+          console.log(`  College ${college.collegeId} (${college.reports} report(s))`);
+          college.missing.forEach(r => console.log(`    - missing ${r.id} ${r.name || ''}`));
+          college.extra.forEach(r => console.log(`    + extra   ${r.id} ${r.name || ''}`));
+          college.mismatched.forEach(r => console.log(`    ~ differs ${r.id} ${r.name || ''}: ${r.fields.join(', ')}`));
+        });
+      });
+      console.log(result.consistent ? '\n✅ Report stores are consistent' : '\n⚠️ Report stores have drifted');
+    }
+    process.exit(result.consistent ? 0 : 2);
+  } catch (err) {
+    console.error('Report consistency check failed:', err.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Local stand-in for a webhook endpoint: prints each delivery and checks its signature.
+// Usage: node scripts/webhook-receiver.js [--port=4000] [--secret=whsec_...] [--fail=2]
+// Register http://localhost:4000/ as a webhook; --fail answers the first N requests with 500
+// so the retries can be watched.
+const http = require('http');
+const crypto = require('crypto');
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  return [key, value === undefined ? true : value];
+}));
+const port = parseInt(args.port || process.env.WEBHOOK_RECEIVER_PORT || '4000', 10);
+const secret = typeof args.secret === 'string' ? args.secret : process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(args.fail || '0', 10);
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const timestamp = req.headers['x-webhook-timestamp'];
+    const signature = String(req.headers['x-webhook-signature'] || '');
+    let verified = 'not checked (no --secret)';
+    if (secret) {
+      const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+      verified = expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+        ? 'valid'
+        : 'INVALID';
+    }
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`  event: ${req.headers['x-webhook-event']}  delivery: ${req.headers['x-webhook-delivery']}  signature: ${verified}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2).replace(/^/gm, '  '));
+    } catch {
+      console.log(`  ${body}`);
+    }
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Simulated failure');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+});
+
+server.listen(port, () => console.log(`🪝 Webhook receiver listening on http://localhost:${port}/`));
@@ -198,19 +198,25 @@ class AIAnalyzer {
     }
   }
 
+  // A metric value for a prompt; null means the college's template does not map it
+  describeValue(value, suffix = '') {
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) return 'not available';
+    return `${Math.round(Number(value) * 10) / 10}${suffix}`;
+  }
+
   // Build comprehensive prompt for OpenAI
   buildOpenAIPrompt(collegeData, performanceData, peerData) {
     const context = {
       college: {
         name: collegeData.name || 'Unknown College',
-        studentCount: performanceData.totalStudents || 0,
+        studentCount: this.describeValue(performanceData.totalStudents, ' students'),
         region: collegeData.region || 'Unknown',
         type: collegeData.type || 'General'
       },
       performance: {
-        placementRate: performanceData.percentWithPlacements || 0,
-        activityParticipation: performanceData.percentStudentsWithActivities || 0,
-        assessmentCompletion: performanceData.assessmentRate || 0,
+        placementRate: this.describeValue(performanceData.percentWithPlacements, '%'),
+        activityParticipation: this.describeValue(performanceData.percentStudentsWithActivities, '%'),
+        assessmentCompletion: this.describeValue(performanceData.assessmentCompletionRate, '%'),
         trends: performanceData.trends || {}
       },
       peers: peerData || null
@@ -221,22 +227,23 @@ You are an expert UK Further Education (FE) consultant specialising in Navigate
 
 COLLEGE CONTEXT:
 - Name: ${context.college.name}
-- Student Population: ${context.college.studentCount} students
+- Student Population: ${context.college.studentCount}
 - Region: ${context.college.region}
 - Type: ${context.college.type}
 
 CURRENT PERFORMANCE:
-- Placement Rate: ${context.performance.placementRate.toFixed(1)}%
-- Activity Participation: ${context.performance.activityParticipation.toFixed(1)}%
-- Assessment Completion: ${context.performance.assessmentCompletion.toFixed(1)}%
+- Placement Rate: ${context.performance.placementRate}
+- Activity Participation: ${context.performance.activityParticipation}
+- Assessment Completion: ${context.performance.assessmentCompletion}
+(Figures marked not available are not collected by this college's report template; do not assume values for them.)
 
 ${peerData ? `PEER COMPARISON:
-- Overall average: ${peerData.overallAverages?.placementRate?.toFixed(1)}% placement rate
-- Similar colleges average: ${peerData.similarAverages?.placementRate?.toFixed(1)}% placement rate
-- Top performers average: ${peerData.topPerformers?.averagePlacementRate?.toFixed(1)}% placement rate
+- Overall average: ${this.describeValue(peerData.overallAverages?.placementRate, '%')} placement rate
+- Similar colleges average: ${this.describeValue(peerData.similarAverages?.placementRate, '%')} placement rate
+- Top performers average: ${this.describeValue(peerData.topPerformers?.averagePlacementRate, '%')} placement rate
 - Current ranking: ${peerData.rankings?.placement || 'N/A'} out of ${peerData.totalColleges || 'N/A'} colleges
 - Performance quartile: ${peerData.quartiles?.placement || 'N/A'} (1=top 25%, 4=bottom 25%)
-- Gap to top performers: ${peerData.topPerformers?.gapToTop?.toFixed(1)}% below top performers` : ''}
+- Gap to top performers: ${this.describeValue(peerData.topPerformers?.gapToTop, '%')} below top performers` : ''}
 
 NAVIGATE SOFTWARE SCOPE:
 - Non-curricular enrichment activities
@@ -458,7 +465,7 @@ FORMAT REQUIREMENTS:
   generateFallbackRecommendations(performanceData) {
     const recommendations = [];
     
-    if (performanceData.percentWithPlacements < 50) {
+    if (performanceData.percentWithPlacements !== null && performanceData.percentWithPlacements < 50) {
       recommendations.push({
         type: 'immediate',
         priority: 'high',
@@ -466,7 +473,7 @@ FORMAT REQUIREMENTS:
       });
     }
     
-    if (performanceData.percentStudentsWithActivities < 60) {
+    if (performanceData.percentStudentsWithActivities !== null && performanceData.percentStudentsWithActivities < 60) {
       recommendations.push({
         type: 'training',
         priority: 'medium',
@@ -496,10 +503,10 @@ FORMAT REQUIREMENTS:
     // Add OpenAI-powered recommendations if available
     if (this.isOpenAIAvailable() && collegeData) {
       const performanceData = {
-        totalStudents: currentData.totalStudents || 0,
-        percentWithPlacements: currentData.percentWithPlacements || 0,
-        percentStudentsWithActivities: currentData.percentStudentsWithActivities || 0,
-        assessmentRate: currentData.assessmentRate || 0,
+        totalStudents: currentData.totalStudents ?? null,
+        percentWithPlacements: currentData.percentWithPlacements ?? null,
+        percentStudentsWithActivities: currentData.percentStudentsWithActivities ?? null,
+        assessmentCompletionRate: currentData.assessmentCompletionRate ?? currentData.assessmentRate ?? null,
         trends: changes
       };
       
@@ -519,6 +526,7 @@ FORMAT REQUIREMENTS:
     };
   }
 
+  // timeFrame is 'weekly'/'monthly' or an academic calendar period ({ label, ... } from AcademicCalendarService.describe)
   async generateAnalysis(currentData, previousData, changes, timeFrame = 'weekly') {
     const analysis = {
       summary: this.generateSummary(changes, timeFrame),
@@ -537,7 +545,9 @@ FORMAT REQUIREMENTS:
     const positiveChanges = Object.values(changes).filter(change => change > 0).length;
     const negativeChanges = Object.values(changes).filter(change => change < 0).length;
     
-    let summary = `This ${timeFrame} report shows ${totalChanges} metrics with changes. `;
+    let summary = timeFrame && typeof timeFrame === 'object'
+      ? `This report (${timeFrame.label}) shows ${totalChanges} metrics with changes. `
+      : `This ${timeFrame} report shows ${totalChanges} metrics with changes. `;
     summary += `${positiveChanges} metrics improved, ${negativeChanges} declined. `;
     
     if (positiveChanges > negativeChanges) {
@@ -634,6 +644,12 @@ FORMAT REQUIREMENTS:
         priority: 'medium',
         message: 'Consider quarterly review of long-term trends and strategic adjustments'
       });
+    } else if (timeFrame && typeof timeFrame === 'object' && timeFrame.break) {
+      recommendations.push({
+        type: 'insight',
+        priority: 'low',
+        message: `This report falls in the ${timeFrame.break === 'half_term' ? 'half term' : 'holiday'}; expect little change until term restarts`
+      });
     }
 
     return recommendations;
@@ -687,10 +703,10 @@ FORMAT REQUIREMENTS:
 
 COLLEGE CONTEXT:
 - Name: ${collegeData.name || 'Unknown College'}
-- Student Population: ${performanceData.totalStudents || 0} students
-- Placement Rate: ${performanceData.percentWithPlacements || 0}%
-- Activity Participation: ${performanceData.percentStudentsWithActivities || 0}%
-- Assessment Completion: ${performanceData.assessmentCompletionRate || 0}%
+- Student Population: ${this.describeValue(performanceData.totalStudents, ' students')}
+- Placement Rate: ${this.describeValue(performanceData.percentWithPlacements, '%')}
+- Activity Participation: ${this.describeValue(performanceData.percentStudentsWithActivities, '%')}
+- Assessment Completion: ${this.describeValue(performanceData.assessmentCompletionRate, '%')}
 
 AVAILABLE DATA SECTIONS:
 - Placements: ${availableSections.placements ? 'Yes' : 'No'}
@@ -710,23 +726,23 @@ Generate 5-8 specific, measurable, and achievable Key Performance Indicators (KP
 
 ${availableSections.placements ? `
 PLACEMENTS DATA AVAILABLE:
-- Current placement rate: ${performanceData.percentWithPlacements || 0}%
-- Students with placements: ${performanceData.studentsWithPlacements || 0}
-- Total students: ${performanceData.totalStudents || 0}
+- Current placement rate: ${this.describeValue(performanceData.percentWithPlacements, '%')}
+- Students with placements: ${this.describeValue(performanceData.studentsWithPlacements)}
+- Total students: ${this.describeValue(performanceData.totalStudents)}
 ` : ''}
 
 ${availableSections.activities ? `
 ACTIVITIES DATA AVAILABLE:
-- Current activity participation: ${performanceData.percentStudentsWithActivities || 0}%
-- Students with activities: ${performanceData.studentsWithActivities || 0}
-- Enrichment activities: ${performanceData.studentsWithActivitiesEnrichment || 0}
-- Employer activities: ${performanceData.studentsWithActivitiesEmployer || 0}
+- Current activity participation: ${this.describeValue(performanceData.percentStudentsWithActivities, '%')}
+- Students with activities: ${this.describeValue(performanceData.studentsWithActivities)}
+- Enrichment activities: ${this.describeValue(performanceData.studentsWithActivitiesEnrichment)}
+- Employer activities: ${this.describeValue(performanceData.studentsWithActivitiesEmployer)}
 ` : ''}
 
 ${availableSections.assessments ? `
 ASSESSMENTS DATA AVAILABLE:
-- Current assessment completion: ${performanceData.assessmentCompletionRate || 0}%
-- Students without assessments: ${performanceData.studentsWithoutAssessments || 0}
+- Current assessment completion: ${this.describeValue(performanceData.assessmentCompletionRate, '%')}
+- Students without assessments: ${this.describeValue(performanceData.studentsWithoutAssessments)}
 ` : ''}
 
 ${availableSections.careers ? `
@@ -786,20 +802,21 @@ Keep each KPI concise but specific. Focus on the most important areas for improv
       const availableSections = performanceData.availableSections || {};
       const customKPIs = [];
       
-      if (availableSections.placements) {
-        const currentRate = performanceData.percentWithPlacements || 0;
+      // A section without a known rate (e.g. total students not mapped) has no baseline to set a target from
+      if (availableSections.placements && performanceData.percentWithPlacements !== null && performanceData.percentWithPlacements !== undefined) {
+        const currentRate = performanceData.percentWithPlacements;
         const target = Math.min(100, currentRate + 15);
         customKPIs.push(`Increase placement rate from ${currentRate.toFixed(1)}% to ${target.toFixed(1)}% within 6 months by enhancing employer engagement through Navigate's placement tracking features`);
       }
       
-      if (availableSections.activities) {
-        const currentRate = performanceData.percentStudentsWithActivities || 0;
+      if (availableSections.activities && performanceData.percentStudentsWithActivities !== null && performanceData.percentStudentsWithActivities !== undefined) {
+        const currentRate = performanceData.percentStudentsWithActivities;
         const target = Math.min(100, currentRate + 20);
         customKPIs.push(`Improve activity participation from ${currentRate.toFixed(1)}% to ${target.toFixed(1)}% within 6 months by promoting activities through Navigate's communication tools`);
       }
       
-      if (availableSections.assessments) {
-        const currentRate = performanceData.assessmentCompletionRate || 0;
+      if (availableSections.assessments && performanceData.assessmentCompletionRate !== null && performanceData.assessmentCompletionRate !== undefined) {
+        const currentRate = performanceData.assessmentCompletionRate;
         const target = Math.min(100, currentRate + 25);
         customKPIs.push(`Achieve assessment completion rate of ${target.toFixed(1)}% by next term by implementing Navigate reminders and support for students`);
       }
@@ -0,0 +1,447 @@
+const moment = require('moment');
+
+// Academic calendar: when academic years, terms and half terms run, for every college or per
+// college. Stored in academic-calendar.json:
+//   { config: {
+//       yearStart: 'MM-DD',                 // first day of the academic year
+//       pauseInBreaks: false,               // scheduled reports wait for term time
+//       terms: [{ key, label, start: 'MM-DD', end: 'MM-DD', halfTerm: { start, end } }],  // every year
+//       years: { '2025/26': { terms: [{ key, label, start: 'YYYY-MM-DD', end, halfTerm }] } },  // one year's dates
+//       colleges: { '<collegeId>': { yearStart, pauseInBreaks, terms, years } } } }   // overrides
+// A college's dates for the year win over its own recurring terms, then the shared dates for the
+// year, then the shared recurring terms. Lookups are synchronous (the metric store calls them for
+// every point), so the saved config is loaded once and kept in memory.
+//
+// A term's period runs from its start until the next term starts (the last one until the end of
+// the year), so holidays count towards the term before them.
+
+const DEFAULT_CONFIG = {
+  yearStart: '09-01',
+  pauseInBreaks: false,
+  terms: [
+    { key: 'autumn', label: 'Autumn', start: '09-01', end: '12-19', halfTerm: { start: '10-27', end: '10-31' } },
+    { key: 'spring', label: 'Spring', start: '01-05', end: '03-27', halfTerm: { start: '02-16', end: '02-20' } },
+    { key: 'summer', label: 'Summer', start: '04-13', end: '07-17', halfTerm: { start: '05-25', end: '05-29' } }
+  ],
+  years: {},
+  colleges: {}
+};
+const SCOPES = ['term_to_date', 'year_to_date', 'same_point_last_year'];
+const DAY = 'YYYY-MM-DD';
+
+class AcademicCalendarService {
+  constructor(options = {}) {
+    this.volumeService = options.volumeService || null;
+    this.configFile = 'academic-calendar.json';
+    this.config = AcademicCalendarService.normalize(DEFAULT_CONFIG);
+    this.loaded = null;
+  }
+
+  /**
+   * Load the saved calendar once (the default calendar is used until then or if none is saved).
+   * A failed read is tried again on the next call, e.g. once the volume is mounted.
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = this.readStore()
+        .then(stored => {
+          if (stored && stored.config && AcademicCalendarService.validate(stored.config).valid) {
+            this.config = AcademicCalendarService.normalize(stored.config);
+          }
+        })
+        .catch(() => { this.loaded = null; });
+    }
+    await this.loaded;
+    return this.config;
+  }
+
+  async getConfig() {
+    const stored = await this.readStore().catch(() => null);
+    await this.load();
+    return {
+      config: this.config,
+      custom: !!(stored && stored.config),
+      updatedAt: stored?.updatedAt || null,
+      updatedBy: stored?.updatedBy || null
+    };
+  }
+
+  async saveConfig(config, updatedBy = null) {
+    const validation = AcademicCalendarService.validate(config);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+    const normalized = AcademicCalendarService.normalize(config);
+    await this.writeStore({ config: normalized, updatedAt: new Date().toISOString(), updatedBy });
+    this.config = normalized;
+    this.loaded = Promise.resolve();
+    return { success: true, config: normalized };
+  }
+
+  /**
+   * Replace one college's overrides ({ yearStart, pauseInBreaks, terms, years }); null removes them
+   */
+  async saveCollegeCalendar(collegeId, override, updatedBy = null) {
+    await this.load();
+    const colleges = { ...this.config.colleges };
+    if (override === null || override === undefined) {
+      delete colleges[String(collegeId)];
+    } else {
+      colleges[String(collegeId)] = override;
+    }
+    return this.saveConfig({ ...this.config, colleges }, updatedBy);
+  }
+
+  async resetToDefaults() {
+    await this.writeStore({ config: null, updatedAt: new Date().toISOString() });
+    this.config = AcademicCalendarService.normalize(DEFAULT_CONFIG);
+    this.loaded = Promise.resolve();
+    return this.config;
+  }
+
+  /**
+   * The calendar settings that apply to a college: { yearStart, pauseInBreaks, terms, years, custom }
+   */
+  calendarFor(collegeId = null) {
+    const own = collegeId !== null && collegeId !== undefined ? this.config.colleges[String(collegeId)] : null;
+    return {
+      yearStart: own?.yearStart || this.config.yearStart,
+      pauseInBreaks: typeof own?.pauseInBreaks === 'boolean' ? own.pauseInBreaks : this.config.pauseInBreaks,
+      terms: own?.terms || this.config.terms,
+      years: { ...this.config.years, ...(own?.years || {}) },
+      ownYears: own?.years || {},
+      ownTerms: !!own?.terms,
+      custom: !!own
+    };
+  }
+
+  /**
+   * { label: '2025/26', start, end } of the academic year containing date
+   */
+  academicYear(date, collegeId = null) {
+    const d = moment(date);
+    const { yearStart } = this.calendarFor(collegeId);
+    const first = d.format('MM-DD') >= yearStart ? d.year() : d.year() - 1;
+    return this.yearStarting(first, collegeId);
+  }
+
+  yearStarting(firstYear, collegeId = null) {
+    const { yearStart } = this.calendarFor(collegeId);
+    const start = moment(`${firstYear}-${yearStart}`, DAY);
+    return {
+      label: `${firstYear}/${String((firstYear + 1) % 100).padStart(2, '0')}`,
+      start: start.format(DAY),
+      end: start.clone().add(1, 'year').subtract(1, 'day').format(DAY)
+    };
+  }
+
+  /**
+   * The terms of an academic year with real dates, in order: [{ key, label, start, end,
+   * halfTerm, periodStart, periodEnd }]. periodStart/periodEnd extend each term over the
+   * holiday that follows it.
+   */
+  termsOfYear(year, collegeId = null) {
+    const calendar = this.calendarFor(collegeId);
+    const firstYear = parseInt(year.label, 10);
+    const dated = calendar.ownYears[year.label] || (calendar.ownTerms ? null : calendar.years[year.label]);
+    const toDate = md => `${md >= calendar.yearStart ? firstYear : firstYear + 1}-${md}`;
+    const terms = dated
+      ? dated.terms.map(term => ({ ...term }))
+      : calendar.terms.map(term => ({
+        ...term,
+        start: toDate(term.start),
+        end: toDate(term.end),
+        halfTerm: term.halfTerm ? { start: toDate(term.halfTerm.start), end: toDate(term.halfTerm.end) } : null
+      }));
+    terms.sort((a, b) => (a.start < b.start ? -1 : (a.start > b.start ? 1 : 0)));
+    return terms.map((term, i) => ({
+      ...term,
+      halfTerm: term.halfTerm || null,
+      periodStart: i === 0 && year.start < term.start ? year.start : term.start,
+      periodEnd: i + 1 < terms.length
+        ? moment(terms[i + 1].start, DAY).subtract(1, 'day').format(DAY)
+        : (year.end > term.end ? year.end : term.end)
+    }));
+  }
+
+  /**
+   * The term whose period contains date, with its academic year and position: { year, term, index, terms }
+   */
+  termOf(date, collegeId = null) {
+    const day = moment(date).format(DAY);
+    const year = this.academicYear(day, collegeId);
+    const terms = this.termsOfYear(year, collegeId);
+    let index = terms.length - 1;
+    while (index > 0 && day < terms[index].periodStart) index--;
+    return { year, term: terms[index], index, terms };
+  }
+
+  /**
+   * Where a date falls in the academic calendar: { date, academicYear, term: { key, label, start, end },
+   * termWeek, academicWeek, half (1|2|null), break (null|'half_term'|'holiday'), label }
+   */
+  describe(date, collegeId = null) {
+    if (!date || !moment(date).isValid()) return null;
+    const day = moment(date).format(DAY);
+    const { year, term } = this.termOf(day, collegeId);
+    const inHalfTerm = !!term.halfTerm && day >= term.halfTerm.start && day <= term.halfTerm.end;
+    const inHoliday = day < term.start || day > term.end;
+    const termWeek = inHoliday ? null : Math.floor(moment(day, DAY).diff(moment(term.start, DAY), 'days') / 7) + 1;
+    let label = `${term.label} ${year.label}, week ${termWeek}`;
+    if (inHalfTerm) label = `${term.label} half term ${year.label}`;
+    else if (day < term.start) label = `Before ${term.label} term ${year.label}`;
+    else if (day > term.end) label = `Holiday after ${term.label} term ${year.label}`;
+    return {
+      date: day,
+      academicYear: year.label,
+      term: { key: term.key, label: term.label, start: term.start, end: term.end },
+      termWeek,
+      academicWeek: Math.floor(moment(day, DAY).diff(moment(year.start, DAY), 'days') / 7) + 1,
+      half: term.halfTerm ? (day <= term.halfTerm.end ? 1 : 2) : null,
+      break: inHalfTerm ? 'half_term' : (inHoliday ? 'holiday' : null),
+      label
+    };
+  }
+
+  /**
+   * { key, label, start, end } of the term, half term or academic year containing date
+   */
+  periodOf(date, granularity, collegeId = null) {
+    const day = moment(date).format(DAY);
+    const { year, term } = this.termOf(day, collegeId);
+    if (granularity === 'term') {
+      return { key: `${year.label}-${term.key}`, label: `${term.label} ${year.label}`, start: term.periodStart, end: term.periodEnd };
+    }
+    if (granularity === 'half_term') {
+      if (!term.halfTerm) {
+        return { key: `${year.label}-${term.key}`, label: `${term.label} ${year.label}`, start: term.periodStart, end: term.periodEnd };
+      }
+      const secondStart = moment(term.halfTerm.end, DAY).add(1, 'day').format(DAY);
+      return day < secondStart
+        ? { key: `${year.label}-${term.key}-1`, label: `${term.label} 1 ${year.label}`, start: term.periodStart, end: term.halfTerm.end }
+        : { key: `${year.label}-${term.key}-2`, label: `${term.label} 2 ${year.label}`, start: secondStart, end: term.periodEnd };
+    }
+    return { key: year.label, label: year.label, start: year.start, end: year.end };
+  }
+
+  /**
+   * The date a year earlier that is at the same point of the calendar: as far into the same
+   * term (by key, else position) as date is into its term
+   */
+  samePointLastYear(date, collegeId = null) {
+    const day = moment(date).format(DAY);
+    const { year, term, index } = this.termOf(day, collegeId);
+    const lastYear = this.yearStarting(parseInt(year.label, 10) - 1, collegeId);
+    const lastTerms = this.termsOfYear(lastYear, collegeId);
+    const match = lastTerms.find(t => t.key === term.key) || lastTerms[Math.min(index, lastTerms.length - 1)];
+    if (!match) return moment(day, DAY).subtract(1, 'year').format(DAY);
+    const offset = moment(day, DAY).diff(moment(term.start, DAY), 'days');
+    const point = moment(match.start, DAY).add(offset, 'days').format(DAY);
+    if (point < match.periodStart) return match.periodStart;
+    if (point > match.periodEnd) return match.periodEnd;
+    return point;
+  }
+
+  /**
+   * Date range of a to-date scope at asOf: term_to_date, year_to_date or same_point_last_year
+   * (last academic year up to the same point). { scope, from, to, label }
+   */
+  range(scope, asOf = null, collegeId = null) {
+    const day = moment(asOf || undefined).format(DAY);
+    const { year, term } = this.termOf(day, collegeId);
+    if (scope === 'term_to_date') {
+      return { scope, from: term.periodStart, to: day, label: `${term.label} ${year.label} to date` };
+    }
+    if (scope === 'year_to_date') {
+      return { scope, from: year.start, to: day, label: `${year.label} to date` };
+    }
+    if (scope === 'same_point_last_year') {
+      const point = this.samePointLastYear(day, collegeId);
+      const lastYear = this.academicYear(point, collegeId);
+      return { scope, from: lastYear.start, to: point, label: `${lastYear.label} to ${moment(point, DAY).format('D MMM YYYY')}` };
+    }
+    throw new Error(`Unknown period scope "${scope}" (use ${SCOPES.join(', ')})`);
+  }
+
+  /**
+   * Whether scheduled reports for a college wait on date (it is in a half term or holiday and the
+   * calendar pauses reports in breaks)
+   */
+  isPaused(date, collegeId = null) {
+    if (!this.calendarFor(collegeId).pauseInBreaks) return false;
+    const described = this.describe(date, collegeId);
+    return !!(described && described.break);
+  }
+
+  /**
+   * First day on or after date that is not in a break
+   */
+  nextTermDay(date, collegeId = null) {
+    let day = moment(date).format(DAY);
+    for (let i = 0; i < 4; i++) {
+      const { term, terms, index } = this.termOf(day, collegeId);
+      if (term.halfTerm && day >= term.halfTerm.start && day <= term.halfTerm.end) {
+        day = moment(term.halfTerm.end, DAY).add(1, 'day').format(DAY);
+      } else if (day < term.start) {
+        day = term.start;
+      } else if (day > term.end) {
+        day = index + 1 < terms.length ? terms[index + 1].start : moment(term.periodEnd, DAY).add(1, 'day').format(DAY);
+      } else {
+        return day;
+      }
+    }
+    return day;
+  }
+
+  async readStore() {
+    if (!this.volumeService) return null;
+    return await this.volumeService.readFile(this.configFile);
+  }
+
+  async writeStore(payload) {
+    if (!this.volumeService) return;
+    await this.volumeService.writeFile(this.configFile, { version: '1.0', ...payload });
+  }
+
+  /**
+   * Check a calendar config. Returns { valid, errors }
+   */
+  static validate(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return { valid: false, errors: ['Calendar config must be an object'] };
+    }
+    const checkSettings = (settings, context, requireTerms) => {
+      if (settings.yearStart !== undefined && !isMonthDay(settings.yearStart)) {
+        errors.push(`${context}yearStart must be MM-DD`);
+      }
+      if (settings.pauseInBreaks !== undefined && typeof settings.pauseInBreaks !== 'boolean') {
+        errors.push(`${context}pauseInBreaks must be true or false`);
+      }
+      if (settings.terms !== undefined || requireTerms) {
+        checkTerms(settings.terms, isMonthDay, 'MM-DD', `${context}terms`, settings.yearStart || config.yearStart || DEFAULT_CONFIG.yearStart);
+      }
+      if (settings.years !== undefined) {
+        if (!settings.years || typeof settings.years !== 'object' || Array.isArray(settings.years)) {
+          errors.push(`${context}years must be an object keyed by academic year (e.g. "2025/26")`);
+        } else {
+          Object.entries(settings.years).forEach(([label, year]) => {
+            const match = /^(\d{4})\/(\d{2})$/.exec(label);
+            if (!match || (parseInt(match[1], 10) + 1) % 100 !== parseInt(match[2], 10)) {
+              errors.push(`${context}years: "${label}" is not an academic year like 2025/26`);
+              return;
+            }
+            checkTerms(year && year.terms, isDate, 'YYYY-MM-DD', `${context}${label} terms`, null);
+          });
+        }
+      }
+    };
+    const checkTerms = (terms, isValidDate, format, context, yearStart) => {
+      if (!Array.isArray(terms) || terms.length === 0) {
+        errors.push(`${context} must list at least one term`);
+        return;
+      }
+      // Recurring MM-DD dates are placed in a sample academic year to check their order
+      const toDay = value => (yearStart ? `${value >= yearStart ? 2001 : 2002}-${value}` : value);
+      const keys = new Set();
+      const spans = [];
+      terms.forEach((term, i) => {
+        const name = `${context} ${i + 1}`;
+        if (!term || typeof term !== 'object') {
+          errors.push(`${name} must be an object`);
+          return;
+        }
+        if (typeof term.key !== 'string' || !/^[a-z0-9_-]+$/i.test(term.key)) {
+          errors.push(`${name}: key must be letters, numbers, - or _`);
+        } else if (keys.has(term.key.toLowerCase())) {
+          errors.push(`${name}: key "${term.key}" is used twice`);
+        } else {
+          keys.add(term.key.toLowerCase());
+        }
+        if (term.label !== undefined && (typeof term.label !== 'string' || !term.label.trim())) {
+          errors.push(`${name}: label must be text`);
+        }
+        if (!isValidDate(term.start) || !isValidDate(term.end)) {
+          errors.push(`${name}: start and end must be ${format}`);
+          return;
+        }
+        const start = toDay(term.start);
+        const end = toDay(term.end);
+        if (start > end) {
+          errors.push(`${name}: starts after it ends`);
+          return;
+        }
+        if (term.halfTerm !== undefined && term.halfTerm !== null) {
+          if (!isValidDate(term.halfTerm.start) || !isValidDate(term.halfTerm.end)) {
+            errors.push(`${name}: half term start and end must be ${format}`);
+          } else if (toDay(term.halfTerm.start) > toDay(term.halfTerm.end) || toDay(term.halfTerm.start) < start || toDay(term.halfTerm.end) > end) {
+            errors.push(`${name}: half term must fall within the term`);
+          }
+        }
+        spans.push({ name, start, end });
+      });
+      spans.sort((a, b) => (a.start < b.start ? -1 : 1));
+      spans.forEach((span, i) => {
+        if (i > 0 && span.start <= spans[i - 1].end) errors.push(`${span.name} overlaps ${spans[i - 1].name}`);
+      });
+    };
+
+    checkSettings(config, '', true);
+    if (config.colleges !== undefined) {
+      if (!config.colleges || typeof config.colleges !== 'object' || Array.isArray(config.colleges)) {
+        errors.push('colleges must be an object keyed by college id');
+      } else {
+        Object.entries(config.colleges).forEach(([collegeId, override]) => {
+          if (!override || typeof override !== 'object' || Array.isArray(override)) {
+            errors.push(`College ${collegeId}: overrides must be an object`);
+            return;
+          }
+          checkSettings(override, `College ${collegeId}: `, false);
+        });
+      }
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Config with defaults filled in and term labels set
+   */
+  static normalize(config) {
+    const terms = list => list.map(term => ({
+      key: String(term.key),
+      label: term.label ? String(term.label).trim() : String(term.key).charAt(0).toUpperCase() + String(term.key).slice(1),
+      start: term.start,
+      end: term.end,
+      halfTerm: term.halfTerm ? { start: term.halfTerm.start, end: term.halfTerm.end } : null
+    }));
+    const years = source => Object.fromEntries(Object.entries(source || {}).map(([label, year]) => [label, { terms: terms(year.terms) }]));
+    const settings = source => {
+      const result = {};
+      if (source.yearStart) result.yearStart = source.yearStart;
+      if (typeof source.pauseInBreaks === 'boolean') result.pauseInBreaks = source.pauseInBreaks;
+      if (source.terms) result.terms = terms(source.terms);
+      if (source.years) result.years = years(source.years);
+      return result;
+    };
+    return {
+      yearStart: config.yearStart || DEFAULT_CONFIG.yearStart,
+      pauseInBreaks: typeof config.pauseInBreaks === 'boolean' ? config.pauseInBreaks : DEFAULT_CONFIG.pauseInBreaks,
+      terms: terms(config.terms || DEFAULT_CONFIG.terms),
+      years: years(config.years),
+      colleges: Object.fromEntries(Object.entries(config.colleges || {}).map(([id, override]) => [String(id), settings(override)]))
+    };
+  }
+}
+
+function isMonthDay(value) {
+  return typeof value === 'string' && /^\d{2}-\d{2}$/.test(value) && moment(`2000-${value}`, DAY, true).isValid();
+}
+
+function isDate(value) {
+  return typeof value === 'string' && moment(value, DAY, true).isValid();
+}
+
+AcademicCalendarService.DEFAULT_CONFIG = DEFAULT_CONFIG;
+AcademicCalendarService.SCOPES = SCOPES;
+
+module.exports = AcademicCalendarService;
@@ -1,242 +1,189 @@
-const fs = require('fs').promises;
-const path = require('path');
+const MetricStoreService = require('./MetricStoreService');
+const MetricMappingService = require('./MetricMappingService');
 
+// Report analytics: the summary metrics a report carries (placements, activities, assessments,
+// careers, students, logins) and the chart series built from them. Values come only from the
+// columns the report's template maps to each metric (see MetricMappingService); a metric the
+// template does not map is null - not available - rather than guessed from column names.
+// The series live in the metric store; each saved report's points are recorded there by processNewReport.
 class AnalyticsService {
-  constructor() {
-    this.analyticsDir = path.join(__dirname, '../../data/analytics');
+  constructor(options = {}) {
+    this.metricMappingService = options.metricMappingService || new MetricMappingService();
+    this.metricStore = options.metricStore || new MetricStoreService({
+      summarize: report => this.summaryMetrics(report)
+    });
   }
 
   /**
-   * Extract key metrics from a report's raw data
+   * Key metrics of a report from its template's metric mapping (looked up when mappings is
+   * not given). Unmapped metrics are null.
    */
-  extractMetricsFromReport(reportData) {
+  async extractMetricsFromReport(reportData, mappings) {
     if (!reportData || !reportData.data || !reportData.data.rows) {
       return null;
     }
-
-    const { headers, rows } = reportData.data;
-    
-    return {
-      placements: this.calculateTotalFromReport(reportData.data, 'placement'),
-      activities: this.calculateTotalFromReport(reportData.data, 'activity'),
-      assessments: {
-        completed: this.calculateTotalFromReport(reportData.data, 'assessment_completed'),
-        pending: this.calculateTotalFromReport(reportData.data, 'assessment_pending'),
-        total: this.calculateTotalFromReport(reportData.data, 'assessment_total')
-      },
-      careers: Math.round(this.calculateTotalFromReport(reportData.data, 'student') * 0.15),
-      students: this.calculateTotalFromReport(reportData.data, 'student')
-    };
+    const values = mappings === undefined
+      ? await this.metricMappingService.metricsForReport(reportData)
+      : this.metricMappingService.extract(reportData, mappings);
+    return this.shapeMetrics(values);
   }
 
   /**
-   * Calculate totals from report data based on type
+   * The highest value each metric has reached across a college's saved reports, in the
+   * extractMetricsFromReport shape. Metrics no report maps are null.
    */
-  calculateTotalFromReport(reportData, type) {
-    if (!reportData.rows) return 0;
-    
-    const { headers, rows } = reportData;
-    let total = 0;
-
-    rows.forEach(row => {
-      if (!row[0] || row[0].toLowerCase().includes('total')) return;
-
-      switch(type) {
-        case 'placement':
-          const placementIndex = headers.findIndex(h => 
-            h.toLowerCase().includes('placement') && 
-            !h.toLowerCase().includes('percent')
-          );
-          if (placementIndex >= 0 && row[placementIndex]) {
-            total += parseFloat(row[placementIndex]) || 0;
-          }
-          break;
-          
-        case 'activity':
-          const activityIndex = headers.findIndex(h => 
-            h.toLowerCase().includes('students with activities')
-          );
-          if (activityIndex >= 0 && row[activityIndex]) {
-            total += parseFloat(row[activityIndex]) || 0;
-          }
-          break;
-          
-        case 'student':
-          const studentIndex = headers.findIndex(h => 
-            h.toLowerCase().includes('total') && h.toLowerCase().includes('student')
-          );
-          if (studentIndex >= 0 && row[studentIndex]) {
-            total += parseFloat(row[studentIndex]) || 0;
-          }
-          break;
-          
-        case 'assessment_completed':
-          const totalStudents = this.calculateTotalFromReport(reportData, 'student');
-          const studentsWithoutAssessments = this.calculateTotalFromReport(reportData, 'assessment_pending');
-          total = totalStudents - studentsWithoutAssessments;
-          break;
-          
-        case 'assessment_pending':
-          const assessmentIndex = headers.findIndex(h => 
-            h.toLowerCase().includes('student') && h.toLowerCase().includes('assessment')
-          );
-          if (assessmentIndex >= 0 && row[assessmentIndex]) {
-            total += parseFloat(row[assessmentIndex]) || 0;
-          }
-          break;
-          
-        case 'assessment_total':
-          const completed = this.calculateTotalFromReport(reportData, 'assessment_completed');
-          const pending = this.calculateTotalFromReport(reportData, 'assessment_pending');
-          total = completed + pending;
-          break;
-      }
+  async masterMetrics(collegeId) {
+    const series = await this.loadSummarySeries(collegeId);
+    const values = {};
+    Object.keys(series).forEach(metric => {
+      values[metric] = series[metric].length > 0 ? Math.max(...series[metric].map(p => p.value)) : null;
     });
-
-    return total;
+    return this.shapeMetrics(values);
   }
 
-  /**
-   * Load analytics data for a college
-   */
-  async loadAnalytics(collegeId) {
-    try {
-      const analyticsPath = path.join(this.analyticsDir, `${collegeId}.json`);
-      const data = await fs.readFile(analyticsPath, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // File doesn't exist, return default structure
-        return this.createDefaultAnalytics(collegeId);
-      }
-      throw error;
-    }
+  // { metricKey: number|null } -> { placements, activities, ..., assessments: { completed, pending, total }, unavailable }
+  shapeMetrics(values) {
+    const { assessments_completed: completed, assessments_pending: pending } = values;
+
+    return {
+      placements: values.placements,
+      activities: values.activities,
+      activitiesEnrichment: values.activities_enrichment,
+      activitiesEmployer: values.activities_employer,
+      assessments: {
+        completed,
+        pending,
+        total: completed !== null && pending !== null ? completed + pending : null
+      },
+      careers: values.careers,
+      students: values.students,
+      logins: values.logins,
+      unavailable: Object.keys(values).filter(key => values[key] === null)
+    };
   }
 
   /**
-   * Save analytics data for a college
+   * College-wide summary metrics for the metric store: { metricKey: number|null }
    */
-  async saveAnalytics(collegeId, analytics) {
-    const analyticsPath = path.join(this.analyticsDir, `${collegeId}.json`);
-    await fs.writeFile(analyticsPath, JSON.stringify(analytics, null, 2));
+  async summaryMetrics(reportData) {
+    if (!reportData || !reportData.data || !reportData.data.rows) return {};
+    return this.metricMappingService.metricsForReport(reportData);
   }
 
   /**
-   * Create default analytics structure
+   * Analytics for a college in the legacy { timeSeries, summary } shape, read from the metric store
    */
-  createDefaultAnalytics(collegeId) {
+  async loadAnalytics(collegeId) {
+    const series = await this.loadSummarySeries(collegeId);
+    const timeSeries = {
+      placements: series.placements,
+      activities: series.activities,
+      assessments: series.assessments_completed.map(point => {
+        const match = series.assessments_pending.find(p => p.reportId === point.reportId);
+        const pending = match ? match.value : null;
+        return { date: point.date, completed: point.value, pending, total: pending === null ? null : point.value + pending, reportId: point.reportId };
+      }),
+      careers: series.careers
+    };
+    const dates = Array.from(new Set(Object.values(series).flat().map(p => p.date))).sort();
     return {
       collegeId,
       lastUpdated: new Date().toISOString(),
-      version: "1.0",
-      timeSeries: {
-        placements: [],
-        activities: [],
-        assessments: [],
-        careers: []
-      },
+      version: '1.0',
+      timeSeries,
       summary: {
-        totalReports: 0,
+        totalReports: new Set(Object.values(series).flat().map(p => p.reportId)).size,
         dateRange: {
-          firstReport: null,
-          lastReport: null
+          firstReport: dates[0] || null,
+          lastReport: dates[dates.length - 1] || null
         },
-        averages: {
-          placements: 0,
-          activities: 0,
-          assessments: 0,
-          careers: 0
-        },
-        trends: {
-          placements: "stable",
-          activities: "stable",
-          assessments: "stable",
-          careers: "stable"
-        }
-      },
-      metadata: {
-        lastProcessedReport: null,
-        dataIntegrity: {
-          checksum: null,
-          lastValidated: null
-        }
+        averages: this.calculateAverages(timeSeries),
+        trends: this.calculateTrends(timeSeries)
       }
     };
   }
 
   /**
-   * Process a new report and update analytics
+   * Summary metric series per report from the metric store: { metricKey: [{ date, value, reportId }] }
    */
-  async processNewReport(collegeId, reportData) {
-    try {
-      console.log(`Processing analytics for college ${collegeId}, report ${reportData.id}`);
-      
-      // Extract metrics from the new report
-      const metrics = this.extractMetricsFromReport(reportData);
-      if (!metrics) {
-        console.log('No valid metrics found in report');
-        return false;
-      }
-
-      // Load existing analytics
-      const analytics = await this.loadAnalytics(collegeId);
-      
-      // Add new metrics to time series
-      const reportDate = new Date(reportData.createdAt).toISOString().split('T')[0];
-      
-      analytics.timeSeries.placements.push({
-        date: reportDate,
-        value: metrics.placements,
-        reportId: reportData.id,
-        timestamp: reportData.createdAt
-      });
-
-      analytics.timeSeries.activities.push({
-        date: reportDate,
-        value: metrics.activities,
-        reportId: reportData.id,
-        timestamp: reportData.createdAt
-      });
+  async loadSummarySeries(collegeId, limit = null) {
+    const { query } = this.metricStore.validateQuery({ collegeId, limit });
+    const series = await this.metricStore.query(query);
+    const result = {};
+    MetricStoreService.SUMMARY_METRICS.forEach(metric => {
+      const found = series.find(s => s.metric === metric);
+      result[metric] = found ? found.points.map(p => ({ date: p.start, value: p.value, reportId: p.period })) : [];
+    });
+    return result;
+  }
 
-      analytics.timeSeries.assessments.push({
-        date: reportDate,
-        completed: metrics.assessments.completed,
-        pending: metrics.assessments.pending,
-        total: metrics.assessments.total,
-        reportId: reportData.id,
-        timestamp: reportData.createdAt
-      });
+  /**
+   * A college's metrics term to date, year to date and up to the same point last year:
+   * { asOf, period, ranges: { <scope>: { from, to, label } }, metrics: [{ metric, label,
+   * term_to_date: { value, first, change, reports }, year_to_date, same_point_last_year, changeOnLastYear }] }.
+   * value combines the range's reports with aggregate (default the latest report's value), first is
+   * the earliest report's value and change the difference. Metrics with no reports in a range are null.
+   */
+  async periodComparison(collegeId, options = {}) {
+    const { valid, errors, query } = this.metricStore.validateQuery({
+      collegeId,
+      metric: options.metric,
+      aggregate: options.aggregate,
+      asOf: options.asOf,
+      period: 'year_to_date'
+    });
+    if (!valid) throw new Error(errors.join(', '));
+    const scopes = ['term_to_date', 'year_to_date', 'same_point_last_year'];
+    const ranges = {};
+    const byScope = {};
+    for (const scope of scopes) {
+      ranges[scope] = this.metricStore.academicCalendar.range(scope, query.asOf, collegeId);
+      byScope[scope] = await this.metricStore.query({ ...query, period: scope });
+    }
 
-      analytics.timeSeries.careers.push({
-        date: reportDate,
-        value: metrics.careers,
-        reportId: reportData.id,
-        timestamp: reportData.createdAt
+    const summarize = (series) => {
+      if (!series || series.points.length === 0) return null;
+      const values = series.points.map(p => p.value);
+      const value = this.metricStore.combine(values, query.aggregate);
+      return {
+        value,
+        first: values[0],
+        change: values.length > 1 ? Math.round((values[values.length - 1] - values[0]) * 100) / 100 : null,
+        reports: series.points.length
+      };
+    };
+    const metrics = query.metrics.map(metric => {
+      const entry = { metric, label: null };
+      scopes.forEach(scope => {
+        const series = byScope[scope].find(s => s.metric === metric);
+        if (series && !entry.label) entry.label = series.label;
+        entry[scope] = summarize(series);
       });
+      entry.label = entry.label || metric;
+      entry.changeOnLastYear = entry.year_to_date && entry.same_point_last_year
+        ? Math.round((entry.year_to_date.value - entry.same_point_last_year.value) * 100) / 100
+        : null;
+      return entry;
+    });
 
-      // Update summary statistics
-      analytics.summary.totalReports++;
-      analytics.summary.dateRange.lastReport = reportData.createdAt;
-      if (!analytics.summary.dateRange.firstReport) {
-        analytics.summary.dateRange.firstReport = reportData.createdAt;
-      }
+    return {
+      collegeId,
+      asOf: ranges.year_to_date.to,
+      period: this.metricStore.academicCalendar.describe(ranges.year_to_date.to, collegeId),
+      aggregate: query.aggregate,
+      ranges: Object.fromEntries(Object.entries(ranges).map(([scope, { from, to, label }]) => [scope, { from, to, label }])),
+      metrics
+    };
+  }
 
-      // Recalculate averages
-      analytics.summary.averages = this.calculateAverages(analytics.timeSeries);
-      
-      // Calculate trends
-      analytics.summary.trends = this.calculateTrends(analytics.timeSeries);
-      
-      // Update metadata
-      analytics.lastUpdated = new Date().toISOString();
-      analytics.metadata.lastProcessedReport = reportData.id;
-      
-      // Save updated analytics
-      await this.saveAnalytics(collegeId, analytics);
-      
-      console.log(`Analytics updated successfully for college ${collegeId}`);
-      return true;
-      
+  /**
+   * Record a saved report's metric points
+   */
+  async processNewReport(collegeId, reportData) {
+    try {
+      const count = await this.metricStore.recordReport(collegeId, reportData);
+      console.log(`Recorded ${count} metric points for college ${collegeId}, report ${reportData.id}`);
+      return count > 0;
     } catch (error) {
       console.error(`Error processing analytics for college ${collegeId}:`, error);
       return false;
@@ -244,20 +191,20 @@ class AnalyticsService {
   }
 
   /**
-   * Calculate averages from time series data
+   * Calculate averages from time series data (null for metrics with no data)
    */
   calculateAverages(timeSeries) {
     const calculateAverage = (data) => {
-      if (!data || data.length === 0) return 0;
+      if (!data || data.length === 0) return null;
       const sum = data.reduce((acc, item) => acc + (item.value || 0), 0);
       return Math.round(sum / data.length);
     };
+    const lastAssessment = timeSeries.assessments[timeSeries.assessments.length - 1];
 
     return {
       placements: calculateAverage(timeSeries.placements),
       activities: calculateAverage(timeSeries.activities),
-      assessments: timeSeries.assessments.length > 0 ? 
-        Math.round(timeSeries.assessments[timeSeries.assessments.length - 1].total) : 0,
+      assessments: lastAssessment && lastAssessment.total !== null ? Math.round(lastAssessment.total) : null,
       careers: calculateAverage(timeSeries.careers)
     };
   }
@@ -276,6 +223,7 @@ class AnalyticsService {
       
       const first = values[0];
       const last = values[values.length - 1];
+      if (!first) return last > 0 ? "increasing" : "stable";
       const change = last - first;
       const percentChange = (change / first) * 100;
       
@@ -293,104 +241,46 @@ class AnalyticsService {
   }
 
   /**
-   * Generate analytics from existing reports (for migration)
+   * Rebuild a college's metric points from its existing reports
    */
   async generateAnalyticsFromReports(collegeId, reports) {
-    console.log(`Generating analytics from ${reports.length} existing reports for college ${collegeId}`);
-    
-    // Create fresh analytics structure
-    const analytics = this.createDefaultAnalytics(collegeId);
-    
-    if (reports.length === 0) {
-      console.log(`No reports to process for college ${collegeId}`);
-      return analytics;
-    }
-    
-    // Process each report in chronological order
-    const sortedReports = reports.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-    
-    // Build time series data from all reports
-    for (const report of sortedReports) {
-      const metrics = this.extractMetricsFromReport(report);
-      if (!metrics) {
-        console.log(`No valid metrics found in report ${report.id}, skipping...`);
-        continue;
-      }
-
-      const reportDate = new Date(report.createdAt).toISOString().split('T')[0];
-      
-      analytics.timeSeries.placements.push({
-        date: reportDate,
-        value: metrics.placements,
-        reportId: report.id,
-        timestamp: report.createdAt
-      });
-
-      analytics.timeSeries.activities.push({
-        date: reportDate,
-        value: metrics.activities,
-        reportId: report.id,
-        timestamp: report.createdAt
-      });
-
-      analytics.timeSeries.assessments.push({
-        date: reportDate,
-        completed: metrics.assessments.completed,
-        pending: metrics.assessments.pending,
-        total: metrics.assessments.total,
-        reportId: report.id,
-        timestamp: report.createdAt
-      });
-
-      analytics.timeSeries.careers.push({
-        date: reportDate,
-        value: metrics.careers,
-        reportId: report.id,
-        timestamp: report.createdAt
-      });
-    }
-    
-    // Update summary statistics
-    analytics.summary.totalReports = reports.length;
-    analytics.summary.dateRange.firstReport = sortedReports[0].createdAt;
-    analytics.summary.dateRange.lastReport = sortedReports[sortedReports.length - 1].createdAt;
-    
-    // Calculate averages and trends
-    analytics.summary.averages = this.calculateAverages(analytics.timeSeries);
-    analytics.summary.trends = this.calculateTrends(analytics.timeSeries);
-    
-    // Update metadata
-    analytics.lastUpdated = new Date().toISOString();
-    analytics.metadata.lastProcessedReport = sortedReports[sortedReports.length - 1].id;
-    
-    // Save the complete analytics
-    await this.saveAnalytics(collegeId, analytics);
-    
-    console.log(`Analytics generation completed for college ${collegeId}`);
-    return analytics;
+    console.log(`Rebuilding metrics from ${reports.length} existing reports for college ${collegeId}`);
+    await this.metricStore.rebuildCollege(collegeId, reports);
+    return this.loadAnalytics(collegeId);
   }
 
   /**
-   * Get chart-ready data for frontend
+   * Get chart-ready data for frontend. Series follow the college's reports; a report whose
+   * template does not map a metric leaves a null in that series, and available says which
+   * metrics have any data at all.
    */
   async getChartData(collegeId, limit = 7) {
     try {
+      const series = await this.loadSummarySeries(collegeId);
+      const reports = new Map();
+      Object.values(series).flat().forEach(p => reports.set(p.reportId, p.date));
+      const reportIds = Array.from(reports.keys())
+        .sort((a, b) => (reports.get(a) < reports.get(b) ? -1 : (reports.get(a) > reports.get(b) ? 1 : 0)))
+        .slice(-limit);
+      const valuesOf = metric => reportIds.map(id => {
+        const point = series[metric].find(p => p.reportId === id);
+        return point ? point.value : null;
+      });
+      const latest = metric => {
+        const point = series[metric][series[metric].length - 1];
+        return point ? point.value : null;
+      };
       const analytics = await this.loadAnalytics(collegeId);
       
-      // Get the most recent data points
-      const recentPlacements = analytics.timeSeries.placements.slice(-limit);
-      const recentActivities = analytics.timeSeries.activities.slice(-limit);
-      const recentCareers = analytics.timeSeries.careers.slice(-limit);
-      const latestAssessments = analytics.timeSeries.assessments[analytics.timeSeries.assessments.length - 1];
-      
       return {
-        labels: recentPlacements.map(p => 
-          new Date(p.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+        labels: reportIds.map(id =>
+          new Date(reports.get(id)).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
         ),
-        placements: recentPlacements.map(p => p.value),
-        activities: recentActivities.map(a => a.value),
-        assessments: latestAssessments ? [latestAssessments.completed, latestAssessments.pending] : [0, 0],
-        careers: recentCareers.map(c => c.value),
+        placements: valuesOf('placements'),
+        activities: valuesOf('activities'),
+        assessments: [latest('assessments_completed'), latest('assessments_pending')],
+        careers: valuesOf('careers'),
+        available: Object.fromEntries(Object.keys(series).map(metric => [metric, series[metric].length > 0])),
         summary: analytics.summary
       };
     } catch (error) {
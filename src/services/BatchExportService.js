@@ -0,0 +1,255 @@
+const path = require('path');
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+
+// Background batch exports: a zip of Excel and/or PDF files (one folder per college) plus a
+// manifest.json, built one report at a time. Job state is kept in batch-exports.json so finished
+// zips can still be downloaded after a restart; zips are deleted once they expire.
+//
+// Job: { id, status: queued|running|completed|failed, filter, formats, createdBy, createdAt,
+//        startedAt, completedAt, expiresAt, progress: { done, total }, files, errors, size, error }
+
+const FORMATS = ['xlsx', 'pdf'];
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_MAX_REPORTS = 500;
+
+class BatchExportService {
+  constructor(options = {}) {
+    this.volumeService = options.volumeService || null;
+    this.jobsFile = 'batch-exports.json';
+    this.ttlMs = (options.ttlHours || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+    this.maxReports = options.maxReports || DEFAULT_MAX_REPORTS;
+    this.jobs = new Map();
+    this.queue = Promise.resolve();
+    this.loaded = null;
+  }
+
+  /**
+   * Check a batch request: { collegeIds, accountManagerId, from, to, templateKey, formats }
+   */
+  validateRequest(body = {}) {
+    const errors = [];
+    const filter = {
+      collegeIds: null,
+      accountManagerId: body.accountManagerId ? String(body.accountManagerId) : null,
+      from: null,
+      to: null,
+      templateKey: body.templateKey ? String(body.templateKey) : null
+    };
+    if (body.collegeIds !== undefined && body.collegeIds !== null) {
+      if (!Array.isArray(body.collegeIds)) errors.push('collegeIds must be an array');
+      else if (body.collegeIds.length > 0) filter.collegeIds = body.collegeIds.map(String);
+    }
+    ['from', 'to'].forEach(key => {
+      if (!body[key]) return;
+      const date = new Date(body[key]);
+      if (isNaN(date.getTime())) errors.push(`${key} must be a date`);
+      else filter[key] = date.toISOString();
+    });
+    // A date-only "to" includes that whole day
+    if (filter.to && /^\d{4}-\d{2}-\d{2}$/.test(String(body.to))) {
+      filter.to = new Date(new Date(filter.to).getTime() + 24 * 60 * 60 * 1000 - 1).toISOString();
+    }
+    if (filter.from && filter.to && filter.from > filter.to) errors.push('from must be before to');
+
+    let formats = body.formats === undefined ? ['xlsx'] : body.formats;
+    if (typeof formats === 'string') formats = [formats];
+    if (!Array.isArray(formats) || formats.length === 0) {
+      errors.push(`formats must list one or more of ${FORMATS.join(', ')}`);
+      formats = [];
+    } else {
+      formats = [...new Set(formats.map(f => (String(f).toLowerCase() === 'excel' ? 'xlsx' : String(f).toLowerCase())))];
+      const unknown = formats.filter(f => !FORMATS.includes(f));
+      if (unknown.length > 0) errors.push(`Unknown format(s): ${unknown.join(', ')}`);
+    }
+    return { valid: errors.length === 0, errors, filter, formats };
+  }
+
+  /**
+   * Whether a report (with its college) matches the filter's date range and template. Drafts
+   * awaiting review are never exported.
+   */
+  matchesReport(filter, report) {
+    if (report.status === 'draft') return false;
+    const createdAt = report.createdAt ? new Date(report.createdAt).toISOString() : null;
+    if (filter.from && (!createdAt || createdAt < filter.from)) return false;
+    if (filter.to && (!createdAt || createdAt > filter.to)) return false;
+    if (filter.templateKey) {
+      const templateKey = report.templateKey || report.data?.meta?.templateKey || null;
+      if (String(templateKey) !== filter.templateKey) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Queue a job. items: [{ college, report }]; exportItem(item, format) resolves to { buffer, filename }.
+   * Jobs run one after another in the background.
+   */
+  async start({ filter, formats, createdBy, items, exportItem }) {
+    await this.load();
+    if (items.length > this.maxReports) {
+      return { success: false, message: `Too many reports (${items.length}); narrow the filter to at most ${this.maxReports}` };
+    }
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      filter,
+      formats,
+      createdBy: createdBy || null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      expiresAt: null,
+      progress: { done: 0, total: items.length * formats.length },
+      files: 0,
+      errors: [],
+      size: null,
+      error: null
+    };
+    this.jobs.set(job.id, job);
+    await this.save();
+    this.queue = this.queue
+      .then(() => this.run(job, items, exportItem))
+      .catch(error => console.error(`Batch export ${job.id} queue error:`, error));
+    return { success: true, job };
+  }
+
+  async run(job, items, exportItem) {
+    try {
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      await this.save();
+      const zip = new AdmZip();
+      const manifest = [];
+      const usedNames = new Set();
+      for (const item of items) {
+        const folder = this.safeName(item.college?.name || `College_${item.college?.id}`);
+        for (const format of job.formats) {
+          try {
+            const { buffer, filename } = await exportItem(item, format);
+            let entryName = `${folder}/${filename}`;
+            for (let n = 2; usedNames.has(entryName); n++) {
+              entryName = `${folder}/${filename.replace(/(\.[^.]+)$/, `_${n}$1`)}`;
+            }
+            usedNames.add(entryName);
+            zip.addFile(entryName, Buffer.from(buffer));
+            manifest.push({
+              file: entryName,
+              format,
+              bytes: buffer.length,
+              collegeId: item.college?.id ?? null,
+              collegeName: item.college?.name || null,
+              reportId: item.report.id,
+              reportName: item.report.name || null,
+              reportCreatedAt: item.report.createdAt || null,
+              templateKey: item.report.templateKey || item.report.data?.meta?.templateKey || null
+            });
+          } catch (error) {
+            console.error(`Batch export ${job.id}: ${format} of report ${item.report?.id} failed:`, error.message);
+            job.errors.push({ collegeId: item.college?.id ?? null, reportId: item.report?.id, format, error: error.message });
+          }
+          job.progress.done++;
+        }
+      }
+      zip.addFile('manifest.json', Buffer.from(JSON.stringify({
+        jobId: job.id,
+        createdAt: job.createdAt,
+        createdBy: job.createdBy,
+        filter: job.filter,
+        formats: job.formats,
+        files: manifest,
+        errors: job.errors
+      }, null, 2)));
+      const zipPath = this.zipPath(job.id);
+      await fs.ensureDir(path.dirname(zipPath));
+      await zip.writeZipPromise(zipPath);
+      job.files = manifest.length;
+      job.size = (await fs.stat(zipPath)).size;
+      job.status = 'completed';
+      job.completedAt = new Date().toISOString();
+      job.expiresAt = new Date(Date.now() + this.ttlMs).toISOString();
+      console.log(`📦 Batch export ${job.id}: ${manifest.length} file(s), ${job.errors.length} error(s)`);
+    } catch (error) {
+      console.error(`Batch export ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      job.completedAt = new Date().toISOString();
+      job.expiresAt = new Date(Date.now() + this.ttlMs).toISOString();
+    } finally {
+      // The job's outcome is kept in memory even if it cannot be written
+      await this.save().catch(error => console.error(`Batch export ${job.id}: could not save job state:`, error));
+    }
+  }
+
+  async getJob(id) {
+    await this.load();
+    return this.jobs.get(String(id)) || null;
+  }
+
+  /**
+   * Jobs newest first, only the user's own unless all is set (admins)
+   */
+  async listJobs(createdBy, all = false) {
+    await this.load();
+    return Array.from(this.jobs.values())
+      .filter(job => all || job.createdBy === createdBy)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  zipPath(id) {
+    const base = this.volumeService ? this.volumeService.getDataPath() : path.join(__dirname, '../../data');
+    return path.join(base, 'exports', `${id}.zip`);
+  }
+
+  /**
+   * Remove expired jobs and their zips
+   */
+  async cleanupExpired() {
+    await this.load();
+    const now = new Date().toISOString();
+    const expired = Array.from(this.jobs.values()).filter(job => job.expiresAt && job.expiresAt < now);
+    for (const job of expired) {
+      this.jobs.delete(job.id);
+      await fs.remove(this.zipPath(job.id)).catch(() => {});
+    }
+    if (expired.length > 0) {
+      await this.save();
+      console.log(`🧹 Removed ${expired.length} expired batch export(s)`);
+    }
+    return expired.length;
+  }
+
+  safeName(value) {
+    return String(value || '').replace(/[^a-zA-Z0-9\s_-]/g, '').trim().replace(/\s+/g, '_') || 'College';
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        if (!this.volumeService) return;
+        const stored = await this.volumeService.readFile(this.jobsFile).catch(() => null);
+        (stored?.jobs || []).forEach(job => {
+          // Jobs cut short by a restart cannot resume
+          if (job.status === 'queued' || job.status === 'running') {
+            job.status = 'failed';
+            job.error = 'Interrupted by a server restart';
+            job.completedAt = new Date().toISOString();
+            job.expiresAt = new Date(Date.now() + this.ttlMs).toISOString();
+          }
+          this.jobs.set(job.id, job);
+        });
+      })();
+    }
+    await this.loaded;
+  }
+
+  async save() {
+    if (!this.volumeService) return;
+    await this.volumeService.writeFile(this.jobsFile, { version: '1.0', jobs: Array.from(this.jobs.values()) });
+  }
+}
+
+BatchExportService.FORMATS = FORMATS;
+
+module.exports = BatchExportService;
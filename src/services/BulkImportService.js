@@ -0,0 +1,163 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Headers that identify the college in a consolidated (all-colleges) export, in priority order
+const COLLEGE_COLUMN_NAMES = [
+  'college', 'college name', 'provider', 'provider name', 'institution', 'institution name', 'organisation', 'organization'
+];
+
+class BulkImportService {
+  constructor(volumeService = null, dataImporter = null) {
+    this.volumeService = volumeService;
+    this.dataImporter = dataImporter;
+    this.aliasesFile = 'college-aliases.json';
+    this.localAliasesPath = path.join(__dirname, '../../data', this.aliasesFile);
+  }
+
+  /**
+   * Normalise a college name for matching ("St. Mary's College" == "st marys college")
+   */
+  normalizeName(value) {
+    return String(value || '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/['’.]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Load the alias list: { [collegeId]: ['Alias 1', 'Alias 2'] }
+   */
+  async getAliases() {
+    try {
+      const data = this.volumeService
+        ? await this.volumeService.readFile(this.aliasesFile)
+        : await fs.readJson(this.localAliasesPath);
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Replace the aliases for one college
+   */
+  async setAliases(collegeId, aliases) {
+    if (!Array.isArray(aliases)) {
+      return { success: false, message: 'Aliases must be an array of names' };
+    }
+    const cleaned = Array.from(new Set(aliases.map(a => String(a || '').trim()).filter(Boolean)));
+    const all = await this.getAliases();
+    if (cleaned.length > 0) {
+      all[String(collegeId)] = cleaned;
+    } else {
+      delete all[String(collegeId)];
+    }
+    if (this.volumeService) {
+      await this.volumeService.writeFile(this.aliasesFile, all);
+    } else {
+      await fs.ensureDir(path.dirname(this.localAliasesPath));
+      await fs.writeJson(this.localAliasesPath, all, { spaces: 2 });
+    }
+    return { success: true, aliases: cleaned };
+  }
+
+  /**
+   * Build a normalised name -> college lookup from college names and aliases
+   */
+  buildCollegeLookup(colleges, aliases = {}) {
+    const lookup = new Map();
+    (colleges || []).forEach(college => {
+      const names = [college.name, ...(aliases[String(college.id)] || [])];
+      names.forEach(name => {
+        const key = this.normalizeName(name);
+        if (key && !lookup.has(key)) lookup.set(key, college);
+      });
+    });
+    return lookup;
+  }
+
+  /**
+   * Find the College/Provider column in a header row, or -1
+   */
+  findCollegeColumn(headers) {
+    const normalized = (headers || []).map(h => this.normalizeName(h));
+    for (const name of COLLEGE_COLUMN_NAMES) {
+      const index = normalized.indexOf(name);
+      if (index !== -1) return index;
+    }
+    return -1;
+  }
+
+  /**
+   * Split consolidated sheets into per-college sheets. Title/filter rows and text-only rows
+   * without a college are copied into every college's sheet so content detection still works.
+   * Returns { groups: Map(collegeId -> { college, sheets }), unmatched: [{ name, rows }], unsplittable: [sheetName] }
+   */
+  splitSheetsByCollege(sheets, lookup) {
+    const groups = new Map();
+    const unmatched = new Map();
+    const unsplittable = [];
+
+    Object.keys(sheets || {}).forEach(sheetName => {
+      const sheetData = sheets[sheetName];
+      if (!Array.isArray(sheetData) || sheetData.length < 2) return;
+
+      const { table, layout } = this.dataImporter.normalizeSheet(sheetData);
+      const headers = table[0] || [];
+      const collegeCol = this.findCollegeColumn(headers);
+      if (collegeCol === -1) {
+        unsplittable.push(sheetName);
+        return;
+      }
+
+      const dropCollege = row => row.filter((_, index) => index !== collegeCol);
+      const titleRows = layout.skippedRows.map(text => [text]);
+      const noteRows = [];
+      const byCollege = new Map();
+
+      table.slice(1).forEach(row => {
+        if (!Array.isArray(row)) return;
+        const name = row[collegeCol];
+        const hasOtherCells = row.some((cell, index) => index !== collegeCol && !this.dataImporter.isBlankCell(cell));
+        if (!this.dataImporter.isBlankCell(name) && !hasOtherCells) {
+          // A lone text cell under the college column is a note/filter line, not a college
+          noteRows.push([String(name).trim()]);
+          return;
+        }
+        if (this.dataImporter.isBlankCell(name)) {
+          // Keep filter/notes text; drop untagged numeric rows such as grand totals
+          if (row.some(cell => !this.dataImporter.isBlankCell(cell)) && !row.some(cell => this.dataImporter.isNumericCell(cell))) {
+            noteRows.push(dropCollege(row));
+          }
+          return;
+        }
+        const college = lookup.get(this.normalizeName(name));
+        if (!college) {
+          const key = String(name).trim();
+          unmatched.set(key, (unmatched.get(key) || 0) + 1);
+          return;
+        }
+        if (!byCollege.has(college.id)) byCollege.set(college.id, { college, rows: [] });
+        byCollege.get(college.id).rows.push(dropCollege(row));
+      });
+
+      byCollege.forEach(({ college, rows }, collegeId) => {
+        if (!groups.has(collegeId)) groups.set(collegeId, { college, sheets: {} });
+        groups.get(collegeId).sheets[sheetName] = [...titleRows, dropCollege(headers), ...rows, ...noteRows];
+      });
+    });
+
+    return {
+      groups,
+      unmatched: Array.from(unmatched.entries()).map(([name, rows]) => ({ name, rows })),
+      unsplittable
+    };
+  }
+}
+
+BulkImportService.COLLEGE_COLUMN_NAMES = COLLEGE_COLUMN_NAMES;
+
+module.exports = BulkImportService;
@@ -1,13 +1,43 @@
 const XLSX = require('xlsx');
 const fs = require('fs-extra');
 const path = require('path');
+const ImportRulesService = require('./ImportRulesService');
 
 class DataImporter {
-  constructor() {
+  constructor(options = {}) {
     this.supportedFormats = ['.xlsx', '.xls', '.csv'];
+    // Admin-editable detection rules; when unavailable the built-in heuristics below are used
+    this.importRulesService = options.importRulesService || null;
+    this.importRules = null;
+  }
+
+  async loadImportRules() {
+    if (!this.importRulesService) return null;
+    try {
+      this.importRules = await this.importRulesService.getActiveRules();
+    } catch (error) {
+      console.warn('⚠️ Could not load import rules, using built-in detection:', error.message);
+      this.importRules = null;
+    }
+    return this.importRules;
+  }
+
+  hasImportRules() {
+    return Array.isArray(this.importRules) && this.importRules.length > 0;
+  }
+
+  // Layout overrides a caller can pass per file (1-based header row, 'rows' | 'columns' orientation)
+  getLayoutOptions(file) {
+    const headerRow = parseInt(file?.headerRow, 10);
+    return {
+      headerRow: Number.isInteger(headerRow) && headerRow > 0 ? headerRow : null,
+      orientation: ['rows', 'columns'].includes(file?.orientation) ? file.orientation : 'auto'
+    };
   }
 
   async processFiles(files) {
+    await this.loadImportRules();
+
     const processedData = {
       departments: [],
       metrics: {},
@@ -63,10 +93,12 @@ class DataImporter {
         
         console.log(`Processing file ${fileIndex}: "${file.originalName}" -> contentType: "${contentType}" (${file.userSelectedType ? 'user-selected' : 'filename-detected'})`);
 
-        const fileData = await this.readFile(file.path);
+        // Callers that have already split a workbook (bulk import) pass the sheets directly
+        const fileData = file.sheets || await this.readFile(file.path);
         console.log(`File data keys for ${file.originalName}:`, Object.keys(fileData));
         
-        const extractedData = this.extractData(fileData, file.originalName, fileIndex);
+        const extractedData = this.extractData(fileData, file.originalName, fileIndex, this.getLayoutOptions(file));
+        processedData.fileInfo[fileIndex].layout = extractedData.layouts;
         console.log(`\n📊 EXTRACTED DATA FOR FILE: ${file.originalName}`);
         console.log(`   - Departments: ${extractedData.departments}`);
         console.log(`   - Metrics count: ${Object.keys(extractedData.metrics).length}`);
@@ -209,6 +241,16 @@ class DataImporter {
     const filenameLower = filename.toLowerCase();
     console.log(`\n=== DETECTING CONTENT TYPE FROM FILENAME ===`);
     console.log(`Filename: "${filename}" -> "${filenameLower}"`);
+
+    if (this.hasImportRules()) {
+      const match = ImportRulesService.matchFilename(this.importRules, filename);
+      if (match) {
+        console.log(`✅ Import rule "${match.rule.id}" matched -> ${match.rule.contentType} (${match.reasons.join('; ')})`);
+        return match.rule.contentType;
+      }
+      console.log(`❌ No import rule matched filename, using 'default'`);
+      return 'default';
+    }
     
     // Activities detection - more comprehensive patterns
     if (filenameLower.includes('enrichment') || filenameLower.includes('enrich') || 
@@ -269,6 +311,17 @@ class DataImporter {
 
   detectActivityTypeFromContent(sheetData) {
     console.log(`\n=== DETECTING ACTIVITY TYPE FROM CONTENT ===`);
+
+    if (this.hasImportRules()) {
+      const match = ImportRulesService.matchContent(this.importRules, sheetData);
+      if (match) {
+        console.log(`✅ Import rule "${match.rule.id}" matched content -> ${match.rule.contentType} (${match.reasons.join('; ')})`);
+        // Activity routing in mergeData keys off 'employer', so fold the UI alias back
+        return match.rule.contentType === 'employment' ? 'employer' : match.rule.contentType;
+      }
+      console.log(`❌ No import rule matched content`);
+      return null;
+    }
     
     // First, scan entire sheet for activity structure and filter text
     const allText = sheetData.flat().join(' ').toLowerCase();
@@ -378,12 +431,182 @@ class DataImporter {
     workbook.SheetNames.forEach(sheetName => {
       const worksheet = workbook.Sheets[sheetName];
       const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+      this.applyMergedCells(worksheet, jsonData);
       sheets[sheetName] = jsonData;
     });
 
     return sheets;
   }
 
+  // Copy the value of each merged text cell across its whole range so merged
+  // header blocks ("Placements" spanning three columns) label every column.
+  // Numeric merges are left alone to avoid double counting values.
+  applyMergedCells(worksheet, jsonData) {
+    const merges = worksheet['!merges'] || [];
+    const applied = [];
+    if (merges.length === 0 || !worksheet['!ref']) return applied;
+    const origin = XLSX.utils.decode_range(worksheet['!ref']).s;
+
+    merges.forEach(merge => {
+      const top = merge.s.r - origin.r;
+      const left = merge.s.c - origin.c;
+      const value = jsonData[top] ? jsonData[top][left] : undefined;
+      if (typeof value !== 'string' || value.trim() === '') return;
+      for (let r = top; r <= merge.e.r - origin.r; r++) {
+        if (!jsonData[r]) jsonData[r] = [];
+        for (let c = left; c <= merge.e.c - origin.c; c++) {
+          if (jsonData[r][c] === undefined || jsonData[r][c] === null || jsonData[r][c] === '') {
+            jsonData[r][c] = value;
+          }
+        }
+      }
+      applied.push({ row: top, startCol: left, endCol: merge.e.c - origin.c, endRow: merge.e.r - origin.r, value });
+    });
+
+    // Kept on the array (not enumerated by forEach/flat/JSON) for layout reporting
+    jsonData.mergedRanges = applied;
+    return applied;
+  }
+
+  isBlankCell(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+  }
+
+  isNumericCell(value) {
+    if (typeof value === 'number') return true;
+    if (typeof value !== 'string') return false;
+    const s = value.trim().replace(/,/g, '');
+    return s !== '' && /^-?\d+(\.\d+)?\s*%?$/.test(s);
+  }
+
+  // Pick the table header row, skipping PowerBI title blocks and filter text above the table
+  detectHeaderRow(sheetData) {
+    const scanLimit = Math.min(25, sheetData.length);
+    const widths = [];
+    for (let i = 0; i < scanLimit; i++) {
+      const row = Array.isArray(sheetData[i]) ? sheetData[i] : [];
+      widths.push(row.filter(cell => !this.isBlankCell(cell)).length);
+    }
+    const widest = Math.max(0, ...widths);
+
+    for (let i = 0; i < scanLimit; i++) {
+      const row = Array.isArray(sheetData[i]) ? sheetData[i] : [];
+      const cells = row.filter(cell => !this.isBlankCell(cell));
+      if (cells.length < 2 || cells.length < widest * 0.5) continue;
+
+      const textCells = cells.filter(cell => !this.isNumericCell(cell));
+      if (textCells.length / cells.length < 0.6) continue;
+
+      const rowText = cells.join(' ').toLowerCase();
+      if (/\b(applied filters?|filtered by|filters?:)/.test(rowText)) continue;
+
+      const hasDataBelow = sheetData.slice(i + 1, i + 6)
+        .some(next => Array.isArray(next) && next.some(cell => this.isNumericCell(cell)));
+      if (!hasDataBelow) continue;
+
+      // Two-row header: merged group headings above a row of sub-headings, with the
+      // department heading only on the group row (its sub-heading cell is blank)
+      const next = Array.isArray(sheetData[i + 1]) ? sheetData[i + 1] : [];
+      const nextCells = next.filter(cell => !this.isBlankCell(cell));
+      if (nextCells.length >= 2 && !nextCells.some(cell => this.isNumericCell(cell)) &&
+          this.isBlankCell(next[0]) && !this.isBlankCell(row[0])) {
+        return { index: i + 1, groupIndex: i, reason: `two-row header (rows ${i + 1}-${i + 2})` };
+      }
+
+      return {
+        index: i,
+        groupIndex: null,
+        reason: i === 0 ? 'first row' : `skipped ${i} title/filter row${i === 1 ? '' : 's'}`
+      };
+    }
+
+    return { index: 0, groupIndex: null, reason: 'no header-like row found, using first row' };
+  }
+
+  // Combine a group heading row with the sub-heading row below it
+  // ("Placements" over "Confirmed" -> "Placements Confirmed")
+  resolveHeaderRow(sheetData, headerIndex, groupIndex) {
+    const headers = [...(sheetData[headerIndex] || [])];
+    const groupRow = groupIndex !== null && groupIndex !== undefined && Array.isArray(sheetData[groupIndex])
+      ? sheetData[groupIndex]
+      : null;
+    let combined = 0;
+
+    if (groupRow) {
+      for (let c = 0; c < Math.max(headers.length, groupRow.length); c++) {
+        const group = this.isBlankCell(groupRow[c]) ? '' : String(groupRow[c]).trim();
+        const sub = this.isBlankCell(headers[c]) ? '' : String(headers[c]).trim();
+        if (!group) continue;
+        if (!sub) {
+          headers[c] = group;
+        } else if (group.toLowerCase() !== sub.toLowerCase()) {
+          headers[c] = `${group} ${sub}`;
+        }
+        combined++;
+      }
+    }
+
+    return { headers, mergedHeaderCells: combined };
+  }
+
+  // A pivoted export lists departments across the header row and metrics down the first column
+  detectOrientation(table) {
+    const metricPattern = /(total|students?|%|percent|hours|activit|placement|assessment|number|count|rate|average|avg|target|login)/i;
+    const header = table[0] || [];
+    const headerCells = header.slice(1).filter(cell => !this.isBlankCell(cell));
+    const firstColumn = table.slice(1).map(row => (Array.isArray(row) ? row[0] : null)).filter(cell => !this.isBlankCell(cell));
+    if (headerCells.length < 2 || firstColumn.length < 2) return 'rows';
+    if (firstColumn.some(cell => this.isNumericCell(cell))) return 'rows';
+
+    const headerMetricShare = headerCells.filter(cell => metricPattern.test(String(cell))).length / headerCells.length;
+    const columnMetricShare = firstColumn.filter(cell => metricPattern.test(String(cell))).length / firstColumn.length;
+    return columnMetricShare >= 0.5 && headerMetricShare < 0.25 ? 'columns' : 'rows';
+  }
+
+  // Turn a departments-across-columns table into the usual one-row-per-department shape
+  transposeTable(table) {
+    const header = table[0] || [];
+    const metricRows = table.slice(1).filter(row => Array.isArray(row) && !this.isBlankCell(row[0]));
+    const transposed = [['Department', ...metricRows.map(row => String(row[0]).trim())]];
+    for (let c = 1; c < header.length; c++) {
+      if (this.isBlankCell(header[c])) continue;
+      transposed.push([header[c], ...metricRows.map(row => row[c])]);
+    }
+    return transposed;
+  }
+
+  // Locate the header row, resolve merged headers and un-pivot if needed.
+  // Returns the table in the shape processSheet expects plus a description of what was done.
+  normalizeSheet(sheetData, options = {}) {
+    const detected = options.headerRow
+      ? { index: Math.min(options.headerRow - 1, Math.max(sheetData.length - 1, 0)), groupIndex: null, reason: 'header row set manually' }
+      : this.detectHeaderRow(sheetData);
+    const { headers, mergedHeaderCells } = this.resolveHeaderRow(sheetData, detected.index, detected.groupIndex);
+    let table = [headers, ...sheetData.slice(detected.index + 1)];
+
+    const orientation = options.orientation && options.orientation !== 'auto'
+      ? options.orientation
+      : this.detectOrientation(table);
+    if (orientation === 'columns') {
+      table = this.transposeTable(table);
+    }
+
+    return {
+      table,
+      layout: {
+        headerRow: detected.index + 1,
+        headerRowReason: detected.reason,
+        headerCells: headers.filter(h => !this.isBlankCell(h)),
+        skippedRows: sheetData.slice(0, detected.groupIndex !== null ? detected.groupIndex : detected.index)
+          .map(row => (Array.isArray(row) ? row.filter(cell => !this.isBlankCell(cell)).join(' ') : ''))
+          .filter(Boolean),
+        orientation,
+        mergedRanges: (sheetData.mergedRanges || []).length,
+        mergedHeaderCells
+      }
+    };
+  }
+
   async readCSV(filePath) {
     const workbook = XLSX.readFile(filePath);
     const worksheet = workbook.Sheets[workbook.SheetNames[0]];
@@ -391,27 +614,32 @@ class DataImporter {
     return { [workbook.SheetNames[0]]: jsonData };
   }
 
-  extractData(fileData, fileName, fileIndex) {
+  extractData(fileData, fileName, fileIndex, layoutOptions = {}) {
     const extracted = {
       departments: [],
       metrics: {},
       headerList: [],
       originalHeaders: [], // Store original headers before processing
-      activityType: null
+      activityType: null,
+      layouts: [] // Header row / orientation chosen per sheet, reported back to the preview
     };
 
     // Process each sheet
     Object.keys(fileData).forEach(sheetName => {
       const sheetData = fileData[sheetName];
       if (sheetData && sheetData.length > 0) {
-        // Detect activity type from content
-        const contentActivityType = this.detectActivityTypeFromContent(sheetData);
+        // Detect activity type from content (title/filter rows are part of the signal); the
+        // first sheet that matches decides, as in ImportRulesService.explain
+        const contentActivityType = extracted.activityType ? null : this.detectActivityTypeFromContent(sheetData);
         if (contentActivityType) {
           extracted.activityType = contentActivityType;
           console.log(`Detected activity type from content: ${contentActivityType} in file: ${fileName}`);
         }
         
-        this.processSheet(sheetData, extracted, fileName, fileIndex);
+        const { table, layout } = this.normalizeSheet(sheetData, layoutOptions);
+        console.log(`Sheet "${sheetName}" layout for ${fileName}: header row ${layout.headerRow} (${layout.headerRowReason}), orientation ${layout.orientation}`);
+        extracted.layouts.push({ sheetName, ...layout });
+        this.processSheet(table, extracted, fileName, fileIndex);
       }
     });
 
@@ -431,7 +659,10 @@ class DataImporter {
     }
         
     // Capture original headers FIRST - completely unfiltered for template creation
-    extracted.originalHeaders = [...headers]; // Store ALL headers including empty ones
+    // (later sheets of a multi-sheet workbook append their new headers)
+    extracted.originalHeaders = extracted.originalHeaders.length > 0
+      ? extracted.originalHeaders.concat(headers.filter(h => !extracted.originalHeaders.includes(h)))
+      : [...headers]; // Store ALL headers including empty ones
     console.log(`Captured ALL original headers for ${fileName}:`, extracted.originalHeaders);
     
     // Find key columns based on your report structure (support common synonyms)
@@ -668,7 +899,8 @@ class DataImporter {
         console.log(`Processing file ${fileIndex}: "${file.originalName}" with manual assignments`);
 
         const fileData = await this.readFile(file.path);
-        const extractedData = this.extractDataWithManualAssignment(fileData, file.originalName, fileIndex, headerAssignments);
+        const extractedData = this.extractDataWithManualAssignment(fileData, file.originalName, fileIndex, headerAssignments, this.getLayoutOptions(file));
+        processedData.fileInfo[fileIndex].layout = extractedData.layouts;
         
         // Map original headers for this file into headerFileMap so columns render even when values are absent
         try {
@@ -711,20 +943,23 @@ class DataImporter {
     return processedData;
   }
   
-  extractDataWithManualAssignment(fileData, fileName, fileIndex, headerAssignments) {
+  extractDataWithManualAssignment(fileData, fileName, fileIndex, headerAssignments, layoutOptions = {}) {
     const extracted = {
       departments: [],
       metrics: {},
       headerList: [],
       originalHeaders: [],
-      activityType: null
+      activityType: null,
+      layouts: []
     };
 
     // Process each sheet
     Object.keys(fileData).forEach(sheetName => {
       const sheetData = fileData[sheetName];
       if (sheetData && sheetData.length > 0) {
-        this.processSheetWithManualAssignment(sheetData, extracted, fileName, fileIndex, headerAssignments);
+        const { table, layout } = this.normalizeSheet(sheetData, layoutOptions);
+        extracted.layouts.push({ sheetName, ...layout });
+        this.processSheetWithManualAssignment(table, extracted, fileName, fileIndex, headerAssignments);
       }
     });
 
@@ -742,8 +977,10 @@ class DataImporter {
       return;
     }
         
-    // Capture all headers
-    extracted.originalHeaders = [...headers];
+    // Capture all headers (appending for later sheets)
+    extracted.originalHeaders = extracted.originalHeaders.length > 0
+      ? extracted.originalHeaders.concat(headers.filter(h => !extracted.originalHeaders.includes(h)))
+      : [...headers];
     
     // Find department column (supports synonyms like Curriculum Area)
     const departmentColIndex = this.findColumnIndex(headers, [
@@ -3,9 +3,11 @@ const path = require('path');
 const AnalyticsService = require('./AnalyticsService');
 
 class DataValidationService {
-  constructor() {
-    this.analyticsService = new AnalyticsService();
-    this.reportsDir = path.join(__dirname, '../../data/reports');
+  constructor(options = {}) {
+    // Pass the app's AnalyticsService so reports are read through their templates' metric mappings
+    this.analyticsService = options.analyticsService || new AnalyticsService();
+    // (collegeId) => the college's reports, oldest first (the app passes ReportRepository.list)
+    this.listReports = options.listReports || (async () => []);
   }
 
   /**
@@ -18,20 +20,8 @@ class DataValidationService {
       // Load analytics data
       const analytics = await this.analyticsService.loadAnalytics(collegeId);
       
-      // Load original reports
-      const reportsPath = path.join(this.reportsDir, `${collegeId}.json`);
-      let reports = [];
-      
-      try {
-        const reportsData = await fs.readFile(reportsPath, 'utf8');
-        reports = JSON.parse(reportsData);
-      } catch (error) {
-        if (error.code === 'ENOENT') {
-          console.log(`No reports found for college ${collegeId}`);
-          return { valid: true, message: 'No reports to validate' };
-        }
-        throw error;
-      }
+      // Load original reports (drafts never reach analytics)
+      const reports = (await this.listReports(parseInt(collegeId))).filter(report => report.status !== 'draft');
       
       if (reports.length === 0) {
         console.log(`No reports to validate for college ${collegeId}`);
@@ -67,7 +57,7 @@ class DataValidationService {
       
       for (let i = 0; i < sortedReports.length; i++) {
         const report = sortedReports[i];
-        const reportMetrics = this.analyticsService.extractMetricsFromReport(report);
+        const reportMetrics = await this.analyticsService.extractMetricsFromReport(report);
         
         if (!reportMetrics) {
           validationResults.discrepancies.push({
@@ -82,7 +72,7 @@ class DataValidationService {
         
         // Check if analytics has this report
         const analyticsEntry = analytics.timeSeries.placements.find(p => p.reportId === report.id);
-        if (!analyticsEntry) {
+        if (!analyticsEntry && reportMetrics.placements !== null) {
           validationResults.discrepancies.push({
             type: 'missing_analytics_entry',
             reportId: report.id,
@@ -94,12 +84,14 @@ class DataValidationService {
         
         // Validate metrics match
         const analyticsMetrics = {
-          placements: analyticsEntry.value,
-          activities: analytics.timeSeries.activities.find(a => a.reportId === report.id)?.value || 0,
-          careers: analytics.timeSeries.careers.find(c => c.reportId === report.id)?.value || 0
+          placements: analyticsEntry ? analyticsEntry.value : null,
+          activities: analytics.timeSeries.activities.find(a => a.reportId === report.id)?.value ?? null,
+          careers: analytics.timeSeries.careers.find(c => c.reportId === report.id)?.value ?? null
         };
         
-        if (Math.abs(reportMetrics.placements - analyticsMetrics.placements) > 0.01) {
+        if (reportMetrics.placements !== analyticsMetrics.placements &&
+            (reportMetrics.placements === null || analyticsMetrics.placements === null ||
+             Math.abs(reportMetrics.placements - analyticsMetrics.placements) > 0.01)) {
           validationResults.discrepancies.push({
             type: 'placements_mismatch',
             reportId: report.id,
@@ -110,7 +102,9 @@ class DataValidationService {
           validationResults.valid = false;
         }
         
-        if (Math.abs(reportMetrics.activities - analyticsMetrics.activities) > 0.01) {
+        if (reportMetrics.activities !== analyticsMetrics.activities &&
+            (reportMetrics.activities === null || analyticsMetrics.activities === null ||
+             Math.abs(reportMetrics.activities - analyticsMetrics.activities) > 0.01)) {
           validationResults.discrepancies.push({
             type: 'activities_mismatch',
             reportId: report.id,
@@ -121,7 +115,9 @@ class DataValidationService {
           validationResults.valid = false;
         }
         
-        if (Math.abs(reportMetrics.careers - analyticsMetrics.careers) > 0.01) {
+        if (reportMetrics.careers !== analyticsMetrics.careers &&
+            (reportMetrics.careers === null || analyticsMetrics.careers === null ||
+             Math.abs(reportMetrics.careers - analyticsMetrics.careers) > 0.01)) {
           validationResults.discrepancies.push({
             type: 'careers_mismatch',
             reportId: report.id,
@@ -8,16 +8,39 @@ class EmailService {
   }
 
   createTransporter() {
-    // For development, use a test account or configure your SMTP
-    return nodemailer.createTransport({
-      host: process.env.SMTP_HOST || 'smtp.gmail.com',
-      port: process.env.SMTP_PORT || 587,
-      secure: false, // true for 465, false for other ports
-      auth: {
+    // For development, use a test account or configure your SMTP. A local stand-in such as
+    // MailHog (SMTP_HOST=localhost, SMTP_PORT=1025, no SMTP_USER) needs no credentials.
+    const host = process.env.SMTP_HOST || 'smtp.gmail.com';
+    const options = {
+      host,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true' // true for 465, false for other ports
+    };
+    if (process.env.SMTP_USER || !['localhost', '127.0.0.1'].includes(host)) {
+      options.auth = {
         user: process.env.SMTP_USER || 'your-email@gmail.com',
         pass: process.env.SMTP_PASS || 'your-app-password'
-      }
-    });
+      };
+    }
+    return nodemailer.createTransport(options);
+  }
+
+  /**
+   * Send an HTML email (digests and other notifications)
+   */
+  async sendMail(to, subject, html) {
+    try {
+      const info = await this.transporter.sendMail({
+        from: process.env.SMTP_FROM || 'noreply@amreports.com',
+        to,
+        subject,
+        html
+      });
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error(`Error sending "${subject}" to ${to}:`, error);
+      return { success: false, message: error.message };
+    }
   }
 
   /**
@@ -314,6 +337,124 @@ class EmailService {
       </html>
     `;
   }
+
+  /**
+   * Weekly digest for an account manager: their colleges that are overdue, due this week,
+   * missing data or have a scheduled draft waiting for review
+   */
+  getReportDigestTemplate(digest) {
+    const esc = (value) => String(value === undefined || value === null ? '' : value)
+      .replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    const section = (title, colour, items) => (items.length === 0 ? '' : `
+            <h3 style="color: ${colour}; margin-bottom: 8px;">${title} (${items.length})</h3>
+            <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
+              ${items.map(item => `
+              <tr>
+                <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;"><strong>${esc(item.collegeName)}</strong><br><span style="color: #666; font-size: 13px;">${esc(item.detail)}</span></td>
+                <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: right; white-space: nowrap;"><a href="${esc(item.link)}" style="color: #667eea;">Generate report</a></td>
+              </tr>`).join('')}
+            </table>`);
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Weekly Report Digest</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📅 Weekly Report Digest</h1>
+            <p>Navigate Reports Hub – week of ${esc(digest.weekOf)}</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${esc(digest.name)},</h2>
+            <p>Here is where your ${digest.collegeCount} college${digest.collegeCount === 1 ? '' : 's'} stand this week.</p>
+            ${section('Overdue', '#c0392b', digest.overdue)}
+            ${section('Due this week', '#d97706', digest.due)}
+            ${section('Missing data', '#7c3aed', digest.missingData)}
+            ${section('Drafts waiting for your review', '#2563eb', digest.awaitingReview)}
+            <p>Best regards,<br>The Navigate Reports Hub Team</p>
+          </div>
+          <div class="footer">
+            <p>You receive this digest because you manage colleges in Navigate Reports Hub.</p>
+            <p><a href="${esc(digest.unsubscribeUrl)}">Stop sending me the weekly digest</a></p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Admin roll-up of every account manager's digest
+   */
+  getAdminRollupTemplate(rollup) {
+    const esc = (value) => String(value === undefined || value === null ? '' : value)
+      .replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    const cell = 'padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: center;';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Weekly Report Roll-up</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 700px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📊 Weekly Report Roll-up</h1>
+            <p>Navigate Reports Hub – week of ${esc(rollup.weekOf)}</p>
+          </div>
+          <div class="content">
+            <p><strong>${rollup.totals.overdue}</strong> overdue, <strong>${rollup.totals.due}</strong> due this week, <strong>${rollup.totals.missingData}</strong> missing data and <strong>${rollup.totals.awaitingReview}</strong> drafts waiting for review across ${rollup.totals.colleges} colleges.</p>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+              <tr style="background: #eef2ff;">
+                <th style="padding: 8px; text-align: left;">Account manager</th>
+                <th style="${cell}">Colleges</th>
+                <th style="${cell}">Overdue</th>
+                <th style="${cell}">Due</th>
+                <th style="${cell}">Missing data</th>
+                <th style="${cell}">To review</th>
+              </tr>
+              ${rollup.managers.map(m => `
+              <tr>
+                <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${esc(m.name)}${m.optedOut ? ' <span style="color: #999;">(digest off)</span>' : ''}</td>
+                <td style="${cell}">${m.collegeCount}</td>
+                <td style="${cell}${m.overdue ? ' color: #c0392b; font-weight: bold;' : ''}">${m.overdue}</td>
+                <td style="${cell}">${m.due}</td>
+                <td style="${cell}">${m.missingData}</td>
+                <td style="${cell}">${m.awaitingReview}</td>
+              </tr>`).join('')}
+            </table>
+            <p>Best regards,<br>The Navigate Reports Hub Team</p>
+          </div>
+          <div class="footer">
+            <p>You receive this roll-up as a Navigate Reports Hub administrator.</p>
+            <p><a href="${esc(rollup.unsubscribeUrl)}">Stop sending me the weekly roll-up</a></p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
 }
 
 module.exports = EmailService; 
\ No newline at end of file
@@ -1,12 +1,16 @@
 const fs = require('fs').promises;
 const path = require('path');
 const AIAnalyzer = require('./AIAnalyzer');
+const MetricMappingService = require('./MetricMappingService');
 
 class EnhancedAnalyticsService {
-  constructor() {
+  constructor(options = {}) {
     this.aiAnalyzer = new AIAnalyzer();
+    // Reads report values through each template's metric mapping; unmapped metrics are not available
+    this.metricMappingService = options.metricMappingService || new MetricMappingService();
+    // (collegeId) => the college's reports, oldest first (the app passes ReportRepository.list)
+    this.listReports = options.listReports || (async () => []);
     this.dataDir = path.join(__dirname, '../../data');
-    this.reportsDir = path.join(__dirname, '../../data/reports');
   }
 
   /**
@@ -39,16 +43,18 @@ class EnhancedAnalyticsService {
         
         // Use direct HTTPS request instead of AIAnalyzer to avoid fetch issues
         const https = require('https');
+        const rate = value => (value === null || value === undefined ? 'not available' : `${Math.round(value * 10) / 10}%`);
         
         const prompt = `You are an expert UK Further Education (FE) consultant specialising in Navigate software implementation. Use clear, casual but professional British English for UK college staff—avoid big, complicated words and jargon. Keep the tone friendly and supportive. Provide only the 2–3 most important, practical suggestions per section. Use British spelling. Focus on Navigate software capabilities and UK FE best practice.
 
 COLLEGE CONTEXT:
 - Name: ${collegeData.name || 'Unknown College'}
-- Student Population: ${performanceData.totalStudents || 0} students
-- Placement Rate: ${performanceData.percentWithPlacements || 0}%
-- Activity Participation: ${performanceData.percentStudentsWithActivities || 0}%
-- Careers Assessments: ${performanceData.percentCareersAssessments || 0}%
-- Assessment Completion: ${performanceData.assessmentCompletionRate || 0}%
+- Student Population: ${performanceData.totalStudents === null || performanceData.totalStudents === undefined ? 'not available' : `${performanceData.totalStudents} students`}
+- Placement Rate: ${rate(performanceData.percentWithPlacements)}
+- Activity Participation: ${rate(performanceData.percentStudentsWithActivities)}
+- Careers Assessments: ${rate(performanceData.percentCareersAssessments)}
+- Assessment Completion: ${rate(performanceData.assessmentCompletionRate)}
+(Figures marked not available are not collected by this college's report template; do not assume values for them.)
 
 AVAILABLE DATA SECTIONS:
 ${performanceData.availableSections ? Object.entries(performanceData.availableSections)
@@ -285,205 +291,65 @@ Keep all suggestions practical, achievable, and specific to UK FE colleges using
   }
 
   /**
-   * Load performance data from reports
+   * Load performance data from the college's latest final report (drafts are left out)
    */
   async loadPerformanceData(collegeId) {
     try {
-      // First try to load from database (for Railway/PostgreSQL deployment)
-      try {
-        console.log(`EnhancedAnalyticsService: Trying to load from database for college ${collegeId}`);
-        const DatabaseUserManager = require('./DatabaseUserManager');
-        await DatabaseUserManager.initialize();
-        
-        const reports = await DatabaseUserManager.getReports(parseInt(collegeId));
-        console.log(`EnhancedAnalyticsService: Found ${reports.length} reports in database for college ${collegeId}`);
-        
-        if (reports && reports.length > 0) {
-          // Sort reports by creation date (newest first)
-          const sortedReports = reports.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-          const latestReport = sortedReports[0];
-          
-          // Calculate performance metrics
-          const performanceData = this.calculatePerformanceMetrics(latestReport);
-          
-          // Add trend analysis if multiple reports exist
-          if (sortedReports.length > 1) {
-            const previousReport = sortedReports[1];
-            const previousMetrics = this.calculatePerformanceMetrics(previousReport);
-            performanceData.trends = this.calculateTrends(performanceData, previousMetrics);
-          }
-
-          console.log(`EnhancedAnalyticsService: Loaded performance data from database for college ${collegeId}`);
-          return performanceData;
-        }
-      } catch (dbError) {
-        console.log(`EnhancedAnalyticsService: Database fetch failed for college ${collegeId}, trying file system:`, dbError.message);
-      }
-
-      // Fallback to file system for local development
-      const reportsPath = path.join(this.reportsDir, `${collegeId}.json`);
-      try {
-        const data = await fs.readFile(reportsPath, 'utf8');
-        const reports = JSON.parse(data);
-        
-        if (reports.length > 0) {
-          // Get latest report
-          const latestReport = reports[0];
-          
-          // Calculate performance metrics
-          const performanceData = this.calculatePerformanceMetrics(latestReport);
-          
-          // Add trend analysis if multiple reports exist
-          if (reports.length > 1) {
-            const previousReport = reports[1];
-            const previousMetrics = this.calculatePerformanceMetrics(previousReport);
-            performanceData.trends = this.calculateTrends(performanceData, previousMetrics);
-          }
-
-          console.log(`EnhancedAnalyticsService: Loaded performance data from file system for college ${collegeId}`);
-          return performanceData;
+      const reports = (await this.listReports(parseInt(collegeId)))
+        .filter(report => report.status !== 'draft')
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      if (reports.length > 0) {
+        // Calculate performance metrics
+        const performanceData = await this.calculatePerformanceMetrics(reports[0]);
+
+        // Add trend analysis if multiple reports exist
+        if (reports.length > 1) {
+          const previousMetrics = await this.calculatePerformanceMetrics(reports[1]);
+          performanceData.trends = this.calculateTrends(performanceData, previousMetrics);
         }
-      } catch (reportsError) {
-        console.log(`EnhancedAnalyticsService: No reports file found for college ${collegeId}, trying analytics...`);
-      }
 
-      // Fallback to analytics data if reports not available
-      const analyticsPath = path.join(this.dataDir, 'analytics', `${collegeId}.json`);
-      try {
-        const analyticsData = await fs.readFile(analyticsPath, 'utf8');
-        const analytics = JSON.parse(analyticsData);
-        
-        // Convert analytics data to performance data format
-        const performanceData = this.convertAnalyticsToPerformanceData(analytics);
-        if (performanceData) {
-          console.log(`EnhancedAnalyticsService: Loaded performance data from analytics for college ${collegeId}`);
-          return performanceData;
-        }
-      } catch (analyticsError) {
-        console.log(`EnhancedAnalyticsService: No analytics data found for college ${collegeId}`);
+        console.log(`EnhancedAnalyticsService: Loaded performance data from ${reports.length} report(s) for college ${collegeId}`);
+        return performanceData;
       }
 
-      // As a final fallback, return a minimal, well-formed performance object
-      // so the UI and downstream logic can still operate without 404s.
-      return {
-        totalStudents: 0,
-        studentsWithPlacements: 0,
-        studentsWithActivities: 0,
-        studentsWithActivitiesEnrichment: 0,
-        studentsWithActivitiesEmployer: 0,
-        studentsWithoutAssessments: 0,
-        percentWithPlacements: 0,
-        percentStudentsWithActivities: 0,
-        percentStudentsWithActivitiesEnrichment: 0,
-        percentStudentsWithActivitiesEmployer: 0,
-        assessmentCompletionRate: 0,
-        availableSections: {
-          placements: false,
-          activities: false,
-          assessments: false,
-          careers: false
-        }
-      };
+      // No reports: a well-formed object with nothing available, so the UI and
+      // downstream logic can still operate without 404s
+      return this.emptyPerformanceData();
     } catch (error) {
       console.error('Error loading performance data:', error);
-      // Return the same minimal structure on error to avoid front-end breakage
-      return {
-        totalStudents: 0,
-        studentsWithPlacements: 0,
-        studentsWithActivities: 0,
-        studentsWithActivitiesEnrichment: 0,
-        studentsWithActivitiesEmployer: 0,
-        studentsWithoutAssessments: 0,
-        percentWithPlacements: 0,
-        percentStudentsWithActivities: 0,
-        percentStudentsWithActivitiesEnrichment: 0,
-        percentStudentsWithActivitiesEmployer: 0,
-        assessmentCompletionRate: 0,
-        availableSections: {
-          placements: false,
-          activities: false,
-          assessments: false,
-          careers: false
-        }
-      };
+      return this.emptyPerformanceData();
     }
   }
 
   /**
-   * Convert analytics data to performance data format
+   * Performance data for a college with no usable report: every metric not available
    */
-  convertAnalyticsToPerformanceData(analytics) {
-    try {
-      if (!analytics || !analytics.timeSeries) {
-        return null;
-      }
-
-      // Get the latest data from time series
-      const latestPlacements = analytics.timeSeries.placements[analytics.timeSeries.placements.length - 1];
-      const latestActivities = analytics.timeSeries.activities[analytics.timeSeries.activities.length - 1];
-      const latestAssessments = analytics.timeSeries.assessments[analytics.timeSeries.assessments.length - 1];
-
-      if (!latestPlacements) {
-        return null;
-      }
-
-      // Extract values from analytics data
-      const studentsWithPlacements = latestPlacements.value;
-      const studentsWithActivities = latestActivities ? latestActivities.value : 0;
-      const studentsWithAssessments = latestAssessments ? latestAssessments.completed : 0;
-      const totalAssessments = latestAssessments ? latestAssessments.total : 0;
-
-      // For analytics data, we need to determine the total student population
-      // The placement value represents students with placements, not total students
-      // We'll use the assessment total as a proxy for total students if available
-      const totalStudents = totalAssessments > 0 ? totalAssessments : studentsWithPlacements;
-
-      // Check if assessment data is meaningful (not just placeholder data)
-      const hasMeaningfulAssessmentData = analytics.timeSeries.assessments.length > 0 && 
-        latestAssessments && 
-        latestAssessments.pending > 0; // If there are pending assessments, it's real data
-
-      // Calculate percentages
-      const percentWithPlacements = totalStudents > 0 ? (studentsWithPlacements / totalStudents) * 100 : 0;
-      const percentStudentsWithActivities = totalStudents > 0 ? (studentsWithActivities / totalStudents) * 100 : 0;
-      
-      // For assessments, use the total assessments as the denominator if available
-      // If no meaningful assessment data, set to null
-      const assessmentCompletionRate = hasMeaningfulAssessmentData && totalAssessments > 0 ? 
-                                      (studentsWithAssessments / totalAssessments) * 100 : 
-                                      (hasMeaningfulAssessmentData && totalStudents > 0 ? 
-                                       (studentsWithAssessments / totalStudents) * 100 : null);
-
-      // Determine available sections based on data presence
-      const availableSections = {
-        placements: analytics.timeSeries.placements.length > 0,
-        activities: analytics.timeSeries.activities.length > 0,
-        assessments: hasMeaningfulAssessmentData,
-        careers: analytics.timeSeries.careers && analytics.timeSeries.careers.length > 0
-      };
-
-      // Standardize activities structure for analytics data
-      const studentsWithActivitiesEnrichment = Math.round(studentsWithActivities / 2);
-      const studentsWithActivitiesEmployer = studentsWithActivities - studentsWithActivitiesEnrichment;
-
-      return {
-        totalStudents,
-        studentsWithPlacements,
-        studentsWithActivities,
-        studentsWithActivitiesEnrichment,
-        studentsWithActivitiesEmployer,
-        studentsWithoutAssessments: totalStudents - studentsWithAssessments,
-        percentWithPlacements,
-        percentStudentsWithActivities,
-        percentStudentsWithActivitiesEnrichment: totalStudents > 0 ? (studentsWithActivitiesEnrichment / totalStudents) * 100 : 0,
-        percentStudentsWithActivitiesEmployer: totalStudents > 0 ? (studentsWithActivitiesEmployer / totalStudents) * 100 : 0,
-        assessmentCompletionRate,
-        availableSections
-      };
-    } catch (error) {
-      console.error('EnhancedAnalyticsService: Error converting analytics to performance data:', error);
-      return null;
-    }
+  emptyPerformanceData() {
+    return {
+      totalStudents: null,
+      studentsWithPlacements: null,
+      studentsWithActivities: null,
+      studentsWithActivitiesEnrichment: null,
+      studentsWithActivitiesEmployer: null,
+      studentsWithoutAssessments: null,
+      careersAssessments: null,
+      logins: null,
+      percentWithPlacements: null,
+      percentStudentsWithActivities: null,
+      percentStudentsWithActivitiesEnrichment: null,
+      percentStudentsWithActivitiesEmployer: null,
+      assessmentCompletionRate: null,
+      percentCareersAssessments: null,
+      availableSections: {
+        placements: false,
+        activities: false,
+        assessments: false,
+        careers: false
+      },
+      metricMapping: null,
+      unavailableMetrics: MetricMappingService.METRIC_KEYS.slice()
+    };
   }
 
   /**
@@ -689,220 +555,49 @@ Keep all suggestions practical, achievable, and specific to UK FE colleges using
   }
 
   /**
-   * Calculate performance metrics from report data
+   * Performance metrics of a report, read through its template's metric mapping. A count the
+   * template does not map is null, as is any percentage without both its count and total students.
    */
-  calculatePerformanceMetrics(report) {
-    if (!report.data || !report.data.rows) {
-      return null;
-    }
-
-    const { headers, rows } = report.data;
-    
-    // Find the Total row - handle different naming patterns
-    const findTotalRow = (rows) => {
-      // Try different patterns for total rows
-      const totalPatterns = ['total', 'summary', 'overall', 'grand total'];
-      
-      for (const pattern of totalPatterns) {
-        const totalRow = rows.find(row => 
-          row[0] && row[0].toLowerCase().includes(pattern)
-        );
-        if (totalRow) {
-          return totalRow;
-        }
-      }
-      
-      // If no total row found, try the last non-empty row
-      const lastNonEmptyRow = rows.filter(row => 
-        row[0] && row[0].trim() !== '' && 
-        !row[0].toLowerCase().includes('department') &&
-        !row[0].toLowerCase().includes('header')
-      ).pop();
-      
-      if (lastNonEmptyRow) {
-        console.log('EnhancedAnalyticsService: Using last non-empty row as total row');
-        return lastNonEmptyRow;
-      }
-      
-      return null;
-    };
-
-    const totalRow = findTotalRow(rows);
-    
-    if (!totalRow) {
-      console.log('EnhancedAnalyticsService: No total row found in report');
+  async calculatePerformanceMetrics(report) {
+    if (!report || !report.data || !report.data.rows) {
       return null;
     }
 
-    // Helper function to aggregate data from individual rows if total row is missing
-    const aggregateFromRows = (rows, columnIndex) => {
-      if (columnIndex === -1) return 0;
-      
-      return rows.reduce((sum, row) => {
-        if (row[0] && !row[0].toLowerCase().includes('total') && 
-            !row[0].toLowerCase().includes('summary') && 
-            !row[0].toLowerCase().includes('department')) {
-          return sum + safeParseFloat(row[columnIndex]);
-        }
-        return sum;
-      }, 0);
-    };
-
-    // Helper function to safely parse numeric values
-    const safeParseFloat = (value) => {
-      if (value === null || value === undefined || value === '') return 0;
-      const parsed = parseFloat(value);
-      return isNaN(parsed) ? 0 : parsed;
-    };
-
-    // Dynamic column detection - handle any report structure
-    const findColumnIndex = (patterns, excludePatterns = []) => {
-      return headers.findIndex((header, index) => {
-        const headerLower = header.toLowerCase();
-        
-        // Check if header matches all required patterns
-        const matchesAllPatterns = patterns.every(pattern => 
-          headerLower.includes(pattern.toLowerCase())
-        );
-        
-        // Check if header doesn't match any exclude patterns
-        const matchesNoExcludePatterns = excludePatterns.length === 0 || 
-          !excludePatterns.some(excludePattern => 
-            headerLower.includes(excludePattern.toLowerCase())
-          );
-        
-        return matchesAllPatterns && matchesNoExcludePatterns;
-      });
-    };
-
-    // Find column indices using flexible pattern matching
-    const totalStudentsIndex = findColumnIndex(['total', 'student'], ['activity', 'placement', 'assessment']);
-    const studentsWithPlacementsIndex = findColumnIndex(['students with placements']);
-    const studentsWithActivitiesEnrichmentIndex = findColumnIndex(['students with activities', 'enrichment']);
-    const studentsWithActivitiesEmployerIndex = findColumnIndex(['students with activities', 'employer']);
-    const studentsWithActivitiesIndex = findColumnIndex(['students with activities'], ['enrichment', 'employer']);
-    const studentsWithoutAssessmentsIndex = findColumnIndex(['students without assessments']);
-    
-    // Find careers-related columns with comprehensive patterns
-    const careersIndex = findColumnIndex(['career']) || 
-                        findColumnIndex(['job profile']) ||
-                        findColumnIndex(['quiz']) ||
-                        findColumnIndex(['mapped job profile']) ||
-                        findColumnIndex(['total mapped job profiles']) ||
-                        findColumnIndex(['mapped'], ['placement']);
-    
-    // Find percentage columns for activities
-    const percentActivitiesEnrichmentIndex = findColumnIndex(['%', 'students with activities', 'enrichment']);
-    const percentActivitiesEmployerIndex = findColumnIndex(['%', 'students with activities', 'employer']);
-
-    // Fallback patterns for different naming conventions
-    if (totalStudentsIndex === -1) {
-      console.log('EnhancedAnalyticsService: Trying fallback patterns for total students');
-      const fallbackTotalIndex = findColumnIndex(['total'], ['activity', 'placement', 'assessment']) || 
-                                findColumnIndex(['student'], ['activity', 'placement', 'assessment']);
-      if (fallbackTotalIndex !== -1) {
-        console.log('EnhancedAnalyticsService: Found fallback total students column');
-      }
-    }
-
-    if (studentsWithPlacementsIndex === -1) {
-      console.log('EnhancedAnalyticsService: Trying fallback patterns for placements');
-      const fallbackPlacementIndex = findColumnIndex(['placement']) || 
-                                    findColumnIndex(['placements']);
-      if (fallbackPlacementIndex !== -1) {
-        console.log('EnhancedAnalyticsService: Found fallback placements column');
-      }
-    }
-
-    // Log column detection results for debugging
-    const columnDetection = {
-      totalStudents: { index: totalStudentsIndex, found: totalStudentsIndex >= 0 },
-      studentsWithPlacements: { index: studentsWithPlacementsIndex, found: studentsWithPlacementsIndex >= 0 },
-      studentsWithActivitiesEnrichment: { index: studentsWithActivitiesEnrichmentIndex, found: studentsWithActivitiesEnrichmentIndex >= 0 },
-      studentsWithActivitiesEmployer: { index: studentsWithActivitiesEmployerIndex, found: studentsWithActivitiesEmployerIndex >= 0 },
-      studentsWithActivitiesGeneral: { index: studentsWithActivitiesIndex, found: studentsWithActivitiesIndex >= 0 },
-      studentsWithoutAssessments: { index: studentsWithoutAssessmentsIndex, found: studentsWithoutAssessmentsIndex >= 0 },
-      careers: { index: careersIndex, found: careersIndex >= 0 }
-    };
-
-    console.log('EnhancedAnalyticsService: Column detection results:', columnDetection);
+    const mappings = await this.metricMappingService.getMappingsForReport(report);
+    const values = this.metricMappingService.extract(report, mappings);
+    const totalStudents = values.students;
+    const percentOf = count => (count !== null && totalStudents ? (count / totalStudents) * 100 : null);
 
-    // Extract values from Total row with fallbacks
-    const totalStudents = totalStudentsIndex >= 0 ? safeParseFloat(totalRow[totalStudentsIndex]) : 0;
-    const studentsWithPlacements = studentsWithPlacementsIndex >= 0 ? safeParseFloat(totalRow[studentsWithPlacementsIndex]) : 0;
-    const studentsWithActivitiesEnrichment = studentsWithActivitiesEnrichmentIndex >= 0 ? safeParseFloat(totalRow[studentsWithActivitiesEnrichmentIndex]) : 0;
-    const studentsWithActivitiesEmployer = studentsWithActivitiesEmployerIndex >= 0 ? safeParseFloat(totalRow[studentsWithActivitiesEmployerIndex]) : 0;
-    const studentsWithActivitiesGeneral = studentsWithActivitiesIndex >= 0 ? safeParseFloat(totalRow[studentsWithActivitiesIndex]) : 0;
-    const studentsWithoutAssessments = studentsWithoutAssessmentsIndex >= 0 ? safeParseFloat(totalRow[studentsWithoutAssessmentsIndex]) : 0;
-    const careersAssessments = careersIndex >= 0 ? safeParseFloat(totalRow[careersIndex]) : 0;
-    
-    // Extract percentage values from Total row
-    const percentActivitiesEnrichment = percentActivitiesEnrichmentIndex >= 0 ? safeParseFloat(totalRow[percentActivitiesEnrichmentIndex]) : 0;
-    const percentActivitiesEmployer = percentActivitiesEmployerIndex >= 0 ? safeParseFloat(totalRow[percentActivitiesEmployerIndex]) : 0;
-    
-    // Standardize activities structure using actual percentages from report
-    let finalStudentsWithActivitiesEnrichment = studentsWithActivitiesEnrichment;
-    let finalStudentsWithActivitiesEmployer = studentsWithActivitiesEmployer;
-    
-    if (studentsWithActivitiesEnrichment === 0 && studentsWithActivitiesEmployer === 0 && studentsWithActivitiesGeneral > 0) {
-      // If we only have general activities, use percentages from the report if available
-      if (percentActivitiesEnrichment > 0 || percentActivitiesEmployer > 0) {
-        // Use actual percentages from the report
-        finalStudentsWithActivitiesEnrichment = Math.round((percentActivitiesEnrichment / 100) * totalStudents);
-        finalStudentsWithActivitiesEmployer = Math.round((percentActivitiesEmployer / 100) * totalStudents);
-      } else {
-        // Fallback to 50/50 split if no percentages available
-        finalStudentsWithActivitiesEnrichment = Math.round(studentsWithActivitiesGeneral / 2);
-        finalStudentsWithActivitiesEmployer = studentsWithActivitiesGeneral - finalStudentsWithActivitiesEnrichment;
-      }
-    } else if (studentsWithActivitiesEnrichment === 0 && studentsWithActivitiesEmployer === 0) {
-      // If no activities data at all, both are 0
-      finalStudentsWithActivitiesEnrichment = 0;
-      finalStudentsWithActivitiesEmployer = 0;
-    }
-    
-    // Calculate total activities (enrichment + employer)
-    const studentsWithActivities = finalStudentsWithActivitiesEnrichment + finalStudentsWithActivitiesEmployer;
-
-    // Validate data consistency
-    if (totalStudents > 0 && studentsWithPlacements > totalStudents) {
-      console.log('EnhancedAnalyticsService: Warning - students with placements exceeds total students, adjusting...');
-      // This might happen if the data is in percentages or if there's a data issue
-      // For now, we'll cap it at total students
-      studentsWithPlacements = Math.min(studentsWithPlacements, totalStudents);
+    if (!mappings) {
+      console.log(`EnhancedAnalyticsService: Report ${report.id} has no template metric mapping, metrics not available`);
     }
 
-    // Check what data sections are available in the report
     const availableSections = {
-      placements: headers.some(h => h.toLowerCase().includes('placement')),
-      activities: headers.some(h => h.toLowerCase().includes('activity')),
-      assessments: headers.some(h => h.toLowerCase().includes('student') && h.toLowerCase().includes('assessment')),
-      careers: careersIndex >= 0 || headers.some(h => {
-        const headerLower = h.toLowerCase();
-        return headerLower.includes('career') || 
-               headerLower.includes('job profile') || 
-               headerLower.includes('quiz') || 
-               headerLower.includes('mapped job profile') ||
-               headerLower.includes('total mapped job profiles') || 
-               (headerLower.includes('mapped') && !headerLower.includes('placement'));
-      })
+      placements: values.placements !== null,
+      activities: [values.activities, values.activities_enrichment, values.activities_employer].some(v => v !== null),
+      assessments: values.assessments_completed !== null,
+      careers: values.careers !== null
     };
 
     return {
       totalStudents,
-      studentsWithPlacements,
-      studentsWithActivities,
-      studentsWithActivitiesEnrichment: finalStudentsWithActivitiesEnrichment,
-      studentsWithActivitiesEmployer: finalStudentsWithActivitiesEmployer,
-      studentsWithoutAssessments,
-      careersAssessments: careersAssessments,
-      percentWithPlacements: availableSections.placements && totalStudents > 0 ? (studentsWithPlacements / totalStudents) * 100 : null,
-      percentStudentsWithActivities: availableSections.activities && totalStudents > 0 ? (studentsWithActivities / totalStudents) * 100 : null,
-      percentStudentsWithActivitiesEnrichment: availableSections.activities && totalStudents > 0 ? (finalStudentsWithActivitiesEnrichment / totalStudents) * 100 : null,
-      percentStudentsWithActivitiesEmployer: availableSections.activities && totalStudents > 0 ? (finalStudentsWithActivitiesEmployer / totalStudents) * 100 : null,
-      assessmentCompletionRate: availableSections.assessments && totalStudents > 0 ? ((totalStudents - studentsWithoutAssessments) / totalStudents) * 100 : null,
-      percentCareersAssessments: availableSections.careers && totalStudents > 0 ? (careersAssessments / totalStudents) * 100 : null,
-      availableSections: availableSections
+      studentsWithPlacements: values.placements,
+      studentsWithActivities: values.activities,
+      studentsWithActivitiesEnrichment: values.activities_enrichment,
+      studentsWithActivitiesEmployer: values.activities_employer,
+      studentsWithoutAssessments: values.assessments_pending,
+      careersAssessments: values.careers,
+      logins: values.logins,
+      percentWithPlacements: percentOf(values.placements),
+      percentStudentsWithActivities: percentOf(values.activities),
+      percentStudentsWithActivitiesEnrichment: percentOf(values.activities_enrichment),
+      percentStudentsWithActivitiesEmployer: percentOf(values.activities_employer),
+      assessmentCompletionRate: percentOf(values.assessments_completed),
+      percentCareersAssessments: percentOf(values.careers),
+      availableSections,
+      // 'template' when the report's template declares a mapping, null when nothing can be read
+      metricMapping: mappings ? 'template' : null,
+      unavailableMetrics: Object.keys(values).filter(key => values[key] === null)
     };
   }
 
@@ -912,11 +607,15 @@ Keep all suggestions practical, achievable, and specific to UK FE colleges using
   calculateTrends(current, previous) {
     if (!previous) return {};
 
+    // Only between values both reports have
+    const change = key => (current[key] === null || current[key] === undefined || previous[key] === null || previous[key] === undefined
+      ? null
+      : current[key] - previous[key]);
     return {
-      placementRateChange: current.percentWithPlacements - previous.percentWithPlacements,
-      activityParticipationChange: current.percentStudentsWithActivities - previous.percentStudentsWithActivities,
-      assessmentCompletionChange: current.assessmentCompletionRate - previous.assessmentCompletionRate,
-      studentCountChange: current.totalStudents - previous.totalStudents
+      placementRateChange: change('percentWithPlacements'),
+      activityParticipationChange: change('percentStudentsWithActivities'),
+      assessmentCompletionChange: change('assessmentCompletionRate'),
+      studentCountChange: change('totalStudents')
     };
   }
 
@@ -940,46 +639,32 @@ Keep all suggestions practical, achievable, and specific to UK FE colleges using
         return this.generateFallbackPeerData(performanceData);
       }
 
-      // Load performance data for ALL colleges (not just similar ones)
+      // Load performance data for ALL colleges (not just similar ones). Each rate is compared
+      // only across the colleges whose templates map it; a missing rate is left out, not counted as 0.
       const allPerformanceData = [];
-      let totalPlacementRate = 0;
-      let totalActivityRate = 0;
-      let totalAssessmentRate = 0;
       let validColleges = 0;
 
       console.log('EnhancedAnalyticsService: Loading performance data for all colleges...');
 
-      // Load performance data for each college
       for (const college of allColleges) {
         try {
-        const collegePerformance = await this.loadPerformanceData(college.id);
-          if (collegePerformance && collegePerformance.totalStudents > 0) {
-            const collegeData = {
+          const collegePerformance = await this.loadPerformanceData(college.id);
+          const rates = collegePerformance ? {
+            placementRate: collegePerformance.percentWithPlacements,
+            activityRate: collegePerformance.percentStudentsWithActivities,
+            assessmentRate: collegePerformance.assessmentCompletionRate
+          } : {};
+          if (collegePerformance && Object.values(rates).some(rate => rate !== null)) {
+            allPerformanceData.push({
               collegeId: college.id,
               collegeName: college.name,
               studentCount: collegePerformance.totalStudents,
-              placementRate: collegePerformance.percentWithPlacements || 0,
-              activityRate: collegePerformance.percentStudentsWithActivities || 0,
-              assessmentRate: collegePerformance.assessmentCompletionRate || 0,
+              ...rates,
               lastReportDate: college.lastReportDate
-            };
-            
-            allPerformanceData.push(collegeData);
-            
-            // Add to totals for overall averages
-            totalPlacementRate += collegeData.placementRate;
-            totalActivityRate += collegeData.activityRate;
-            totalAssessmentRate += collegeData.assessmentRate;
-          validColleges++;
-            
-            console.log(`EnhancedAnalyticsService: Loaded data for ${college.name}:`, {
-              students: collegeData.studentCount,
-              placementRate: collegeData.placementRate.toFixed(1) + '%',
-              activityRate: collegeData.activityRate.toFixed(1) + '%',
-              assessmentRate: collegeData.assessmentRate.toFixed(1) + '%'
             });
+            validColleges++;
           } else {
-            console.log(`EnhancedAnalyticsService: No valid performance data for college ${college.name} (${college.id})`);
+            console.log(`EnhancedAnalyticsService: No mapped performance data for college ${college.name} (${college.id})`);
           }
         } catch (error) {
           console.log(`EnhancedAnalyticsService: Could not load performance data for college ${college.id}:`, error.message);
@@ -988,123 +673,96 @@ Keep all suggestions practical, achievable, and specific to UK FE colleges using
       
       console.log('EnhancedAnalyticsService: Successfully loaded performance data for', validColleges, 'colleges');
 
-      // Calculate overall averages from all colleges
-      const overallAveragePlacementRate = validColleges > 0 ? totalPlacementRate / validColleges : 0;
-      const overallAverageActivityRate = validColleges > 0 ? totalActivityRate / validColleges : 0;
-      const overallAverageAssessmentRate = validColleges > 0 ? totalAssessmentRate / validColleges : 0;
+      const RATE_KEYS = { placement: 'placementRate', activity: 'activityRate', assessment: 'assessmentRate' };
+      const CURRENT_RATES = {
+        placementRate: performanceData.percentWithPlacements,
+        activityRate: performanceData.percentStudentsWithActivities,
+        assessmentRate: performanceData.assessmentCompletionRate
+      };
+      const hasRate = (college, key) => college[key] !== null && college[key] !== undefined;
+      const average = (colleges, key) => {
+        const withRate = colleges.filter(college => hasRate(college, key));
+        return withRate.length > 0 ? withRate.reduce((sum, college) => sum + college[key], 0) / withRate.length : null;
+      };
+      const perRate = fn => Object.fromEntries(Object.values(RATE_KEYS).map(key => [key, fn(key)]));
+
+      // Overall averages from all colleges that have each rate
+      const overallAverages = perRate(key => average(allPerformanceData, key));
 
       // Find similar-sized colleges (±30% student count for broader comparison)
-      const currentStudentCount = performanceData.totalStudents || 0;
+      const currentStudentCount = performanceData.totalStudents;
       const similarColleges = allPerformanceData.filter(college => {
-        if (college.collegeId === collegeData.id) return false; // Exclude current college
+        if (String(college.collegeId) === String(collegeData.id)) return false; // Exclude current college
+        if (!currentStudentCount || college.studentCount === null) return false;
         const difference = Math.abs(college.studentCount - currentStudentCount);
-        const percentageDifference = currentStudentCount > 0 ? (difference / currentStudentCount) * 100 : 100;
-        return percentageDifference <= 30;
+        return (difference / currentStudentCount) * 100 <= 30;
+      });
+      const similarAverages = perRate(key => {
+        const similar = average(similarColleges, key);
+        return similar === null ? overallAverages[key] : similar;
       });
 
-      // Calculate similar college averages
-      let similarPlacementRate = 0;
-      let similarActivityRate = 0;
-      let similarAssessmentRate = 0;
-      let similarCollegesCount = 0;
-
-      for (const college of similarColleges) {
-        similarPlacementRate += college.placementRate;
-        similarActivityRate += college.activityRate;
-        similarAssessmentRate += college.assessmentRate;
-        similarCollegesCount++;
-      }
-
-      const similarAveragePlacementRate = similarCollegesCount > 0 ? similarPlacementRate / similarCollegesCount : overallAveragePlacementRate;
-      const similarAverageActivityRate = similarCollegesCount > 0 ? similarActivityRate / similarCollegesCount : overallAverageActivityRate;
-      const similarAverageAssessmentRate = similarCollegesCount > 0 ? similarAssessmentRate / similarCollegesCount : overallAverageAssessmentRate;
-
-      // Calculate performance rankings and quartiles
       // Ensure current college exists in comparison list (ID type-safe)
       const currentIdStr = String(collegeData.id);
-      let existsInList = allPerformanceData.some(c => String(c.collegeId) === currentIdStr);
-      if (!existsInList && currentStudentCount > 0) {
+      const existsInList = allPerformanceData.some(c => String(c.collegeId) === currentIdStr);
+      if (!existsInList && Object.values(CURRENT_RATES).some(rate => rate !== null && rate !== undefined)) {
         // Synthesise an entry for the current college from provided performanceData
         allPerformanceData.push({
           collegeId: collegeData.id,
           collegeName: collegeData.name || 'This College',
           studentCount: currentStudentCount,
-          placementRate: performanceData.percentWithPlacements || 0,
-          activityRate: performanceData.percentStudentsWithActivities || 0,
-          assessmentRate: performanceData.assessmentCompletionRate || 0,
+          ...CURRENT_RATES,
           lastReportDate: collegeData.lastReportDate
         });
       }
 
-      const sortedByPlacement = [...allPerformanceData].sort((a, b) => b.placementRate - a.placementRate);
-      const sortedByActivity = [...allPerformanceData].sort((a, b) => b.activityRate - a.activityRate);
-      const sortedByAssessment = [...allPerformanceData].sort((a, b) => b.assessmentRate - a.assessmentRate);
-
-      const currentCollegeIndex = sortedByPlacement.findIndex(c => String(c.collegeId) === currentIdStr);
-      const currentActivityIndex = sortedByActivity.findIndex(c => String(c.collegeId) === currentIdStr);
-      const currentAssessmentIndex = sortedByAssessment.findIndex(c => String(c.collegeId) === currentIdStr);
-
-      // Calculate quartiles
-      const calculateQuartile = (index, total) => {
-        if (index === -1 || total === 0) return 2;
-        return Math.min(Math.ceil((index + 1) / Math.max(total / 4, 1)), 4);
+      // Rankings and quartiles among the colleges that have each rate; none when this college lacks it
+      const ranked = perRate(key => allPerformanceData.filter(c => hasRate(c, key)).sort((a, b) => b[key] - a[key]));
+      const rankOf = key => {
+        const index = ranked[key].findIndex(c => String(c.collegeId) === currentIdStr);
+        return index === -1 ? null : index + 1;
       };
+      const quartileOf = key => {
+        const rank = rankOf(key);
+        if (rank === null) return null;
+        return Math.min(Math.ceil(rank / Math.max(ranked[key].length / 4, 1)), 4);
+      };
+      const gapOf = key => (CURRENT_RATES[key] === null || CURRENT_RATES[key] === undefined || overallAverages[key] === null
+        ? null
+        : CURRENT_RATES[key] - overallAverages[key]);
 
-      const placementQuartile = calculateQuartile(currentCollegeIndex, allPerformanceData.length);
-      const activityQuartile = calculateQuartile(currentActivityIndex, allPerformanceData.length);
-      const assessmentQuartile = calculateQuartile(currentAssessmentIndex, allPerformanceData.length);
-
-      // Find top performers (top 25%)
-      const topPerformersCount = Math.max(1, Math.floor(allPerformanceData.length * 0.25));
-      const topPerformers = sortedByPlacement.slice(0, topPerformersCount);
-      const topPerformersAveragePlacement = topPerformers.reduce((sum, college) => sum + college.placementRate, 0) / topPerformers.length;
+      // Find top performers (top 25% by placement rate)
+      const topPerformersCount = ranked.placementRate.length > 0 ? Math.max(1, Math.floor(ranked.placementRate.length * 0.25)) : 0;
+      const topPerformersAveragePlacement = average(ranked.placementRate.slice(0, topPerformersCount), 'placementRate');
+      const currentPlacement = CURRENT_RATES.placementRate === undefined ? null : CURRENT_RATES.placementRate;
 
       const peerData = {
         // Overall statistics
         totalColleges: allPerformanceData.length,
         validColleges: validColleges,
         
-        // Overall averages (all colleges)
-        overallAverages: {
-          placementRate: overallAveragePlacementRate,
-          activityRate: overallAverageActivityRate,
-          assessmentRate: overallAverageAssessmentRate
-        },
+        // Overall averages (all colleges with the rate)
+        overallAverages,
         
         // Similar college statistics
-        similarCollegesCount: similarCollegesCount,
+        similarCollegesCount: similarColleges.length,
         similarColleges: similarColleges.map(c => ({ name: c.collegeName, studentCount: c.studentCount })),
-        similarAverages: {
-          placementRate: similarAveragePlacementRate,
-          activityRate: similarAverageActivityRate,
-          assessmentRate: similarAverageAssessmentRate
-        },
+        similarAverages,
         
         // Performance gaps
-        performanceGap: {
-          placement: performanceData.availableSections.placements ? (performanceData.percentWithPlacements - overallAveragePlacementRate) : null,
-          activity: performanceData.availableSections.activities ? (performanceData.percentStudentsWithActivities - overallAverageActivityRate) : null,
-          assessment: performanceData.availableSections.assessments ? (performanceData.assessmentCompletionRate - overallAverageAssessmentRate) : null
-        },
+        performanceGap: Object.fromEntries(Object.entries(RATE_KEYS).map(([name, key]) => [name, gapOf(key)])),
         
         // Rankings and quartiles
-        rankings: {
-          placement: currentCollegeIndex !== -1 ? currentCollegeIndex + 1 : null,
-          activity: currentActivityIndex !== -1 ? currentActivityIndex + 1 : null,
-          assessment: currentAssessmentIndex !== -1 ? currentAssessmentIndex + 1 : null
-        },
-        
-        quartiles: {
-          placement: placementQuartile,
-          activity: activityQuartile,
-          assessment: assessmentQuartile
-        },
+        rankings: Object.fromEntries(Object.entries(RATE_KEYS).map(([name, key]) => [name, rankOf(key)])),
+        quartiles: Object.fromEntries(Object.entries(RATE_KEYS).map(([name, key]) => [name, quartileOf(key)])),
+        // How many colleges each ranking is out of
+        comparedColleges: Object.fromEntries(Object.entries(RATE_KEYS).map(([name, key]) => [name, ranked[key].length])),
         
         // Top performers benchmark
         topPerformers: {
           count: topPerformersCount,
           averagePlacementRate: topPerformersAveragePlacement,
-          gapToTop: performanceData.availableSections.placements ? (topPerformersAveragePlacement - performanceData.percentWithPlacements) : null
+          gapToTop: currentPlacement !== null && topPerformersAveragePlacement !== null ? topPerformersAveragePlacement - currentPlacement : null
         },
         
         // Available sections
@@ -1112,20 +770,21 @@ Keep all suggestions practical, achievable, and specific to UK FE colleges using
         
         // Additional metrics
         benchmarks: {
-          overallAverage: overallAveragePlacementRate,
-          similarAverage: similarAveragePlacementRate,
+          overallAverage: overallAverages.placementRate,
+          similarAverage: similarAverages.placementRate,
           topPerformersAverage: topPerformersAveragePlacement,
-          currentPerformance: performanceData.percentWithPlacements
+          currentPerformance: currentPlacement
         }
       };
 
+      const percent = value => (value === null ? 'not available' : value.toFixed(1) + '%');
       console.log('EnhancedAnalyticsService: Comprehensive peer comparison generated successfully');
       console.log('EnhancedAnalyticsService: Peer data summary:', {
         totalColleges: peerData.totalColleges,
         similarColleges: peerData.similarCollegesCount,
-        overallAveragePlacement: peerData.overallAverages.placementRate.toFixed(1) + '%',
-        currentPlacement: performanceData.percentWithPlacements.toFixed(1) + '%',
-        placementGap: peerData.performanceGap.placement?.toFixed(1) + '%',
+        overallAveragePlacement: percent(peerData.overallAverages.placementRate),
+        currentPlacement: percent(currentPlacement),
+        placementGap: percent(peerData.performanceGap.placement),
         placementRank: peerData.rankings.placement,
         placementQuartile: peerData.quartiles.placement
       });
@@ -1138,54 +797,38 @@ Keep all suggestions practical, achievable, and specific to UK FE colleges using
   }
 
   /**
-   * Generate fallback peer data when comprehensive comparison fails
+   * Fallback peer data when the comprehensive comparison fails: no peers, so no averages,
+   * gaps or rankings to report
    */
   generateFallbackPeerData(performanceData) {
     console.log('EnhancedAnalyticsService: Generating fallback peer data');
+    const none = { placement: null, activity: null, assessment: null };
+    const noRates = { placementRate: null, activityRate: null, assessmentRate: null };
     
     return {
-      totalColleges: 1,
-      validColleges: 1,
-      overallAverages: {
-        placementRate: performanceData.percentWithPlacements || 0,
-        activityRate: performanceData.percentStudentsWithActivities || 0,
-        assessmentRate: performanceData.assessmentCompletionRate || 0
-      },
+      totalColleges: 0,
+      validColleges: 0,
+      overallAverages: { ...noRates },
       similarCollegesCount: 0,
       similarColleges: [],
-      similarAverages: {
-        placementRate: performanceData.percentWithPlacements || 0,
-        activityRate: performanceData.percentStudentsWithActivities || 0,
-        assessmentRate: performanceData.assessmentCompletionRate || 0
-      },
-      performanceGap: {
-        placement: 0,
-        activity: 0,
-        assessment: 0
-      },
-      rankings: {
-        placement: 1,
-        activity: 1,
-        assessment: 1
-      },
-      quartiles: {
-        placement: 2,
-        activity: 2,
-        assessment: 2
-      },
+      similarAverages: { ...noRates },
+      performanceGap: { ...none },
+      rankings: { ...none },
+      quartiles: { ...none },
+      comparedColleges: { placement: 0, activity: 0, assessment: 0 },
       topPerformers: {
-        count: 1,
-        averagePlacementRate: performanceData.percentWithPlacements || 0,
-        gapToTop: 0
+        count: 0,
+        averagePlacementRate: null,
+        gapToTop: null
       },
-      availableSections: performanceData.availableSections || {},
+      availableSections: performanceData?.availableSections || {},
       benchmarks: {
-        overallAverage: performanceData.percentWithPlacements || 0,
-        similarAverage: performanceData.percentWithPlacements || 0,
-        topPerformersAverage: performanceData.percentWithPlacements || 0,
-        currentPerformance: performanceData.percentWithPlacements || 0
-             }
-     };
+        overallAverage: null,
+        similarAverage: null,
+        topPerformersAverage: null,
+        currentPerformance: performanceData?.percentWithPlacements ?? null
+      }
+    };
   }
 
   /**
@@ -1381,8 +1024,8 @@ Keep all suggestions practical, achievable, and specific to UK FE colleges using
       opportunities: []
     };
 
-    // Identify improvement opportunities
-    if (gaps.placementGap < -10) {
+    // Identify improvement opportunities (a null gap is a metric that is not available)
+    if (gaps.placementGap !== null && gaps.placementGap < -10) {
       gaps.opportunities.push({
         area: 'Placement Rate',
         gap: Math.abs(gaps.placementGap).toFixed(1) + '%',
@@ -1391,7 +1034,7 @@ Keep all suggestions practical, achievable, and specific to UK FE colleges using
       });
     }
 
-    if (gaps.activityGap < -15) {
+    if (gaps.activityGap !== null && gaps.activityGap < -15) {
       gaps.opportunities.push({
         area: 'Activity Participation',
         gap: Math.abs(gaps.activityGap).toFixed(1) + '%',
@@ -1400,7 +1043,7 @@ Keep all suggestions practical, achievable, and specific to UK FE colleges using
       });
     }
 
-    if (gaps.assessmentGap < -20) {
+    if (gaps.assessmentGap !== null && gaps.assessmentGap < -20) {
       gaps.opportunities.push({
         area: 'Assessment Completion',
         gap: Math.abs(gaps.assessmentGap).toFixed(1) + '%',
@@ -0,0 +1,368 @@
+const moment = require('moment');
+const MetricMappingService = require('./MetricMappingService');
+const AcademicCalendarService = require('./AcademicCalendarService');
+
+// End-of-year forecasts of cumulative metrics (students with placements, with activities, ...),
+// computed locally from the metric store. Progress through the year is measured in teaching days
+// (days in the college's terms, outside half terms) so holidays are not read as a slowdown and
+// years with different term dates line up. The year ends with the last day of its final term.
+//
+// Two methods, chosen per metric:
+//   seasonal - earlier years with a report in their final term give the growth from this point of
+//              the year to its end (end value / value at the same fraction of teaching days); the
+//              average growth is applied to the latest value and the range spans the years.
+//   linear   - without such a year, a least-squares line through this year's reports is continued
+//              from the latest value to year end, with an 80% prediction interval once there are
+//              three reports.
+// Targets come from the college's KPIs (a KPI with a metric and a numeric target), else from a
+// target column for the metric in the latest report; a percentage target is taken of the latest
+// student total. A forecast short of its target is at_risk when the top of its range still reaches
+// it and off_track when it does not; the shortfall is target - projected.
+
+const DEFAULT_METRICS = ['placements', 'activities'];
+const STATUSES = ['achieved', 'on_track', 'at_risk', 'off_track', 'no_target', 'insufficient_data'];
+const FLAGGED = ['off_track', 'at_risk'];
+// Report columns that hold a metric's target: the header names a target or goal and the metric
+const TARGET_COLUMNS = {
+  placements: { any: ['placement', 'placed'], none: [] },
+  activities: { any: ['activit'], none: ['enrichment', 'employer'] },
+  activities_enrichment: { any: ['enrichment'], none: [] },
+  activities_employer: { any: ['employer'], none: ['placement'] },
+  careers: { any: ['career'], none: [] },
+  assessments_completed: { any: ['assessment'], none: ['without'] }
+};
+const Z80 = 1.2816;
+const DAY = 'YYYY-MM-DD';
+
+class ForecastService {
+  constructor(options = {}) {
+    this.metricStore = options.metricStore;
+    this.academicCalendar = options.academicCalendar || this.metricStore?.academicCalendar || new AcademicCalendarService();
+    this.reportComparisonService = options.reportComparisonService || null;
+    // async (collegeId) => [{ id, name, metric, target, completed }]
+    this.getKpis = options.getKpis || (async () => []);
+    // async (collegeId) => the college's latest final report, or null
+    this.getLatestReport = options.getLatestReport || (async () => null);
+    // async () => [{ id, name }]
+    this.getColleges = options.getColleges || (async () => []);
+  }
+
+  /**
+   * Check forecast parameters: { valid, errors, options: { metrics, asOf, statuses } }. No metric
+   * means placements, activities and any metric a KPI sets a target for.
+   */
+  validate(params = {}) {
+    const errors = [];
+    const list = value => String(value === undefined || value === null ? '' : value).split(',').map(v => v.trim()).filter(Boolean);
+    const options = {
+      metrics: list(params.metric),
+      asOf: null,
+      statuses: list(params.status)
+    };
+    const unknown = options.metrics.filter(m => !MetricMappingService.METRIC_KEYS.includes(m));
+    if (unknown.length) errors.push(`Unknown metric ${unknown.join(', ')} (use ${MetricMappingService.METRIC_KEYS.join(', ')})`);
+    if (params.asOf) {
+      const date = moment(String(params.asOf), [DAY, moment.ISO_8601], true);
+      if (!date.isValid()) errors.push('asOf must be a date (YYYY-MM-DD)');
+      else options.asOf = date.format(DAY);
+    }
+    if (options.statuses.length === 0) options.statuses = FLAGGED.slice();
+    const badStatus = options.statuses.filter(s => !STATUSES.includes(s));
+    if (badStatus.length) errors.push(`status must be one of ${STATUSES.join(', ')}`);
+    return { valid: errors.length === 0, errors, options };
+  }
+
+  /**
+   * A college's end-of-year forecast at asOf (default today):
+   * { collegeId, asOf, academicYear, yearEnd, weeksRemaining, period, flagged, forecasts: [{ metric,
+   *   label, current: { value, date }, projected, range: { low, high } | null, method, basis,
+   *   target: { value, source, ... } | null, status, shortfall, pace: { current, required },
+   *   history: [{ date, value }], path: [{ date, value }] }] }
+   * pace is per teaching week; path runs from the latest report through the remaining term ends.
+   */
+  async forecastCollege(collegeId, options = {}) {
+    const asOf = moment(options.asOf || undefined).format(DAY);
+    const kpis = (await this.getKpis(collegeId).catch(() => [])) || [];
+    const metrics = options.metrics && options.metrics.length
+      ? options.metrics
+      : Array.from(new Set([...DEFAULT_METRICS, ...kpis.filter(k => k.metric && Number(k.target) > 0).map(k => k.metric)]))
+        .filter(m => MetricMappingService.METRIC_KEYS.includes(m));
+    const year = this.academicCalendar.academicYear(asOf, collegeId);
+    const clock = this.teachingClock(year, collegeId);
+
+    const { query } = this.metricStore.validateQuery({
+      collegeId,
+      metric: Array.from(new Set([...metrics, 'students'])).join(','),
+      to: asOf
+    });
+    const series = await this.metricStore.query(query);
+    const pointsOf = metric => (series.find(s => s.metric === metric)?.points || [])
+      .map(p => ({ date: p.start, value: p.value }));
+    const students = pointsOf('students').pop();
+
+    let latestReport;
+    const targetFor = async (metric) => {
+      const kpi = kpis.find(k => k.metric === metric && Number(k.target) > 0);
+      if (kpi) return { value: Number(kpi.target), source: 'kpi', kpiId: kpi.id, name: kpi.name || null };
+      if (latestReport === undefined) latestReport = await this.getLatestReport(collegeId).catch(() => null);
+      return this.targetFromReport(latestReport, metric, students ? students.value : null);
+    };
+
+    const forecasts = [];
+    for (const metric of metrics) {
+      const points = pointsOf(metric);
+      const label = series.find(s => s.metric === metric)?.label ||
+        (MetricMappingService.METRICS.find(m => m.key === metric) || {}).label || metric;
+      const forecast = this.forecastMetric(points, clock, collegeId);
+      const target = await targetFor(metric);
+      forecasts.push({ metric, label, ...this.assess(forecast, target, clock) });
+    }
+
+    return {
+      collegeId,
+      asOf,
+      academicYear: year.label,
+      yearEnd: clock.end,
+      weeksRemaining: Math.round(Math.max(0, clock.total - clock.days(asOf)) / 7 * 10) / 10,
+      period: this.academicCalendar.describe(asOf, collegeId),
+      flagged: forecasts.some(f => FLAGGED.includes(f.status)),
+      forecasts
+    };
+  }
+
+  /**
+   * Forecasts across colleges whose status is one of statuses (default off_track and at_risk),
+   * off track first and then by shortfall: { asOf, checked, colleges: [{ collegeId, name, metric,
+   * label, status, current, projected, range, target, shortfall, method }] }
+   */
+  async offTrajectory(options = {}) {
+    const statuses = options.statuses && options.statuses.length ? options.statuses : FLAGGED;
+    const colleges = await this.getColleges();
+    const entries = [];
+    let checked = 0;
+    for (const college of colleges || []) {
+      try {
+        const result = await this.forecastCollege(college.id, options);
+        checked++;
+        result.forecasts.filter(f => statuses.includes(f.status)).forEach(f => {
+          entries.push({
+            collegeId: college.id,
+            name: college.name,
+            metric: f.metric,
+            label: f.label,
+            status: f.status,
+            current: f.current ? f.current.value : null,
+            projected: f.projected,
+            range: f.range,
+            target: f.target,
+            shortfall: f.shortfall,
+            method: f.method
+          });
+        });
+      } catch (error) {
+        console.error(`Forecast failed for college ${college.id}:`, error.message);
+      }
+    }
+    entries.sort((a, b) => STATUSES.indexOf(b.status) - STATUSES.indexOf(a.status) || (b.shortfall || 0) - (a.shortfall || 0));
+    return { asOf: moment(options.asOf || undefined).format(DAY), checked, colleges: entries };
+  }
+
+  /**
+   * Projection of one metric's points (college-wide, in date order) to the end of clock's year
+   */
+  forecastMetric(points, clock, collegeId = null) {
+    const current = points.filter(p => p.date >= clock.year.start && p.date <= clock.year.end);
+    const result = {
+      current: null, projected: null, range: null, method: null, basis: null, trendPerWeek: null,
+      history: current.map(p => ({ date: p.date, value: p.value })), path: []
+    };
+    if (current.length === 0) return result;
+
+    const latest = current[current.length - 1];
+    const x = clock.days(latest.date);
+    const fraction = x / clock.total;
+    const remainingEnds = clock.terms.map(t => t.end).filter(d => d > latest.date);
+    result.current = { value: latest.value, date: latest.date };
+
+    const trend = this.regression(current.map(p => ({ x: clock.days(p.date), y: p.value })));
+    if (trend) result.trendPerWeek = Math.round(trend.slope * 7 * 100) / 100;
+
+    // Earlier years that reached their final term, as (fraction of teaching days, value)
+    const earlier = new Map();
+    points.filter(p => p.date < clock.year.start).forEach(p => {
+      const year = this.academicCalendar.academicYear(p.date, collegeId);
+      if (!earlier.has(year.label)) earlier.set(year.label, { clock: this.teachingClock(year, collegeId), points: [] });
+      earlier.get(year.label).points.push(p);
+    });
+    const profiles = [];
+    earlier.forEach(({ clock: yearClock, points: yearPoints }, label) => {
+      const last = yearPoints[yearPoints.length - 1];
+      if (last.date < yearClock.finalTermStart) return;
+      const curve = yearPoints.map(p => ({ f: yearClock.days(p.date) / yearClock.total, value: p.value }));
+      const atNow = this.interpolate(curve, fraction);
+      if (atNow === null || atNow <= 0) return;
+      profiles.push({ label, curve, atNow, ratio: last.value / atNow });
+    });
+
+    const round = n => Math.round(n);
+    if (profiles.length > 0) {
+      const ratios = profiles.map(p => p.ratio);
+      const mean = ratios.reduce((a, b) => a + b, 0) / ratios.length;
+      result.method = 'seasonal';
+      result.basis = { years: profiles.map(p => p.label) };
+      result.projected = round(latest.value * mean);
+      if (ratios.length > 1) {
+        result.range = { low: round(latest.value * Math.min(...ratios)), high: round(latest.value * Math.max(...ratios)) };
+      }
+      result.path = remainingEnds.map(date => {
+        const f = clock.days(date) / clock.total;
+        const growth = profiles.reduce((sum, p) => sum + this.interpolate(p.curve, f) / p.atNow, 0) / profiles.length;
+        return { date, value: round(latest.value * growth) };
+      });
+    } else if (trend) {
+      // Counts of students reached do not fall within a year, so a falling line holds the latest value
+      const at = day => Math.max(latest.value, latest.value + trend.slope * (day - x));
+      result.method = 'linear';
+      result.basis = { reports: current.length };
+      result.projected = round(at(clock.total));
+      if (trend.se !== null) {
+        const half = Z80 * trend.se * Math.sqrt(1 + 1 / trend.n + Math.pow(clock.total - trend.meanX, 2) / trend.sxx);
+        result.range = { low: round(Math.max(latest.value, result.projected - half)), high: round(result.projected + half) };
+      }
+      result.path = remainingEnds.map(date => ({ date, value: round(at(clock.days(date))) }));
+    }
+    if (result.path.length) result.path.unshift({ date: latest.date, value: latest.value });
+    return result;
+  }
+
+  /**
+   * Status, shortfall and pace of a forecast against its target
+   */
+  assess(forecast, target, clock) {
+    const { trendPerWeek, ...rest } = forecast;
+    const result = { ...rest, target, status: 'insufficient_data', shortfall: null, pace: { current: trendPerWeek, required: null } };
+    if (forecast.current && target) {
+      const weeksLeft = Math.max(0, clock.total - clock.days(forecast.current.date)) / 7;
+      const needed = target.value - forecast.current.value;
+      result.pace.required = needed <= 0 ? 0 : (weeksLeft > 0 ? Math.round(needed / weeksLeft * 100) / 100 : null);
+    }
+    if (forecast.projected === null) {
+      if (forecast.current && target && forecast.current.value >= target.value) result.status = 'achieved';
+      return result;
+    }
+    if (!target) {
+      result.status = 'no_target';
+      return result;
+    }
+    result.shortfall = Math.max(0, Math.round(target.value - forecast.projected));
+    if (forecast.current.value >= target.value) result.status = 'achieved';
+    else if (forecast.projected >= target.value) result.status = 'on_track';
+    else if (forecast.range && forecast.range.high >= target.value) result.status = 'at_risk';
+    else result.status = 'off_track';
+    return result;
+  }
+
+  /**
+   * Teaching days of an academic year: { year, terms, total, end, finalTermStart, days(date) }
+   * where days counts term days up to and including date, less half terms.
+   */
+  teachingClock(year, collegeId = null) {
+    const terms = this.academicCalendar.termsOfYear(year, collegeId);
+    const span = (from, to) => (from > to ? 0 : moment(to, DAY).diff(moment(from, DAY), 'days') + 1);
+    const days = date => {
+      const day = moment(date).format(DAY);
+      return terms.reduce((sum, term) => {
+        const end = day < term.end ? day : term.end;
+        const halfTerm = term.halfTerm ? span(term.halfTerm.start, end < term.halfTerm.end ? end : term.halfTerm.end) : 0;
+        return sum + Math.max(0, span(term.start, end) - halfTerm);
+      }, 0);
+    };
+    const last = terms[terms.length - 1];
+    return { year, terms, total: days(year.end) || 1, end: last.end, finalTermStart: last.start, days };
+  }
+
+  /**
+   * Value of a curve [{ f, value }] at f by linear interpolation; the last value after its end,
+   * null before its start
+   */
+  interpolate(curve, f) {
+    if (curve.length === 0 || f < curve[0].f) return null;
+    for (let i = curve.length - 1; i >= 0; i--) {
+      if (curve[i].f <= f) {
+        const next = curve[i + 1];
+        if (!next || next.f === curve[i].f) return curve[i].value;
+        return curve[i].value + (next.value - curve[i].value) * (f - curve[i].f) / (next.f - curve[i].f);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Least-squares line through [{ x, y }]: { slope, intercept, n, meanX, sxx, se } (se null below
+   * three points); null without two distinct x
+   */
+  regression(points) {
+    const n = points.length;
+    if (n < 2) return null;
+    const meanX = points.reduce((s, p) => s + p.x, 0) / n;
+    const meanY = points.reduce((s, p) => s + p.y, 0) / n;
+    const sxx = points.reduce((s, p) => s + Math.pow(p.x - meanX, 2), 0);
+    if (sxx === 0) return null;
+    const slope = points.reduce((s, p) => s + (p.x - meanX) * (p.y - meanY), 0) / sxx;
+    const intercept = meanY - slope * meanX;
+    const sse = points.reduce((s, p) => s + Math.pow(p.y - (intercept + slope * p.x), 2), 0);
+    return { slope, intercept, n, meanX, sxx, se: n > 2 ? Math.sqrt(sse / (n - 2)) : null };
+  }
+
+  /**
+   * The metric's target from a report's target column (total row, else the sum of departments):
+   * { value, source: 'report', column, reportId } or null
+   */
+  targetFromReport(report, metric, students = null) {
+    const rule = TARGET_COLUMNS[metric];
+    if (!rule || !report || !report.data) return null;
+    const headers = (report.data.headers || []).map(h => String(h === undefined || h === null ? '' : h));
+    const rows = (report.data.rows || []).filter(Array.isArray);
+    const index = headers.findIndex((header, i) => {
+      const h = header.toLowerCase();
+      return i > 0 && (h.includes('target') || h.includes('goal')) &&
+        rule.any.some(word => h.includes(word)) && !rule.none.some(word => h.includes(word));
+    });
+    if (index === -1) return null;
+
+    const percentage = this.isPercentageHeader(headers[index]);
+    const isTotalRow = row => /^\s*(grand\s+)?totals?\b/i.test(String(row[0] || ''));
+    const totalRow = rows.find(isTotalRow);
+    const fraction = percentage && !!this.reportComparisonService && this.reportComparisonService.isFractionColumn(rows, index);
+    let value = totalRow ? this.parseNumber(totalRow[index], percentage, fraction) : null;
+    if (value === null && !percentage) {
+      const numbers = rows.filter(row => !isTotalRow(row)).map(row => this.parseNumber(row[index], false)).filter(n => n !== null);
+      value = numbers.length ? numbers.reduce((a, b) => a + b, 0) : null;
+    }
+    if (value === null || value <= 0) return null;
+    const target = { value: Math.round(value), source: 'report', column: headers[index], reportId: String(report.id) };
+    if (percentage) {
+      if (!students) return null;
+      return { ...target, value: Math.round(value / 100 * students), percent: value };
+    }
+    return target;
+  }
+
+  isPercentageHeader(header) {
+    if (this.reportComparisonService) return this.reportComparisonService.isPercentageHeader(header);
+    const s = String(header || '').toLowerCase();
+    return s.includes('percent') || s.includes('%');
+  }
+
+  parseNumber(value, percentage = false, fraction = false) {
+    if (this.reportComparisonService) return this.reportComparisonService.parseNumber(value, percentage, fraction);
+    if (value === undefined || value === null || value === '') return null;
+    const n = parseFloat(String(value).trim().replace(/,/g, '').replace(/%$/, ''));
+    return Number.isFinite(n) ? n : null;
+  }
+}
+
+ForecastService.DEFAULT_METRICS = DEFAULT_METRICS;
+ForecastService.STATUSES = STATUSES;
+
+module.exports = ForecastService;
@@ -0,0 +1,257 @@
+class ImportDiffService {
+  constructor(options = {}) {
+    // Percentage change above which a value is reported as changed
+    this.defaultThreshold = options.defaultThreshold !== undefined ? options.defaultThreshold : 10;
+  }
+
+  /**
+   * Normalise a department/row key for comparison ("D-BEAUTY" == "D Beauty")
+   */
+  normalizeKey(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Normalise a column header for comparison between reports
+   */
+  normalizeHeader(value) {
+    return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Strip the [File Label] and trailing (content type) suffixes from a header
+   */
+  baseHeader(header) {
+    return String(header || '')
+      .replace(/\s*\[[^\]]+\]\s*$/, '')
+      .replace(/\s*\([^)]*\)\s*$/, '')
+      .trim();
+  }
+
+  /**
+   * Parse a cell into a number, or null when it is not numeric
+   */
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    const cleaned = String(value).replace(/[,%\s]/g, '');
+    if (cleaned === '' || !/^-?\d*\.?\d+$/.test(cleaned)) return null;
+    const num = parseFloat(cleaned);
+    return isFinite(num) ? num : null;
+  }
+
+  /**
+   * Find the source department processed by DataImporter that matches a row key
+   */
+  findSourceDepartment(dept, data) {
+    const departments = Array.isArray(data.departments) ? data.departments : [];
+    if (data.metrics && data.metrics[dept]) return dept;
+    const want = this.normalizeKey(dept);
+    const exact = departments.find(d => this.normalizeKey(d) === want);
+    if (exact) return exact;
+    const partial = departments.find(d => {
+      const nd = this.normalizeKey(d);
+      return nd && (nd.includes(want) || want.includes(nd));
+    });
+    return partial || dept;
+  }
+
+  /**
+   * Work out whether a template header reads from employer/enrichment activities
+   */
+  getActivityType(header) {
+    const text = String(header || '');
+    const normBase = this.baseHeader(text).toLowerCase().replace(/%/g, '').replace(/\s+/g, ' ').trim();
+    const activityBases = ['total students', 'students with activities', 'total activities', 'total activity hours'];
+    const placementExtraBases = ['hours scheduled to date', 'student confirmed', 'employer confirmed'];
+
+    if (/\bplacement(s)?\b/i.test(normBase) || placementExtraBases.includes(normBase)) return null;
+    if (/\(Employer (Engagement|Activity)\)/i.test(text)) return 'employer';
+    if (/\(Enrichment Activity\)/i.test(text)) return 'enrichment';
+    if (/\(Enrichment\)/i.test(text) && activityBases.includes(normBase)) return 'enrichment';
+    if (/\benrichment\b/.test(normBase) && /\bactivit/.test(normBase)) return 'enrichment';
+    if (/\bemployer\s+engagement\b/.test(normBase) && /\bactivit/.test(normBase)) return 'employer';
+    return null;
+  }
+
+  /**
+   * Look up a header in one source map, trying exact, labelled and fuzzy keys.
+   * Mirrors resolveCellValue() in generate-report.html so previews and dry-runs agree.
+   */
+  lookupValue(source, header, candidates) {
+    if (!source) return null;
+    for (const key of candidates) {
+      if (source[key] !== undefined) return { key, value: source[key] };
+    }
+    const base = this.baseHeader(header).toLowerCase();
+    const fuzzyKey = Object.keys(source).find(k => {
+      const stripped = this.baseHeader(k).toLowerCase();
+      if (stripped === base) return true;
+      if (stripped.endsWith('s') && stripped.slice(0, -1) === base) return true;
+      if (base.endsWith('s') && base.slice(0, -1) === stripped) return true;
+      return false;
+    });
+    return fuzzyKey ? { key: fuzzyKey, value: source[fuzzyKey] } : null;
+  }
+
+  /**
+   * Resolve a single template cell from processed DataImporter output
+   */
+  resolveCell(header, dept, data) {
+    const sourceDept = this.findSourceDepartment(dept, data);
+    const metrics = (data.metrics || {})[sourceDept] || {};
+    const emp = data.activities?.employerEngagement?.[sourceDept] || {};
+    const enr = data.activities?.enrichment?.[sourceDept] || {};
+
+    const labelMatch = String(header).match(/\[([^\]]+)\]\s*$/);
+    const label = labelMatch ? labelMatch[1] : null;
+    const base = this.baseHeader(header);
+    const activityType = this.getActivityType(header);
+
+    if (activityType) {
+      const suffix = activityType === 'employer' ? ' (Employer Engagement)' : ' (Enrichment)';
+      const candidates = [];
+      if (label) candidates.push(`${base}${suffix} [${label}]`, `${base} [${label}]`);
+      candidates.push(`${base}${suffix}`, base);
+      const source = activityType === 'employer' ? emp : enr;
+      const hit = this.lookupValue(source, header, candidates);
+      if (hit) return { ...hit, source: activityType };
+    }
+
+    const candidates = [header];
+    if (label) candidates.push(`${base} [${label}]`);
+    candidates.push(base);
+    const hit = this.lookupValue(metrics, header, candidates);
+    return hit ? { ...hit, source: 'metrics' } : null;
+  }
+
+  /**
+   * Map processed import data onto template headers. Returns the table plus
+   * template columns that received no value and source columns nothing used.
+   */
+  mapToTemplate(data, templateHeaders) {
+    const headers = Array.isArray(templateHeaders) && templateHeaders.length > 0
+      ? templateHeaders
+      : ['Department', ...((data.originalHeaders || []).filter(h => h && !/^department$/i.test(String(h).trim())))];
+    const usedKeys = new Set();
+    const filledColumns = new Set();
+
+    const rows = (data.departments || []).map(dept => {
+      const row = [dept];
+      headers.slice(1).forEach((header, index) => {
+        const hit = this.resolveCell(header, dept, data);
+        if (hit && hit.value !== '' && hit.value !== null && hit.value !== undefined) {
+          usedKeys.add(hit.key);
+          filledColumns.add(index + 1);
+          row.push(hit.value);
+        } else {
+          row.push('');
+        }
+      });
+      return row;
+    });
+
+    const sourceKeys = new Set();
+    Object.values(data.metrics || {}).forEach(m => Object.keys(m || {}).forEach(k => sourceKeys.add(k)));
+    ['employerEngagement', 'enrichment'].forEach(type => {
+      Object.values(data.activities?.[type] || {}).forEach(m => Object.keys(m || {}).forEach(k => sourceKeys.add(k)));
+    });
+
+    // A source column is "used" if any of its label/suffix variants was read
+    const usedBases = new Set(Array.from(usedKeys).map(k => this.baseHeader(k).toLowerCase()));
+    const unmappedSourceColumns = Array.from(sourceKeys)
+      .filter(k => !usedKeys.has(k) && !usedBases.has(this.baseHeader(k).toLowerCase()));
+
+    return {
+      headers,
+      rows,
+      unmappedColumns: headers.slice(1).filter((_, index) => !filledColumns.has(index + 1)),
+      unmappedSourceColumns
+    };
+  }
+
+  /**
+   * Pick the latest saved report for a template key from a college's reports.
+   * getKey resolves a report's template key (falls back to meta/header signature).
+   */
+  findPreviousReport(reports, templateKey, getKey) {
+    if (!Array.isArray(reports) || reports.length === 0) return null;
+    const keyOf = typeof getKey === 'function'
+      ? getKey
+      : r => r.templateKey || r.data?.meta?.templateKey || null;
+    const matching = reports.filter(r => {
+      if (!r || !r.data || !Array.isArray(r.data.rows)) return false;
+      return !templateKey || keyOf(r) === templateKey;
+    });
+    if (matching.length === 0) return null;
+    return matching.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))[0];
+  }
+
+  /**
+   * Compare an import candidate ({headers, rows}) with the previous report
+   */
+  diff(current, previous, options = {}) {
+    const threshold = options.threshold !== undefined && options.threshold !== null && !isNaN(parseFloat(options.threshold))
+      ? Math.abs(parseFloat(options.threshold))
+      : this.defaultThreshold;
+    const isTotalRow = key => /\btotal\b/.test(key);
+
+    const indexRows = table => {
+      const map = new Map();
+      (table?.rows || []).forEach(row => {
+        const key = this.normalizeKey(Array.isArray(row) ? row[0] : '');
+        if (key && !map.has(key)) map.set(key, row);
+      });
+      return map;
+    };
+
+    const currentRows = indexRows(current);
+    const previousRows = indexRows(previous);
+    const currentHeaders = current?.headers || [];
+    const previousHeaders = previous?.headers || [];
+    const previousHeaderIndex = new Map(previousHeaders.map((h, i) => [this.normalizeHeader(h), i]));
+
+    const added = [];
+    const removed = [];
+    currentRows.forEach((row, key) => { if (!previousRows.has(key)) added.push(row[0]); });
+    previousRows.forEach((row, key) => { if (!currentRows.has(key)) removed.push(row[0]); });
+
+    const changedValues = [];
+    currentRows.forEach((row, key) => {
+      const previousRow = previousRows.get(key);
+      if (!previousRow) return;
+      currentHeaders.forEach((header, colIndex) => {
+        if (colIndex === 0) return;
+        const prevIndex = previousHeaderIndex.get(this.normalizeHeader(header));
+        if (prevIndex === undefined) return;
+        const now = this.toNumber(row[colIndex]);
+        const before = this.toNumber(previousRow[prevIndex]);
+        if (now === null || before === null || now === before) return;
+        const percentChange = before === 0 ? null : ((now - before) / Math.abs(before)) * 100;
+        if (percentChange !== null && Math.abs(percentChange) <= threshold) return;
+        changedValues.push({
+          department: row[0],
+          column: header,
+          previous: before,
+          current: now,
+          change: now - before,
+          percentChange: percentChange === null ? null : Math.round(percentChange * 10) / 10
+        });
+      });
+    });
+
+    const currentHeaderSet = new Set(currentHeaders.map(h => this.normalizeHeader(h)));
+    return {
+      threshold,
+      rows: { added, removed },
+      departmentsDisappeared: removed.filter(name => !isTotalRow(this.normalizeKey(name))),
+      columns: {
+        added: currentHeaders.slice(1).filter(h => !previousHeaderIndex.has(this.normalizeHeader(h))),
+        removed: previousHeaders.slice(1).filter(h => !currentHeaderSet.has(this.normalizeHeader(h)))
+      },
+      changedValues
+    };
+  }
+}
+
+module.exports = ImportDiffService;
@@ -0,0 +1,529 @@
+const path = require('path');
+
+// Default rule set, modelled on the filename/content heuristics DataImporter used before rules.
+// Filename rules keep the old precedence, plus 'engagement' files as employer activity (as the
+// template preview used to detect them). Content rules differ from the old checks in two ways:
+// header signatures are only looked for in a sheet's first 10 rows (the old check searched the
+// whole sheet, and also took any sheet mentioning both "activities" and "students"), and the old
+// per-row scan of the first 10 rows is approximated by patterns over the whole sheet's text.
+const DEFAULT_RULES = [
+  {
+    id: 'enrichment',
+    name: 'Enrichment activities (filename)',
+    contentType: 'enrichment',
+    priority: 100,
+    filenamePatterns: ['enrich'],
+    excludeFilenamePatterns: [],
+    headerSignatures: [],
+    filterTextPatterns: [],
+    excludeTextPatterns: []
+  },
+  {
+    id: 'employer-activity',
+    name: 'Employer engagement / activity (filename)',
+    contentType: 'employer',
+    priority: 90,
+    filenamePatterns: ['employer engagement', 'employer activit'],
+    excludeFilenamePatterns: [],
+    headerSignatures: [],
+    filterTextPatterns: [],
+    excludeTextPatterns: []
+  },
+  {
+    id: 'employer',
+    name: 'Employer (filename, not placements)',
+    contentType: 'employer',
+    priority: 85,
+    filenamePatterns: ['employer'],
+    excludeFilenamePatterns: ['placement', 'placed'],
+    headerSignatures: [],
+    filterTextPatterns: [],
+    excludeTextPatterns: []
+  },
+  {
+    id: 'careers-my-futures',
+    name: 'Careers platform (My Futures)',
+    contentType: 'careers',
+    priority: 80,
+    filenamePatterns: ['my[\\s-]?futures'],
+    excludeFilenamePatterns: [],
+    headerSignatures: [],
+    filterTextPatterns: [],
+    excludeTextPatterns: []
+  },
+  {
+    id: 'activities',
+    name: 'Generic activities (type resolved from content)',
+    contentType: 'activities',
+    priority: 70,
+    filenamePatterns: ['activit'],
+    excludeFilenamePatterns: [],
+    headerSignatures: [],
+    filterTextPatterns: [],
+    excludeTextPatterns: []
+  },
+  {
+    id: 'placements',
+    name: 'Placements',
+    contentType: 'placements',
+    priority: 60,
+    filenamePatterns: ['placement', 'placed'],
+    excludeFilenamePatterns: [],
+    headerSignatures: [],
+    filterTextPatterns: [],
+    excludeTextPatterns: []
+  },
+  {
+    id: 'careers',
+    name: 'Careers',
+    contentType: 'careers',
+    priority: 50,
+    filenamePatterns: ['career'],
+    excludeFilenamePatterns: [],
+    headerSignatures: [],
+    filterTextPatterns: [],
+    excludeTextPatterns: []
+  },
+  {
+    id: 'assessments',
+    name: 'Assessments',
+    contentType: 'assessments',
+    priority: 40,
+    filenamePatterns: ['assess'],
+    excludeFilenamePatterns: [],
+    headerSignatures: [],
+    filterTextPatterns: [],
+    excludeTextPatterns: []
+  },
+  {
+    id: 'targets',
+    name: 'Targets',
+    contentType: 'targets',
+    priority: 30,
+    filenamePatterns: ['target'],
+    excludeFilenamePatterns: [],
+    headerSignatures: [],
+    filterTextPatterns: [],
+    excludeTextPatterns: []
+  },
+  {
+    id: 'login',
+    name: 'Login / access data',
+    contentType: 'login',
+    priority: 20,
+    filenamePatterns: ['login', 'access'],
+    excludeFilenamePatterns: [],
+    headerSignatures: [],
+    filterTextPatterns: [],
+    excludeTextPatterns: []
+  },
+  {
+    id: 'employer-engagement',
+    name: 'Engagement (filename)',
+    contentType: 'employer',
+    priority: 10,
+    filenamePatterns: ['engagement'],
+    excludeFilenamePatterns: [],
+    headerSignatures: [],
+    filterTextPatterns: [],
+    excludeTextPatterns: []
+  },
+  {
+    id: 'content-enrichment-filter',
+    name: 'PowerBI filter: enrichment activity',
+    contentType: 'enrichment',
+    priority: 100,
+    filenamePatterns: [],
+    excludeFilenamePatterns: [],
+    headerSignatures: ['students with activities', 'total activities', 'total activity hours'],
+    filterTextPatterns: ['is enrichment activity'],
+    excludeTextPatterns: []
+  },
+  {
+    id: 'content-employer-filter',
+    name: 'PowerBI filter: employer activity',
+    contentType: 'employer',
+    priority: 90,
+    filenamePatterns: [],
+    excludeFilenamePatterns: [],
+    headerSignatures: ['students with activities', 'total activities', 'total activity hours'],
+    filterTextPatterns: ['is employer activity', 'employernonemployer is employer'],
+    excludeTextPatterns: ['placement', 'placed']
+  },
+  {
+    id: 'content-enrichment-general',
+    name: 'Activity table mentioning enrichment',
+    contentType: 'enrichment',
+    priority: 50,
+    filenamePatterns: [],
+    excludeFilenamePatterns: [],
+    headerSignatures: ['students with activities', 'total activities', 'total activity hours'],
+    filterTextPatterns: ['enrichment'],
+    excludeTextPatterns: ['placement', 'placed']
+  },
+  {
+    id: 'content-employer-general',
+    name: 'Activity table mentioning employer engagement',
+    contentType: 'employer',
+    priority: 40,
+    filenamePatterns: [],
+    excludeFilenamePatterns: [],
+    headerSignatures: ['students with activities', 'total activities', 'total activity hours'],
+    filterTextPatterns: ['employer.*(activit|engagement)'],
+    excludeTextPatterns: ['placement', 'placed']
+  },
+  {
+    id: 'content-enrichment-text',
+    name: 'Enrichment hours, students or activities (any table)',
+    contentType: 'enrichment',
+    priority: 30,
+    filenamePatterns: [],
+    excludeFilenamePatterns: [],
+    headerSignatures: [],
+    filterTextPatterns: ['enrichment activit', 'enrichment.*(hours|students|activity)', '(hours|students|activity).*enrichment'],
+    excludeTextPatterns: []
+  },
+  {
+    id: 'content-employer-text',
+    name: 'Employer hours, students or activities (any table, not placements)',
+    contentType: 'employer',
+    priority: 20,
+    filenamePatterns: [],
+    excludeFilenamePatterns: [],
+    headerSignatures: [],
+    filterTextPatterns: ['employer (activit|engagement)', 'employer.*(hours|students|activity)', '(hours|students|activity).*employer'],
+    excludeTextPatterns: ['placement', 'placed']
+  }
+];
+
+const CONTENT_TYPES = ['placements', 'employer', 'employment', 'enrichment', 'activities', 'activities-combined', 'careers', 'assessments', 'targets', 'login', 'default'];
+
+class ImportRulesService {
+  constructor(volumeService = null) {
+    this.volumeService = volumeService;
+    this.rulesFile = 'import-rules.json';
+    this.localRulesPath = path.join(__dirname, '../../data', this.rulesFile);
+  }
+
+  /**
+   * Load all rules, seeding the defaults when no rules file exists yet. A file that cannot be
+   * read or has no rules list is an error: it is left as it is rather than replaced.
+   */
+  async getRules() {
+    const stored = await this.readStore();
+    if (stored === null) {
+      const seeded = DEFAULT_RULES.map(rule => this.normalizeRule(rule, true));
+      await this.writeRules(seeded);
+      return seeded;
+    }
+    if (!stored || !Array.isArray(stored.rules)) {
+      throw new Error(`${this.rulesFile} has no rules list`);
+    }
+    return stored.rules;
+  }
+
+  /**
+   * Enabled rules sorted by priority (highest first)
+   */
+  async getActiveRules() {
+    const rules = await this.getRules();
+    return ImportRulesService.sortRules(rules.filter(r => r.enabled !== false));
+  }
+
+  async getRule(ruleId) {
+    const rules = await this.getRules();
+    return rules.find(r => String(r.id) === String(ruleId)) || null;
+  }
+
+  async createRule(ruleData, createdBy = null) {
+    try {
+      const rules = await this.getRules();
+      const rule = this.normalizeRule({ ...ruleData, id: ruleData.id || `rule-${Date.now()}` });
+      const validation = this.validateRule(rule);
+      if (!validation.valid) {
+        return { success: false, message: validation.errors.join('; ') };
+      }
+      if (rules.some(r => String(r.id) === String(rule.id))) {
+        return { success: false, message: `Rule "${rule.id}" already exists` };
+      }
+      rule.createdBy = createdBy;
+      rules.push(rule);
+      await this.writeRules(rules);
+      return { success: true, rule };
+    } catch (error) {
+      console.error('Create import rule error:', error);
+      return { success: false, message: 'Failed to create import rule' };
+    }
+  }
+
+  async updateRule(ruleId, updates, updatedBy = null) {
+    try {
+      const rules = await this.getRules();
+      const index = rules.findIndex(r => String(r.id) === String(ruleId));
+      if (index === -1) {
+        return { success: false, message: 'Rule not found' };
+      }
+      const rule = this.normalizeRule({ ...rules[index], ...updates, id: rules[index].id, createdAt: rules[index].createdAt });
+      const validation = this.validateRule(rule);
+      if (!validation.valid) {
+        return { success: false, message: validation.errors.join('; ') };
+      }
+      rule.updatedAt = new Date().toISOString();
+      rule.updatedBy = updatedBy;
+      rules[index] = rule;
+      await this.writeRules(rules);
+      return { success: true, rule };
+    } catch (error) {
+      console.error('Update import rule error:', error);
+      return { success: false, message: 'Failed to update import rule' };
+    }
+  }
+
+  async deleteRule(ruleId) {
+    try {
+      const rules = await this.getRules();
+      const index = rules.findIndex(r => String(r.id) === String(ruleId));
+      if (index === -1) {
+        return { success: false, message: 'Rule not found' };
+      }
+      const [removed] = rules.splice(index, 1);
+      await this.writeRules(rules);
+      return { success: true, rule: removed };
+    } catch (error) {
+      console.error('Delete import rule error:', error);
+      return { success: false, message: 'Failed to delete import rule' };
+    }
+  }
+
+  async resetToDefaults() {
+    const rules = DEFAULT_RULES.map(rule => this.normalizeRule(rule, true));
+    await this.writeRules(rules);
+    return rules;
+  }
+
+  normalizeRule(rule, isDefault = false) {
+    const toList = (value) => {
+      if (Array.isArray(value)) return value.map(v => String(v)).filter(v => v.trim() !== '');
+      if (typeof value === 'string' && value.trim() !== '') return [value];
+      return [];
+    };
+    const now = new Date().toISOString();
+    return {
+      id: String(rule.id),
+      name: String(rule.name || rule.id),
+      description: rule.description || '',
+      contentType: String(rule.contentType || 'default').toLowerCase(),
+      priority: Number.isFinite(Number(rule.priority)) ? Number(rule.priority) : 0,
+      enabled: rule.enabled !== false,
+      filenamePatterns: toList(rule.filenamePatterns),
+      excludeFilenamePatterns: toList(rule.excludeFilenamePatterns),
+      headerSignatures: toList(rule.headerSignatures).map(h => h.toLowerCase()),
+      minHeaderMatches: Math.max(1, parseInt(rule.minHeaderMatches, 10) || 1),
+      filterTextPatterns: toList(rule.filterTextPatterns),
+      excludeTextPatterns: toList(rule.excludeTextPatterns),
+      builtIn: rule.builtIn !== undefined ? !!rule.builtIn : isDefault,
+      createdAt: rule.createdAt || now,
+      updatedAt: rule.updatedAt || now
+    };
+  }
+
+  validateRule(rule) {
+    const errors = [];
+    if (!rule.name || !rule.name.trim()) errors.push('Rule name is required');
+    if (!CONTENT_TYPES.includes(rule.contentType)) {
+      errors.push(`Unknown content type "${rule.contentType}" (expected one of ${CONTENT_TYPES.join(', ')})`);
+    }
+    const hasFilename = rule.filenamePatterns.length > 0;
+    const hasContent = rule.headerSignatures.length > 0 || rule.filterTextPatterns.length > 0;
+    if (!hasFilename && !hasContent) {
+      errors.push('A rule needs at least one filename pattern, header signature or filter-text pattern');
+    }
+    const patternFields = ['filenamePatterns', 'excludeFilenamePatterns', 'filterTextPatterns', 'excludeTextPatterns'];
+    patternFields.forEach(field => {
+      rule[field].forEach(pattern => {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (e) {
+          errors.push(`Invalid regular expression in ${field}: "${pattern}" (${e.message})`);
+        }
+      });
+    });
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * The stored rules file, or null when there is none
+   */
+  async readStore() {
+    if (this.volumeService) {
+      if (!(await this.volumeService.fileExists(this.rulesFile))) return null;
+      return await this.volumeService.readFile(this.rulesFile);
+    }
+    const fs = require('fs-extra');
+    if (!(await fs.pathExists(this.localRulesPath))) return null;
+    return await fs.readJson(this.localRulesPath);
+  }
+
+  async writeRules(rules) {
+    const payload = { version: '1.0', updatedAt: new Date().toISOString(), rules };
+    if (this.volumeService) {
+      await this.volumeService.writeFile(this.rulesFile, payload);
+      return;
+    }
+    const fs = require('fs-extra');
+    await fs.ensureDir(path.dirname(this.localRulesPath));
+    await fs.writeJson(this.localRulesPath, payload, { spaces: 2 });
+  }
+
+  static sortRules(rules) {
+    return rules.slice().sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }
+
+  static firstMatchingPattern(patterns, text) {
+    for (const pattern of patterns || []) {
+      let regex;
+      try {
+        regex = new RegExp(pattern, 'i');
+      } catch (error) {
+        console.warn(`⚠️ Skipping invalid import rule pattern /${pattern}/: ${error.message}`);
+        continue;
+      }
+      if (regex.test(text)) return pattern;
+    }
+    return null;
+  }
+
+  /**
+   * Evaluate a rule's filename conditions; returns { matched, reasons }
+   */
+  static evaluateFilename(rule, filename) {
+    const reasons = [];
+    if (!rule.filenamePatterns || rule.filenamePatterns.length === 0) {
+      return { applicable: false, matched: false, reasons: ['No filename patterns'] };
+    }
+    const name = String(filename || '');
+    const hit = ImportRulesService.firstMatchingPattern(rule.filenamePatterns, name);
+    if (!hit) {
+      return { applicable: true, matched: false, reasons: ['Filename did not match any pattern'] };
+    }
+    reasons.push(`Filename matched /${hit}/i`);
+    const excluded = ImportRulesService.firstMatchingPattern(rule.excludeFilenamePatterns, name);
+    if (excluded) {
+      reasons.push(`Excluded by filename pattern /${excluded}/i`);
+      return { applicable: true, matched: false, reasons };
+    }
+    return { applicable: true, matched: true, reasons };
+  }
+
+  /**
+   * Evaluate a rule's header-signature and filter-text conditions against a sheet (array of rows)
+   */
+  static evaluateContent(rule, sheetData) {
+    const hasSignatures = rule.headerSignatures && rule.headerSignatures.length > 0;
+    const hasFilters = rule.filterTextPatterns && rule.filterTextPatterns.length > 0;
+    if (!hasSignatures && !hasFilters) {
+      return { applicable: false, matched: false, reasons: ['No content conditions'] };
+    }
+    const rows = Array.isArray(sheetData) ? sheetData : [];
+    const allText = rows.map(r => (Array.isArray(r) ? r.join(' ') : String(r || ''))).join(' ').toLowerCase();
+    const reasons = [];
+
+    if (hasSignatures) {
+      const headerText = rows.slice(0, 10).map(r => (Array.isArray(r) ? r.join(' ') : String(r || ''))).join(' ').toLowerCase();
+      const found = rule.headerSignatures.filter(sig => headerText.includes(sig));
+      const required = rule.minHeaderMatches || 1;
+      if (found.length < required) {
+        return { applicable: true, matched: false, reasons: [`Header signatures matched ${found.length}/${required} required`] };
+      }
+      reasons.push(`Header signatures matched: ${found.join(', ')}`);
+    }
+
+    if (hasFilters) {
+      const hit = ImportRulesService.firstMatchingPattern(rule.filterTextPatterns, allText);
+      if (!hit) {
+        reasons.push('No filter-text pattern found');
+        return { applicable: true, matched: false, reasons };
+      }
+      reasons.push(`Filter text matched /${hit}/i`);
+    }
+
+    const excluded = ImportRulesService.firstMatchingPattern(rule.excludeTextPatterns, allText);
+    if (excluded) {
+      reasons.push(`Excluded by content pattern /${excluded}/i`);
+      return { applicable: true, matched: false, reasons };
+    }
+    return { applicable: true, matched: true, reasons };
+  }
+
+  /**
+   * Highest-priority rule whose filename conditions match, or null
+   */
+  static matchFilename(rules, filename) {
+    for (const rule of ImportRulesService.sortRules(rules || [])) {
+      if (rule.enabled === false) continue;
+      const result = ImportRulesService.evaluateFilename(rule, filename);
+      if (result.matched) return { rule, reasons: result.reasons };
+    }
+    return null;
+  }
+
+  /**
+   * Highest-priority rule whose content conditions match, or null
+   */
+  static matchContent(rules, sheetData) {
+    for (const rule of ImportRulesService.sortRules(rules || [])) {
+      if (rule.enabled === false) continue;
+      const result = ImportRulesService.evaluateContent(rule, sheetData);
+      if (result.matched) return { rule, reasons: result.reasons };
+    }
+    return null;
+  }
+
+  /**
+   * Explain every rule's outcome for a file, for the "test this file" endpoint
+   */
+  static explain(rules, filename, sheets) {
+    const sorted = ImportRulesService.sortRules(rules || []);
+    const sheetNames = Object.keys(sheets || {});
+    const evaluations = sorted.map(rule => {
+      const filenameResult = ImportRulesService.evaluateFilename(rule, filename);
+      const contentResults = sheetNames.map(sheetName => ({
+        sheet: sheetName,
+        ...ImportRulesService.evaluateContent(rule, sheets[sheetName])
+      }));
+      return {
+        ruleId: rule.id,
+        name: rule.name,
+        contentType: rule.contentType,
+        priority: rule.priority,
+        enabled: rule.enabled !== false,
+        filename: filenameResult,
+        content: contentResults,
+        matched: rule.enabled !== false && (filenameResult.matched || contentResults.some(c => c.matched))
+      };
+    });
+
+    const filenameMatch = ImportRulesService.matchFilename(sorted, filename);
+    let contentMatch = null;
+    for (const sheetName of sheetNames) {
+      const match = ImportRulesService.matchContent(sorted, sheets[sheetName]);
+      // Detection takes the first sheet with a match
+      if (match) {
+        contentMatch = { ...match, sheet: sheetName };
+        break;
+      }
+    }
+
+    return {
+      filename,
+      filenameRule: filenameMatch ? { ruleId: filenameMatch.rule.id, name: filenameMatch.rule.name, contentType: filenameMatch.rule.contentType, reasons: filenameMatch.reasons } : null,
+      contentRule: contentMatch ? { ruleId: contentMatch.rule.id, name: contentMatch.rule.name, contentType: contentMatch.rule.contentType, sheet: contentMatch.sheet, reasons: contentMatch.reasons } : null,
+      evaluations
+    };
+  }
+}
+
+ImportRulesService.DEFAULT_RULES = DEFAULT_RULES;
+ImportRulesService.CONTENT_TYPES = CONTENT_TYPES;
+
+module.exports = ImportRulesService;
@@ -0,0 +1,234 @@
+const cron = require('node-cron');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Polls an inbox folder under the data root for dropped exports. Files are matched to a
+// college by a leading college id ("12_placements.xlsx", "12 - activities.csv") or by
+// a college name/alias in the filename, handed to the ingest callback and then moved
+// to archive/ or error/ with an entry in the inbox log.
+class InboxWatcherService {
+  constructor(options = {}) {
+    this.volumeService = options.volumeService || null;
+    this.bulkImportService = options.bulkImportService || null;
+    this.getColleges = options.getColleges || (async () => []);
+    this.ingest = options.ingest || null;
+    // (logEntry) => void, called for every file moved to error/
+    this.onFailed = options.onFailed || null;
+    this.schedule = options.schedule || process.env.INBOX_POLL_CRON || '*/5 * * * *';
+    // Files modified more recently than this are assumed to still be copying
+    this.settleMs = options.settleMs !== undefined ? options.settleMs : 30000;
+    this.supportedFormats = ['.xlsx', '.xls', '.csv'];
+    this.logFile = 'inbox-log.json';
+    this.maxLogEntries = 500;
+    this.task = null;
+    this.running = false;
+    this.lastPollAt = null;
+  }
+
+  getInboxPath() {
+    const root = this.volumeService ? this.volumeService.getDataPath() : path.join(__dirname, '../../data');
+    return path.join(root, 'inbox');
+  }
+
+  async ensureFolders() {
+    const inbox = this.getInboxPath();
+    await fs.ensureDir(inbox);
+    await fs.ensureDir(path.join(inbox, 'archive'));
+    await fs.ensureDir(path.join(inbox, 'error'));
+    return inbox;
+  }
+
+  start() {
+    if (this.task) return;
+    if (!cron.validate(this.schedule)) {
+      console.warn(`⚠️ Invalid INBOX_POLL_CRON "${this.schedule}", inbox watcher not started`);
+      return;
+    }
+    this.task = cron.schedule(this.schedule, () => {
+      this.poll().catch(error => console.error('Inbox poll error:', error));
+    });
+    console.log(`📥 Inbox watcher scheduled (${this.schedule})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * List files waiting in the inbox (ignores sub-folders and unsupported files)
+   */
+  async listPending() {
+    const inbox = await this.ensureFolders();
+    const entries = await fs.readdir(inbox);
+    const pending = [];
+    for (const name of entries) {
+      if (name.startsWith('.')) continue;
+      const fullPath = path.join(inbox, name);
+      const stat = await fs.stat(fullPath).catch(() => null);
+      if (!stat || !stat.isFile()) continue;
+      pending.push({
+        name,
+        path: fullPath,
+        size: stat.size,
+        modifiedAt: stat.mtime.toISOString(),
+        supported: this.supportedFormats.includes(path.extname(name).toLowerCase()),
+        settled: Date.now() - stat.mtimeMs >= this.settleMs
+      });
+    }
+    return pending;
+  }
+
+  /**
+   * Match a filename to a college by leading id, then by name or alias
+   */
+  identifyCollege(filename, colleges, aliases = {}) {
+    const base = path.parse(filename).name;
+    const idMatch = base.match(/^(\d+)(?:[\s_\-.]|$)/);
+    if (idMatch) {
+      const byId = colleges.find(c => String(c.id) === idMatch[1]);
+      if (byId) return byId;
+    }
+    if (!this.bulkImportService) return null;
+
+    const normalized = ` ${this.bulkImportService.normalizeName(base)} `;
+    const lookup = this.bulkImportService.buildCollegeLookup(colleges, aliases);
+    // Longest name first so "Beta Sixth Form" wins over "Beta"
+    const names = Array.from(lookup.keys()).sort((a, b) => b.length - a.length);
+    const hit = names.find(name => normalized.includes(` ${name} `));
+    return hit ? lookup.get(hit) : null;
+  }
+
+  /**
+   * Process settled inbox files, grouped so each college gets one draft per poll
+   */
+  async poll() {
+    if (this.running) {
+      console.log('📥 Inbox poll already running, skipping');
+      return { skipped: true };
+    }
+    if (typeof this.ingest !== 'function') {
+      return { skipped: true, reason: 'No ingest handler configured' };
+    }
+    this.running = true;
+    this.lastPollAt = new Date().toISOString();
+    const summary = { processed: [], failed: [] };
+
+    try {
+      const pending = (await this.listPending()).filter(file => file.settled);
+      if (pending.length === 0) return summary;
+
+      const colleges = await this.getColleges();
+      const aliases = this.bulkImportService ? await this.bulkImportService.getAliases() : {};
+      const byCollege = new Map();
+
+      for (const file of pending) {
+        if (!file.supported) {
+          await this.moveAndLog(file, 'error', { status: 'failed', error: `Unsupported file type ${path.extname(file.name)}` }, summary);
+          continue;
+        }
+        const college = this.identifyCollege(file.name, colleges, aliases);
+        if (!college) {
+          await this.moveAndLog(file, 'error', { status: 'failed', error: 'No college identifier found in filename' }, summary);
+          continue;
+        }
+        if (!byCollege.has(college.id)) byCollege.set(college.id, { college, files: [] });
+        byCollege.get(college.id).files.push(file);
+      }
+
+      for (const { college, files } of byCollege.values()) {
+        try {
+          const result = await this.ingest(college, files);
+          for (const file of files) {
+            await this.moveAndLog(file, 'archive', {
+              status: 'processed',
+              collegeId: college.id,
+              collegeName: college.name,
+              reportId: result?.reportId || null
+            }, summary);
+          }
+        } catch (error) {
+          console.error(`📥 Inbox ingest failed for college ${college.id}:`, error);
+          for (const file of files) {
+            await this.moveAndLog(file, 'error', {
+              status: 'failed',
+              collegeId: college.id,
+              collegeName: college.name,
+              error: error.message
+            }, summary);
+          }
+        }
+      }
+
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Move a file into archive/ or error/ (timestamped to avoid clashes) and log it
+   */
+  async moveAndLog(file, folder, entry, summary) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const target = path.join(this.getInboxPath(), folder, `${stamp}_${file.name}`);
+    try {
+      await fs.move(file.path, target, { overwrite: false });
+    } catch (moveError) {
+      console.error(`📥 Could not move ${file.name} to ${folder}:`, moveError.message);
+    }
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      file: file.name,
+      movedTo: path.join(folder, path.basename(target)),
+      ...entry
+    };
+    await this.appendLog(logEntry);
+    (entry.status === 'processed' ? summary.processed : summary.failed).push(logEntry);
+    if (entry.status === 'failed' && typeof this.onFailed === 'function') {
+      this.onFailed(logEntry);
+    }
+    console.log(`📥 Inbox: ${file.name} -> ${folder} (${entry.status}${entry.error ? `: ${entry.error}` : ''})`);
+  }
+
+  async getLog(limit = 100) {
+    const log = await this.readLog();
+    return log.slice(-limit).reverse();
+  }
+
+  async readLog() {
+    try {
+      const data = this.volumeService
+        ? await this.volumeService.readFile(this.logFile)
+        : await fs.readJson(path.join(this.getInboxPath(), '..', this.logFile));
+      return Array.isArray(data) ? data : [];
+    } catch {
+      return [];
+    }
+  }
+
+  async appendLog(entry) {
+    const log = await this.readLog();
+    log.push(entry);
+    const trimmed = log.slice(-this.maxLogEntries);
+    if (this.volumeService) {
+      await this.volumeService.writeFile(this.logFile, trimmed);
+    } else {
+      await fs.writeJson(path.join(this.getInboxPath(), '..', this.logFile), trimmed, { spaces: 2 });
+    }
+  }
+
+  getStatus() {
+    return {
+      inboxPath: this.getInboxPath(),
+      schedule: this.schedule,
+      scheduled: !!this.task,
+      running: this.running,
+      lastPollAt: this.lastPollAt
+    };
+  }
+}
+
+module.exports = InboxWatcherService;
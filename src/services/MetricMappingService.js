@@ -0,0 +1,187 @@
+const templateFormula = require('../shared/templateFormula');
+
+// Canonical metrics and the per-template mapping onto report columns. A template declares
+//   metricMappings = { students: 'Total Students', placements: 'Students with Placements', careers: null, ... }
+// where a header maps the metric to that column and null records that the template does not collect
+// it. A mapping is complete once every canonical metric is either mapped or marked null. Analytics
+// only ever read mapped columns: a metric without one is "not available" (null), never estimated.
+// Column-name heuristics survive only as suggestions for filling the mapping in.
+
+const METRICS = [
+  { key: 'students', label: 'Total students', patterns: [['total', 'student']], exclude: ['activit', 'placement', 'assessment', 'career', '%', 'percent'] },
+  { key: 'placements', label: 'Students with placements', patterns: [['students with placements'], ['placement']], exclude: ['%', 'percent', 'hour'] },
+  { key: 'activities', label: 'Students with activities', patterns: [['students with activities']], exclude: ['enrichment', 'employer', '%', 'percent'] },
+  { key: 'activities_enrichment', label: 'Students with enrichment activities', patterns: [['students with activities', 'enrichment']], exclude: ['%', 'percent'] },
+  { key: 'activities_employer', label: 'Students with employer activities', patterns: [['students with activities', 'employer']], exclude: ['%', 'percent'] },
+  { key: 'careers', label: 'Students with a careers assessment', patterns: [['completed', 'career'], ['career', 'quiz']], exclude: ['%', 'percent'] },
+  { key: 'assessments_completed', label: 'Students with assessments', patterns: [['students with assessments']], exclude: ['%', 'percent'] },
+  { key: 'assessments_pending', label: 'Students without assessments', patterns: [['students without assessments']], exclude: ['%', 'percent'] },
+  { key: 'logins', label: 'Logins', patterns: [['login']], exclude: ['%', 'percent'] }
+];
+
+class MetricMappingService {
+  constructor(options = {}) {
+    // (templateId) => template or null
+    this.findTemplate = options.findTemplate || (async () => null);
+    this.reportComparisonService = options.reportComparisonService || null;
+  }
+
+  /**
+   * Check a template's metricMappings against its headers.
+   * Returns { valid, errors, complete, missing, mapped, notCollected }; undefined mappings are valid but incomplete.
+   */
+  validate(mappings, headers = []) {
+    const errors = [];
+    const result = { valid: true, errors, complete: false, missing: [], mapped: [], notCollected: [] };
+    if (mappings === undefined || mappings === null) {
+      result.missing = METRICS.map(m => m.key);
+      return result;
+    }
+    if (typeof mappings !== 'object' || Array.isArray(mappings)) {
+      return { ...result, valid: false, errors: ['Metric mappings must be an object of metric: column'] };
+    }
+
+    const used = new Map();
+    Object.entries(mappings).forEach(([key, column]) => {
+      const metric = METRICS.find(m => m.key === key);
+      if (!metric) {
+        errors.push(`Unknown metric "${key}" (use ${METRICS.map(m => m.key).join(', ')})`);
+        return;
+      }
+      if (column === null) {
+        result.notCollected.push(key);
+        return;
+      }
+      if (typeof column !== 'string' || !column.trim()) {
+        errors.push(`${metric.label}: choose a column or mark it as not collected`);
+        return;
+      }
+      const index = templateFormula.findHeaderIndex(headers, column);
+      if (index === -1) {
+        errors.push(`${metric.label}: "${column}" is not a column of this template`);
+        return;
+      }
+      if (this.isPercentageHeader(headers[index])) {
+        errors.push(`${metric.label}: "${column}" is a percentage column; map the student count instead`);
+        return;
+      }
+      if (used.has(index)) {
+        errors.push(`${metric.label}: "${column}" is already mapped to ${used.get(index)}`);
+        return;
+      }
+      used.set(index, metric.label);
+      result.mapped.push(key);
+    });
+
+    result.missing = METRICS.map(m => m.key).filter(key => !Object.prototype.hasOwnProperty.call(mappings, key));
+    result.valid = errors.length === 0;
+    result.complete = result.valid && result.missing.length === 0;
+    return result;
+  }
+
+  /**
+   * Columns that look like each metric, to pre-fill the mapping editor. Never used for analytics.
+   */
+  suggest(headers = []) {
+    const suggestions = {};
+    const taken = new Set();
+    METRICS.forEach(metric => {
+      for (const pattern of metric.patterns) {
+        const index = headers.findIndex((header, i) => {
+          const h = String(header || '').toLowerCase();
+          return i > 0 && !taken.has(i) &&
+            pattern.every(part => h.includes(part)) &&
+            !metric.exclude.some(part => h.includes(part));
+        });
+        if (index !== -1) {
+          suggestions[metric.key] = headers[index];
+          taken.add(index);
+          break;
+        }
+      }
+    });
+    return suggestions;
+  }
+
+  /**
+   * The mappings that apply to a report: its template's, else the nearest base template's.
+   * null when the report has no template or none of its templates declare mappings.
+   */
+  async getMappingsForReport(report) {
+    const templateKey = report?.templateKey || report?.data?.meta?.templateKey || null;
+    if (!templateKey || String(templateKey).startsWith('hdr_')) return null;
+    const seen = new Set();
+    let template = await this.findTemplate(String(templateKey)).catch(() => null);
+    while (template && !seen.has(String(template.id))) {
+      if (template.metricMappings && typeof template.metricMappings === 'object') return template.metricMappings;
+      seen.add(String(template.id));
+      template = template.extends ? await this.findTemplate(String(template.extends)).catch(() => null) : null;
+    }
+    return null;
+  }
+
+  /**
+   * College-wide value of every canonical metric in a report: { key: number | null }.
+   * A mapped column's value is the report's total row, else the sum of its department rows.
+   * Completed and pending assessments are derived from each other (and total students) when only one is mapped.
+   */
+  extract(report, mappings) {
+    const values = {};
+    METRICS.forEach(m => { values[m.key] = null; });
+    const headers = report?.data?.headers || [];
+    const rows = (report?.data?.rows || []).filter(Array.isArray);
+    if (!mappings || rows.length === 0) return values;
+
+    const isTotalRow = row => /^\s*(grand\s+)?totals?\b/i.test(String(row[0] || ''));
+    const totalRow = rows.find(isTotalRow) || null;
+    const departmentRows = rows.filter(row => !isTotalRow(row) && String(row[0] === undefined || row[0] === null ? '' : row[0]).trim() !== '');
+
+    METRICS.forEach(metric => {
+      const column = mappings[metric.key];
+      if (typeof column !== 'string') return;
+      const index = templateFormula.findHeaderIndex(headers, column);
+      if (index === -1) return;
+      const total = totalRow ? this.parseNumber(totalRow[index]) : null;
+      if (total !== null) {
+        values[metric.key] = total;
+        return;
+      }
+      const numbers = departmentRows.map(row => this.parseNumber(row[index])).filter(n => n !== null);
+      if (numbers.length > 0) values[metric.key] = Math.round(numbers.reduce((a, b) => a + b, 0) * 100) / 100;
+    });
+
+    if (values.students !== null) {
+      if (values.assessments_completed === null && values.assessments_pending !== null) {
+        values.assessments_completed = values.students - values.assessments_pending;
+      } else if (values.assessments_pending === null && values.assessments_completed !== null) {
+        values.assessments_pending = values.students - values.assessments_completed;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * extract() for a report, looking its mappings up
+   */
+  async metricsForReport(report) {
+    return this.extract(report, await this.getMappingsForReport(report));
+  }
+
+  isPercentageHeader(header) {
+    if (this.reportComparisonService) return this.reportComparisonService.isPercentageHeader(header);
+    const s = String(header || '').toLowerCase();
+    return s.includes('percent') || s.includes('%');
+  }
+
+  parseNumber(value) {
+    if (this.reportComparisonService) return this.reportComparisonService.parseNumber(value);
+    if (value === undefined || value === null || value === '') return null;
+    const n = parseFloat(String(value).trim().replace(/,/g, ''));
+    return Number.isFinite(n) ? n : null;
+  }
+}
+
+MetricMappingService.METRICS = METRICS.map(({ key, label }) => ({ key, label }));
+MetricMappingService.METRIC_KEYS = METRICS.map(m => m.key);
+
+module.exports = MetricMappingService;
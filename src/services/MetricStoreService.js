@@ -0,0 +1,399 @@
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+const MetricMappingService = require('./MetricMappingService');
+const AcademicCalendarService = require('./AcademicCalendarService');
+
+// Time-series metric store. Every final report is turned into metric points, one file per
+// college under metrics/<collegeId>.json:
+//   { version, collegeId, updatedAt,
+//     metrics: { <key>: { label, type: number|percentage, source: summary|column } },
+//     points: [{ reportId, templateKey, date: 'YYYY-MM-DD', department, metric, value }] }
+// department is null for college-wide values. Summary metrics are the canonical metrics of
+// MetricMappingService (placements, activities, ...) as the summarize callback reads them through
+// the report template's metric mapping; unmapped ones have no points. Column metrics ("col.<header key>") are every numeric
+// report column, per department and as a college-wide total. Saving a report again replaces
+// its points; drafts have none until they are finalised.
+//
+// query() buckets points by report, week, month, term, half term or academic year (terms and years
+// from the college's academic calendar) and can limit them to term to date, year to date or the
+// same point last year.
+
+const GRANULARITIES = ['report', 'week', 'month', 'term', 'half_term', 'academic_year'];
+const AGGREGATES = ['last', 'sum', 'avg', 'min', 'max'];
+const SUMMARY_LABELS = Object.fromEntries(MetricMappingService.METRICS.map(m => [m.key, m.label]));
+
+class MetricStoreService {
+  constructor(options = {}) {
+    this.volumeService = options.volumeService || null;
+    // async (report) => { metricKey: number|null } college-wide summary metrics
+    this.summarize = options.summarize || (async () => ({}));
+    this.reportComparisonService = options.reportComparisonService || null;
+    this.listCollegeIds = options.listCollegeIds || (async () => []);
+    this.listReports = options.listReports || (async () => []);
+    this.metricsDir = 'metrics';
+    this.stateFile = 'metric-store.json';
+    this.academicCalendar = options.academicCalendar || new AcademicCalendarService();
+    // Writes to one college's file are chained so concurrent saves cannot drop points
+    this.locks = new Map();
+  }
+
+  /**
+   * Metric points for one report (empty for drafts and reports without rows)
+   */
+  async pointsFromReport(report) {
+    if (!report || report.status === 'draft') return { points: [], metrics: {} };
+    const headers = (report.data?.headers || []).map(h => String(h === undefined || h === null ? '' : h));
+    const rows = (report.data?.rows || []).filter(Array.isArray);
+    if (rows.length === 0) return { points: [], metrics: {} };
+
+    const base = {
+      reportId: String(report.id),
+      templateKey: report.templateKey || report.data?.meta?.templateKey || null,
+      date: moment(report.createdAt || undefined).format('YYYY-MM-DD')
+    };
+    const points = [];
+    const metrics = {};
+
+    const summary = (await this.summarize(report)) || {};
+    Object.entries(summary).forEach(([metric, value]) => {
+      if (value === null || value === undefined || !Number.isFinite(Number(value))) return;
+      metrics[metric] = { label: SUMMARY_LABELS[metric] || metric, type: 'number', source: 'summary' };
+      points.push({ ...base, department: null, metric, value: Number(value) });
+    });
+
+    const isTotalRow = row => /^\s*(grand\s+)?totals?\b/i.test(String(row[0] || ''));
+    const departmentRows = rows.filter(row => row[0] !== undefined && row[0] !== null && String(row[0]).trim() !== '' && !isTotalRow(row));
+    const totalRow = rows.find(isTotalRow) || null;
+    const usedKeys = new Set();
+    headers.forEach((header, index) => {
+      if (index === 0 || !header.trim() || this.isChangeColumn(header)) return;
+      const percentage = this.isPercentageHeader(header);
+      const fraction = percentage && this.isFractionColumn(rows, index);
+      const values = departmentRows.map(row => this.parseNumber(row[index], percentage, fraction));
+      if (!values.some(v => v !== null)) return;
+      // Columns with text in them (names, notes) are not metrics
+      const nonEmpty = departmentRows.filter(row => row[index] !== undefined && row[index] !== null && String(row[index]).trim() !== '');
+      if (nonEmpty.some(row => this.parseNumber(row[index], percentage, fraction) === null)) return;
+
+      let metric = `col.${this.metricKey(header)}`;
+      for (let n = 2; usedKeys.has(metric); n++) metric = `col.${this.metricKey(header)}_${n}`;
+      usedKeys.add(metric);
+      metrics[metric] = { label: header, type: percentage ? 'percentage' : 'number', source: 'column' };
+
+      departmentRows.forEach((row, i) => {
+        if (values[i] === null) return;
+        points.push({ ...base, department: String(row[0]).trim(), metric, value: values[i] });
+      });
+      // College-wide: counts add up; percentages only come from the report's own total row
+      const total = totalRow
+        ? this.parseNumber(totalRow[index], percentage, fraction)
+        : (percentage ? null : values.reduce((sum, v) => sum + (v || 0), 0));
+      if (total !== null) points.push({ ...base, department: null, metric, value: Math.round(total * 100) / 100 });
+    });
+    return { points, metrics };
+  }
+
+  /**
+   * Replace a report's points (a draft or empty report removes them)
+   */
+  async recordReport(collegeId, report) {
+    const { points, metrics } = await this.pointsFromReport(report);
+    await this.updateCollege(collegeId, store => {
+      store.points = store.points.filter(p => p.reportId !== String(report.id)).concat(points);
+      Object.assign(store.metrics, metrics);
+    });
+    return points.length;
+  }
+
+  async removeReport(collegeId, reportId) {
+    await this.updateCollege(collegeId, store => {
+      store.points = store.points.filter(p => p.reportId !== String(reportId));
+    });
+  }
+
+  /**
+   * Rebuild a college's points from its reports
+   */
+  async rebuildCollege(collegeId, reports) {
+    const store = this.emptyStore(collegeId);
+    for (const report of reports || []) {
+      const { points, metrics } = await this.pointsFromReport(report);
+      store.points.push(...points);
+      Object.assign(store.metrics, metrics);
+    }
+    await this.updateCollege(collegeId, current => {
+      current.points = store.points;
+      current.metrics = store.metrics;
+    });
+    return store.points.length;
+  }
+
+  /**
+   * Rebuild every college (or options.collegeIds) from the report store
+   */
+  async backfill(options = {}) {
+    const collegeIds = options.collegeIds && options.collegeIds.length > 0
+      ? options.collegeIds
+      : await this.listCollegeIds();
+    const result = { colleges: 0, reports: 0, points: 0, failed: [] };
+    for (const collegeId of collegeIds) {
+      try {
+        const reports = await this.listReports(collegeId);
+        result.points += await this.rebuildCollege(collegeId, reports);
+        result.reports += reports.filter(r => r.status !== 'draft').length;
+        result.colleges++;
+      } catch (error) {
+        console.error(`Metric backfill failed for college ${collegeId}:`, error);
+        result.failed.push({ collegeId, error: error.message });
+      }
+    }
+    if (!options.collegeIds || options.collegeIds.length === 0) {
+      await this.writeJson(this.stateFile, { version: '1.0', backfilledAt: new Date().toISOString(), ...result });
+    }
+    console.log(`📈 Metric store backfill: ${result.points} points from ${result.reports} reports in ${result.colleges} colleges`);
+    return result;
+  }
+
+  /**
+   * Backfill once, the first time the store is used
+   */
+  async ensureBackfilled() {
+    const state = await this.readJson(this.stateFile);
+    if (state?.backfilledAt) return null;
+    return this.backfill();
+  }
+
+  /**
+   * Check a query: { collegeId (one or comma-separated), metric (comma-separated, default all
+   * summary metrics), department ('' = college-wide, '*' = every department, or names),
+   * from, to, granularity, aggregate, templateKey, period (term_to_date, year_to_date or
+   * same_point_last_year at asOf, default today) }
+   */
+  validateQuery(params = {}) {
+    const errors = [];
+    const list = value => (Array.isArray(value) ? value : String(value === undefined || value === null ? '' : value).split(','))
+      .map(v => String(v).trim()).filter(Boolean);
+    const query = {
+      collegeIds: list(params.collegeId),
+      metrics: list(params.metric),
+      departments: params.department === '*' ? '*' : list(params.department),
+      from: null,
+      to: null,
+      granularity: String(params.granularity || 'report').toLowerCase().replace('-', '_'),
+      aggregate: String(params.aggregate || 'last').toLowerCase(),
+      templateKey: params.templateKey ? String(params.templateKey) : null,
+      limit: params.limit ? parseInt(params.limit, 10) : null,
+      period: params.period ? String(params.period).toLowerCase().replace(/-/g, '_') : null,
+      asOf: null
+    };
+    if (query.collegeIds.length === 0) errors.push('collegeId is required');
+    if (query.metrics.length === 0) query.metrics = Object.keys(SUMMARY_LABELS);
+    ['from', 'to', 'asOf'].forEach(key => {
+      if (!params[key]) return;
+      const date = moment(String(params[key]), ['YYYY-MM-DD', moment.ISO_8601], true);
+      if (!date.isValid()) errors.push(`${key} must be a date (YYYY-MM-DD)`);
+      else query[key] = date.format('YYYY-MM-DD');
+    });
+    if (query.from && query.to && query.from > query.to) errors.push('from must be before to');
+    if (!GRANULARITIES.includes(query.granularity)) errors.push(`granularity must be one of ${GRANULARITIES.join(', ')}`);
+    if (!AGGREGATES.includes(query.aggregate)) errors.push(`aggregate must be one of ${AGGREGATES.join(', ')}`);
+    if (query.limit !== null && (!Number.isFinite(query.limit) || query.limit < 1)) errors.push('limit must be a positive number');
+    if (query.period && !AcademicCalendarService.SCOPES.includes(query.period)) errors.push(`period must be one of ${AcademicCalendarService.SCOPES.join(', ')}`);
+    return { valid: errors.length === 0, errors, query };
+  }
+
+  /**
+   * Series per college, metric and department: { collegeId, metric, label, type, department,
+   * points: [{ period, label, start, end, value, reports }] } in date order. Within a period the
+   * aggregate combines the reports' values (last = the latest report's value).
+   * limit keeps the most recent periods. With a period each series also carries the college's
+   * range: { scope, from, to, label }.
+   */
+  async query(query) {
+    const series = [];
+    for (const collegeId of query.collegeIds) {
+      const store = await this.loadCollege(collegeId);
+      const range = query.period ? this.academicCalendar.range(query.period, query.asOf, collegeId) : null;
+      const from = [query.from, range?.from].filter(Boolean).sort().pop() || null;
+      const to = [query.to, range?.to].filter(Boolean).sort()[0] || null;
+      for (const metric of query.metrics) {
+        const matching = store.points.filter(p => p.metric === metric &&
+          (!from || p.date >= from) &&
+          (!to || p.date <= to) &&
+          (!query.templateKey || p.templateKey === query.templateKey) &&
+          (query.departments === '*'
+            ? true
+            : (query.departments.length === 0 ? p.department === null : query.departments.includes(p.department))));
+        const byDepartment = new Map();
+        matching.forEach(p => {
+          const key = p.department === null ? '' : p.department;
+          if (!byDepartment.has(key)) byDepartment.set(key, []);
+          byDepartment.get(key).push(p);
+        });
+        for (const [department, points] of byDepartment) {
+          let buckets = this.bucket(points, query.granularity, query.aggregate, collegeId);
+          if (query.limit) buckets = buckets.slice(-query.limit);
+          series.push({
+            collegeId: isNaN(Number(collegeId)) ? collegeId : Number(collegeId),
+            metric,
+            label: store.metrics[metric]?.label || SUMMARY_LABELS[metric] || metric,
+            type: store.metrics[metric]?.type || 'number',
+            department: department === '' ? null : department,
+            ...(range ? { range } : {}),
+            points: buckets
+          });
+        }
+      }
+    }
+    return series;
+  }
+
+  bucket(points, granularity, aggregate, collegeId = null) {
+    const sorted = points.slice().sort((a, b) => (a.date === b.date ? 0 : (a.date < b.date ? -1 : 1)));
+    const buckets = new Map();
+    sorted.forEach(point => {
+      const period = granularity === 'report'
+        ? { key: `${point.date}#${point.reportId}`, label: moment(point.date).format('D MMM YYYY'), start: point.date, end: point.date }
+        : this.periodOf(point.date, granularity, collegeId);
+      if (!buckets.has(period.key)) buckets.set(period.key, { ...period, values: [], reportIds: [] });
+      const bucket = buckets.get(period.key);
+      bucket.values.push(point.value);
+      bucket.reportIds.push(point.reportId);
+    });
+    return Array.from(buckets.values()).map(b => ({
+      period: granularity === 'report' ? b.reportIds[0] : b.key,
+      label: b.label,
+      start: b.start,
+      end: b.end,
+      value: this.combine(b.values, aggregate),
+      reports: new Set(b.reportIds).size
+    }));
+  }
+
+  combine(values, aggregate) {
+    const round = n => Math.round(n * 100) / 100;
+    switch (aggregate) {
+      case 'sum': return round(values.reduce((a, b) => a + b, 0));
+      case 'avg': return round(values.reduce((a, b) => a + b, 0) / values.length);
+      case 'min': return Math.min(...values);
+      case 'max': return Math.max(...values);
+      default: return values[values.length - 1];
+    }
+  }
+
+  /**
+   * { key, label, start, end } of the week (Monday), month, term, half term or academic year
+   * containing date. Terms and academic years follow the college's academic calendar.
+   */
+  periodOf(date, granularity, collegeId = null) {
+    const d = moment(date, 'YYYY-MM-DD');
+    const span = (start, end) => ({ start: start.format('YYYY-MM-DD'), end: end.format('YYYY-MM-DD') });
+
+    if (granularity === 'week') {
+      const start = d.clone().startOf('isoWeek');
+      return { key: start.format('GGGG-[W]WW'), label: `w/c ${start.format('D MMM YYYY')}`, ...span(start, start.clone().endOf('isoWeek')) };
+    }
+    if (granularity === 'month') {
+      return { key: d.format('YYYY-MM'), label: d.format('MMM YYYY'), ...span(d.clone().startOf('month'), d.clone().endOf('month')) };
+    }
+    return this.academicCalendar.periodOf(d.format('YYYY-MM-DD'), granularity, collegeId);
+  }
+
+  /**
+   * Metrics a college has points for: [{ key, label, type, source, departments, points, from, to }]
+   */
+  async getCatalog(collegeId) {
+    const store = await this.loadCollege(collegeId);
+    return Object.entries(store.metrics).map(([key, meta]) => {
+      const points = store.points.filter(p => p.metric === key);
+      const dates = points.map(p => p.date).sort();
+      return {
+        key,
+        ...meta,
+        departments: Array.from(new Set(points.map(p => p.department).filter(d => d !== null))).sort(),
+        points: points.length,
+        from: dates[0] || null,
+        to: dates[dates.length - 1] || null
+      };
+    }).filter(metric => metric.points > 0);
+  }
+
+  metricKey(header) {
+    return String(header).toLowerCase()
+      .replace(/\s*\[[^\]]+\]\s*$/, '')
+      .replace(/%/g, ' percent ')
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '') || 'column';
+  }
+
+  isChangeColumn(header) {
+    if (this.reportComparisonService) return this.reportComparisonService.isChangeColumn(header);
+    return /\+\/-?\s*$/.test(String(header));
+  }
+
+  isPercentageHeader(header) {
+    if (this.reportComparisonService) return this.reportComparisonService.isPercentageHeader(header);
+    return /%|percent/i.test(String(header));
+  }
+
+  parseNumber(value, percentage, fraction = false) {
+    if (this.reportComparisonService) return this.reportComparisonService.parseNumber(value, percentage, fraction);
+    const n = parseFloat(String(value === undefined || value === null ? '' : value).replace(/[,%\s]/g, ''));
+    return Number.isFinite(n) ? n : null;
+  }
+
+  isFractionColumn(rows, index) {
+    return this.reportComparisonService ? this.reportComparisonService.isFractionColumn(rows, index) : false;
+  }
+
+  emptyStore(collegeId) {
+    return { version: '1.0', collegeId: String(collegeId), updatedAt: null, metrics: {}, points: [] };
+  }
+
+  async loadCollege(collegeId) {
+    const stored = await this.readJson(path.join(this.metricsDir, `${collegeId}.json`));
+    const store = this.emptyStore(collegeId);
+    if (stored && Array.isArray(stored.points)) {
+      store.points = stored.points;
+      store.metrics = stored.metrics || {};
+      store.updatedAt = stored.updatedAt || null;
+    }
+    return store;
+  }
+
+  async updateCollege(collegeId, change) {
+    const key = String(collegeId);
+    const previous = this.locks.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const store = await this.loadCollege(collegeId);
+      change(store);
+      store.updatedAt = new Date().toISOString();
+      await this.writeJson(path.join(this.metricsDir, `${collegeId}.json`), store);
+    });
+    this.locks.set(key, next);
+    try {
+      await next;
+    } finally {
+      if (this.locks.get(key) === next) this.locks.delete(key);
+    }
+  }
+
+  async readJson(file) {
+    if (this.volumeService) return this.volumeService.readFile(file).catch(() => null);
+    return fs.readJson(path.join(__dirname, '../../data', file)).catch(() => null);
+  }
+
+  async writeJson(file, data) {
+    if (this.volumeService) return this.volumeService.writeFile(file, data);
+    const fullPath = path.join(__dirname, '../../data', file);
+    await fs.ensureDir(path.dirname(fullPath));
+    await fs.writeJson(fullPath, data, { spaces: 2 });
+  }
+}
+
+MetricStoreService.GRANULARITIES = GRANULARITIES;
+MetricStoreService.AGGREGATES = AGGREGATES;
+MetricStoreService.SUMMARY_METRICS = Object.keys(SUMMARY_LABELS);
+
+module.exports = MetricStoreService;
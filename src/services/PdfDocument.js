@@ -0,0 +1,237 @@
+const zlib = require('zlib');
+
+// Minimal PDF writer for server-side exports: pages of text, rectangles and lines using the
+// built-in Helvetica fonts (nothing embedded, no browser). Coordinates are in points from the
+// top-left corner of the page; colours are '#RRGGBB' or Excel ARGB ('FFDBEAFE').
+
+const PAGE_SIZES = {
+  'A4-portrait': [595.28, 841.89],
+  'A4-landscape': [841.89, 595.28]
+};
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding can still show
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, '‰': 0x89, '‹': 0x8B,
+  '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99, '›': 0x9B
+};
+const FALLBACKS = { '→': '->', '←': '<-', '↑': '^', '↓': 'v', '✓': 'v', '✔': 'v', '✗': 'x', '✘': 'x', '≥': '>=', '≤': '<=' };
+
+class PdfDocument {
+  constructor(options = {}) {
+    const size = PAGE_SIZES[options.size] || PAGE_SIZES['A4-portrait'];
+    this.width = size[0];
+    this.height = size[1];
+    this.margin = options.margin !== undefined ? options.margin : 36;
+    this.title = options.title || 'Report';
+    this.pages = [];
+    this.page = null;
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    return this;
+  }
+
+  setPage(index) {
+    this.page = this.pages[index];
+    return this;
+  }
+
+  get contentWidth() {
+    return this.width - this.margin * 2;
+  }
+
+  get contentBottom() {
+    return this.height - this.margin;
+  }
+
+  /**
+   * PDF colour operands from '#RRGGBB' or ARGB hex
+   */
+  color(value) {
+    const hex = String(value || '#000000').replace('#', '');
+    const rgb = hex.length === 8 ? hex.slice(2) : hex;
+    const channel = i => (parseInt(rgb.slice(i, i + 2), 16) / 255 || 0).toFixed(3);
+    return `${channel(0)} ${channel(2)} ${channel(4)}`;
+  }
+
+  /**
+   * Text as WinAnsi bytes (written as a PDF string literal)
+   */
+  encode(text) {
+    let out = '';
+    for (const ch of String(text === undefined || text === null ? '' : text)) {
+      const code = ch.codePointAt(0);
+      let byte = null;
+      if (code >= 32 && code <= 126) byte = code;
+      else if (code >= 160 && code <= 255) byte = code;
+      else if (WIN_ANSI[ch]) byte = WIN_ANSI[ch];
+      if (byte === null) {
+        out += FALLBACKS[ch] !== undefined ? this.encode(FALLBACKS[ch]) : (code === 9 ? ' ' : '?');
+      } else if (byte === 40 || byte === 41 || byte === 92) {
+        out += '\\' + String.fromCharCode(byte);
+      } else if (byte > 126) {
+        out += '\\' + byte.toString(8).padStart(3, '0');
+      } else {
+        out += String.fromCharCode(byte);
+      }
+    }
+    return out;
+  }
+
+  widthOf(text, size = 10, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const ch of String(text === undefined || text === null ? '' : text)) {
+      const code = ch.codePointAt(0);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return (total * size) / 1000;
+  }
+
+  /**
+   * Split text into lines no wider than width (long words are broken)
+   */
+  wrap(text, width, size = 10, bold = false) {
+    const lines = [];
+    String(text === undefined || text === null ? '' : text).split(/\r?\n/).forEach(paragraph => {
+      let line = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        let candidate = line ? `${line} ${word}` : word;
+        if (this.widthOf(candidate, size, bold) <= width) {
+          line = candidate;
+          return;
+        }
+        if (line) lines.push(line);
+        // Break words that do not fit on a line of their own
+        while (this.widthOf(word, size, bold) > width && word.length > 1) {
+          let cut = word.length - 1;
+          while (cut > 1 && this.widthOf(word.slice(0, cut), size, bold) > width) cut--;
+          lines.push(word.slice(0, cut));
+          word = word.slice(cut);
+        }
+        candidate = word;
+        line = candidate;
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  /**
+   * Shorten text with an ellipsis to fit width
+   */
+  fit(text, width, size = 10, bold = false) {
+    const value = String(text === undefined || text === null ? '' : text);
+    if (this.widthOf(value, size, bold) <= width) return value;
+    let cut = value.length;
+    while (cut > 0 && this.widthOf(value.slice(0, cut) + '…', size, bold) > width) cut--;
+    return cut > 0 ? value.slice(0, cut) + '…' : '';
+  }
+
+  rect(x, y, w, h, options = {}) {
+    const ops = [];
+    if (options.fill) ops.push(`${this.color(options.fill)} rg`);
+    if (options.stroke) ops.push(`${this.color(options.stroke)} RG ${options.lineWidth || 0.5} w`);
+    const paint = options.fill && options.stroke ? 'B' : (options.fill ? 'f' : 'S');
+    ops.push(`${x.toFixed(2)} ${(this.height - y - h).toFixed(2)} ${w.toFixed(2)} ${h.toFixed(2)} re ${paint}`);
+    this.page.push(ops.join(' '));
+    return this;
+  }
+
+  line(x1, y1, x2, y2, options = {}) {
+    this.page.push(`${this.color(options.color || '#D1D5DB')} RG ${options.width || 0.5} w ` +
+      `${x1.toFixed(2)} ${(this.height - y1).toFixed(2)} m ${x2.toFixed(2)} ${(this.height - y2).toFixed(2)} l S`);
+    return this;
+  }
+
+  /**
+   * Single line of text with its top at y. align is relative to options.width.
+   */
+  text(value, x, y, options = {}) {
+    const size = options.size || 10;
+    const bold = !!options.bold;
+    const content = options.width && options.ellipsis !== false ? this.fit(value, options.width, size, bold) : String(value === undefined || value === null ? '' : value);
+    if (!content) return this;
+    let left = x;
+    if (options.width && options.align === 'right') left = x + options.width - this.widthOf(content, size, bold);
+    if (options.width && options.align === 'center') left = x + (options.width - this.widthOf(content, size, bold)) / 2;
+    const baseline = this.height - y - size * 0.8;
+    this.page.push(`BT ${this.color(options.color || '#111827')} rg /${bold ? 'F2' : 'F1'} ${size} Tf ` +
+      `${left.toFixed(2)} ${baseline.toFixed(2)} Td (${this.encode(content)}) Tj ET`);
+    return this;
+  }
+
+  /**
+   * Wrapped paragraph; returns the y below the last line
+   */
+  paragraph(value, x, y, width, options = {}) {
+    const size = options.size || 10;
+    const lineHeight = options.lineHeight || size * 1.3;
+    let top = y;
+    this.wrap(value, width, size, !!options.bold).forEach(line => {
+      this.text(line, x, top, { ...options, width: undefined });
+      top += lineHeight;
+    });
+    return top;
+  }
+
+  toBuffer() {
+    if (this.pages.length === 0) this.addPage();
+    const objects = [];
+    const add = body => {
+      objects.push(body);
+      return objects.length;
+    };
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const pageIds = this.pages.map(ops => {
+      const stream = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+      const contentId = add({ dict: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream });
+      return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width.toFixed(2)} ${this.height.toFixed(2)}] ` +
+        `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    });
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = add(`<< /Title (${this.encode(this.title)}) /Producer (AM Reports Hub) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = [];
+    objects.forEach((body, i) => {
+      offsets.push(offset);
+      const parts = typeof body === 'string'
+        ? [Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, 'latin1')]
+        : [Buffer.from(`${i + 1} 0 obj\n${body.dict}\nstream\n`, 'latin1'), body.stream, Buffer.from('\nendstream\nendobj\n', 'latin1')];
+      parts.forEach(part => { chunks.push(part); offset += part.length; });
+    });
+    const xref = [`xref\n0 ${objects.length + 1}\n`, '0000000000 65535 f \n', ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`)].join('');
+    chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`, 'latin1'));
+    return Buffer.concat(chunks);
+  }
+}
+
+PdfDocument.PAGE_SIZES = PAGE_SIZES;
+
+module.exports = PdfDocument;
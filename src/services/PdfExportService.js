@@ -0,0 +1,366 @@
+const PdfDocument = require('./PdfDocument');
+
+// PDF versions of a report (section-coloured headers, +/- change columns, percentage bars) and of
+// the college overview (KPIs, health/growth checks, SWOT), drawn with PdfDocument so no headless
+// browser is needed.
+
+const HEALTH_CHECKS = [
+  ['progression', 'Progression across metrics'],
+  ['moreStudents', 'More students'],
+  ['moreActivities', 'More activities'],
+  ['morePlacements', 'More placements'],
+  ['increasedPlacements', 'Increased % of students with a placement'],
+  ['meetingTone', 'General tone of meeting']
+];
+const GROWTH_CHECKS = [
+  ['interestModules', 'Interest in other modules'],
+  ['renewal', 'Likelihood of Renewal'],
+  ['techIssues', 'Tech Issues'],
+  ['trainingIssues', 'Training Issues']
+];
+const SWOT = [
+  ['strengths', 'Strengths', 'FFDCFCE7', '#166534'],
+  ['weaknesses', 'Weaknesses', 'FFFEE2E2', '#991B1B'],
+  ['opportunities', 'Opportunities', 'FFDBEAFE', '#1E40AF'],
+  ['threats', 'Threats', 'FFFEF3C7', '#92400E']
+];
+
+class PdfExportService {
+  constructor(options = {}) {
+    // (header) => { section, color } — the Excel export's section colouring
+    this.getColumnSection = options.getColumnSection || (() => ({ section: 'default', color: 'FFF3F4F6' }));
+    this.reportComparisonService = options.reportComparisonService;
+  }
+
+  formatValue(value, percentage, fraction = false) {
+    if (value === undefined || value === null || value === '') return percentage ? '0%' : '';
+    const comparison = this.reportComparisonService;
+    const n = comparison.parseNumber(value, percentage, fraction);
+    if (n === null) return String(value);
+    if (percentage) return `${Math.round(n * 10) / 10}%`;
+    return Number.isInteger(n) ? n.toLocaleString('en-GB') : (Math.round(n * 100) / 100).toLocaleString('en-GB');
+  }
+
+  formatChange(change, percentage) {
+    if (change === null || change === undefined) return '';
+    const rounded = Math.round(change * 10) / 10;
+    return `${rounded > 0 ? '+' : ''}${rounded}${percentage ? '%' : ''}`;
+  }
+
+  addFooters(doc, label) {
+    doc.pages.forEach((_, i) => {
+      doc.setPage(i);
+      doc.text(label, doc.margin, doc.height - doc.margin + 12, { size: 7, color: '#9CA3AF', width: doc.contentWidth / 2 });
+      doc.text(`Page ${i + 1} of ${doc.pages.length}`, doc.margin, doc.height - doc.margin + 12, { size: 7, color: '#9CA3AF', width: doc.contentWidth, align: 'right' });
+    });
+  }
+
+  /**
+   * Report table on A4 landscape. Wide reports are split into column groups that each repeat
+   * the department column; every page repeats the header row.
+   */
+  renderReport({ report, collegeName, previousData, aliases }) {
+    const comparison = this.reportComparisonService;
+    const doc = new PdfDocument({ size: 'A4-landscape', title: `${collegeName || 'College'} – ${report.name || 'Report'}` });
+    const headers = report.data?.headers || [];
+    const rows = (report.data?.rows || []).filter(Array.isArray);
+    const tracker = comparison.createChangeTracker(previousData, headers, { rows, aliases });
+
+    const isPercentage = i => comparison.isPercentageHeader(headers[i]);
+    const fractionColumns = new Set(headers.map((h, i) => i).filter(i => i > 0 && isPercentage(i) && comparison.isFractionColumn(rows, i)));
+    const isFraction = i => fractionColumns.has(i);
+    const isNumeric = i => isPercentage(i) || rows.slice(0, 25).some(r => comparison.parseNumber(r[i], false) !== null);
+    const hasChange = i => i > 0 && !comparison.isChangeColumn(headers[i]) && tracker.hasPrevious && isNumeric(i);
+
+    // Column layout: department, then each column followed by its +/- column
+    const fontSize = 7;
+    const departmentWidth = 130;
+    const changeWidth = 34;
+    const valueWidth = i => (isPercentage(i) ? 58 : 50);
+    const columns = headers.map((h, i) => i).slice(1).filter(i => !comparison.isChangeColumn(headers[i]));
+    const groups = [];
+    let group = [];
+    let used = departmentWidth;
+    columns.forEach(i => {
+      const width = valueWidth(i) + (hasChange(i) ? changeWidth : 0);
+      if (group.length > 0 && used + width > doc.contentWidth) {
+        groups.push(group);
+        group = [];
+        used = departmentWidth;
+      }
+      group.push(i);
+      used += width;
+    });
+    if (group.length > 0 || groups.length === 0) groups.push(group);
+
+    // Totals like the Excel export: sums, and averages for percentage columns
+    const isTotalRow = row => /^(grand )?totals?$/i.test(String(row[0] || '').trim());
+    const dataRows = rows.filter(r => !isTotalRow(r));
+    const totals = {};
+    columns.forEach(i => {
+      const values = dataRows.map(r => comparison.parseNumber(r[i], isPercentage(i), isFraction(i))).filter(v => v !== null);
+      if (values.length > 0) {
+        const sum = values.reduce((a, b) => a + b, 0);
+        totals[i] = isPercentage(i) ? sum / values.length : sum;
+      }
+    });
+    const bodyRows = dataRows.length > 1 ? [...dataRows, null] : dataRows;
+
+    const summaryText = report.summary && String(report.summary).trim() !== '' && report.summary !== 'No summary provided' ? String(report.summary) : null;
+    const rowHeight = 14;
+    const headerHeight = 34;
+    let y = doc.margin;
+    const startPage = (first) => {
+      doc.addPage();
+      y = doc.margin;
+      doc.text(`${collegeName ? collegeName + ' – ' : ''}${report.name || 'Report'}`, doc.margin, y, { size: first ? 16 : 11, bold: true, width: doc.contentWidth });
+      y += first ? 22 : 16;
+      if (first) {
+        doc.text(`Generated: ${new Date(report.createdAt || Date.now()).toLocaleString('en-GB')}${report.period ? ` · ${report.period.label}` : ''}`, doc.margin, y, { size: 9, color: '#6B7280' });
+        y += 14;
+        if (summaryText) y = doc.paragraph(`Summary: ${summaryText}`, doc.margin, y, doc.contentWidth, { size: 9, color: '#374151' }) + 4;
+        if (tracker.removed.length > 0) {
+          y = doc.paragraph(`Not in this report (were in previous): ${tracker.removed.join(', ')}`, doc.margin, y, doc.contentWidth, { size: 8, color: '#991B1B' }) + 4;
+        }
+        y += 6;
+      }
+    };
+    const drawHeader = (groupColumns) => {
+      let x = doc.margin;
+      const headerCell = (label, width, color) => {
+        doc.rect(x, y, width, headerHeight, { fill: color, stroke: '#E5E7EB' });
+        const lines = doc.wrap(label, width - 4, fontSize, true).slice(0, 4);
+        const top = y + (headerHeight - lines.length * (fontSize + 1)) / 2;
+        lines.forEach((line, n) => doc.text(line, x + 2, top + n * (fontSize + 1), { size: fontSize, bold: true, width: width - 4, align: 'center' }));
+        x += width;
+      };
+      headerCell(headers[0] || 'Department', departmentWidth, this.getColumnSection(headers[0] || 'Department').color);
+      groupColumns.forEach(i => {
+        const color = this.getColumnSection(headers[i]).color;
+        headerCell(headers[i], valueWidth(i), color);
+        if (hasChange(i)) headerCell('+/-', changeWidth, color);
+      });
+      y += headerHeight;
+    };
+    const drawRow = (row, index, groupColumns) => {
+      let x = doc.margin;
+      const isTotals = row === null;
+      const fill = isTotals ? 'FFF5F5F5' : (index % 2 === 1 ? 'FFF9FAFB' : 'FFFFFFFF');
+      doc.rect(x, y, departmentWidth, rowHeight, { fill, stroke: '#E5E7EB' });
+      doc.text(isTotals ? 'TOTAL' : row[0], x + 3, y + 3.5, { size: fontSize, bold: isTotals, width: departmentWidth - 6 });
+      x += departmentWidth;
+      const isNew = !isTotals && tracker.isNew(row);
+      groupColumns.forEach(i => {
+        const width = valueWidth(i);
+        const percentage = isPercentage(i);
+        const raw = isTotals ? (totals[i] === undefined ? '' : totals[i]) : row[i];
+        const n = isTotals ? (totals[i] === undefined ? null : totals[i]) : comparison.parseNumber(raw, percentage, isFraction(i));
+        doc.rect(x, y, width, rowHeight, { fill, stroke: '#E5E7EB' });
+        if (percentage && n !== null && n > 0) {
+          doc.rect(x + 1, y + 1, Math.min(1, n / 100) * (width - 2), rowHeight - 2, { fill: 'FFBBF7D0' });
+        }
+        const label = isTotals
+          ? (n === null ? '' : (percentage ? `${Math.round(n * 10) / 10}%` : this.formatValue(Math.round(n * 100) / 100, false)))
+          : this.formatValue(raw, percentage, isFraction(i));
+        doc.text(label, x + 2, y + 3.5, { size: fontSize, bold: isTotals, width: width - 4, align: 'right' });
+        x += width;
+        if (hasChange(i)) {
+          let text = '';
+          let color = '#666666';
+          let background = 'FFF5F5F5';
+          if (isNew) {
+            text = 'New';
+            color = '#1565C0';
+          } else if (!isTotals) {
+            const previous = tracker.previousNumber(row, i, percentage);
+            if (n !== null && previous !== null) {
+              const change = n - previous;
+              text = this.formatChange(change, percentage);
+              if (change > 0) { color = '#2E7D32'; background = 'FFE8F5E8'; }
+              else if (change < 0) { color = '#C62828'; background = 'FFFFEBEE'; }
+              else { color = '#E65100'; background = 'FFFFF3E0'; }
+            }
+          }
+          doc.rect(x, y, changeWidth, rowHeight, { fill: background, stroke: '#E5E7EB' });
+          doc.text(text, x + 2, y + 3.5, { size: fontSize, bold: true, color, width: changeWidth - 4, align: 'center' });
+          x += changeWidth;
+        }
+      });
+      y += rowHeight;
+    };
+
+    groups.forEach((groupColumns, g) => {
+      startPage(g === 0);
+      if (groups.length > 1) {
+        doc.text(`Columns ${g + 1} of ${groups.length}`, doc.margin, y, { size: 8, color: '#6B7280' });
+        y += 12;
+      }
+      drawHeader(groupColumns);
+      bodyRows.forEach((row, index) => {
+        if (y + rowHeight > doc.contentBottom) {
+          startPage(false);
+          drawHeader(groupColumns);
+        }
+        drawRow(row, index, groupColumns);
+      });
+      if (bodyRows.length === 0) {
+        doc.text('This report has no rows', doc.margin, y + 6, { size: 9, color: '#6B7280' });
+      }
+    });
+
+    this.addFooters(doc, `${collegeName || ''} ${report.name || ''}`.trim());
+    return doc.toBuffer();
+  }
+
+  /**
+   * Lines of a SWOT quadrant from the college record: arrays, or text with one item per line
+   */
+  swotItems(college, key) {
+    const fieldName = `swot${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+    const value = college[key] !== undefined ? college[key] : college[fieldName];
+    if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+    return String(value || '').split(/\r?\n/).map(v => v.replace(/^[-•*]\s*/, '').trim()).filter(Boolean);
+  }
+
+  /**
+   * College overview on A4 portrait: header, KPI cards, health and growth checks, SWOT, insights
+   */
+  renderCollegeOverview({ college, accountManagerName, metrics = {}, latestReport = null }) {
+    const doc = new PdfDocument({ size: 'A4-portrait', title: `${college.name || 'College'} – Overview` });
+    const width = doc.contentWidth;
+    const left = doc.margin;
+    let y = doc.margin;
+    doc.addPage();
+    const ensureSpace = (height) => {
+      if (y + height > doc.contentBottom) {
+        doc.addPage();
+        y = doc.margin;
+      }
+    };
+    const heading = (label) => {
+      ensureSpace(30);
+      y += 8;
+      doc.text(label, left, y, { size: 12, bold: true });
+      y += 18;
+    };
+
+    doc.text(college.name || 'College Overview', left, y, { size: 18, bold: true, width });
+    y += 24;
+    const subtitle = [
+      accountManagerName ? `Account Manager: ${accountManagerName}` : null,
+      college.status ? `Status: ${college.status}` : null,
+      college.ofstedRating ? `Ofsted: ${college.ofstedRating}` : null,
+      college.engagementLevel ? `Engagement: ${college.engagementLevel}` : null,
+      college.meetingFrequency ? `Meetings: ${college.meetingFrequency}` : null
+    ].filter(Boolean).join(' | ');
+    if (subtitle) {
+      doc.text(subtitle, left, y, { size: 9, color: '#4B5563', width });
+      y += 14;
+    }
+    doc.text(`Generated: ${new Date().toLocaleString('en-GB')}${latestReport ? ` · Latest report: ${latestReport.name || ''} (${new Date(latestReport.createdAt).toLocaleDateString('en-GB')})` : ''}`,
+      left, y, { size: 8, color: '#6B7280', width });
+    y += 16;
+
+    // KPI cards
+    const cards = [
+      ['Students', metrics.students],
+      ['Placements', metrics.placements],
+      ['Activities', metrics.activities],
+      ['Hours scheduled', metrics.hoursScheduled]
+    ];
+    const gap = 8;
+    const cardWidth = (width - gap * (cards.length - 1)) / cards.length;
+    cards.forEach(([label, value], i) => {
+      const x = left + i * (cardWidth + gap);
+      doc.rect(x, y, cardWidth, 48, { fill: '#F9FAFB', stroke: '#E5E7EB' });
+      doc.text(value === undefined || value === null ? '–' : this.formatValue(value, false), x, y + 10, { size: 16, bold: true, color: '#2563EB', width: cardWidth, align: 'center' });
+      doc.text(label, x, y + 32, { size: 8, color: '#6B7280', width: cardWidth, align: 'center' });
+    });
+    y += 60;
+
+    const extraKpis = [
+      ['% Students with Placements', metrics.percentStudentsWithPlacements],
+      ['% Students with Activities', metrics.percentStudentsWithActivities],
+      ['% Students with a Skills Assessment', metrics.percentStudentsWithSkillsAssessment],
+      ['Students with at least 1 Assessment', metrics.assessments]
+    ].filter(([, v]) => v !== undefined && v !== null && v !== '');
+    extraKpis.forEach(([label, value]) => {
+      const percentage = label.startsWith('%');
+      const n = this.reportComparisonService.parseNumber(value, percentage);
+      doc.text(label, left, y, { size: 9, width: 220 });
+      if (percentage && n !== null) {
+        doc.rect(left + 230, y, 200, 10, { fill: '#F3F4F6' });
+        doc.rect(left + 230, y, Math.max(0, Math.min(1, n / 100)) * 200, 10, { fill: '#22C55E' });
+      }
+      doc.text(this.formatValue(value, percentage), left + 440, y, { size: 9, bold: true, width: 80, align: 'right' });
+      y += 15;
+    });
+
+    // Health and growth checks, each item scored 0-5
+    const checkTable = (title, checks, details, overall, color) => {
+      heading(title);
+      let total = 0;
+      checks.forEach(([key, label]) => {
+        ensureSpace(16);
+        const score = Math.max(0, Math.min(5, parseInt(details?.[key], 10) || 0));
+        total += score;
+        doc.text(label, left, y, { size: 9, width: 250 });
+        for (let s = 0; s < 5; s++) {
+          doc.rect(left + 260 + s * 22, y, 18, 10, { fill: s < score ? color : '#E5E7EB' });
+        }
+        doc.text(`${score}/5`, left + 380, y, { size: 9, bold: true, width: 40, align: 'right' });
+        y += 15;
+      });
+      const overallScore = overall !== undefined && overall !== null && overall !== '' ? overall : Math.round(total / checks.length);
+      doc.text(`Total score: ${total} / ${checks.length * 5}   ·   Overall: ${overallScore}/5`, left, y + 2, { size: 9, bold: true, color });
+      y += 18;
+    };
+    checkTable('Health Check', HEALTH_CHECKS, college.healthCheckDetails, college.healthCheck, '#2563EB');
+    checkTable('Growth Check', GROWTH_CHECKS, college.growthCheckDetails, college.growthCheck, '#16A34A');
+
+    // SWOT as a 2 x 2 grid
+    heading('SWOT Analysis');
+    const boxWidth = (width - gap) / 2;
+    const quadrant = ([key, label, fill, color]) => {
+      const items = this.swotItems(college, key);
+      const lines = items.length > 0
+        ? items.flatMap(item => doc.wrap(item, boxWidth - 22, 8).map((line, n) => (n === 0 ? `• ${line}` : `   ${line}`)))
+        : ['None recorded'];
+      return { label, fill, color, lines, height: 26 + lines.length * 11 };
+    };
+    for (let pair = 0; pair < SWOT.length; pair += 2) {
+      const boxes = [quadrant(SWOT[pair]), quadrant(SWOT[pair + 1])];
+      const height = Math.max(...boxes.map(b => b.height));
+      ensureSpace(height + gap);
+      boxes.forEach((box, i) => {
+        const x = left + i * (boxWidth + gap);
+        doc.rect(x, y, boxWidth, height, { fill: box.fill, stroke: '#E5E7EB' });
+        doc.text(box.label, x + 8, y + 8, { size: 10, bold: true, color: box.color });
+        box.lines.forEach((line, n) => doc.text(line, x + 8, y + 24 + n * 11, { size: 8, color: '#374151', width: boxWidth - 14 }));
+      });
+      y += height + gap;
+    }
+
+    const insights = Array.isArray(college.insights) ? college.insights : [];
+    const concerns = college.concerns || college.initialConcerns;
+    if (insights.length > 0 || concerns) {
+      heading('Insights & Concerns');
+      insights.forEach(insight => {
+        ensureSpace(24);
+        y = doc.paragraph(`• ${insight}`, left, y, width, { size: 9, color: '#1D4ED8' }) + 2;
+      });
+      if (concerns) {
+        ensureSpace(24);
+        y = doc.paragraph(`Concerns: ${concerns}`, left, y + 4, width, { size: 9, color: '#374151' });
+      }
+    }
+
+    this.addFooters(doc, `${college.name || ''} overview`);
+    return doc.toBuffer();
+  }
+}
+
+PdfExportService.HEALTH_CHECKS = HEALTH_CHECKS;
+PdfExportService.GROWTH_CHECKS = GROWTH_CHECKS;
+
+module.exports = PdfExportService;
@@ -0,0 +1,395 @@
+// Side-by-side comparison of two saved reports. Rows are aligned by department (first column)
+// and columns by header, tolerating reordered columns, "+/-" and "[File]" suffixes and renamed
+// headers within the same category. Deltas are target - base; percentages are relative to base.
+// Renamed departments are matched through department-aliases.json:
+//   { "*": { "Canonical name": ["Old name", ...] }, "<collegeId>": { ... } }
+// Academic years, weeks and "same point last year" come from the academic calendar.
+const AcademicCalendarService = require('./AcademicCalendarService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReportComparisonService {
+  constructor(options = {}) {
+    this.volumeService = options.volumeService || null;
+    this.aliasesFile = 'department-aliases.json';
+    this.academicCalendar = options.academicCalendar || new AcademicCalendarService();
+    // Renamed headers are paired when their words overlap at least this much
+    this.renameSimilarity = options.renameSimilarity || 0.5;
+  }
+
+  /**
+   * Header key that survives template updates: base text + category
+   */
+  normalizeHeader(header) {
+    let s = String(header || '').toLowerCase();
+    s = s.replace(/\s*\+\/-?\s*$/, '').replace(/\s*\[[^\]]+\]\s*$/g, '');
+    const toCategory = (text) => {
+      const v = String(text || '').toLowerCase();
+      if (/activities\s*combined/.test(v)) return 'activities-combined';
+      if (/employer\s*(engagement|activity)/.test(v)) return 'employment';
+      if (/enrichment/.test(v)) return 'enrichment';
+      if (/placements?/.test(v)) return 'placements';
+      if (/assessments?/.test(v)) return 'assessments';
+      if (/careers?/.test(v)) return 'careers';
+      if (/targets?/.test(v)) return 'targets';
+      if (/login|access/.test(v)) return 'login';
+      return null;
+    };
+    let category = null;
+    for (const match of s.match(/\(([^)]+)\)/g) || []) {
+      category = toCategory(match);
+      if (category) break;
+    }
+    s = s.replace(/\([^)]*\)/g, ' ');
+    if (!category) category = toCategory(s) || 'default';
+    return `${s.replace(/\s+/g, ' ').trim()}::${category}`;
+  }
+
+  isChangeColumn(header) {
+    return /\s*\+\/-?\s*$/.test(String(header || ''));
+  }
+
+  isPercentageHeader(header) {
+    const s = String(header || '').toLowerCase();
+    return s.includes('percent') || s.includes('%');
+  }
+
+  /**
+   * Numeric value of a cell. "45%" and 45 read as 45. Only a number (not text) in a column of
+   * Excel fractions (fraction, see isFractionColumn) is scaled, so 0.45 there reads as 45 while a
+   * typed "1" or "0.5" stays 1% or 0.5%.
+   */
+  parseNumber(value, percentage = false, fraction = false) {
+    if (value === undefined || value === null || value === '') return null;
+    const str = String(value).trim().replace(/,/g, '');
+    if (!str) return null;
+    const n = parseFloat(str.replace(/%$/, ''));
+    if (isNaN(n) || !isFinite(n)) return null;
+    return percentage && fraction && typeof value === 'number' ? n * 100 : n;
+  }
+
+  /**
+   * Whether a percentage column holds Excel fractions (a 45% cell read from the spreadsheet as the
+   * number 0.45): it has numbers and every one of them is from 0 to 1. Cells written with a "%" are
+   * unambiguous and ignored; any other text means the column is not fractions.
+   */
+  isFractionColumn(rows, index) {
+    const values = (rows || []).filter(Array.isArray).map(row => row[index])
+      .filter(v => v !== undefined && v !== null && v !== '' && !(typeof v === 'string' && v.trim().endsWith('%')));
+    return values.length > 0 && values.every(v => typeof v === 'number' && v >= 0 && v <= 1);
+  }
+
+  /**
+   * Normalised department key ("Health & Social Care " == "health and social care"),
+   * mapped to its canonical name when an alias lookup is given
+   */
+  departmentKey(value, aliasLookup = null) {
+    const key = String(value === undefined || value === null ? '' : value)
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/['’.]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+    return aliasLookup && aliasLookup.has(key) ? aliasLookup.get(key) : key;
+  }
+
+  async readAliases() {
+    try {
+      const data = this.volumeService ? await this.volumeService.readFile(this.aliasesFile) : null;
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Department aliases for a college (college entries win over the "*" entries)
+   */
+  async getDepartmentAliases(collegeId = null) {
+    const all = await this.readAliases();
+    return { ...(all['*'] || {}), ...(collegeId !== null && collegeId !== undefined ? all[String(collegeId)] || {} : {}) };
+  }
+
+  /**
+   * Replace the aliases for one scope ("*" or a college id): { canonical: [oldName, ...] }
+   */
+  async setDepartmentAliases(scope, aliases) {
+    if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+      return { success: false, message: 'Aliases must be an object of { department: [old names] }' };
+    }
+    const cleaned = {};
+    Object.entries(aliases).forEach(([canonical, names]) => {
+      const name = String(canonical || '').trim();
+      const list = Array.from(new Set((Array.isArray(names) ? names : [names]).map(n => String(n || '').trim()).filter(Boolean)));
+      if (name && list.length > 0) cleaned[name] = list;
+    });
+    const all = await this.readAliases();
+    if (Object.keys(cleaned).length > 0) {
+      all[String(scope)] = cleaned;
+    } else {
+      delete all[String(scope)];
+    }
+    if (this.volumeService) await this.volumeService.writeFile(this.aliasesFile, all);
+    return { success: true, aliases: cleaned };
+  }
+
+  /**
+   * alias key -> canonical key, from { canonical: [alias, ...] }
+   */
+  buildAliasLookup(aliases = {}) {
+    const lookup = new Map();
+    Object.entries(aliases || {}).forEach(([canonical, names]) => {
+      const target = this.departmentKey(canonical);
+      (Array.isArray(names) ? names : [names]).forEach(name => {
+        const key = this.departmentKey(name);
+        if (key && key !== target) lookup.set(key, target);
+      });
+    });
+    return lookup;
+  }
+
+  /**
+   * Pair target columns with base columns: exact, normalised, then renamed (same category,
+   * overlapping words). Returns [{ header, baseHeader, baseIndex, targetIndex, match }]
+   */
+  alignColumns(baseHeaders, targetHeaders) {
+    const base = (baseHeaders || []).map((h, i) => ({ header: h, index: i })).filter(c => c.index > 0 && !this.isChangeColumn(c.header));
+    const target = (targetHeaders || []).map((h, i) => ({ header: h, index: i })).filter(c => c.index > 0 && !this.isChangeColumn(c.header));
+    const used = new Set();
+    const columns = target.map(t => ({ header: t.header, targetIndex: t.index, baseHeader: null, baseIndex: null, match: 'added' }));
+
+    const pair = (column, candidate, match) => {
+      column.baseHeader = candidate.header;
+      column.baseIndex = candidate.index;
+      column.match = match;
+      used.add(candidate.index);
+    };
+    columns.forEach(column => {
+      const exact = base.find(b => !used.has(b.index) && String(b.header) === String(column.header));
+      if (exact) pair(column, exact, 'exact');
+    });
+    columns.filter(c => c.match === 'added').forEach(column => {
+      const key = this.normalizeHeader(column.header);
+      const normalized = base.find(b => !used.has(b.index) && this.normalizeHeader(b.header) === key);
+      if (normalized) pair(column, normalized, 'normalized');
+    });
+    columns.filter(c => c.match === 'added').forEach(column => {
+      const [text, category] = this.normalizeHeader(column.header).split('::');
+      const words = new Set(text.split(' ').filter(Boolean));
+      let best = null;
+      base.filter(b => !used.has(b.index)).forEach(b => {
+        const [bText, bCategory] = this.normalizeHeader(b.header).split('::');
+        if (bCategory !== category) return;
+        const bWords = new Set(bText.split(' ').filter(Boolean));
+        const shared = Array.from(words).filter(w => bWords.has(w)).length;
+        const score = shared / Math.max(1, new Set([...words, ...bWords]).size);
+        if (score >= this.renameSimilarity && (!best || score > best.score)) best = { candidate: b, score };
+      });
+      if (best) pair(column, best.candidate, 'renamed');
+    });
+
+    base.filter(b => !used.has(b.index)).forEach(b => {
+      columns.push({ header: b.header, targetIndex: null, baseHeader: b.header, baseIndex: b.index, match: 'removed' });
+    });
+    return columns.map(c => ({ ...c, percentage: this.isPercentageHeader(c.header) }));
+  }
+
+  /**
+   * Delta for one cell; percent is null when the base is zero or either side is not numeric
+   */
+  compareCell(baseValue, targetValue, percentage = false, fractions = {}) {
+    const a = this.parseNumber(baseValue, percentage, !!fractions.base);
+    const b = this.parseNumber(targetValue, percentage, !!fractions.target);
+    if (a === null || b === null) {
+      return { base: baseValue === undefined ? null : baseValue, target: targetValue === undefined ? null : targetValue, delta: null, percent: null, direction: null };
+    }
+    // Percentage columns report the change in points
+    const delta = Math.round((b - a) * 10000) / 10000;
+    return {
+      base: baseValue,
+      target: targetValue,
+      delta,
+      percent: a !== 0 ? Math.round((delta / Math.abs(a)) * 1000) / 10 : null,
+      direction: delta > 0 ? 'up' : (delta < 0 ? 'down' : 'same')
+    };
+  }
+
+  /**
+   * Compare two reports' data ({ headers, rows }). Totals rows are compared like any department.
+   */
+  compare(baseData, targetData, options = {}) {
+    const aliasLookup = this.buildAliasLookup(options.aliases);
+    const baseHeaders = baseData?.headers || [];
+    const targetHeaders = targetData?.headers || [];
+    const baseRows = (baseData?.rows || []).filter(Array.isArray);
+    const targetRows = (targetData?.rows || []).filter(Array.isArray);
+    const columns = this.alignColumns(baseHeaders, targetHeaders);
+
+    const baseByKey = new Map();
+    baseRows.forEach(row => {
+      const key = this.departmentKey(row[0], aliasLookup);
+      if (key && !baseByKey.has(key)) baseByKey.set(key, row);
+    });
+    const seen = new Set();
+    const summary = { rowsMatched: 0, rowsAdded: 0, rowsRemoved: 0, increases: 0, decreases: 0, unchanged: 0 };
+    const fractions = columns.map(column => ({
+      base: column.percentage && column.baseIndex !== null && this.isFractionColumn(baseRows, column.baseIndex),
+      target: column.percentage && column.targetIndex !== null && this.isFractionColumn(targetRows, column.targetIndex)
+    }));
+
+    const buildRow = (department, baseRow, targetRow, status) => {
+      const cells = columns.map((column, i) => {
+        const cell = this.compareCell(
+          baseRow && column.baseIndex !== null ? baseRow[column.baseIndex] : null,
+          targetRow && column.targetIndex !== null ? targetRow[column.targetIndex] : null,
+          column.percentage,
+          fractions[i]
+        );
+        if (status === 'matched' && cell.direction === 'up') summary.increases++;
+        if (status === 'matched' && cell.direction === 'down') summary.decreases++;
+        if (status === 'matched' && cell.direction === 'same') summary.unchanged++;
+        return { header: column.header, ...cell };
+      });
+      return { department, status, cells };
+    };
+
+    const rows = [];
+    targetRows.forEach(row => {
+      const key = this.departmentKey(row[0], aliasLookup);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      const baseRow = baseByKey.get(key) || null;
+      if (baseRow) summary.rowsMatched++; else summary.rowsAdded++;
+      rows.push(buildRow(row[0], baseRow, row, baseRow ? 'matched' : 'added'));
+    });
+    baseRows.forEach(row => {
+      const key = this.departmentKey(row[0], aliasLookup);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      summary.rowsRemoved++;
+      rows.push(buildRow(row[0], row, null, 'removed'));
+    });
+
+    return {
+      departmentHeader: targetHeaders[0] || baseHeaders[0] || 'Department',
+      columns,
+      rows,
+      summary
+    };
+  }
+
+  /**
+   * Lookup of previous-report values for +/- columns: rows matched by department key (and
+   * aliases), columns by header. previousData may be { headers, rows } or { data: { headers, rows } }.
+   */
+  createChangeTracker(previousData, headers, options = {}) {
+    const source = previousData && Array.isArray(previousData.rows) ? previousData : (previousData?.data || null);
+    const prevHeaders = Array.isArray(source?.headers) ? source.headers : [];
+    const prevRows = Array.isArray(source?.rows) ? source.rows.filter(Array.isArray) : null;
+    const aliasLookup = this.buildAliasLookup(options.aliases);
+
+    const columnMap = new Map();
+    this.alignColumns(prevHeaders, headers).forEach(c => {
+      if (c.targetIndex !== null && c.baseIndex !== null) columnMap.set(c.targetIndex, c.baseIndex);
+    });
+    const prevByKey = new Map();
+    (prevRows || []).forEach(row => {
+      const key = this.departmentKey(row[0], aliasLookup);
+      if (key && !prevByKey.has(key)) prevByKey.set(key, row);
+    });
+    const keyOf = row => this.departmentKey(Array.isArray(row) ? row[0] : '', aliasLookup);
+    const isTotal = key => /^(grand )?totals?$/.test(key);
+    const previousRow = row => prevByKey.get(keyOf(row)) || null;
+    const currentKeys = new Set((options.rows || []).map(keyOf));
+    const prevFractions = new Map();
+    const previousValue = (row, colIndex) => {
+      const prevRow = previousRow(row);
+      if (!prevRow || !columnMap.has(colIndex)) return undefined;
+      return prevRow[columnMap.get(colIndex)];
+    };
+
+    return {
+      hasPrevious: !!prevRows,
+      previousRow,
+      // undefined when the department or column did not exist in the previous report
+      previousValue,
+      // The previous value as a number (parseNumber, with the previous column's own fraction check)
+      previousNumber: (row, colIndex, percentage = false) => {
+        if (!columnMap.has(colIndex)) return null;
+        const prevIndex = columnMap.get(colIndex);
+        if (percentage && !prevFractions.has(prevIndex)) prevFractions.set(prevIndex, this.isFractionColumn(prevRows, prevIndex));
+        return this.parseNumber(previousValue(row, colIndex), percentage, percentage && prevFractions.get(prevIndex));
+      },
+      isNew: row => {
+        const key = keyOf(row);
+        return !!prevRows && !!key && !isTotal(key) && !prevByKey.has(key);
+      },
+      // Departments in the previous report that are missing from options.rows
+      removed: options.rows
+        ? Array.from(prevByKey.entries()).filter(([key]) => !isTotal(key) && !currentKeys.has(key)).map(([, row]) => row[0])
+        : []
+    };
+  }
+
+  /**
+   * Start of the academic year containing date
+   */
+  academicYearStart(date, collegeId = null) {
+    return new Date(`${this.academicCalendar.academicYear(date, collegeId).start}T00:00:00`);
+  }
+
+  /**
+   * { year: '2024/25', start, week } where week 1 starts on the first day of the academic year
+   */
+  academicWeek(date, collegeId = null) {
+    const period = this.academicCalendar.describe(date, collegeId);
+    return { year: period.academicYear, start: this.academicYearStart(date, collegeId).toISOString(), week: period.academicWeek };
+  }
+
+  /**
+   * Report from the same point of the previous academic year: as far into the same term as the
+   * target is into its term, within toleranceWeeks (closest date wins).
+   * Reports with the same template are preferred when templateKey is given.
+   */
+  findSamePointLastYear(reports, target, options = {}) {
+    if (!target || !target.createdAt) return null;
+    const collegeId = options.collegeId !== undefined ? options.collegeId : null;
+    const point = this.academicCalendar.samePointLastYear(target.createdAt, collegeId);
+    const lastYear = this.academicCalendar.academicYear(point, collegeId).label;
+    const tolerance = options.toleranceWeeks !== undefined ? options.toleranceWeeks : 0;
+    const wanted = new Date(`${point}T12:00:00`).getTime();
+
+    const candidates = (reports || [])
+      .filter(r => String(r.id) !== String(target.id) && r.createdAt && r.status !== 'draft')
+      .filter(r => this.academicCalendar.academicYear(r.createdAt, collegeId).label === lastYear)
+      .filter(r => Math.abs(new Date(r.createdAt) - wanted) <= (tolerance * 7 + 3.5) * DAY_MS);
+    return this.pickReport(candidates, options.templateKey, r => Math.abs(new Date(r.createdAt) - wanted));
+  }
+
+  /**
+   * Baseline for a to-date comparison: the first report of the target's term (term_to_date) or
+   * academic year (year_to_date), before the target. Reports with the same template are preferred.
+   */
+  findPeriodStart(reports, target, scope, options = {}) {
+    if (!target || !target.createdAt) return null;
+    const collegeId = options.collegeId !== undefined ? options.collegeId : null;
+    const range = this.academicCalendar.range(scope, target.createdAt, collegeId);
+    const from = new Date(`${range.from}T00:00:00`);
+    const candidates = (reports || [])
+      .filter(r => String(r.id) !== String(target.id) && r.createdAt && r.status !== 'draft')
+      .filter(r => new Date(r.createdAt) >= from && new Date(r.createdAt) < new Date(target.createdAt));
+    return this.pickReport(candidates, options.templateKey, r => new Date(r.createdAt).getTime());
+  }
+
+  pickReport(candidates, templateKey, rank) {
+    if (candidates.length === 0) return null;
+    const sameTemplate = templateKey
+      ? candidates.filter(r => String(r.templateKey || r.data?.meta?.templateKey || '') === String(templateKey))
+      : [];
+    const pool = (sameTemplate.length > 0 ? sameTemplate : candidates).slice();
+    pool.sort((a, b) => rank(a) - rank(b));
+    return pool[0];
+  }
+}
+
+module.exports = ReportComparisonService;
@@ -0,0 +1,256 @@
+const XLSX = require('xlsx');
+
+// Plain-data versions of a report for colleges that load it into their own MIS: CSV (choice of
+// delimiter and encoding), JSON with a fixed schema, and ODS for LibreOffice. Values are cleaned
+// up (numbers as numbers, percentages on a 0-100 scale) and the +/- change columns are optional.
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv' },
+  json: { extension: 'json', contentType: 'application/json' },
+  ods: { extension: 'ods', contentType: 'application/vnd.oasis.opendocument.spreadsheet' }
+};
+const DELIMITERS = { comma: ',', semicolon: ';', tab: '\t', pipe: '|' };
+// utf-8 gets a BOM unless asked not to so Excel detects it; utf-16le always starts with one
+const ENCODINGS = {
+  'utf-8': 'utf8',
+  'utf-16le': 'utf16le',
+  latin1: 'latin1'
+};
+const ENCODING_ALIASES = { utf8: 'utf-8', 'utf-8-bom': 'utf-8', utf16: 'utf-16le', utf16le: 'utf-16le', 'iso-8859-1': 'latin1' };
+// latin1 is ISO-8859-1: characters above U+00FF are written as these, else without accents, else '?'
+const LATIN1_REPLACEMENTS = {
+  '€': 'EUR', '‘': "'", '’': "'", '‚': "'", '“': '"', '”': '"', '„': '"', '–': '-', '—': '-',
+  '…': '...', '•': '*', '™': '(TM)', '‹': '<', '›': '>', '−': '-'
+};
+const JSON_SCHEMA = 'am-reports-hub/report-export@1';
+
+class ReportDataExportService {
+  constructor(options = {}) {
+    // (header) => { section, color } — the Excel export's section colouring
+    this.getColumnSection = options.getColumnSection || (() => ({ section: 'default', color: 'FFF3F4F6' }));
+    this.reportComparisonService = options.reportComparisonService;
+  }
+
+  /**
+   * Check and fill in export options:
+   * { format, changes, delimiter (name or character), encoding, bom }
+   */
+  resolveOptions(options = {}) {
+    const errors = [];
+    const format = String(options.format || '').toLowerCase();
+    if (!FORMATS[format]) errors.push(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+
+    let delimiter = options.delimiter === undefined || options.delimiter === '' ? ',' : String(options.delimiter);
+    if (DELIMITERS[delimiter.toLowerCase()]) delimiter = DELIMITERS[delimiter.toLowerCase()];
+    if (delimiter === '\\t') delimiter = '\t';
+    if (!Object.values(DELIMITERS).includes(delimiter)) {
+      errors.push(`delimiter must be one of ${Object.keys(DELIMITERS).join(', ')}`);
+    }
+
+    let encoding = String(options.encoding || 'utf-8').toLowerCase();
+    const wantsBom = encoding === 'utf-8-bom';
+    encoding = ENCODING_ALIASES[encoding] || encoding;
+    if (!ENCODINGS[encoding]) errors.push(`encoding must be one of ${Object.keys(ENCODINGS).join(', ')}`);
+
+    const flag = (value, fallback) => {
+      if (value === undefined || value === null || value === '') return fallback;
+      return !['0', 'false', 'no', 'off'].includes(String(value).toLowerCase());
+    };
+    return {
+      valid: errors.length === 0,
+      errors,
+      options: {
+        format,
+        changes: flag(options.changes, false),
+        delimiter,
+        encoding,
+        bom: encoding === 'utf-16le' || (encoding === 'utf-8' && flag(options.bom, true)) || wantsBom
+      }
+    };
+  }
+
+  /**
+   * Columns (with a stable key, section and type) and cleaned-up rows of a report, plus the
+   * previous report's value change per numeric column when changes is on
+   */
+  buildTable({ report, previousData, aliases, changes = false }) {
+    const comparison = this.reportComparisonService;
+    const headers = (report.data?.headers || []).map(h => String(h === undefined || h === null ? '' : h));
+    const rows = (report.data?.rows || []).filter(Array.isArray);
+    const tracker = comparison.createChangeTracker(previousData, headers, { rows, aliases });
+
+    const indexes = headers.map((h, i) => i).filter(i => !comparison.isChangeColumn(headers[i]));
+    const isPercentage = i => comparison.isPercentageHeader(headers[i]);
+    const isNumeric = i => i > 0 && (isPercentage(i) || (
+      rows.some(r => comparison.parseNumber(r[i], false) !== null) &&
+      rows.every(r => r[i] === undefined || r[i] === null || r[i] === '' || comparison.parseNumber(r[i], false) !== null)
+    ));
+    const usedKeys = new Set();
+    const columns = indexes.map(i => {
+      const base = headers[i].toLowerCase().replace(/%/g, ' percent ').replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || `column_${i + 1}`;
+      let key = base;
+      for (let n = 2; usedKeys.has(key); n++) key = `${base}_${n}`;
+      usedKeys.add(key);
+      return {
+        index: i,
+        key,
+        header: headers[i],
+        section: this.getColumnSection(headers[i]).section,
+        type: i === 0 ? 'text' : (isPercentage(i) ? 'percentage' : (isNumeric(i) ? 'number' : 'text'))
+      };
+    });
+    const withChanges = !!changes && tracker.hasPrevious;
+
+    const round = n => Math.round(n * 100) / 100;
+    const fractionColumns = new Set(columns.filter(c => c.type === 'percentage' && comparison.isFractionColumn(rows, c.index)).map(c => c.index));
+    const valueOf = (column, raw) => {
+      if (column.type === 'text') return raw === undefined || raw === null ? '' : raw;
+      return comparison.parseNumber(raw, column.type === 'percentage', fractionColumns.has(column.index));
+    };
+    const tableRows = rows.map(row => {
+      const isNew = withChanges && tracker.isNew(row);
+      const values = {};
+      const rowChanges = {};
+      columns.forEach(column => {
+        const value = valueOf(column, row[column.index]);
+        values[column.key] = value;
+        if (!withChanges || column.type === 'text') return;
+        const previous = tracker.previousNumber(row, column.index, column.type === 'percentage');
+        rowChanges[column.key] = !isNew && value !== null && previous !== null ? round(value - previous) : null;
+      });
+      return { values, changes: withChanges ? rowChanges : null, isNew };
+    });
+
+    return {
+      columns,
+      rows: tableRows,
+      changes: withChanges,
+      removed: withChanges ? tracker.removed : []
+    };
+  }
+
+  /**
+   * Header row and value rows, each numeric column followed by its "+/-" column when changes are on
+   */
+  toGrid(table) {
+    const header = [];
+    table.columns.forEach(column => {
+      header.push(column.header);
+      if (table.changes && column.type !== 'text') header.push(`${column.header} +/-`);
+    });
+    const body = table.rows.map(row => {
+      const cells = [];
+      table.columns.forEach(column => {
+        const value = row.values[column.key];
+        cells.push(value === null ? '' : value);
+        if (table.changes && column.type !== 'text') {
+          const change = row.changes[column.key];
+          cells.push(row.isNew ? 'New' : (change === null ? '' : change));
+        }
+      });
+      return cells;
+    });
+    return [header, ...body];
+  }
+
+  toCsv(table, { delimiter = ',', encoding = 'utf-8', bom = true } = {}) {
+    const escape = value => {
+      let s = String(value === undefined || value === null ? '' : value);
+      if (encoding === 'latin1') s = this.toLatin1(s);
+      // Text that a spreadsheet would run as a formula (college, department or imported cells) is
+      // prefixed with ' so it opens as text
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+      return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const text = this.toGrid(table).map(cells => cells.map(escape).join(delimiter)).join('\r\n') + '\r\n';
+    const body = Buffer.from(text, ENCODINGS[encoding] || 'utf8');
+    if (!bom) return body;
+    const mark = encoding === 'utf-16le' ? Buffer.from([0xFF, 0xFE]) : Buffer.from([0xEF, 0xBB, 0xBF]);
+    return Buffer.concat([mark, body]);
+  }
+
+  /**
+   * text with every character ISO-8859-1 cannot hold transliterated, so Buffer.from(text, 'latin1')
+   * does not silently write the wrong byte for it
+   */
+  toLatin1(text) {
+    return Array.from(text).map(ch => {
+      if (ch.charCodeAt(0) <= 0xFF) return ch;
+      if (LATIN1_REPLACEMENTS[ch]) return LATIN1_REPLACEMENTS[ch];
+      const plain = ch.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+      return plain && Array.from(plain).every(c => c.charCodeAt(0) <= 0xFF) ? plain : '?';
+    }).join('');
+  }
+
+  toJson(table, { report, college }) {
+    const payload = {
+      schema: JSON_SCHEMA,
+      exportedAt: new Date().toISOString(),
+      college: { id: college?.id ?? null, name: college?.name || null },
+      report: {
+        id: report.id || null,
+        name: report.name || null,
+        createdAt: report.createdAt || null,
+        period: report.period ? report.period.label : null,
+        templateKey: report.templateKey || report.data?.meta?.templateKey || null,
+        templateVersion: report.templateVersion || report.data?.meta?.templateVersion || null,
+        summary: report.summary && report.summary !== 'No summary provided' ? report.summary : null
+      },
+      columns: table.columns.map(({ key, header, section, type }) => ({ key, header, section, type })),
+      rows: table.rows.map(row => {
+        const entry = { values: row.values };
+        if (table.changes) {
+          entry.isNew = row.isNew;
+          entry.changes = row.changes;
+        }
+        return entry;
+      })
+    };
+    if (table.changes) payload.removedDepartments = table.removed;
+    return Buffer.from(JSON.stringify(payload, null, 2), 'utf8');
+  }
+
+  toOds(table, { report, college }) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(this.toGrid(table)), 'Report Data');
+    const details = [
+      ['Report', report.name || ''],
+      ['College', college?.name || ''],
+      ['Generated', report.createdAt ? new Date(report.createdAt).toLocaleString('en-GB') : ''],
+      ['Period', report.period ? report.period.label : ''],
+      ['Summary', report.summary && report.summary !== 'No summary provided' ? report.summary : '']
+    ];
+    if (table.changes && table.removed.length > 0) {
+      details.push(['Not in this report (were in previous)', table.removed.join(', ')]);
+    }
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(details), 'Details');
+    return XLSX.write(workbook, { bookType: 'ods', type: 'buffer' });
+  }
+
+  /**
+   * Export a report: { buffer, contentType, extension }. options come from resolveOptions.
+   */
+  render({ report, college, previousData, aliases }, options) {
+    const table = this.buildTable({ report, previousData, aliases, changes: options.changes });
+    const { extension, contentType } = FORMATS[options.format];
+    let buffer;
+    if (options.format === 'csv') {
+      buffer = this.toCsv(table, options);
+    } else if (options.format === 'json') {
+      buffer = this.toJson(table, { report, college });
+    } else {
+      buffer = this.toOds(table, { report, college });
+    }
+    const charset = options.format === 'csv'
+      ? `; charset=${options.encoding === 'latin1' ? 'iso-8859-1' : options.encoding}`
+      : (options.format === 'json' ? '; charset=utf-8' : '');
+    return { buffer, contentType: contentType + charset, extension };
+  }
+}
+
+ReportDataExportService.FORMATS = FORMATS;
+ReportDataExportService.DELIMITERS = DELIMITERS;
+ReportDataExportService.ENCODINGS = Object.keys(ENCODINGS);
+ReportDataExportService.JSON_SCHEMA = JSON_SCHEMA;
+
+module.exports = ReportDataExportService;
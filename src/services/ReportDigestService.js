@@ -0,0 +1,301 @@
+const cron = require('node-cron');
+const moment = require('moment');
+const crypto = require('crypto');
+
+// Weekly email digest for each account manager: their colleges whose report is overdue, due in
+// the coming week, missing data (no final report yet, or the latest one has no rows) or waiting
+// on a scheduled draft's review, each linking to generate-report.html?collegeId=. Admins get a
+// roll-up of every account manager. Anyone can turn either email off; preferences are kept in
+// notification-preferences.json keyed by lower-cased email, and every email carries a signed
+// one-click unsubscribe link.
+
+const DIGEST_TYPES = { digest: 'weeklyDigest', rollup: 'adminRollup' };
+
+class ReportDigestService {
+  constructor(options = {}) {
+    this.volumeService = options.volumeService || null;
+    this.emailService = options.emailService || null;
+    // getNextReportDate and the pending review queue come from the report scheduler
+    this.reportScheduler = options.reportScheduler || null;
+    this.getColleges = options.getColleges || (async () => []);
+    this.getAccountManagers = options.getAccountManagers || (async () => []);
+    this.getUsers = options.getUsers || (async () => []);
+    this.getCollegeReports = options.getCollegeReports || (async () => []);
+    this.baseUrl = String(options.baseUrl || process.env.BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    this.schedule = options.schedule || process.env.REPORT_DIGEST_CRON || '0 7 * * 1';
+    this.dueWithinDays = options.dueWithinDays || 7;
+    this.secret = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+    this.preferencesFile = 'notification-preferences.json';
+    this.task = null;
+    this.running = false;
+    this.lastRunAt = null;
+    this.lastResult = null;
+  }
+
+  start() {
+    if (this.task) return;
+    if (!cron.validate(this.schedule)) {
+      console.warn(`⚠️ Invalid REPORT_DIGEST_CRON "${this.schedule}", weekly digest not started`);
+      return;
+    }
+    this.task = cron.schedule(this.schedule, () => {
+      this.sendWeeklyDigests().catch(error => console.error('Weekly digest error:', error));
+    });
+    console.log(`📧 Weekly report digest scheduled (${this.schedule})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Where a college stands: { overdue, due, missingData, awaitingReview } entries (null when not applicable)
+   */
+  async classifyCollege(college, today, pendingReviews) {
+    const link = `${this.baseUrl}/generate-report.html?collegeId=${encodeURIComponent(college.id)}`;
+    const item = detail => ({ collegeId: college.id, collegeName: college.name, detail, link });
+    const result = { overdue: null, due: null, missingData: null, awaitingReview: null };
+
+    // A college that has never had a report shows under missing data instead
+    const lastReportDate = college.lastReportDate || college.lastreportdate;
+    const nextDate = lastReportDate ? this.reportScheduler.getNextReportDate(college) : null;
+    if (nextDate) {
+      const next = moment(nextDate, 'YYYY-MM-DD');
+      const days = next.diff(today.clone().startOf('day'), 'days');
+      if (days < 0) {
+        result.overdue = item(`Due ${next.format('D MMM YYYY')} (${-days} day${days === -1 ? '' : 's'} ago)`);
+      } else if (days < this.dueWithinDays) {
+        result.due = item(days === 0 ? 'Due today' : `Due ${next.format('ddd D MMM')}`);
+      }
+    }
+
+    const reports = ((await this.getCollegeReports(college.id)) || []).filter(r => r.status !== 'draft');
+    const latest = reports.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    if (!latest) {
+      result.missingData = item('No reports saved');
+    } else if (!Array.isArray(latest.data?.rows) || latest.data.rows.length === 0) {
+      result.missingData = item(`Latest report "${latest.name || latest.id}" has no data rows`);
+    }
+
+    const review = pendingReviews.find(entry => String(entry.collegeId) === String(college.id));
+    if (review) {
+      result.awaitingReview = item(`Scheduled draft from ${moment(review.createdAt).format('D MMM')} is waiting for review`);
+    }
+    return result;
+  }
+
+  /**
+   * One digest per account manager (plus one for unassigned colleges) and the admin roll-up
+   */
+  async buildDigests(today = moment()) {
+    const [colleges, managers] = await Promise.all([this.getColleges(), this.getAccountManagers()]);
+    const pendingReviews = await this.reportScheduler.getReviewQueue({ status: 'pending' });
+    const weekOf = today.clone().startOf('isoWeek').format('D MMM YYYY');
+
+    const digests = new Map();
+    const digestFor = (manager) => {
+      const key = manager ? String(manager.id) : 'unassigned';
+      if (!digests.has(key)) {
+        digests.set(key, {
+          accountManagerId: manager ? manager.id : null,
+          name: manager ? manager.name : 'Unassigned colleges',
+          email: manager ? manager.email || null : null,
+          weekOf,
+          collegeCount: 0,
+          overdue: [],
+          due: [],
+          missingData: [],
+          awaitingReview: []
+        });
+      }
+      return digests.get(key);
+    };
+    (managers || []).forEach(manager => digestFor(manager));
+
+    for (const college of colleges || []) {
+      const manager = (managers || []).find(m => String(m.id) === String(college.accountManagerId));
+      const digest = digestFor(manager || null);
+      digest.collegeCount++;
+      const status = await this.classifyCollege(college, today, pendingReviews);
+      Object.keys(status).forEach(key => {
+        if (status[key]) digest[key].push(status[key]);
+      });
+    }
+
+    const list = Array.from(digests.values());
+    const totals = { colleges: 0, overdue: 0, due: 0, missingData: 0, awaitingReview: 0 };
+    list.forEach(d => {
+      totals.colleges += d.collegeCount;
+      ['overdue', 'due', 'missingData', 'awaitingReview'].forEach(key => { totals[key] += d[key].length; });
+    });
+    return { weekOf, digests: list, totals };
+  }
+
+  hasItems(digest) {
+    return digest.overdue.length + digest.due.length + digest.missingData.length + digest.awaitingReview.length > 0;
+  }
+
+  /**
+   * Send every account manager's digest and the admin roll-up.
+   * options.dryRun builds the emails without sending them. Returns what was sent and skipped.
+   */
+  async sendWeeklyDigests(options = {}) {
+    if (this.running) {
+      console.log('📧 Weekly digest already running, skipping');
+      return { skipped: true };
+    }
+    this.running = true;
+    this.lastRunAt = new Date().toISOString();
+    const result = { dryRun: !!options.dryRun, sent: [], skipped: [], failed: [] };
+
+    try {
+      const { weekOf, digests, totals } = await this.buildDigests(options.today ? moment(options.today) : moment());
+      const preferences = await this.readPreferences();
+      const wants = (email, type) => preferences[this.normalizeEmail(email)]?.[DIGEST_TYPES[type]] !== false;
+
+      const deliver = async (type, email, name, subject, html) => {
+        if (options.dryRun) {
+          result.sent.push({ type, email, name, subject, html });
+          return;
+        }
+        const outcome = await this.emailService.sendMail(email, subject, html);
+        if (outcome.success) result.sent.push({ type, email, name, subject });
+        else result.failed.push({ type, email, name, error: outcome.message });
+      };
+
+      for (const digest of digests) {
+        if (digest.accountManagerId === null) continue; // covered by the roll-up
+        const entry = { type: 'digest', email: digest.email, name: digest.name };
+        if (!digest.email) {
+          result.skipped.push({ ...entry, reason: 'No email address' });
+        } else if (!wants(digest.email, 'digest')) {
+          result.skipped.push({ ...entry, reason: 'Opted out' });
+        } else if (!this.hasItems(digest)) {
+          result.skipped.push({ ...entry, reason: 'Nothing due' });
+        } else {
+          const html = this.emailService.getReportDigestTemplate({
+            ...digest,
+            unsubscribeUrl: this.unsubscribeUrl(digest.email, 'digest')
+          });
+          const count = digest.overdue.length + digest.due.length;
+          await deliver('digest', digest.email, digest.name, `Weekly report digest: ${count} college${count === 1 ? '' : 's'} due or overdue`, html);
+        }
+      }
+
+      const admins = (await this.getUsers()).filter(u => u.role === 'admin' && u.isActive !== false);
+      const managers = digests.map(d => ({
+        name: d.name,
+        optedOut: !!d.email && !wants(d.email, 'digest'),
+        collegeCount: d.collegeCount,
+        overdue: d.overdue.length,
+        due: d.due.length,
+        missingData: d.missingData.length,
+        awaitingReview: d.awaitingReview.length
+      })).filter(m => m.collegeCount > 0);
+      for (const admin of admins) {
+        const entry = { type: 'rollup', email: admin.email || null, name: admin.name || admin.username };
+        if (!admin.email) {
+          result.skipped.push({ ...entry, reason: 'No email address' });
+        } else if (!wants(admin.email, 'rollup')) {
+          result.skipped.push({ ...entry, reason: 'Opted out' });
+        } else {
+          const html = this.emailService.getAdminRollupTemplate({
+            weekOf,
+            totals,
+            managers,
+            unsubscribeUrl: this.unsubscribeUrl(admin.email, 'rollup')
+          });
+          await deliver('rollup', admin.email, entry.name, `Weekly report roll-up: ${totals.overdue} overdue, ${totals.due} due`, html);
+        }
+      }
+
+      if (!options.dryRun) {
+        console.log(`📧 Weekly digest: ${result.sent.length} sent, ${result.skipped.length} skipped, ${result.failed.length} failed`);
+        this.lastResult = { sent: result.sent.length, skipped: result.skipped.length, failed: result.failed.length };
+      }
+      return result;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  /**
+   * { weeklyDigest, adminRollup } for an email; both default to on
+   */
+  async getPreferences(email) {
+    const stored = (await this.readPreferences())[this.normalizeEmail(email)] || {};
+    return {
+      weeklyDigest: stored.weeklyDigest !== false,
+      adminRollup: stored.adminRollup !== false,
+      updatedAt: stored.updatedAt || null
+    };
+  }
+
+  async updatePreferences(email, changes = {}) {
+    const key = this.normalizeEmail(email);
+    if (!key) return { success: false, message: 'An email address is required' };
+    const preferences = await this.readPreferences();
+    const current = preferences[key] || {};
+    Object.values(DIGEST_TYPES).forEach(field => {
+      if (typeof changes[field] === 'boolean') current[field] = changes[field];
+    });
+    current.updatedAt = new Date().toISOString();
+    preferences[key] = current;
+    await this.writePreferences(preferences);
+    return { success: true, preferences: await this.getPreferences(key) };
+  }
+
+  unsubscribeToken(email, type) {
+    return crypto.createHmac('sha256', this.secret).update(`${this.normalizeEmail(email)}:${type}`).digest('hex');
+  }
+
+  unsubscribeUrl(email, type) {
+    const params = new URLSearchParams({ email: this.normalizeEmail(email), type, token: this.unsubscribeToken(email, type) });
+    return `${this.baseUrl}/api/notifications/unsubscribe?${params.toString()}`;
+  }
+
+  /**
+   * Turn off one email type from an unsubscribe link
+   */
+  async unsubscribe(email, type, token) {
+    if (!DIGEST_TYPES[type]) return { success: false, message: 'Unknown email type' };
+    const expected = Buffer.from(this.unsubscribeToken(email, type));
+    const given = Buffer.from(String(token || ''));
+    if (!email || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return { success: false, message: 'Invalid unsubscribe link' };
+    }
+    return this.updatePreferences(email, { [DIGEST_TYPES[type]]: false });
+  }
+
+  getStatus() {
+    return {
+      schedule: this.schedule,
+      active: !!this.task,
+      running: this.running,
+      lastRunAt: this.lastRunAt,
+      lastResult: this.lastResult
+    };
+  }
+
+  async readPreferences() {
+    if (!this.volumeService) return {};
+    const stored = await this.volumeService.readFile(this.preferencesFile).catch(() => null);
+    return stored?.preferences && typeof stored.preferences === 'object' ? stored.preferences : {};
+  }
+
+  async writePreferences(preferences) {
+    if (!this.volumeService) return;
+    await this.volumeService.writeFile(this.preferencesFile, { version: '1.0', preferences });
+  }
+}
+
+ReportDigestService.TYPES = Object.keys(DIGEST_TYPES);
+
+module.exports = ReportDigestService;
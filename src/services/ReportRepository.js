@@ -0,0 +1,421 @@
+// Single entry point for college report storage. Reports have one shape regardless of backend:
+//   { id, collegeId, name, summary, createdBy, createdAt, updatedAt, status, source,
+//     templateKey, templateName, templateVersion, validationChecksum, validationTime,
+//     data: { headers, rows, meta: { templateKey, templateName, templateVersion, ... } } }
+// Reads and writes go to the primary backend; mirrors receive best-effort copies of every write
+// so a second store (e.g. the JSON volume next to PostgreSQL) stays usable as a fallback.
+
+const REPORT_STATUSES = ['draft', 'completed', 'archived'];
+
+// Fields compared by the consistency checker (data is compared by content)
+const COMPARED_FIELDS = ['name', 'summary', 'status', 'templateKey', 'templateName', 'templateVersion', 'createdAt'];
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Bring a report from any backend or legacy file into the canonical shape.
+ * templateKey/templateName/templateVersion live both top-level and in data.meta.
+ */
+function normalizeReport(report, collegeId) {
+  const normalized = clone(report || {});
+  normalized.id = String(normalized.id);
+  if (collegeId !== undefined && collegeId !== null) normalized.collegeId = parseInt(collegeId);
+  normalized.data = normalized.data && typeof normalized.data === 'object' ? normalized.data : {};
+  const meta = Object.assign({}, normalized.data.meta);
+  ['templateKey', 'templateName', 'templateVersion'].forEach(field => {
+    const value = normalized[field] !== undefined && normalized[field] !== null ? normalized[field] : meta[field];
+    if (value !== undefined && value !== null) {
+      normalized[field] = field === 'templateVersion' ? value : String(value);
+      meta[field] = normalized[field];
+    }
+  });
+  normalized.data.meta = meta;
+  return normalized;
+}
+
+class JsonReportBackend {
+  constructor(volumeService) {
+    this.name = 'json';
+    this.volumeService = volumeService;
+    this.reportsDir = 'reports';
+  }
+
+  async initialize() {}
+
+  getPath(collegeId) {
+    return `${this.reportsDir}/${collegeId}.json`;
+  }
+
+  async readAll(collegeId) {
+    if (!(await this.volumeService.fileExists(this.getPath(collegeId)))) return [];
+    const reports = await this.volumeService.readFile(this.getPath(collegeId));
+    return Array.isArray(reports) ? reports : [];
+  }
+
+  async writeAll(collegeId, reports) {
+    await this.volumeService.writeFile(this.getPath(collegeId), reports);
+  }
+
+  async list(collegeId) {
+    return (await this.readAll(collegeId)).map(r => normalizeReport(r, collegeId));
+  }
+
+  async listCollegeIds() {
+    const files = await this.volumeService.listFiles(this.reportsDir);
+    return files
+      .map(name => name.match(/^(\d+)\.json$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]));
+  }
+
+  async create(collegeId, report) {
+    const reports = await this.readAll(collegeId);
+    reports.push(report);
+    await this.writeAll(collegeId, reports);
+    return report;
+  }
+
+  async upsert(collegeId, report) {
+    const reports = await this.readAll(collegeId);
+    const index = reports.findIndex(r => String(r.id) === String(report.id));
+    if (index === -1) {
+      reports.push(report);
+    } else {
+      reports[index] = report;
+    }
+    await this.writeAll(collegeId, reports);
+    return report;
+  }
+
+  async remove(collegeId, reportId) {
+    const reports = await this.readAll(collegeId);
+    const remaining = reports.filter(r => String(r.id) !== String(reportId));
+    if (remaining.length === reports.length) return false;
+    await this.writeAll(collegeId, remaining);
+    return true;
+  }
+}
+
+// PostgreSQL via the Sequelize Report model. The repository id and timestamps are kept in
+// data.meta (reportId/createdAt/updatedAt) because the table uses its own autoincrement id.
+class SequelizeReportBackend {
+  constructor(databaseUserManager) {
+    this.name = 'database';
+    this.databaseUserManager = databaseUserManager;
+  }
+
+  async initialize() {
+    await this.databaseUserManager.initialize();
+  }
+
+  fromRecord(record) {
+    const meta = (record.data && record.data.meta) || {};
+    // Storage bookkeeping moves back to the top level
+    const { reportId, createdAt, updatedAt, source, ...reportMeta } = meta;
+    const report = {
+      id: reportId || String(record.id),
+      name: record.name,
+      summary: record.summary,
+      createdBy: record.createdBy,
+      createdAt: createdAt || (record.createdAt ? new Date(record.createdAt).toISOString() : null),
+      status: record.status,
+      validationChecksum: record.validationChecksum,
+      validationTime: record.validationTime ? new Date(record.validationTime).toISOString() : null,
+      data: { ...(record.data || {}), meta: reportMeta }
+    };
+    if (updatedAt) report.updatedAt = updatedAt;
+    if (source) report.source = source;
+    return normalizeReport(report, record.collegeId);
+  }
+
+  toRecord(collegeId, report) {
+    const data = clone(report.data || {});
+    data.meta = Object.assign({}, data.meta, {
+      reportId: String(report.id),
+      createdAt: report.createdAt || null,
+      updatedAt: report.updatedAt || null,
+      source: report.source || null
+    });
+    return {
+      name: report.name,
+      collegeId: parseInt(collegeId),
+      data,
+      summary: report.summary,
+      createdBy: report.createdBy,
+      validationChecksum: report.validationChecksum,
+      validationTime: report.validationTime && !isNaN(new Date(report.validationTime)) ? report.validationTime : null,
+      status: REPORT_STATUSES.includes(report.status) ? report.status : 'completed'
+    };
+  }
+
+  async findRecords(collegeId) {
+    await this.initialize();
+    const records = await this.databaseUserManager.getReports(collegeId === undefined ? null : parseInt(collegeId));
+    // Templates share the reports table
+    return records.filter(r => r.reportType !== 'template');
+  }
+
+  async findRecord(collegeId, reportId) {
+    const records = await this.findRecords(collegeId);
+    return records.find(r => String(((r.data || {}).meta || {}).reportId || r.id) === String(reportId)) || null;
+  }
+
+  async list(collegeId) {
+    const records = await this.findRecords(collegeId);
+    return records
+      .map(r => this.fromRecord(r))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  async listCollegeIds() {
+    const records = await this.findRecords();
+    return Array.from(new Set(records.map(r => r.collegeId).filter(id => id !== null && id !== undefined)))
+      .map(id => parseInt(id));
+  }
+
+  async create(collegeId, report) {
+    await this.initialize();
+    await this.databaseUserManager.createReport(this.toRecord(collegeId, report));
+    return report;
+  }
+
+  async upsert(collegeId, report) {
+    const existing = await this.findRecord(collegeId, report.id);
+    if (!existing) return this.create(collegeId, report);
+    await this.databaseUserManager.updateReport(existing.id, this.toRecord(collegeId, report));
+    return report;
+  }
+
+  async remove(collegeId, reportId) {
+    const existing = await this.findRecord(collegeId, reportId);
+    if (!existing) return false;
+    await this.databaseUserManager.deleteReport(existing.id);
+    return true;
+  }
+}
+
+// Process-local store, used for tests and local experiments
+class MemoryReportBackend {
+  constructor(initial = {}) {
+    this.name = 'memory';
+    this.store = new Map(Object.entries(initial).map(([collegeId, reports]) => [String(collegeId), clone(reports)]));
+  }
+
+  async initialize() {}
+
+  async list(collegeId) {
+    return (this.store.get(String(collegeId)) || []).map(r => normalizeReport(r, collegeId));
+  }
+
+  async listCollegeIds() {
+    return Array.from(this.store.keys()).map(id => parseInt(id));
+  }
+
+  async create(collegeId, report) {
+    const reports = this.store.get(String(collegeId)) || [];
+    reports.push(clone(report));
+    this.store.set(String(collegeId), reports);
+    return report;
+  }
+
+  async upsert(collegeId, report) {
+    const reports = this.store.get(String(collegeId)) || [];
+    const index = reports.findIndex(r => String(r.id) === String(report.id));
+    if (index === -1) {
+      reports.push(clone(report));
+    } else {
+      reports[index] = clone(report);
+    }
+    this.store.set(String(collegeId), reports);
+    return report;
+  }
+
+  async remove(collegeId, reportId) {
+    const reports = this.store.get(String(collegeId)) || [];
+    const remaining = reports.filter(r => String(r.id) !== String(reportId));
+    this.store.set(String(collegeId), remaining);
+    return remaining.length !== reports.length;
+  }
+}
+
+class ReportRepository {
+  constructor(options = {}) {
+    if (!options.primary) throw new Error('ReportRepository requires a primary backend');
+    this.primary = options.primary;
+    this.mirrors = (options.mirrors || []).filter(Boolean);
+  }
+
+  /**
+   * Build a repository from REPORT_STORE / REPORT_STORE_MIRROR ('json', 'database', 'memory', 'none').
+   * By default the JSON volume is the primary store; with DATABASE_URL set, PostgreSQL gets a
+   * best-effort copy of every write, so a database outage never fails a report save.
+   */
+  static fromEnvironment(deps = {}, env = process.env) {
+    const hasDatabase = !!env.DATABASE_URL;
+    const primaryName = env.REPORT_STORE || 'json';
+    const mirrorName = env.REPORT_STORE_MIRROR || (hasDatabase ? (primaryName === 'json' ? 'database' : 'json') : 'none');
+    const make = name => {
+      if (name === 'json') return new JsonReportBackend(deps.volumeService);
+      if (name === 'database') return hasDatabase ? new SequelizeReportBackend(deps.databaseUserManager) : null;
+      if (name === 'memory') return new MemoryReportBackend();
+      return null;
+    };
+    const primary = make(primaryName) || new JsonReportBackend(deps.volumeService);
+    const mirror = mirrorName !== primary.name ? make(mirrorName) : null;
+    return new ReportRepository({ primary, mirrors: mirror ? [mirror] : [] });
+  }
+
+  get backends() {
+    return [this.primary, ...this.mirrors];
+  }
+
+  /**
+   * Reports for a college, oldest first. Falls back to a mirror only when the primary fails: an
+   * empty primary is the truth (mirror deletes are best-effort, so a mirror may still hold them).
+   */
+  async list(collegeId) {
+    try {
+      return await this.primary.list(collegeId);
+    } catch (error) {
+      console.warn(`⚠️ Report store "${this.primary.name}" failed for college ${collegeId}: ${error.message}`);
+    }
+    for (const mirror of this.mirrors) {
+      try {
+        const mirrored = await mirror.list(collegeId);
+        console.warn(`⚠️ Using ${mirrored.length} report(s) for college ${collegeId} from "${mirror.name}" store`);
+        return mirrored;
+      } catch (error) {
+        console.warn(`⚠️ Report store "${mirror.name}" failed for college ${collegeId}: ${error.message}`);
+      }
+    }
+    return [];
+  }
+
+  async get(collegeId, reportId) {
+    const reports = await this.list(collegeId);
+    return reports.find(r => String(r.id) === String(reportId)) || null;
+  }
+
+  /**
+   * Store a new report. Assigns id/createdAt when missing and returns the stored report.
+   */
+  async create(collegeId, report) {
+    const existing = await this.list(collegeId);
+    let id = report.id ? String(report.id) : Date.now().toString();
+    while (existing.some(r => String(r.id) === id)) id = String(parseInt(id) + 1);
+    const stored = normalizeReport({
+      ...report,
+      id,
+      createdAt: report.createdAt || new Date().toISOString()
+    }, collegeId);
+    await this.primary.create(collegeId, stored);
+    await this.mirror('upsert', collegeId, stored);
+    return stored;
+  }
+
+  /**
+   * Apply changes to a stored report (object merge or updater function). Returns null when not found.
+   */
+  async update(collegeId, reportId, changes) {
+    const existing = await this.get(collegeId, reportId);
+    if (!existing) return null;
+    const next = typeof changes === 'function' ? changes(clone(existing)) : { ...existing, ...changes };
+    const updated = normalizeReport({
+      ...next,
+      id: existing.id,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    }, collegeId);
+    await this.primary.upsert(collegeId, updated);
+    await this.mirror('upsert', collegeId, updated);
+    return updated;
+  }
+
+  async delete(collegeId, reportId) {
+    const removed = await this.primary.remove(collegeId, reportId);
+    await this.mirror('remove', collegeId, reportId);
+    return removed;
+  }
+
+  async mirror(method, ...args) {
+    for (const mirror of this.mirrors) {
+      try {
+        await mirror[method](...args);
+      } catch (error) {
+        console.error(`⚠️ Failed to ${method} report in "${mirror.name}" store:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Comparable view of a report for drift detection
+   */
+  fingerprint(report) {
+    const fields = {};
+    COMPARED_FIELDS.forEach(field => {
+      const value = report[field];
+      fields[field] = field === 'status' ? (value || 'completed') : (value === undefined ? null : value);
+    });
+    if (fields.createdAt) fields.createdAt = new Date(fields.createdAt).toISOString();
+    fields.content = JSON.stringify([report.data?.headers || [], report.data?.rows || []]);
+    return fields;
+  }
+
+  /**
+   * Compare every backend against the primary and report missing or differing reports.
+   * Returns { checkedAt, primary, stores: [{ store, colleges: [...], missing, extra, mismatched }], consistent }
+   */
+  async checkConsistency(options = {}) {
+    const primaryIds = await this.primary.listCollegeIds();
+    const stores = [];
+    for (const mirror of options.against ? [options.against] : this.mirrors) {
+      const collegeIds = options.collegeIds
+        ? options.collegeIds.map(id => parseInt(id))
+        : Array.from(new Set([...primaryIds, ...(await mirror.listCollegeIds())])).sort((a, b) => a - b);
+      const result = { store: mirror.name, colleges: [], missing: 0, extra: 0, mismatched: 0 };
+
+      for (const collegeId of collegeIds) {
+        const [expected, actual] = await Promise.all([this.primary.list(collegeId), mirror.list(collegeId)]);
+        const actualById = new Map(actual.map(r => [String(r.id), r]));
+        const expectedIds = new Set(expected.map(r => String(r.id)));
+        const college = {
+          collegeId,
+          reports: expected.length,
+          missing: expected.filter(r => !actualById.has(String(r.id))).map(r => ({ id: r.id, name: r.name })),
+          extra: actual.filter(r => !expectedIds.has(String(r.id))).map(r => ({ id: r.id, name: r.name })),
+          mismatched: []
+        };
+        expected.forEach(report => {
+          const other = actualById.get(String(report.id));
+          if (!other) return;
+          const a = this.fingerprint(report);
+          const b = this.fingerprint(other);
+          const fields = Object.keys(a).filter(key => a[key] !== b[key]);
+          if (fields.length > 0) college.mismatched.push({ id: report.id, name: report.name, fields });
+        });
+        result.missing += college.missing.length;
+        result.extra += college.extra.length;
+        result.mismatched += college.mismatched.length;
+        if (college.missing.length || college.extra.length || college.mismatched.length) {
+          result.colleges.push(college);
+        }
+      }
+      result.collegesChecked = collegeIds.length;
+      stores.push(result);
+    }
+
+    return {
+      checkedAt: new Date().toISOString(),
+      primary: this.primary.name,
+      stores,
+      consistent: stores.every(s => s.missing === 0 && s.extra === 0 && s.mismatched === 0)
+    };
+  }
+}
+
+ReportRepository.JsonReportBackend = JsonReportBackend;
+ReportRepository.SequelizeReportBackend = SequelizeReportBackend;
+ReportRepository.MemoryReportBackend = MemoryReportBackend;
+ReportRepository.normalizeReport = normalizeReport;
+
+module.exports = ReportRepository;
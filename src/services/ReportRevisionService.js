@@ -0,0 +1,204 @@
+// Immutable revisions of saved reports, one file per college:
+//   report-revisions/<collegeId>.json = { [reportId]: [{ revision, savedAt, savedBy, reason, summary, changes, snapshot }] }
+// Cells are matched by header name and row position, so moved columns are not reported as edits.
+class ReportRevisionService {
+  constructor(volumeService = null) {
+    this.volumeService = volumeService;
+    this.revisionsDir = 'report-revisions';
+    this.maxRevisionsPerReport = 50;
+  }
+
+  getPath(collegeId) {
+    return `${this.revisionsDir}/${collegeId}.json`;
+  }
+
+  async readStore(collegeId) {
+    try {
+      const data = this.volumeService ? await this.volumeService.readFile(this.getPath(collegeId)) : null;
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  async writeStore(collegeId, store) {
+    if (this.volumeService) {
+      await this.volumeService.writeFile(this.getPath(collegeId), store);
+    }
+  }
+
+  /**
+   * Content of a report that a revision restores
+   */
+  snapshot(report) {
+    return JSON.parse(JSON.stringify({
+      name: report?.name || null,
+      summary: report?.summary === undefined ? null : report.summary,
+      templateKey: report?.templateKey || null,
+      templateName: report?.templateName || null,
+      data: report?.data || {}
+    }));
+  }
+
+  /**
+   * Cell-level diff between two report snapshots
+   */
+  diff(before, after) {
+    const a = before || {};
+    const b = after || {};
+    const headersA = Array.isArray(a.data?.headers) ? a.data.headers : [];
+    const headersB = Array.isArray(b.data?.headers) ? b.data.headers : [];
+    const rowsA = Array.isArray(a.data?.rows) ? a.data.rows : [];
+    const rowsB = Array.isArray(b.data?.rows) ? b.data.rows : [];
+    const cellValue = (rows, row, column) => {
+      const value = Array.isArray(rows[row]) ? rows[row][column] : undefined;
+      return value === undefined || value === null ? '' : value;
+    };
+
+    const cells = [];
+    const common = headersB.filter(h => headersA.includes(h));
+    const rowCount = Math.max(rowsA.length, rowsB.length);
+    for (let row = 0; row < rowCount; row++) {
+      common.forEach(header => {
+        const from = cellValue(rowsA, row, headersA.indexOf(header));
+        const to = cellValue(rowsB, row, headersB.indexOf(header));
+        if (String(from) !== String(to)) {
+          cells.push({
+            row,
+            rowLabel: cellValue(rowsB[row] ? rowsB : rowsA, row, 0),
+            column: headersB.indexOf(header),
+            header,
+            from,
+            to
+          });
+        }
+      });
+    }
+
+    const fields = ['name', 'summary', 'templateKey', 'templateName']
+      .filter(field => (a[field] || null) !== (b[field] || null))
+      .map(field => ({ field, from: a[field] || null, to: b[field] || null }));
+
+    const headers = {
+      added: headersB.filter(h => !headersA.includes(h)),
+      removed: headersA.filter(h => !headersB.includes(h))
+    };
+
+    return {
+      cells,
+      headers,
+      rows: { before: rowsA.length, after: rowsB.length },
+      fields,
+      hasChanges: cells.length > 0 || fields.length > 0 || headers.added.length > 0 ||
+        headers.removed.length > 0 || rowsA.length !== rowsB.length
+    };
+  }
+
+  /**
+   * One-line description of a diff for revision listings
+   */
+  summarize(changes) {
+    if (!changes) return 'Initial revision';
+    const parts = [];
+    if (changes.cells.length) parts.push(`${changes.cells.length} cell(s) changed`);
+    if (changes.headers.added.length) parts.push(`${changes.headers.added.length} column(s) added`);
+    if (changes.headers.removed.length) parts.push(`${changes.headers.removed.length} column(s) removed`);
+    if (changes.rows.before !== changes.rows.after) parts.push(`rows ${changes.rows.before} → ${changes.rows.after}`);
+    changes.fields.forEach(c => parts.push(`${c.field} changed`));
+    return parts.length ? parts.join(', ') : 'No content changes';
+  }
+
+  /**
+   * Record a revision of a saved report.
+   * When a report without history is edited, its previous state is stored as revision 1 first.
+   */
+  async recordRevision(collegeId, report, options = {}) {
+    const id = String(report.id);
+    const store = await this.readStore(collegeId);
+    const history = Array.isArray(store[id]) ? store[id] : [];
+
+    if (history.length === 0 && options.previous) {
+      history.push({
+        revision: 1,
+        savedAt: options.previous.updatedAt || options.previous.createdAt || new Date().toISOString(),
+        savedBy: options.previous.createdBy || null,
+        reason: 'baseline',
+        summary: 'Initial revision',
+        changes: null,
+        snapshot: this.snapshot(options.previous)
+      });
+    }
+
+    const last = history[history.length - 1];
+    const snap = this.snapshot(report);
+    const changes = last ? this.diff(last.snapshot, snap) : null;
+
+    if (last && !changes.hasChanges && !options.force) {
+      return { revision: last.revision, changes, recorded: false };
+    }
+
+    const revision = last ? last.revision + 1 : 1;
+    history.push({
+      revision,
+      savedAt: new Date().toISOString(),
+      savedBy: options.savedBy || null,
+      reason: options.reason || (last ? 'update' : 'create'),
+      summary: this.summarize(changes),
+      changes,
+      snapshot: snap
+    });
+
+    store[id] = history.slice(-this.maxRevisionsPerReport);
+    await this.writeStore(collegeId, store);
+    return { revision, changes, recorded: true };
+  }
+
+  /**
+   * Revision list for a report, newest first, without snapshots
+   */
+  async getHistory(collegeId, reportId) {
+    const store = await this.readStore(collegeId);
+    const history = Array.isArray(store[String(reportId)]) ? store[String(reportId)] : [];
+    return history
+      .map(({ snapshot, changes, ...entry }) => ({
+        ...entry,
+        cellsChanged: changes ? changes.cells.length : 0,
+        rowCount: Array.isArray(snapshot?.data?.rows) ? snapshot.data.rows.length : 0
+      }))
+      .reverse();
+  }
+
+  async getRevision(collegeId, reportId, revision) {
+    const store = await this.readStore(collegeId);
+    const history = Array.isArray(store[String(reportId)]) ? store[String(reportId)] : [];
+    return history.find(entry => entry.revision === parseInt(revision, 10)) || null;
+  }
+
+  /**
+   * Diff two stored revisions (or a stored revision against the live report)
+   */
+  async diffRevisions(collegeId, reportId, fromRevision, toRevision, currentReport = null) {
+    const from = await this.getRevision(collegeId, reportId, fromRevision);
+    if (!from) return { success: false, message: `Revision ${fromRevision} not found` };
+    let toSnapshot;
+    if (toRevision === undefined || toRevision === null || toRevision === 'current') {
+      if (!currentReport) return { success: false, message: 'Report not found' };
+      toSnapshot = this.snapshot(currentReport);
+    } else {
+      const to = await this.getRevision(collegeId, reportId, toRevision);
+      if (!to) return { success: false, message: `Revision ${toRevision} not found` };
+      toSnapshot = to.snapshot;
+    }
+    return { success: true, diff: this.diff(from.snapshot, toSnapshot) };
+  }
+
+  async deleteHistory(collegeId, reportId) {
+    const store = await this.readStore(collegeId);
+    if (store[String(reportId)]) {
+      delete store[String(reportId)];
+      await this.writeStore(collegeId, store);
+    }
+  }
+}
+
+module.exports = ReportRevisionService;
@@ -1,39 +1,203 @@
 const cron = require('node-cron');
 const moment = require('moment');
 const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
 
+// Daily check for colleges whose next report is due (reportFrequency since lastReportDate).
+// A due college gets a draft report when it has input files: files staged for it under
+// staging/<collegeId>/, otherwise - when it has a template - the files its last report was
+// built from (kept under sources/<collegeId>/). Each draft is queued for the account
+// manager's review in report-review-queue.json; approving it makes it the college's latest report.
+// A dismissed draft isn't made again from the same files: the college waits until new files
+// arrive or its next reporting period starts.
+// When the academic calendar pauses reports in breaks, nothing is due in a half term or holiday
+// and due dates that fall in one move to the first day back.
 class ReportScheduler {
-  constructor() {
-    this.schedules = new Map();
-    this.initializeScheduler();
+  constructor(options = {}) {
+    this.volumeService = options.volumeService || null;
+    this.getColleges = options.getColleges || (async () => []);
+    // (college, files, { source }) => { reportId }
+    this.generateDraft = options.generateDraft || null;
+    // (college) => whether the college has a saved template to map files onto
+    this.hasTemplate = options.hasTemplate || (async () => false);
+    // ({ college, error }) => void, called when a due college's draft could not be made
+    this.onFailed = options.onFailed || null;
+    // AcademicCalendarService; without one reports are due in holidays too
+    this.academicCalendar = options.academicCalendar || null;
+    this.schedule = options.schedule || process.env.REPORT_SCHEDULE_CRON || '0 8 * * *';
+    this.supportedFormats = ['.xlsx', '.xls', '.csv'];
+    this.reviewFile = 'report-review-queue.json';
+    this.task = null;
+    this.running = false;
+    this.lastRunAt = null;
   }
 
-  initializeScheduler() {
-    // Check for due reports every day at 8 AM
-    cron.schedule('0 8 * * *', () => {
-      this.checkDueReports();
+  start() {
+    if (this.task) return;
+    if (!cron.validate(this.schedule)) {
+      console.warn(`⚠️ Invalid REPORT_SCHEDULE_CRON "${this.schedule}", report scheduler not started`);
+      return;
+    }
+    this.task = cron.schedule(this.schedule, () => {
+      this.checkDueReports().catch(error => console.error('Scheduled report check error:', error));
     });
+    console.log(`🗓️ Report scheduler scheduled (${this.schedule})`);
   }
 
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Draft a report for every due college that has input files. Returns what happened per college.
+   */
   async checkDueReports() {
-    const colleges = await this.getColleges();
-    const today = moment();
-    
-    colleges.forEach(college => {
-      if (this.isReportDue(college, today)) {
-        this.notifyUser(college);
+    if (this.running) {
+      console.log('🗓️ Scheduled report check already running, skipping');
+      return { skipped: true };
+    }
+    this.running = true;
+    this.lastRunAt = new Date().toISOString();
+    const summary = { checked: 0, generated: [], waiting: [], failed: [] };
+
+    try {
+      const colleges = await this.getColleges();
+      const pending = new Set((await this.getReviewQueue({ status: 'pending' })).map(entry => String(entry.collegeId)));
+      // Latest dismissal per college (the queue comes newest first)
+      const dismissed = new Map();
+      for (const entry of await this.getReviewQueue({ status: 'dismissed' })) {
+        if (!dismissed.has(String(entry.collegeId))) dismissed.set(String(entry.collegeId), entry);
+      }
+      const today = moment();
+      summary.checked = colleges.length;
+
+      for (const college of colleges) {
+        if (!this.isReportDue(college, today)) continue;
+        // One draft at a time: the next is made once the account manager has dealt with this one
+        if (pending.has(String(college.id))) {
+          summary.waiting.push({ collegeId: college.id, collegeName: college.name, reason: 'Draft awaiting review' });
+          continue;
+        }
+        try {
+          const dismissal = dismissed.get(String(college.id));
+          if (dismissal && await this.isDismissedInput(college, dismissal, today)) {
+            summary.waiting.push({ collegeId: college.id, collegeName: college.name, reason: 'Draft dismissed, waiting for new files' });
+            continue;
+          }
+          const entry = await this.generateForCollege(college, today);
+          if (entry) {
+            summary.generated.push(entry);
+          } else {
+            summary.waiting.push({ collegeId: college.id, collegeName: college.name, reason: 'No input files' });
+            await this.notifyUser(college);
+          }
+        } catch (error) {
+          console.error(`❌ Scheduled report for ${college.name} failed:`, error);
+          summary.failed.push({ collegeId: college.id, collegeName: college.name, error: error.message });
+          if (typeof this.onFailed === 'function') this.onFailed({ college, error });
+        }
       }
+      if (summary.generated.length > 0 || summary.failed.length > 0) {
+        console.log(`🗓️ Scheduled reports: ${summary.generated.length} draft(s), ${summary.failed.length} failed, ${summary.waiting.length} waiting`);
+      }
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Draft a report for one college from its staged files or last sources and queue it for review.
+   * Returns the review entry, or null when the college has no input files.
+   */
+  async generateForCollege(college, today = moment()) {
+    if (typeof this.generateDraft !== 'function') {
+      throw new Error('No draft generator configured');
+    }
+    const { files, source } = await this.getInputFiles(college);
+    if (files.length === 0) return null;
+
+    const sourceFingerprint = await this.fingerprintFiles(files);
+    const result = await this.generateDraft(college, files, { source });
+    // Staged files become the college's last sources for the next run
+    if (source === 'staged') {
+      await this.recordSources(college.id, files, { move: true });
+    }
+    return await this.queueForReview({
+      collegeId: college.id,
+      collegeName: college.name,
+      accountManagerId: college.accountManagerId || null,
+      reportId: result?.reportId || null,
+      source,
+      files: files.map(file => file.name),
+      sourceFingerprint,
+      periodStart: this.getPeriodStart(college, today),
+      dueSince: this.getNextReportDate(college)
     });
   }
 
+  /**
+   * The files a draft would be made from: staged files, else (with a template) the last sources
+   */
+  async getInputFiles(college) {
+    const staged = await this.listFiles(this.getStagingPath(college.id));
+    if (staged.length > 0 || !(await this.hasTemplate(college))) {
+      return { files: staged, source: 'staged' };
+    }
+    return { files: await this.listFiles(this.getSourcesPath(college.id)), source: 'last-sources' };
+  }
+
+  /**
+   * Hash of the files' names and contents; staged files keep it once they become the last sources
+   */
+  async fingerprintFiles(files) {
+    const hash = crypto.createHash('sha256');
+    for (const file of [...files].sort((a, b) => a.name.localeCompare(b.name))) {
+      hash.update(file.name);
+      hash.update(await fs.readFile(file.path));
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Whether a dismissed draft was made in the current period from the files a new one would use
+   */
+  async isDismissedInput(college, dismissal, today) {
+    if (!dismissal.sourceFingerprint) return false;
+    if ((dismissal.periodStart || null) !== this.getPeriodStart(college, today)) return false;
+    const { files } = await this.getInputFiles(college);
+    return files.length > 0 && await this.fingerprintFiles(files) === dismissal.sourceFingerprint;
+  }
+
+  /**
+   * Start of the reporting period today falls in, counted in whole reportFrequency steps from
+   * lastReportDate (null before the first report)
+   */
+  getPeriodStart(college, today) {
+    const lastReportDate = college.lastReportDate || college.lastreportdate;
+    const step = { weekly: [1, 'weeks'], 'bi-weekly': [2, 'weeks'], monthly: [1, 'months'] }[college.reportFrequency || college.reportfrequency];
+    if (!lastReportDate || !step) return null;
+    const lastReport = moment(lastReportDate);
+    const periods = Math.floor(moment(today).diff(lastReport, step[1]) / step[0]);
+    return lastReport.add(periods * step[0], step[1]).format('YYYY-MM-DD');
+  }
+
   isReportDue(college, today) {
-    if (!college.lastReportDate) {
+    if (this.academicCalendar && this.academicCalendar.isPaused(today, college.id)) {
+      return false;
+    }
+    const lastReportDate = college.lastReportDate || college.lastreportdate;
+    if (!lastReportDate) {
       return true; // First report
     }
-    
-    const lastReport = moment(college.lastReportDate);
-    
-    switch (college.reportFrequency) {
+
+    const lastReport = moment(lastReportDate);
+
+    switch (college.reportFrequency || college.reportfrequency) {
       case 'weekly':
         return today.diff(lastReport, 'weeks') >= 1;
       case 'bi-weekly':
@@ -46,33 +210,166 @@ class ReportScheduler {
   }
 
   async notifyUser(college) {
-    // Send notification to user about due report
-    console.log(`Report due for ${college.name}`);
-    // In future: implement email/Slack notifications
-  }
-
-  async getColleges() {
-    try {
-      return await fs.readJson('data/colleges.json');
-    } catch (error) {
-      return [];
-    }
+    // Due, but nothing to build a draft from; the account manager hears about it in the weekly digest
+    console.log(`Report due for ${college.name} (no staged or previous input files)`);
   }
 
   getNextReportDate(college) {
-    const lastReport = college.lastReportDate ? moment(college.lastReportDate) : moment();
-    
-    switch (college.reportFrequency) {
+    const lastReportDate = college.lastReportDate || college.lastreportdate;
+    const lastReport = lastReportDate ? moment(lastReportDate) : moment();
+
+    let next;
+    switch (college.reportFrequency || college.reportfrequency) {
       case 'weekly':
-        return lastReport.add(1, 'week').format('YYYY-MM-DD');
+        next = lastReport.add(1, 'week').format('YYYY-MM-DD');
+        break;
       case 'bi-weekly':
-        return lastReport.add(2, 'weeks').format('YYYY-MM-DD');
+        next = lastReport.add(2, 'weeks').format('YYYY-MM-DD');
+        break;
       case 'monthly':
-        return lastReport.add(1, 'month').format('YYYY-MM-DD');
+        next = lastReport.add(1, 'month').format('YYYY-MM-DD');
+        break;
       default:
         return null;
     }
+    return this.academicCalendar && this.academicCalendar.isPaused(next, college.id)
+      ? this.academicCalendar.nextTermDay(next, college.id)
+      : next;
+  }
+
+  getDataRoot() {
+    return this.volumeService ? this.volumeService.getDataPath() : path.join(__dirname, '../../data');
+  }
+
+  getStagingPath(collegeId) {
+    return path.join(this.getDataRoot(), 'staging', String(collegeId));
+  }
+
+  getSourcesPath(collegeId) {
+    return path.join(this.getDataRoot(), 'sources', String(collegeId));
+  }
+
+  /**
+   * Supported input files in a folder: [{ name, path, size, modifiedAt }]
+   */
+  async listFiles(dir) {
+    if (!(await fs.pathExists(dir))) return [];
+    const files = [];
+    for (const name of (await fs.readdir(dir)).sort()) {
+      if (name.startsWith('.') || !this.supportedFormats.includes(path.extname(name).toLowerCase())) continue;
+      const fullPath = path.join(dir, name);
+      const stat = await fs.stat(fullPath).catch(() => null);
+      if (!stat || !stat.isFile()) continue;
+      files.push({ name, path: fullPath, size: stat.size, modifiedAt: stat.mtime.toISOString() });
+    }
+    return files;
+  }
+
+  /**
+   * Stage uploaded files ([{ path, originalname }]) for a college's next scheduled report
+   */
+  async stageFiles(collegeId, uploads) {
+    const dir = this.getStagingPath(collegeId);
+    await fs.ensureDir(dir);
+    const staged = [];
+    for (const upload of uploads) {
+      const name = path.basename(String(upload.originalname || upload.name || 'upload'));
+      if (!this.supportedFormats.includes(path.extname(name).toLowerCase())) {
+        await fs.remove(upload.path).catch(() => {});
+        continue;
+      }
+      await fs.move(upload.path, path.join(dir, name), { overwrite: true });
+      staged.push(name);
+    }
+    return staged;
+  }
+
+  async removeStagedFile(collegeId, name) {
+    const fullPath = path.join(this.getStagingPath(collegeId), path.basename(String(name)));
+    if (!(await fs.pathExists(fullPath))) return false;
+    await fs.remove(fullPath);
+    return true;
+  }
+
+  /**
+   * Replace a college's last sources with files ([{ name, path }]), moving them when options.move is set
+   */
+  async recordSources(collegeId, files, options = {}) {
+    const dir = this.getSourcesPath(collegeId);
+    await fs.emptyDir(dir);
+    for (const file of files) {
+      const target = path.join(dir, path.basename(file.name));
+      if (options.move) await fs.move(file.path, target, { overwrite: true });
+      else await fs.copy(file.path, target, { overwrite: true });
+    }
+  }
+
+  async queueForReview(details) {
+    const queue = await this.readQueue();
+    const entry = {
+      id: crypto.randomUUID(),
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      ...details
+    };
+    queue.push(entry);
+    await this.writeQueue(queue);
+    return entry;
+  }
+
+  /**
+   * Review entries newest first, optionally for one account manager ('unassigned' for entries
+   * without one) and/or status
+   */
+  async getReviewQueue(filter = {}) {
+    const ownerOf = entry => (entry.accountManagerId ? String(entry.accountManagerId) : 'unassigned');
+    return (await this.readQueue())
+      .filter(entry => !filter.status || entry.status === filter.status)
+      .filter(entry => !filter.accountManagerId || ownerOf(entry) === String(filter.accountManagerId))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async getReviewEntry(id) {
+    return (await this.readQueue()).find(entry => entry.id === String(id)) || null;
+  }
+
+  /**
+   * Mark a pending entry approved or dismissed
+   */
+  async resolveReview(id, status, reviewedBy = null) {
+    if (!['approved', 'dismissed'].includes(status)) {
+      return { success: false, message: 'status must be approved or dismissed' };
+    }
+    const queue = await this.readQueue();
+    const entry = queue.find(e => e.id === String(id));
+    if (!entry) return { success: false, message: 'Review not found' };
+    if (entry.status !== 'pending') return { success: false, message: `Review already ${entry.status}` };
+    entry.status = status;
+    entry.reviewedBy = reviewedBy;
+    entry.reviewedAt = new Date().toISOString();
+    await this.writeQueue(queue);
+    return { success: true, entry };
+  }
+
+  getStatus() {
+    return {
+      schedule: this.schedule,
+      active: !!this.task,
+      running: this.running,
+      lastRunAt: this.lastRunAt
+    };
+  }
+
+  async readQueue() {
+    if (!this.volumeService) return [];
+    const stored = await this.volumeService.readFile(this.reviewFile).catch(() => null);
+    return Array.isArray(stored?.entries) ? stored.entries : [];
+  }
+
+  async writeQueue(entries) {
+    if (!this.volumeService) return;
+    await this.volumeService.writeFile(this.reviewFile, { version: '1.0', entries });
   }
 }
 
-module.exports = ReportScheduler; 
\ No newline at end of file
+module.exports = ReportScheduler;
@@ -0,0 +1,80 @@
+const sectionRules = require('../shared/sectionRules');
+
+// Admin-editable report sections (colours and header-matching rules), stored in section-config.json.
+// The classification itself lives in src/shared/sectionRules.js so the browser uses the same rules;
+// this service only persists the config and keeps a classifier in memory for the synchronous
+// export code (Excel/PDF header colours).
+class SectionConfigService {
+  constructor(volumeService = null) {
+    this.volumeService = volumeService;
+    this.configFile = 'section-config.json';
+    this.classifier = sectionRules.configure(sectionRules.DEFAULT_CONFIG);
+    this.loaded = null;
+  }
+
+  /**
+   * Load the saved config once (the built-in sections are used until then or if none is saved)
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = this.readStore()
+        .then(stored => {
+          if (stored && stored.config && sectionRules.validate(stored.config).valid) {
+            this.classifier = sectionRules.configure(stored.config);
+          }
+        })
+        .catch(() => {});
+    }
+    await this.loaded;
+    return this.classifier;
+  }
+
+  async getConfig() {
+    const stored = await this.readStore().catch(() => null);
+    await this.load();
+    return {
+      config: this.classifier.config,
+      custom: !!(stored && stored.config),
+      updatedAt: stored?.updatedAt || null,
+      updatedBy: stored?.updatedBy || null
+    };
+  }
+
+  async saveConfig(config, updatedBy = null) {
+    const validation = sectionRules.validate(config);
+    if (!validation.valid) {
+      return { success: false, message: validation.errors.join('; ') };
+    }
+    const normalized = sectionRules.normalize(config);
+    await this.writeStore({ config: normalized, updatedAt: new Date().toISOString(), updatedBy });
+    this.classifier = sectionRules.configure(normalized);
+    this.loaded = Promise.resolve();
+    return { success: true, config: normalized };
+  }
+
+  async resetToDefaults() {
+    await this.writeStore({ config: null, updatedAt: new Date().toISOString() });
+    this.classifier = sectionRules.configure(sectionRules.DEFAULT_CONFIG);
+    this.loaded = Promise.resolve();
+    return this.classifier.config;
+  }
+
+  /**
+   * { section, color (ARGB) } for a report header with the current config
+   */
+  describe(header) {
+    return this.classifier.describe(header);
+  }
+
+  async readStore() {
+    if (!this.volumeService) return null;
+    return await this.volumeService.readFile(this.configFile);
+  }
+
+  async writeStore(payload) {
+    if (!this.volumeService) return;
+    await this.volumeService.writeFile(this.configFile, { version: '1.0', ...payload });
+  }
+}
+
+module.exports = SectionConfigService;
@@ -0,0 +1,256 @@
+const ExcelJS = require('exceljs');
+
+// Formatting captured from a college's own spreadsheet (the upload a template was built from, or a
+// workbook uploaded for the template) so exports can look like it: header and data cell fills,
+// fonts, borders and alignment, column widths, number formats and conditional formatting.
+// Columns are matched by header text, so the captured formatting follows a column wherever it
+// ends up in the export.
+//
+// Captured shape (stored on the template as sourceFormatting):
+//   { source, sheet, capturedAt, headerRowHeight,
+//     columns: [{ name, width, headerStyle, dataStyle }],
+//     conditionalFormats: [{ columns: [name], rules }] }
+const STYLE_KEYS = ['fill', 'font', 'alignment', 'border'];
+// Conditional formats that only depend on the cell's own value survive being moved to another column
+const PORTABLE_RULE_TYPES = ['cellIs', 'dataBar', 'colorScale', 'iconSet', 'top10', 'aboveAverage', 'containsText'];
+const CELL_REFERENCE = /\$?[A-Z]{1,3}\$?\d+/;
+
+class SourceFormattingService {
+  /**
+   * Header text used to match columns: trimmed, lower-case, without the "[File label]" suffix
+   */
+  static normalizeHeader(header) {
+    return String(header === undefined || header === null ? '' : header)
+      .replace(/\s*\[[^\]]+\]\s*$/, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  /**
+   * Whether a value can be stored as a template's sourceFormatting (null/undefined clear it)
+   */
+  static isValid(formatting) {
+    if (formatting === undefined || formatting === null) return true;
+    if (typeof formatting !== 'object' || Array.isArray(formatting) || !Array.isArray(formatting.columns)) return false;
+    if (formatting.conditionalFormats !== undefined && !Array.isArray(formatting.conditionalFormats)) return false;
+    return formatting.columns.every(column => column && typeof column.name === 'string');
+  }
+
+  /**
+   * Read a workbook file and capture the formatting of one sheet
+   * (options.sheet = name or 1-based index, options.headerRow = 1-based row, detected when omitted)
+   */
+  async captureFromFile(filePath, options = {}) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    const sheetOption = options.sheet;
+    const worksheet = sheetOption !== undefined && sheetOption !== null && sheetOption !== ''
+      ? workbook.getWorksheet(/^\d+$/.test(String(sheetOption)) ? parseInt(sheetOption, 10) : String(sheetOption))
+      : workbook.worksheets[0];
+    if (!worksheet) {
+      throw new Error(`Worksheet "${sheetOption}" not found`);
+    }
+    const headerRow = parseInt(options.headerRow, 10) || this.detectHeaderRow(worksheet);
+    return this.capture(worksheet, { headerRow, source: options.source || null });
+  }
+
+  /**
+   * The row (of the first 15) with the most text cells, as the template preview does
+   */
+  detectHeaderRow(worksheet) {
+    let best = 1;
+    let bestCount = 0;
+    for (let rowNumber = 1; rowNumber <= Math.min(15, worksheet.rowCount); rowNumber++) {
+      let count = 0;
+      worksheet.getRow(rowNumber).eachCell(cell => {
+        if (typeof cell.value === 'string' && cell.value.trim() !== '') count++;
+      });
+      if (count > bestCount) {
+        best = rowNumber;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Capture formatting from an ExcelJS worksheet whose headers are on options.headerRow (1-based)
+   */
+  capture(worksheet, options = {}) {
+    const headerRowNumber = options.headerRow || 1;
+    const headerRow = worksheet.getRow(headerRowNumber);
+    const dataRow = worksheet.getRow(headerRowNumber + 1);
+    const columns = [];
+    const namesByColumn = {};
+
+    headerRow.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+      const name = cell.text !== undefined ? String(cell.text).trim() : String(cell.value || '').trim();
+      if (!name) return;
+      namesByColumn[colNumber] = name;
+      const width = worksheet.getColumn(colNumber).width;
+      const dataCell = dataRow.getCell(colNumber);
+      const dataStyle = this.pickStyle(dataCell.style);
+      if (dataCell.numFmt) dataStyle.numFmt = dataCell.numFmt;
+      columns.push({
+        name,
+        width: Number.isFinite(width) ? width : null,
+        headerStyle: this.pickStyle(cell.style),
+        dataStyle
+      });
+    });
+
+    const conditionalFormats = [];
+    (worksheet.conditionalFormattings || []).forEach(cf => {
+      const rules = (cf.rules || []).filter(rule => this.isPortableRule(rule)).map(rule => {
+        const copy = JSON.parse(JSON.stringify(rule));
+        delete copy.priority;
+        return copy;
+      });
+      if (rules.length === 0) return;
+      const names = [];
+      this.parseRef(cf.ref).forEach(range => {
+        if (range.endRow <= headerRowNumber) return;
+        for (let col = range.startCol; col <= range.endCol; col++) {
+          if (namesByColumn[col] && !names.includes(namesByColumn[col])) names.push(namesByColumn[col]);
+        }
+      });
+      if (names.length > 0) conditionalFormats.push({ columns: names, rules });
+    });
+
+    return {
+      source: options.source || null,
+      sheet: worksheet.name,
+      capturedAt: new Date().toISOString(),
+      headerRowHeight: headerRow.height || null,
+      columns,
+      conditionalFormats
+    };
+  }
+
+  /**
+   * Combine formatting captured from several files (the first file wins for a repeated header)
+   */
+  merge(list) {
+    const captured = (list || []).filter(Boolean);
+    if (captured.length === 0) return null;
+    const seen = new Set();
+    const columns = [];
+    captured.forEach(f => (f.columns || []).forEach(column => {
+      const key = SourceFormattingService.normalizeHeader(column.name);
+      if (seen.has(key)) return;
+      seen.add(key);
+      columns.push(column);
+    }));
+    return {
+      source: captured.map(f => f.source).filter(Boolean).join(', ') || null,
+      sheet: captured[0].sheet,
+      capturedAt: new Date().toISOString(),
+      headerRowHeight: captured.find(f => f.headerRowHeight)?.headerRowHeight || null,
+      columns,
+      conditionalFormats: captured.flatMap(f => f.conditionalFormats || [])
+    };
+  }
+
+  /**
+   * Apply captured formatting to an export sheet. headers are the sheet's headers in column order
+   * (+/- change columns are left alone); data rows are firstDataRow..lastDataRow.
+   * Returns { matched, total } columns.
+   */
+  apply(worksheet, formatting, { headers, headerRow, firstDataRow, lastDataRow }) {
+    if (!formatting || !Array.isArray(formatting.columns)) return { matched: 0, total: 0 };
+    const byName = new Map();
+    formatting.columns.forEach(column => {
+      const key = SourceFormattingService.normalizeHeader(column.name);
+      if (!byName.has(key)) byName.set(key, column);
+    });
+    const targetIndex = new Map();
+    let matched = 0;
+    let total = 0;
+
+    headers.forEach((header, index) => {
+      if (!header || String(header).endsWith(' +/-')) return;
+      total++;
+      const key = SourceFormattingService.normalizeHeader(header);
+      const column = byName.get(key);
+      if (!column) return;
+      matched++;
+      targetIndex.set(key, index + 1);
+
+      this.assignStyle(worksheet.getCell(headerRow, index + 1), column.headerStyle);
+      if (column.width) worksheet.getColumn(index + 1).width = column.width;
+      if (column.dataStyle && Object.keys(column.dataStyle).length > 0) {
+        for (let row = firstDataRow; row <= lastDataRow; row++) {
+          const cell = worksheet.getCell(row, index + 1);
+          this.assignStyle(cell, column.dataStyle);
+          if (column.dataStyle.numFmt) cell.numFmt = column.dataStyle.numFmt;
+        }
+      }
+    });
+    if (formatting.headerRowHeight) worksheet.getRow(headerRow).height = formatting.headerRowHeight;
+
+    if (lastDataRow >= firstDataRow) {
+      const replaced = new Set();
+      (formatting.conditionalFormats || []).forEach(cf => {
+        (cf.columns || []).forEach(name => {
+          const colNumber = targetIndex.get(SourceFormattingService.normalizeHeader(name));
+          if (!colNumber) return;
+          const letter = worksheet.getColumn(colNumber).letter;
+          const ref = `${letter}${firstDataRow}:${letter}${lastDataRow}`;
+          // The source's own rules replace the export's default ones (e.g. % data bars)
+          if (!replaced.has(ref)) {
+            worksheet.removeConditionalFormatting(existing => existing.ref !== ref);
+            replaced.add(ref);
+          }
+          worksheet.addConditionalFormatting({ ref, rules: JSON.parse(JSON.stringify(cf.rules)) });
+        });
+      });
+    }
+    return { matched, total };
+  }
+
+  assignStyle(cell, style) {
+    if (!style) return;
+    STYLE_KEYS.forEach(key => {
+      if (style[key]) cell[key] = JSON.parse(JSON.stringify(style[key]));
+    });
+  }
+
+  pickStyle(style) {
+    const picked = {};
+    if (!style) return picked;
+    STYLE_KEYS.forEach(key => {
+      const value = style[key];
+      if (!value || typeof value !== 'object' || Object.keys(value).length === 0) return;
+      if (key === 'fill' && value.type === 'pattern' && (!value.pattern || value.pattern === 'none')) return;
+      picked[key] = JSON.parse(JSON.stringify(value));
+    });
+    return picked;
+  }
+
+  isPortableRule(rule) {
+    if (!rule || !PORTABLE_RULE_TYPES.includes(rule.type)) return false;
+    return !(rule.formulae || []).some(formula => CELL_REFERENCE.test(String(formula)));
+  }
+
+  /**
+   * "B5:D40 F5" -> [{ startCol, endCol, startRow, endRow }]
+   */
+  parseRef(ref) {
+    const toNumber = letters => letters.split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+    return String(ref || '').split(/\s+/).filter(Boolean).map(part => {
+      const [from, to = from] = part.replace(/\$/g, '').split(':');
+      const a = /^([A-Z]+)(\d+)$/.exec(from);
+      const b = /^([A-Z]+)(\d+)$/.exec(to);
+      if (!a || !b) return null;
+      return {
+        startCol: toNumber(a[1]),
+        endCol: toNumber(b[1]),
+        startRow: parseInt(a[2], 10),
+        endRow: parseInt(b[2], 10)
+      };
+    }).filter(Boolean);
+  }
+}
+
+module.exports = SourceFormattingService;
@@ -0,0 +1,279 @@
+// Resolves templates that extend a base template. A child stores the base id in `extends`
+// and its differences in `overrides`:
+//   { addHeaders: [{ header, after, section }], removeHeaders: [header], renameHeaders: { from: to },
+//     sections: { header: section }, rows: { headers, rows }, computedColumns: [{ header, formula }] }
+// The resolved headers/sections/rows are written onto the child so every existing reader of
+// templates.json sees the effective template; propagate() refreshes children after a base changes.
+class TemplateInheritanceService {
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth || 10;
+  }
+
+  getParentId(template) {
+    return template && template.extends !== undefined && template.extends !== null && template.extends !== ''
+      ? String(template.extends)
+      : null;
+  }
+
+  buildIndex(templates) {
+    return new Map((templates || []).map(t => [String(t.id), t]));
+  }
+
+  /**
+   * Section of a header: explicit headerSections first, then the source file's content type
+   */
+  getSection(template, header) {
+    const explicit = template?.headerSections || {};
+    if (explicit[header]) return explicit[header];
+    const fileIndex = (template?.headerFileMap || {})[header];
+    const info = fileIndex !== undefined && Array.isArray(template?.fileInfo) ? template.fileInfo[fileIndex] : null;
+    return info && info.contentType ? info.contentType : null;
+  }
+
+  /**
+   * Ancestor ids from the direct parent upwards
+   */
+  getAncestors(templateId, templates) {
+    const index = this.buildIndex(templates);
+    const ancestors = [];
+    let current = index.get(String(templateId));
+    while (current && this.getParentId(current)) {
+      const parentId = this.getParentId(current);
+      if (ancestors.includes(parentId) || parentId === String(templateId) || ancestors.length >= this.maxDepth) break;
+      ancestors.push(parentId);
+      current = index.get(parentId);
+    }
+    return ancestors;
+  }
+
+  /**
+   * All templates that inherit (directly or indirectly) from templateId
+   */
+  getDescendants(templateId, templates) {
+    return (templates || [])
+      .filter(t => String(t.id) !== String(templateId))
+      .filter(t => this.getAncestors(t.id, templates).includes(String(templateId)));
+  }
+
+  /**
+   * Check that templateId may extend parentId (parent exists, no self reference or cycle)
+   */
+  validateParent(templateId, parentId, templates) {
+    if (!parentId) return { success: true };
+    const index = this.buildIndex(templates);
+    if (String(parentId) === String(templateId)) {
+      return { success: false, message: 'A template cannot extend itself' };
+    }
+    if (!index.has(String(parentId))) {
+      return { success: false, message: `Base template ${parentId} not found` };
+    }
+    const parentAncestors = this.getAncestors(parentId, templates);
+    if (templateId && parentAncestors.includes(String(templateId))) {
+      return { success: false, message: 'Template inheritance cannot be circular' };
+    }
+    if (parentAncestors.length + 1 >= this.maxDepth) {
+      return { success: false, message: `Template inheritance is limited to ${this.maxDepth} levels` };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Re-map row arrays from one header order to another by header name
+   */
+  remapRows(rows, fromHeaders, toHeaders) {
+    return (rows || []).map(row => toHeaders.map(header => {
+      const index = fromHeaders.indexOf(header);
+      return index !== -1 && Array.isArray(row) && row[index] !== undefined ? row[index] : '';
+    }));
+  }
+
+  /**
+   * Effective template after applying inherited headers, sections and rows
+   */
+  resolve(template, templates, visiting = new Set()) {
+    const parentId = this.getParentId(template);
+    if (!parentId) return template;
+    const parent = this.buildIndex(templates).get(parentId);
+    if (!parent || visiting.has(String(template.id)) || visiting.size >= this.maxDepth) {
+      return template;
+    }
+    visiting.add(String(template.id));
+    const base = this.resolve(parent, templates, visiting);
+    const overrides = template.overrides || {};
+    const renames = overrides.renameHeaders || {};
+    const removed = new Set(overrides.removeHeaders || []);
+
+    // Inherited headers (renamed where overridden) keep the base's order
+    const inherited = (base.headers || []).filter(h => !removed.has(h));
+    const headers = inherited.map(h => renames[h] || h);
+    const sourceOf = new Map(inherited.map(h => [renames[h] || h, h]));
+
+    (overrides.addHeaders || []).forEach(entry => {
+      const header = typeof entry === 'string' ? entry : entry?.header;
+      if (!header || headers.includes(header)) return;
+      const after = typeof entry === 'object' ? entry.after : undefined;
+      const anchor = after === null ? -1 : headers.indexOf(after);
+      if (after === null || anchor !== -1) {
+        headers.splice(anchor + 1, 0, header);
+      } else {
+        headers.push(header);
+      }
+    });
+
+    const headerSections = {};
+    const headerFileMap = {};
+    headers.forEach(header => {
+      const source = sourceOf.get(header);
+      const added = (overrides.addHeaders || []).find(e => typeof e === 'object' && e?.header === header);
+      const section = (overrides.sections || {})[header] ||
+        (added && added.section) ||
+        (source ? this.getSection(base, source) : null);
+      if (section) headerSections[header] = section;
+      if (source && base.headerFileMap && base.headerFileMap[source] !== undefined) {
+        headerFileMap[header] = base.headerFileMap[source];
+      }
+    });
+
+    const baseRowHeaders = (base.headers || []).map(h => (removed.has(h) ? null : (renames[h] || h)));
+    const tableData = overrides.rows && Array.isArray(overrides.rows.rows)
+      ? this.remapRows(overrides.rows.rows, overrides.rows.headers || headers, headers)
+      : this.remapRows(base.tableData || [], baseRowHeaders, headers);
+
+    // Base formulas for columns the child still has, then the child's own (which win by header)
+    const ownComputed = Array.isArray(overrides.computedColumns) ? overrides.computedColumns : [];
+    const computedColumns = [
+      ...(base.computedColumns || [])
+        .filter(c => c && !removed.has(c.header) && !ownComputed.some(o => o.header === (renames[c.header] || c.header)))
+        .map(c => ({ ...c, header: renames[c.header] || c.header })),
+      ...ownComputed
+    ];
+
+    return {
+      ...template,
+      headers,
+      headerSections,
+      computedColumns,
+      headerFileMap,
+      fileInfo: Array.isArray(base.fileInfo) ? base.fileInfo : [],
+      tableData,
+      columnCount: headers.length,
+      rowCount: tableData.length,
+      inheritedFrom: { id: String(parent.id), name: parent.name, version: parent.version || null }
+    };
+  }
+
+  /**
+   * Work out a child's overrides from the full header list/sections submitted by an editor.
+   * Renames cannot be inferred, so existing renames are kept when their target is still present.
+   */
+  deriveOverrides(base, headers, options = {}) {
+    const existing = options.existing || {};
+    const sections = options.sections || {};
+    const renames = {};
+    Object.entries(existing.renameHeaders || {}).forEach(([from, to]) => {
+      if ((base.headers || []).includes(from) && headers.includes(to)) renames[from] = to;
+    });
+    const inheritedNames = (base.headers || []).map(h => renames[h] || h);
+
+    const removeHeaders = (base.headers || []).filter(h => !headers.includes(renames[h] || h));
+    const addHeaders = [];
+    headers.forEach((header, index) => {
+      if (inheritedNames.includes(header)) return;
+      const previous = existing.addHeaders ? existing.addHeaders.find(e => e && e.header === header) : null;
+      addHeaders.push({
+        header,
+        after: index === 0 ? null : headers[index - 1],
+        section: sections[header] || (previous ? previous.section : null) || null
+      });
+    });
+
+    const sectionOverrides = {};
+    (base.headers || []).forEach(h => {
+      const name = renames[h] || h;
+      if (!headers.includes(name)) return;
+      const wanted = sections[name] || (existing.sections || {})[name];
+      if (wanted && wanted !== this.getSection(base, h)) sectionOverrides[name] = wanted;
+    });
+
+    const overrides = { addHeaders, removeHeaders, renameHeaders: renames, sections: sectionOverrides };
+
+    // Only formulas that differ from the base belong to the child
+    const computed = Array.isArray(options.computedColumns) ? options.computedColumns : existing.computedColumns;
+    if (Array.isArray(computed)) {
+      const baseComputed = base.computedColumns || [];
+      overrides.computedColumns = computed.filter(c => c && !baseComputed.some(b => (renames[b.header] || b.header) === c.header && b.formula === c.formula));
+    }
+
+    // Keep the editor's rows only when they differ from what the base would supply
+    if (Array.isArray(options.tableData)) {
+      const inherited = this.resolve({ id: '__preview__', extends: base.id, overrides }, [base]);
+      if (JSON.stringify(inherited.tableData) !== JSON.stringify(options.tableData)) {
+        overrides.rows = { headers: [...headers], rows: options.tableData };
+      }
+    }
+    return overrides;
+  }
+
+  /**
+   * Re-resolve every descendant of baseId in place. Returns the templates that changed.
+   */
+  propagate(templates, baseId) {
+    const changed = [];
+    const descendants = this.getDescendants(baseId, templates)
+      .sort((a, b) => this.getAncestors(a.id, templates).length - this.getAncestors(b.id, templates).length);
+    descendants.forEach(child => {
+      const index = templates.findIndex(t => String(t.id) === String(child.id));
+      const resolved = this.resolve(templates[index], templates);
+      const before = JSON.stringify([templates[index].headers, templates[index].headerSections, templates[index].tableData, templates[index].computedColumns]);
+      const after = JSON.stringify([resolved.headers, resolved.headerSections, resolved.tableData, resolved.computedColumns]);
+      templates[index] = resolved;
+      if (before !== after) changed.push(resolved);
+    });
+    return changed;
+  }
+
+  /**
+   * Nested tree of templates by inheritance: [{ id, name, version, children: [...] }]
+   */
+  buildTree(templates) {
+    const list = templates || [];
+    const ids = new Set(list.map(t => String(t.id)));
+    const node = template => ({
+      id: String(template.id),
+      name: template.name,
+      version: template.version || null,
+      children: list
+        .filter(t => this.getParentId(t) === String(template.id) && String(t.id) !== String(template.id))
+        .map(node)
+    });
+    return list
+      .filter(t => !this.getParentId(t) || !ids.has(this.getParentId(t)))
+      .map(node);
+  }
+
+  /**
+   * Add inheritance details and college usage to each template for listings.
+   * usage: Map(templateId -> [{ id, name, via }])
+   */
+  annotate(templates, usage = new Map()) {
+    const list = templates || [];
+    const index = this.buildIndex(list);
+    return list.map(template => {
+      const resolved = this.resolve(template, list);
+      const parentId = this.getParentId(template);
+      return {
+        ...resolved,
+        inheritance: {
+          extends: parentId,
+          baseName: parentId && index.has(parentId) ? index.get(parentId).name : null,
+          ancestors: this.getAncestors(template.id, list),
+          children: list.filter(t => this.getParentId(t) === String(template.id)).map(t => String(t.id)),
+          depth: this.getAncestors(template.id, list).length
+        },
+        usedBy: usage.get(String(template.id)) || []
+      };
+    });
+  }
+}
+
+module.exports = TemplateInheritanceService;
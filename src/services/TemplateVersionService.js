@@ -0,0 +1,227 @@
+// Bookkeeping fields that change on every save and are not part of a template's content
+const NON_VERSIONED_FIELDS = [
+  'id', 'version', 'createdAt', 'updatedAt', 'validationChecksum', 'validationTime'
+];
+
+// Version history lives on the volume (template-versions.json); without a volumeService
+// nothing is recorded and every template reads as having no history.
+class TemplateVersionService {
+  constructor(volumeService = null) {
+    this.volumeService = volumeService;
+    this.versionsFile = 'template-versions.json';
+    this.maxVersionsPerTemplate = 100;
+  }
+
+  async readStore() {
+    try {
+      const data = this.volumeService ? await this.volumeService.readFile(this.versionsFile) : null;
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  async writeStore(store) {
+    if (this.volumeService) {
+      await this.volumeService.writeFile(this.versionsFile, store);
+    }
+  }
+
+  /**
+   * Content of a template worth versioning (everything except bookkeeping fields)
+   */
+  snapshot(template) {
+    const snap = {};
+    Object.keys(template || {}).forEach(key => {
+      if (!NON_VERSIONED_FIELDS.includes(key)) snap[key] = template[key];
+    });
+    return JSON.parse(JSON.stringify(snap));
+  }
+
+  /**
+   * Section (content type) per header, from headerFileMap -> fileInfo or explicit headerSections
+   */
+  getSectionMap(template) {
+    const sections = {};
+    const headers = Array.isArray(template?.headers) ? template.headers : [];
+    const fileInfo = Array.isArray(template?.fileInfo) ? template.fileInfo : [];
+    const headerFileMap = template?.headerFileMap || {};
+    const explicit = template?.headerSections || {};
+    headers.forEach((header, index) => {
+      let section = Array.isArray(explicit) ? explicit[index] : explicit[header];
+      if (!section && headerFileMap[header] !== undefined) {
+        const info = fileInfo[headerFileMap[header]];
+        section = info && info.contentType ? info.contentType : null;
+      }
+      sections[header] = section || null;
+    });
+    return sections;
+  }
+
+  /**
+   * Structured diff between two template snapshots
+   */
+  diff(before, after) {
+    const a = before || {};
+    const b = after || {};
+    const headersA = Array.isArray(a.headers) ? a.headers : [];
+    const headersB = Array.isArray(b.headers) ? b.headers : [];
+
+    const added = headersB.filter(h => !headersA.includes(h));
+    const removed = headersA.filter(h => !headersB.includes(h));
+
+    // Column order: compare positions of headers present in both versions
+    const commonA = headersA.filter(h => headersB.includes(h));
+    const commonB = headersB.filter(h => headersA.includes(h));
+    const moved = commonB
+      .map((header, index) => ({ header, from: headersA.indexOf(header), to: headersB.indexOf(header), changed: commonA[index] !== header }))
+      .filter(m => m.changed)
+      .map(({ header, from, to }) => ({ header, from, to }));
+
+    const sectionsA = this.getSectionMap(a);
+    const sectionsB = this.getSectionMap(b);
+    const sectionChanges = commonB
+      .filter(h => (sectionsA[h] || null) !== (sectionsB[h] || null))
+      .map(header => ({ header, from: sectionsA[header] || null, to: sectionsB[header] || null }));
+
+    const fieldChanges = [];
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    // Structural fields are covered above; counts and inheritance overrides are reflected in them
+    ['headers', 'headerFileMap', 'fileInfo', 'headerSections', 'tableData', 'columnCount', 'rowCount', 'overrides', 'inheritedFrom'].forEach(k => keys.delete(k));
+    keys.forEach(key => {
+      if (NON_VERSIONED_FIELDS.includes(key)) return;
+      if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+        fieldChanges.push({ field: key, from: a[key] === undefined ? null : a[key], to: b[key] === undefined ? null : b[key] });
+      }
+    });
+
+    const rowsA = Array.isArray(a.tableData) ? a.tableData.length : 0;
+    const rowsB = Array.isArray(b.tableData) ? b.tableData.length : 0;
+    const tableDataChanged = JSON.stringify(a.tableData || []) !== JSON.stringify(b.tableData || []);
+
+    return {
+      headers: { added, removed, moved },
+      sectionChanges,
+      fieldChanges,
+      tableData: { changed: tableDataChanged, rowsBefore: rowsA, rowsAfter: rowsB },
+      hasChanges: added.length > 0 || removed.length > 0 || moved.length > 0 ||
+        sectionChanges.length > 0 || fieldChanges.length > 0 || tableDataChanged
+    };
+  }
+
+  /**
+   * One-line description of a diff for history listings
+   */
+  summarize(changes) {
+    if (!changes) return 'Initial version';
+    const parts = [];
+    if (changes.headers.added.length) parts.push(`${changes.headers.added.length} column(s) added`);
+    if (changes.headers.removed.length) parts.push(`${changes.headers.removed.length} column(s) removed`);
+    if (changes.headers.moved.length) parts.push(`${changes.headers.moved.length} column(s) moved`);
+    if (changes.sectionChanges.length) parts.push(`${changes.sectionChanges.length} section change(s)`);
+    changes.fieldChanges.forEach(c => parts.push(`${c.field} changed`));
+    if (changes.tableData.changed) parts.push('row data changed');
+    return parts.length ? parts.join(', ') : 'No content changes';
+  }
+
+  /**
+   * Record a new version of a template and stamp template.version.
+   * When a template without history is edited, its previous state is stored as version 1 first.
+   */
+  async recordVersion(template, options = {}) {
+    const id = String(template.id);
+    const store = await this.readStore();
+    const history = Array.isArray(store[id]) ? store[id] : [];
+
+    if (history.length === 0 && options.previous) {
+      const previousSnapshot = this.snapshot(options.previous);
+      history.push({
+        version: 1,
+        savedAt: options.previous.updatedAt || options.previous.createdAt || new Date().toISOString(),
+        savedBy: options.previous.createdBy || null,
+        reason: 'baseline',
+        summary: 'Initial version',
+        changes: null,
+        snapshot: previousSnapshot
+      });
+    }
+
+    const last = history[history.length - 1];
+    const snap = this.snapshot(template);
+    const changes = last ? this.diff(last.snapshot, snap) : null;
+
+    if (last && !changes.hasChanges && !options.force) {
+      template.version = last.version;
+      return { version: last.version, changes, recorded: false };
+    }
+
+    const version = last ? last.version + 1 : 1;
+    history.push({
+      version,
+      savedAt: new Date().toISOString(),
+      savedBy: options.savedBy || null,
+      reason: options.reason || (last ? 'update' : 'create'),
+      summary: this.summarize(changes),
+      changes,
+      snapshot: snap
+    });
+
+    store[id] = history.slice(-this.maxVersionsPerTemplate);
+    await this.writeStore(store);
+    template.version = version;
+    return { version, changes, recorded: true };
+  }
+
+  /**
+   * Version list for a template, newest first, without snapshots
+   */
+  async getHistory(templateId) {
+    const store = await this.readStore();
+    const history = Array.isArray(store[String(templateId)]) ? store[String(templateId)] : [];
+    return history
+      .map(({ snapshot, ...entry }) => ({ ...entry, headerCount: Array.isArray(snapshot?.headers) ? snapshot.headers.length : 0 }))
+      .reverse();
+  }
+
+  async getLatestVersion(templateId) {
+    const store = await this.readStore();
+    const history = Array.isArray(store[String(templateId)]) ? store[String(templateId)] : [];
+    return history.length ? history[history.length - 1].version : null;
+  }
+
+  async getVersion(templateId, version) {
+    const store = await this.readStore();
+    const history = Array.isArray(store[String(templateId)]) ? store[String(templateId)] : [];
+    return history.find(entry => entry.version === parseInt(version, 10)) || null;
+  }
+
+  /**
+   * Diff two stored versions (or a stored version against a live template)
+   */
+  async diffVersions(templateId, fromVersion, toVersion, currentTemplate = null) {
+    const from = await this.getVersion(templateId, fromVersion);
+    if (!from) return { success: false, message: `Version ${fromVersion} not found` };
+    let toSnapshot;
+    if (toVersion === undefined || toVersion === null || toVersion === 'current') {
+      if (!currentTemplate) return { success: false, message: 'Template not found' };
+      toSnapshot = this.snapshot(currentTemplate);
+    } else {
+      const to = await this.getVersion(templateId, toVersion);
+      if (!to) return { success: false, message: `Version ${toVersion} not found` };
+      toSnapshot = to.snapshot;
+    }
+    return { success: true, diff: this.diff(from.snapshot, toSnapshot) };
+  }
+
+  async deleteHistory(templateId) {
+    const store = await this.readStore();
+    if (store[String(templateId)]) {
+      delete store[String(templateId)];
+      await this.writeStore(store);
+    }
+  }
+}
+
+TemplateVersionService.NON_VERSIONED_FIELDS = NON_VERSIONED_FIELDS;
+
+module.exports = TemplateVersionService;
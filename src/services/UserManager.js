@@ -1,5 +1,6 @@
 const fs = require('fs-extra');
 const path = require('path');
+const MetricMappingService = require('./MetricMappingService');
 
 class UserManager {
   constructor(volumeService = null) {
@@ -344,7 +345,15 @@ class UserManager {
     }
   }
 
+  // Error message for the first KPI whose metric is not a canonical metric key, or null
+  invalidKpiMetric(kpisData) {
+    const kpi = (kpisData || []).find(k => k && k.metric && !MetricMappingService.METRIC_KEYS.includes(k.metric));
+    return kpi ? `Unknown KPI metric "${kpi.metric}" (expected one of: ${MetricMappingService.METRIC_KEYS.join(', ')})` : null;
+  }
+
   async saveKPIs(collegeId, kpisData) {
+    const invalid = this.invalidKpiMetric(kpisData);
+    if (invalid) return { success: false, status: 400, message: invalid };
     try {
       let allKPIs = [];
       try {
@@ -367,6 +376,9 @@ class UserManager {
         name: kpi.name,
         status: kpi.status,
         notes: kpi.notes,
+        // Optional numeric end-of-year target for a canonical metric, used by the forecasts
+        metric: kpi.metric || null,
+        target: kpi.target === undefined || kpi.target === null || kpi.target === '' || !Number.isFinite(Number(kpi.target)) ? null : Number(kpi.target),
         order: index + 1,
         createdAt: kpi.createdAt || new Date().toISOString(),
         updatedAt: new Date().toISOString()
@@ -386,7 +398,20 @@ class UserManager {
     }
   }
 
+  async getKPIById(kpiId) {
+    try {
+      const kpis = this.volumeService
+        ? await this.volumeService.readFile(this.kpisFile)
+        : await fs.readJson(`data/${this.kpisFile}`);
+      return kpis.find(kpi => kpi.id === parseInt(kpiId)) || null;
+    } catch {
+      return null;
+    }
+  }
+
   async updateKPI(kpiId, updates) {
+    const invalid = this.invalidKpiMetric([updates || {}]);
+    if (invalid) return { success: false, status: 400, message: invalid };
     try {
       let kpis;
       if (this.volumeService) {
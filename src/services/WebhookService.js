@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+
+// Outbound webhooks: admins register endpoints with the events they want, and every matching event
+// is POSTed to them, signed with the endpoint's secret. Failed deliveries are retried with
+// exponential backoff; every delivery and attempt is kept in a capped log for the admin dashboard.
+//
+// Endpoint: { id, name, url, events: [event] | ['*'], format: json|slack|teams, active, secret,
+//             createdBy, createdAt, updatedAt }
+// Delivery: { id, endpointId, event, eventId, status: pending|retrying|delivered|failed, payload,
+//             attempts: [{ at, responseStatus, durationMs, error, responseBody }], nextAttemptAt,
+//             createdAt, completedAt }
+//
+// Each request carries X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp and
+// X-Webhook-Signature: sha256=HMAC-SHA256(secret, "<timestamp>.<body>") in hex.
+
+const EVENTS = ['report.created', 'report.updated', 'import.failed', 'backup.failed', 'share.accessed', 'kpi.status_changed'];
+const FORMATS = ['json', 'slack', 'teams'];
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const DEFAULT_LOG_LIMIT = 500;
+const REQUEST_TIMEOUT_MS = 10000;
+
+class WebhookService {
+  constructor(options = {}) {
+    this.volumeService = options.volumeService || null;
+    this.endpointsFile = 'webhooks.json';
+    this.deliveriesFile = 'webhook-deliveries.json';
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.retryBaseMs = (options.retryBaseSeconds || DEFAULT_RETRY_BASE_SECONDS) * 1000;
+    this.logLimit = options.logLimit || DEFAULT_LOG_LIMIT;
+    this.endpoints = [];
+    this.deliveries = [];
+    this.timers = new Map();
+    this.saving = Promise.resolve();
+    this.loaded = null;
+  }
+
+  /**
+   * Check an endpoint definition: { name, url, events, format, active }.
+   * partial skips the required-field checks (updates).
+   */
+  validateEndpoint(body = {}, partial = false) {
+    const errors = [];
+    const endpoint = {};
+    if (body.url !== undefined || !partial) {
+      let url = null;
+      try {
+        url = new URL(String(body.url || ''));
+      } catch {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push('url must be an http(s) URL');
+      else endpoint.url = url.toString();
+    }
+    if (body.name !== undefined) endpoint.name = String(body.name).trim();
+    if (body.events !== undefined || !partial) {
+      let events = body.events === undefined ? [] : body.events;
+      if (typeof events === 'string') events = [events];
+      if (!Array.isArray(events) || events.length === 0) {
+        errors.push(`events must list one or more of ${EVENTS.join(', ')} (or "*")`);
+      } else {
+        events = [...new Set(events.map(String))];
+        const unknown = events.filter(e => e !== '*' && !EVENTS.includes(e));
+        if (unknown.length > 0) errors.push(`Unknown event(s): ${unknown.join(', ')}`);
+        endpoint.events = events.includes('*') ? ['*'] : events;
+      }
+    }
+    if (body.format !== undefined || !partial) {
+      const format = String(body.format || 'json').toLowerCase();
+      if (!FORMATS.includes(format)) errors.push(`format must be one of ${FORMATS.join(', ')}`);
+      else endpoint.format = format;
+    }
+    if (body.active !== undefined) {
+      if (typeof body.active !== 'boolean') errors.push('active must be true or false');
+      else endpoint.active = body.active;
+    }
+    return { valid: errors.length === 0, errors, endpoint };
+  }
+
+  /**
+   * Endpoints without their secrets
+   */
+  async listEndpoints() {
+    await this.load();
+    return this.endpoints.map(endpoint => this.describeEndpoint(endpoint));
+  }
+
+  async getEndpoint(id) {
+    await this.load();
+    const endpoint = this.endpoints.find(e => e.id === String(id));
+    return endpoint ? this.describeEndpoint(endpoint) : null;
+  }
+
+  /**
+   * Register an endpoint; the secret is only returned here and when rotated
+   */
+  async createEndpoint(body, createdBy = null) {
+    const { valid, errors, endpoint } = this.validateEndpoint(body);
+    if (!valid) return { success: false, errors };
+    await this.load();
+    const now = new Date().toISOString();
+    const created = {
+      id: crypto.randomUUID(),
+      name: endpoint.name || new URL(endpoint.url).host,
+      url: endpoint.url,
+      events: endpoint.events,
+      format: endpoint.format,
+      active: endpoint.active !== false,
+      secret: this.generateSecret(),
+      createdBy,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.endpoints.push(created);
+    await this.save();
+    return { success: true, endpoint: this.describeEndpoint(created), secret: created.secret };
+  }
+
+  /**
+   * Change an endpoint; body.rotateSecret issues a new secret (returned once)
+   */
+  async updateEndpoint(id, body = {}) {
+    await this.load();
+    const existing = this.endpoints.find(e => e.id === String(id));
+    if (!existing) return { success: false, notFound: true, errors: ['Webhook not found'] };
+    const { valid, errors, endpoint } = this.validateEndpoint(body, true);
+    if (!valid) return { success: false, errors };
+    Object.assign(existing, endpoint, { updatedAt: new Date().toISOString() });
+    let secret;
+    if (body.rotateSecret === true) {
+      existing.secret = this.generateSecret();
+      secret = existing.secret;
+    }
+    await this.save();
+    return { success: true, endpoint: this.describeEndpoint(existing), secret };
+  }
+
+  async deleteEndpoint(id) {
+    await this.load();
+    const index = this.endpoints.findIndex(e => e.id === String(id));
+    if (index === -1) return false;
+    this.endpoints.splice(index, 1);
+    // Pending retries to a removed endpoint are abandoned
+    this.deliveries
+      .filter(d => d.endpointId === String(id) && (d.status === 'pending' || d.status === 'retrying'))
+      .forEach(d => {
+        this.clearTimer(d.id);
+        d.status = 'failed';
+        d.nextAttemptAt = null;
+        d.completedAt = new Date().toISOString();
+      });
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Queue an event for every active endpoint that subscribes to it. Never throws, so callers
+   * can fire and forget.
+   */
+  async emit(event, data = {}) {
+    try {
+      await this.load();
+      const targets = this.endpoints.filter(e => e.active && (e.events.includes('*') || e.events.includes(event)));
+      if (targets.length === 0) return [];
+      const eventId = crypto.randomUUID();
+      const occurredAt = new Date().toISOString();
+      const deliveries = targets.map(endpoint => this.queueDelivery(endpoint, { id: eventId, event, occurredAt, data }));
+      await this.save();
+      deliveries.forEach(delivery => this.attempt(delivery.id).catch(error => console.error('Webhook delivery error:', error)));
+      return deliveries;
+    } catch (error) {
+      console.error(`Webhook emit ${event} error:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Send a webhook.test event to one endpoint (whether or not it is active or subscribed)
+   */
+  async sendTest(id) {
+    await this.load();
+    const endpoint = this.endpoints.find(e => e.id === String(id));
+    if (!endpoint) return null;
+    const delivery = this.queueDelivery(endpoint, {
+      id: crypto.randomUUID(),
+      event: 'webhook.test',
+      occurredAt: new Date().toISOString(),
+      data: { message: `Test delivery to ${endpoint.name}` }
+    });
+    await this.save();
+    await this.attempt(delivery.id);
+    return this.deliveries.find(d => d.id === delivery.id) || delivery;
+  }
+
+  /**
+   * Send a logged delivery again as a new delivery of the same payload
+   */
+  async redeliver(deliveryId) {
+    await this.load();
+    const original = this.deliveries.find(d => d.id === String(deliveryId));
+    if (!original) return { success: false, notFound: true, message: 'Delivery not found' };
+    const endpoint = this.endpoints.find(e => e.id === original.endpointId);
+    if (!endpoint) return { success: false, message: 'The webhook for this delivery has been removed' };
+    const delivery = this.queueDelivery(endpoint, original.payload);
+    delivery.redeliveryOf = original.id;
+    await this.save();
+    this.attempt(delivery.id).catch(error => console.error('Webhook redelivery error:', error));
+    return { success: true, delivery };
+  }
+
+  /**
+   * Delivery log newest first: { endpointId, event, status, limit }
+   */
+  async listDeliveries(filter = {}) {
+    await this.load();
+    const limit = Math.min(parseInt(filter.limit, 10) || 100, this.logLimit);
+    return this.deliveries
+      .filter(d => !filter.endpointId || d.endpointId === String(filter.endpointId))
+      .filter(d => !filter.event || d.event === filter.event)
+      .filter(d => !filter.status || d.status === filter.status)
+      .slice()
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  async getDelivery(id) {
+    await this.load();
+    return this.deliveries.find(d => d.id === String(id)) || null;
+  }
+
+  queueDelivery(endpoint, payload) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      endpointId: endpoint.id,
+      endpointName: endpoint.name,
+      event: payload.event,
+      eventId: payload.id,
+      status: 'pending',
+      payload,
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+    this.deliveries.push(delivery);
+    // Oldest finished deliveries drop off the log first
+    while (this.deliveries.length > this.logLimit) {
+      const index = this.deliveries.findIndex(d => d.status === 'delivered' || d.status === 'failed');
+      this.deliveries.splice(index === -1 ? 0 : index, 1);
+    }
+    return delivery;
+  }
+
+  /**
+   * POST a delivery once and schedule the next try when it fails
+   */
+  async attempt(deliveryId) {
+    this.clearTimer(deliveryId);
+    const delivery = this.deliveries.find(d => d.id === deliveryId);
+    if (!delivery || delivery.status === 'delivered' || delivery.status === 'failed') return;
+    const endpoint = this.endpoints.find(e => e.id === delivery.endpointId);
+    if (!endpoint) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      delivery.completedAt = new Date().toISOString();
+      await this.save();
+      return;
+    }
+
+    const body = JSON.stringify(this.formatPayload(endpoint.format, delivery.payload));
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const started = Date.now();
+    const record = { at: new Date().toISOString(), responseStatus: null, durationMs: null, error: null, responseBody: null };
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AM-Reports-Hub-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${this.sign(endpoint.secret, timestamp, body)}`
+        },
+        body,
+        signal: controller.signal
+      });
+      record.responseStatus = response.status;
+      record.responseBody = (await response.text().catch(() => '')).slice(0, 500) || null;
+      if (!response.ok) record.error = `HTTP ${response.status}`;
+    } catch (error) {
+      record.error = error.name === 'AbortError' ? `Timed out after ${REQUEST_TIMEOUT_MS / 1000}s` : error.message;
+    } finally {
+      clearTimeout(timeout);
+    }
+    record.durationMs = Date.now() - started;
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+      delivery.completedAt = new Date().toISOString();
+    } else if (delivery.attempts.length >= this.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      delivery.completedAt = new Date().toISOString();
+      console.warn(`🪝 Webhook ${delivery.event} to ${endpoint.name} failed after ${delivery.attempts.length} attempts: ${record.error}`);
+    } else {
+      // 30s, 2m, 8m, 32m, ... with up to 10% jitter
+      const delay = this.retryBaseMs * Math.pow(4, delivery.attempts.length - 1);
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = new Date(Date.now() + delay + Math.floor(Math.random() * delay * 0.1)).toISOString();
+      this.scheduleAttempt(delivery);
+    }
+    await this.save();
+  }
+
+  scheduleAttempt(delivery) {
+    this.clearTimer(delivery.id);
+    const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this.attempt(delivery.id).catch(error => console.error('Webhook retry error:', error));
+    }, delay);
+    if (typeof timer.unref === 'function') timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  clearTimer(deliveryId) {
+    if (this.timers.has(deliveryId)) {
+      clearTimeout(this.timers.get(deliveryId));
+      this.timers.delete(deliveryId);
+    }
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * The request body for an endpoint's format: the raw event, or a chat message for Slack/Teams
+   */
+  formatPayload(format, payload) {
+    if (format === 'slack') {
+      return { text: this.describeEvent(payload) };
+    }
+    if (format === 'teams') {
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: payload.event,
+        themeColor: payload.event.endsWith('.failed') ? 'C0392B' : '667EEA',
+        title: `Navigate Reports Hub: ${payload.event}`,
+        text: this.describeEvent(payload)
+      };
+    }
+    return payload;
+  }
+
+  /**
+   * One-line summary of an event for chat messages
+   */
+  describeEvent({ event, data = {} }) {
+    const college = data.collegeName || (data.collegeId !== undefined && data.collegeId !== null ? `college ${data.collegeId}` : null);
+    switch (event) {
+      case 'report.created':
+        return `📊 ${data.status === 'draft' ? 'Draft report' : 'New report'} "${data.reportName}" for ${college}${data.createdBy ? ` by ${data.createdBy}` : ''}`;
+      case 'report.updated':
+        return `✏️ Report "${data.reportName}" for ${college} updated${data.reason ? ` (${data.reason})` : ''}${data.updatedBy ? ` by ${data.updatedBy}` : ''}`;
+      case 'import.failed':
+        return `⚠️ ${data.source || 'Import'} failed${college ? ` for ${college}` : ''}${data.files && data.files.length ? ` (${data.files.join(', ')})` : ''}: ${data.error}`;
+      case 'backup.failed':
+        return `🚨 Backup failed${data.description ? ` (${data.description})` : ''}: ${data.error}`;
+      case 'share.accessed':
+        return `🔗 Share link for ${college} ${data.action === 'download' ? `used to download ${data.format || 'a report'}` : 'opened'}`;
+      case 'kpi.status_changed':
+        return `🎯 KPI "${data.name}" for ${college} changed from ${data.from || 'none'} to ${data.to || 'none'}`;
+      default:
+        return data.message || event;
+    }
+  }
+
+  describeEndpoint(endpoint) {
+    const { secret, ...rest } = endpoint;
+    const stats = this.deliveries.filter(d => d.endpointId === endpoint.id);
+    const last = stats.slice().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    return {
+      ...rest,
+      secretHint: secret ? `…${secret.slice(-4)}` : null,
+      lastDelivery: last ? { id: last.id, event: last.event, status: last.status, createdAt: last.createdAt } : null
+    };
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        if (!this.volumeService) return;
+        const endpoints = await this.volumeService.readFile(this.endpointsFile).catch(() => null);
+        const deliveries = await this.volumeService.readFile(this.deliveriesFile).catch(() => null);
+        this.endpoints = Array.isArray(endpoints?.endpoints) ? endpoints.endpoints : [];
+        this.deliveries = Array.isArray(deliveries?.deliveries) ? deliveries.deliveries : [];
+        // Retries outstanding at the last shutdown carry on
+        this.deliveries
+          .filter(d => d.status === 'pending' || d.status === 'retrying')
+          .forEach(d => this.scheduleAttempt(d));
+      })();
+    }
+    await this.loaded;
+  }
+
+  async save() {
+    if (!this.volumeService) return;
+    // Writes are chained so overlapping deliveries cannot interleave them
+    this.saving = this.saving.then(async () => {
+      await this.volumeService.writeFile(this.endpointsFile, { version: '1.0', endpoints: this.endpoints });
+      await this.volumeService.writeFile(this.deliveriesFile, { version: '1.0', deliveries: this.deliveries });
+    }).catch(error => console.error('Webhook state save error:', error));
+    await this.saving;
+  }
+}
+
+WebhookService.EVENTS = EVENTS;
+WebhookService.FORMATS = FORMATS;
+
+module.exports = WebhookService;
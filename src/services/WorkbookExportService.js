@@ -0,0 +1,501 @@
+const AdmZip = require('adm-zip');
+
+// Multi-sheet Excel exports: a front "Summary" sheet (headline KPIs, changes since the previous
+// report, AI summary), the "Report Data" sheet and a "Trend" sheet from AnalyticsService.getChartData.
+// The layout comes from the template's export profile:
+//   exportProfile = { sheets: ['summary', 'data', 'trend'], kpis: [header, ...], trend: { metrics, limit }, charts: true,
+//                     style: 'sections' | 'source' }
+// style 'source' restyles the data sheet with the template's captured sourceFormatting (SourceFormattingService).
+// ExcelJS cannot write charts, so native charts are added to the written workbook by addCharts.
+
+const SHEETS = ['summary', 'data', 'trend'];
+const SHEET_NAMES = { summary: 'Summary', data: 'Report Data', trend: 'Trend' };
+const TREND_METRICS = { placements: 'Placements', activities: 'Activities', careers: 'Careers' };
+const STYLES = ['sections', 'source'];
+const MAX_AUTO_KPIS = 6;
+
+const THIN_BORDER = {
+  top: { style: 'thin', color: { argb: 'FFE5E7EB' } },
+  left: { style: 'thin', color: { argb: 'FFE5E7EB' } },
+  bottom: { style: 'thin', color: { argb: 'FFE5E7EB' } },
+  right: { style: 'thin', color: { argb: 'FFE5E7EB' } }
+};
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6F3FF' } };
+
+class WorkbookExportService {
+  constructor(options = {}) {
+    this.analyticsService = options.analyticsService || null;
+    this.reportComparisonService = options.reportComparisonService;
+  }
+
+  /**
+   * Export profile for a template, with defaults for anything it leaves out
+   */
+  resolveProfile(template) {
+    const profile = template && template.exportProfile && typeof template.exportProfile === 'object' ? template.exportProfile : {};
+    const defaults = WorkbookExportService.DEFAULT_PROFILE;
+    const sheets = Array.isArray(profile.sheets) ? profile.sheets.filter(s => SHEETS.includes(s)) : defaults.sheets;
+    return {
+      sheets: sheets.includes('data') ? sheets : [...sheets, 'data'],
+      kpis: Array.isArray(profile.kpis) ? profile.kpis.map(k => String(k).trim()).filter(Boolean) : defaults.kpis,
+      trend: {
+        metrics: Array.isArray(profile.trend?.metrics)
+          ? profile.trend.metrics.filter(m => TREND_METRICS[m])
+          : defaults.trend.metrics,
+        limit: parseInt(profile.trend?.limit, 10) || defaults.trend.limit
+      },
+      charts: profile.charts === undefined ? defaults.charts : !!profile.charts,
+      style: STYLES.includes(profile.style) ? profile.style : defaults.style
+    };
+  }
+
+  /**
+   * Check an export profile before it is saved on a template
+   */
+  validateProfile(profile) {
+    const errors = [];
+    if (profile === undefined || profile === null) return { valid: true, errors };
+    if (typeof profile !== 'object' || Array.isArray(profile)) {
+      return { valid: false, errors: ['Export profile must be an object'] };
+    }
+    if (profile.sheets !== undefined) {
+      if (!Array.isArray(profile.sheets) || profile.sheets.length === 0) {
+        errors.push('sheets must be a non-empty list');
+      } else {
+        profile.sheets.filter(s => !SHEETS.includes(s)).forEach(s => errors.push(`Unknown sheet "${s}" (use ${SHEETS.join(', ')})`));
+        if (new Set(profile.sheets).size !== profile.sheets.length) errors.push('sheets must not repeat');
+      }
+    }
+    if (profile.kpis !== undefined && (!Array.isArray(profile.kpis) || profile.kpis.some(k => typeof k !== 'string'))) {
+      errors.push('kpis must be a list of column headers');
+    }
+    if (profile.trend !== undefined) {
+      const metrics = profile.trend?.metrics;
+      if (metrics !== undefined && (!Array.isArray(metrics) || metrics.some(m => !TREND_METRICS[m]))) {
+        errors.push(`trend.metrics must be a list of ${Object.keys(TREND_METRICS).join(', ')}`);
+      }
+      const limit = profile.trend?.limit;
+      if (limit !== undefined && (!Number.isInteger(limit) || limit < 2 || limit > 24)) {
+        errors.push('trend.limit must be a whole number between 2 and 24');
+      }
+    }
+    if (profile.style !== undefined && !STYLES.includes(profile.style)) {
+      errors.push(`style must be one of ${STYLES.join(', ')}`);
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Headline figures for the Summary sheet: totals for counts, averages for percentage columns,
+   * with the same figure from the previous report when there is one
+   */
+  computeKpis(data, previousData, profile) {
+    const comparison = this.reportComparisonService;
+    const prev = previousData && Array.isArray(previousData.rows) ? previousData : (previousData?.data || null);
+    const isTotalRow = row => /^(grand )?totals?$/i.test(String(row[0] || '').trim());
+    const rows = (data?.rows || []).filter(r => Array.isArray(r) && !isTotalRow(r));
+    const prevRows = (prev?.rows || []).filter(r => Array.isArray(r) && !isTotalRow(r));
+    const columns = comparison.alignColumns(prev?.headers || [], data?.headers || []).filter(c => c.targetIndex !== null);
+
+    const aggregate = (sourceRows, index, percentage) => {
+      if (index === null || index === undefined) return null;
+      const fraction = percentage && comparison.isFractionColumn(sourceRows, index);
+      const values = sourceRows.map(r => comparison.parseNumber(r[index], percentage, fraction)).filter(v => v !== null);
+      if (values.length === 0) return null;
+      const total = values.reduce((sum, v) => sum + v, 0);
+      return Math.round((percentage ? total / values.length : total) * 100) / 100;
+    };
+
+    let selected;
+    if (profile.kpis.length > 0) {
+      selected = profile.kpis
+        .map(kpi => columns.find(c => c.header === kpi) ||
+          columns.find(c => comparison.normalizeHeader(c.header) === comparison.normalizeHeader(kpi)))
+        .filter(Boolean);
+    } else {
+      selected = columns.filter(c => aggregate(rows, c.targetIndex, c.percentage) !== null).slice(0, MAX_AUTO_KPIS);
+    }
+
+    return selected.map(column => {
+      const value = aggregate(rows, column.targetIndex, column.percentage);
+      const previous = prev ? aggregate(prevRows, column.baseIndex, column.percentage) : null;
+      const change = value !== null && previous !== null ? Math.round((value - previous) * 100) / 100 : null;
+      return {
+        header: column.header,
+        percentage: column.percentage,
+        value,
+        previous,
+        change,
+        changePercent: change !== null && previous ? Math.round((change / Math.abs(previous)) * 1000) / 10 : null
+      };
+    });
+  }
+
+  /**
+   * Front sheet: title, KPI table (with a chart of counts), changes since the previous report
+   * and the report's AI summary. Returns chart specs for addCharts.
+   */
+  fillSummarySheet(worksheet, { report, collegeName, data, previousData, aliases, profile }) {
+    const kpis = this.computeKpis(data, previousData, profile);
+    const hasPrevious = !!(previousData && (Array.isArray(previousData.rows) || Array.isArray(previousData.data?.rows)));
+
+    worksheet.getCell('A1').value = `${collegeName ? collegeName + ' – ' : ''}${report.name || 'Report'}`;
+    worksheet.getCell('A1').font = { bold: true, size: 14 };
+    worksheet.getCell('A2').value = `Report date: ${new Date(report.createdAt || Date.now()).toLocaleString()}${report.period ? ` · ${report.period.label}` : ''}`;
+    worksheet.getCell('A2').font = { size: 10, color: { argb: 'FF666666' } };
+    [36, 16, 16, 14, 12].forEach((width, i) => { worksheet.getColumn(i + 1).width = width; });
+
+    let row = 4;
+    worksheet.getCell(`A${row}`).value = 'Headline KPIs';
+    worksheet.getCell(`A${row}`).font = { bold: true, size: 12 };
+    row++;
+    const kpiHeaderRow = row;
+    worksheet.getRow(row).values = ['Metric', 'This report', 'Previous report', 'Change', 'Change %'];
+    worksheet.getRow(row).eachCell(cell => {
+      cell.font = { bold: true };
+      cell.fill = HEADER_FILL;
+      cell.border = THIN_BORDER;
+    });
+    row++;
+    kpis.forEach(kpi => {
+      const line = worksheet.getRow(row);
+      const asNumber = v => (v === null ? '' : (kpi.percentage ? v / 100 : v));
+      line.values = [kpi.header, asNumber(kpi.value), asNumber(kpi.previous), asNumber(kpi.change), kpi.changePercent === null ? '' : kpi.changePercent / 100];
+      const numFmt = kpi.percentage ? '0.0%' : '#,##0.##';
+      [2, 3].forEach(c => { line.getCell(c).numFmt = numFmt; });
+      line.getCell(4).numFmt = kpi.percentage ? '+0.0%;-0.0%;0.0%' : '+#,##0.##;-#,##0.##;0';
+      line.getCell(5).numFmt = '+0.0%;-0.0%;0.0%';
+      if (kpi.change > 0) line.getCell(4).font = { bold: true, color: { argb: 'FF2E7D32' } };
+      if (kpi.change < 0) line.getCell(4).font = { bold: true, color: { argb: 'FFC62828' } };
+      for (let c = 1; c <= 5; c++) line.getCell(c).border = THIN_BORDER;
+      row++;
+    });
+    if (kpis.length === 0) {
+      worksheet.getCell(`A${row}`).value = 'No numeric columns to summarise';
+      worksheet.getCell(`A${row}`).font = { italic: true, color: { argb: 'FF666666' } };
+      row++;
+    }
+
+    row++;
+    worksheet.getCell(`A${row}`).value = 'Changes since last report';
+    worksheet.getCell(`A${row}`).font = { bold: true, size: 12 };
+    row++;
+    this.describeChanges(data, previousData, aliases, hasPrevious).forEach(text => {
+      worksheet.getCell(`A${row}`).value = text;
+      worksheet.getCell(`A${row}`).font = { size: 10 };
+      row++;
+    });
+
+    const summaryText = report.summary && String(report.summary).trim() !== '' && report.summary !== 'No summary provided'
+      ? String(report.summary)
+      : null;
+    if (summaryText) {
+      row++;
+      worksheet.getCell(`A${row}`).value = 'Summary';
+      worksheet.getCell(`A${row}`).font = { bold: true, size: 12 };
+      row++;
+      worksheet.mergeCells(`A${row}:E${row}`);
+      const cell = worksheet.getCell(`A${row}`);
+      cell.value = summaryText;
+      cell.alignment = { wrapText: true, vertical: 'top' };
+      worksheet.getRow(row).height = Math.min(400, 15 * Math.ceil(summaryText.length / 90) + 15);
+    }
+
+    // Chart the count KPIs only; percentages would be flattened next to totals
+    const charted = kpis.map((kpi, i) => ({ kpi, row: kpiHeaderRow + 1 + i })).filter(k => !k.kpi.percentage && k.kpi.value !== null);
+    if (!profile.charts || charted.length === 0) return [];
+    const contiguous = charted.every((k, i) => i === 0 || k.row === charted[i - 1].row + 1);
+    const sheet = worksheet.name;
+    const categoryRows = contiguous ? [charted[0].row, charted[charted.length - 1].row] : null;
+    const series = [{ column: 'B', label: 'This report', values: charted.map(k => k.kpi.value) }];
+    if (hasPrevious) series.push({ column: 'C', label: 'Previous report', values: charted.map(k => k.kpi.previous) });
+    return [{
+      sheet,
+      type: 'bar',
+      title: hasPrevious ? 'Headline KPIs vs previous report' : 'Headline KPIs',
+      categories: {
+        ref: categoryRows ? this.rangeRef(sheet, 'A', categoryRows[0], categoryRows[1]) : null,
+        values: charted.map(k => k.kpi.header)
+      },
+      series: series.map(s => ({
+        name: s.label,
+        ref: categoryRows ? this.rangeRef(sheet, s.column, categoryRows[0], categoryRows[1]) : null,
+        values: s.values
+      })),
+      from: { col: 6, row: 3 },
+      to: { col: 14, row: 21 }
+    }];
+  }
+
+  /**
+   * Plain-language lines describing department and value changes against the previous report
+   */
+  describeChanges(data, previousData, aliases, hasPrevious) {
+    if (!hasPrevious) return ['No previous report for this template to compare with.'];
+    const prev = Array.isArray(previousData.rows) ? previousData : previousData.data;
+    const result = this.reportComparisonService.compare(prev, data, { aliases });
+    const s = result.summary;
+    const isTotal = name => /^(grand )?totals?$/i.test(String(name || '').trim());
+    const lines = [`${s.increases} increase(s), ${s.decreases} decrease(s) and ${s.unchanged} unchanged value(s) across ${s.rowsMatched} department(s).`];
+    const added = result.rows.filter(r => r.status === 'added' && !isTotal(r.department)).map(r => r.department);
+    const removed = result.rows.filter(r => r.status === 'removed' && !isTotal(r.department)).map(r => r.department);
+    if (added.length) lines.push(`New departments: ${added.join(', ')}`);
+    if (removed.length) lines.push(`No longer in the report: ${removed.join(', ')}`);
+
+    const moves = [];
+    result.rows.filter(r => r.status === 'matched' && !isTotal(r.department)).forEach(r => {
+      r.cells.forEach(cell => {
+        if (cell.delta !== null && cell.delta !== 0 && cell.percent !== null) moves.push({ department: r.department, ...cell });
+      });
+    });
+    moves.sort((a, b) => Math.abs(b.percent) - Math.abs(a.percent)).slice(0, 5).forEach(m => {
+      lines.push(`${m.department} – ${m.header}: ${m.base} → ${m.target} (${m.percent > 0 ? '+' : ''}${m.percent}%)`);
+    });
+    return lines;
+  }
+
+  /**
+   * Last N data points per analytics metric, with a line chart. Returns chart specs for addCharts.
+   */
+  async fillTrendSheet(worksheet, collegeId, profile) {
+    const chartData = this.analyticsService ? await this.analyticsService.getChartData(collegeId, profile.trend.limit) : null;
+    const labels = Array.isArray(chartData?.labels) ? chartData.labels : [];
+    // Metrics the college's templates do not map have no history to show
+    const metrics = profile.trend.metrics.filter(m => Array.isArray(chartData?.[m]) && chartData.available?.[m] !== false);
+
+    worksheet.getColumn(1).width = 16;
+    if (labels.length === 0 || metrics.length === 0) {
+      worksheet.getCell('A1').value = 'No analytics history for this college yet';
+      worksheet.getCell('A1').font = { italic: true, color: { argb: 'FF666666' } };
+      return [];
+    }
+
+    worksheet.getRow(1).values = ['Report', ...metrics.map(m => TREND_METRICS[m])];
+    worksheet.getRow(1).eachCell(cell => {
+      cell.font = { bold: true };
+      cell.fill = HEADER_FILL;
+      cell.border = THIN_BORDER;
+    });
+    labels.forEach((label, i) => {
+      const line = worksheet.getRow(i + 2);
+      line.values = [label, ...metrics.map(m => (chartData[m][i] === undefined ? null : chartData[m][i]))];
+      for (let c = 1; c <= metrics.length + 1; c++) line.getCell(c).border = THIN_BORDER;
+    });
+    metrics.forEach((_, i) => { worksheet.getColumn(i + 2).width = 14; });
+
+    if (!profile.charts || labels.length < 2) return [];
+    const sheet = worksheet.name;
+    const lastRow = labels.length + 1;
+    return [{
+      sheet,
+      type: 'line',
+      title: `Last ${labels.length} reports`,
+      categories: { ref: this.rangeRef(sheet, 'A', 2, lastRow), values: labels },
+      series: metrics.map((m, i) => ({
+        name: TREND_METRICS[m],
+        ref: this.rangeRef(sheet, this.columnLetter(i + 2), 2, lastRow),
+        values: chartData[m].slice(0, labels.length)
+      })),
+      from: { col: metrics.length + 2, row: 1 },
+      to: { col: metrics.length + 11, row: 19 }
+    }];
+  }
+
+  /**
+   * Add the profile's extra sheets around an already-built data sheet and order them.
+   * Returns chart specs to pass to addCharts once the workbook is written.
+   */
+  async addProfileSheets(workbook, dataSheet, { profile, report, collegeName, collegeId, data, previousData, aliases }) {
+    const charts = [];
+    const sheets = { data: dataSheet };
+    if (profile.sheets.includes('summary')) {
+      sheets.summary = workbook.addWorksheet(SHEET_NAMES.summary);
+      charts.push(...this.fillSummarySheet(sheets.summary, { report, collegeName, data, previousData, aliases, profile }));
+    }
+    if (profile.sheets.includes('trend') && collegeId !== null && collegeId !== undefined) {
+      sheets.trend = workbook.addWorksheet(SHEET_NAMES.trend);
+      charts.push(...await this.fillTrendSheet(sheets.trend, collegeId, profile));
+    }
+    // ExcelJS writes sheets by orderNo
+    profile.sheets.filter(key => sheets[key]).forEach((key, i) => { sheets[key].orderNo = i + 1; });
+    if (sheets.summary) workbook.views = [{ activeTab: 0 }];
+    return charts;
+  }
+
+  columnLetter(index) {
+    let n = index;
+    let letters = '';
+    while (n > 0) {
+      const rem = (n - 1) % 26;
+      letters = String.fromCharCode(65 + rem) + letters;
+      n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+  }
+
+  rangeRef(sheet, column, fromRow, toRow) {
+    return `'${String(sheet).replace(/'/g, "''")}'!$${column}$${fromRow}:$${column}$${toRow}`;
+  }
+
+  escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * DrawingML for one chart. Cached values are included so viewers that do not recalculate
+   * (and Excel before the first recalculation) still draw the chart.
+   */
+  buildChartXml(chart) {
+    const esc = v => this.escapeXml(v);
+    const categories = chart.categories.values.map((v, i) => `<c:pt idx="${i}"><c:v>${esc(v)}</c:v></c:pt>`).join('');
+    const categoryXml = chart.categories.ref
+      ? `<c:cat><c:strRef><c:f>${esc(chart.categories.ref)}</c:f><c:strCache><c:ptCount val="${chart.categories.values.length}"/>${categories}</c:strCache></c:strRef></c:cat>`
+      : `<c:cat><c:strLit><c:ptCount val="${chart.categories.values.length}"/>${categories}</c:strLit></c:cat>`;
+    const series = chart.series.map((s, i) => {
+      const points = s.values
+        .map((v, idx) => (v === null || v === undefined || isNaN(Number(v)) ? '' : `<c:pt idx="${idx}"><c:v>${Number(v)}</c:v></c:pt>`))
+        .join('');
+      const valueXml = s.ref
+        ? `<c:val><c:numRef><c:f>${esc(s.ref)}</c:f><c:numCache><c:formatCode>General</c:formatCode><c:ptCount val="${s.values.length}"/>${points}</c:numCache></c:numRef></c:val>`
+        : `<c:val><c:numLit><c:formatCode>General</c:formatCode><c:ptCount val="${s.values.length}"/>${points}</c:numLit></c:val>`;
+      const marker = chart.type === 'line' ? '<c:marker><c:symbol val="circle"/><c:size val="5"/></c:marker>' : '<c:invertIfNegative val="0"/>';
+      const tail = chart.type === 'line' ? '<c:smooth val="0"/>' : '';
+      return `<c:ser><c:idx val="${i}"/><c:order val="${i}"/><c:tx><c:v>${esc(s.name)}</c:v></c:tx>${marker}${categoryXml}${valueXml}${tail}</c:ser>`;
+    }).join('');
+    const plot = chart.type === 'line'
+      ? `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${series}<c:marker val="1"/><c:axId val="500001"/><c:axId val="500002"/></c:lineChart>`
+      : `<c:barChart><c:barDir val="col"/><c:grouping val="clustered"/><c:varyColors val="0"/>${series}<c:gapWidth val="150"/><c:axId val="500001"/><c:axId val="500002"/></c:barChart>`;
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<c:roundedCorners val="0"/><c:chart>' +
+      `<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:pPr><a:defRPr sz="1200" b="1"/></a:pPr><a:r><a:rPr lang="en-GB" sz="1200" b="1"/><a:t>${esc(chart.title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>` +
+      '<c:autoTitleDeleted val="0"/><c:plotArea><c:layout/>' + plot +
+      '<c:catAx><c:axId val="500001"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/><c:axPos val="b"/><c:numFmt formatCode="General" sourceLinked="0"/><c:tickLblPos val="low"/><c:crossAx val="500002"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/></c:catAx>' +
+      '<c:valAx><c:axId val="500002"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/><c:axPos val="l"/><c:majorGridlines/><c:numFmt formatCode="General" sourceLinked="1"/><c:tickLblPos val="nextTo"/><c:crossAx val="500001"/><c:crosses val="autoZero"/><c:crossBetween val="between"/></c:valAx>' +
+      '</c:plotArea><c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend><c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart></c:chartSpace>';
+  }
+
+  buildDrawingXml(anchors) {
+    const frames = anchors.map((anchor, i) => (
+      '<xdr:twoCellAnchor editAs="oneCell">' +
+      `<xdr:from><xdr:col>${anchor.from.col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${anchor.from.row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from>` +
+      `<xdr:to><xdr:col>${anchor.to.col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${anchor.to.row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:to>` +
+      `<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="${i + 2}" name="Chart ${i + 1}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>` +
+      '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>' +
+      '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart">' +
+      `<c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:id="${anchor.rId}"/>` +
+      '</a:graphicData></a:graphic></xdr:graphicFrame><xdr:clientData/></xdr:twoCellAnchor>'
+    )).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+      frames + '</xdr:wsDr>';
+  }
+
+  /**
+   * Add native charts to a workbook written by ExcelJS. charts: [{ sheet, type: 'line'|'bar',
+   * title, categories: { ref, values }, series: [{ name, ref, values }], from, to }]
+   */
+  addCharts(buffer, charts = []) {
+    if (!charts || charts.length === 0) return Buffer.from(buffer);
+    const zip = new AdmZip(Buffer.from(buffer));
+    const read = name => {
+      const entry = zip.getEntry(name);
+      return entry ? entry.getData().toString('utf8') : null;
+    };
+    const write = (name, content) => {
+      if (zip.getEntry(name)) zip.updateFile(name, Buffer.from(content, 'utf8'));
+      else zip.addFile(name, Buffer.from(content, 'utf8'));
+    };
+    const attrs = tag => Object.fromEntries(Array.from(tag.matchAll(/([\w:]+)="([^"]*)"/g)).map(m => [m[1], m[2]]));
+    const unescape = v => String(v).replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+    // Sheet name -> worksheet part
+    const workbookXml = read('xl/workbook.xml') || '';
+    const workbookRels = read('xl/_rels/workbook.xml.rels') || '';
+    const relTargets = new Map((workbookRels.match(/<Relationship\b[^>]*>/g) || []).map(tag => {
+      const a = attrs(tag);
+      return [a.Id, a.Target];
+    }));
+    const sheetParts = new Map((workbookXml.match(/<sheet\b[^>]*>/g) || []).map(tag => {
+      const a = attrs(tag);
+      const target = relTargets.get(a['r:id']) || '';
+      return [unescape(a.name), target.startsWith('/') ? target.slice(1) : `xl/${target}`];
+    }));
+
+    let contentTypes = read('[Content_Types].xml');
+    const bySheet = new Map();
+    charts.forEach(chart => {
+      if (!bySheet.has(chart.sheet)) bySheet.set(chart.sheet, []);
+      bySheet.get(chart.sheet).push(chart);
+    });
+
+    let chartCount = 0;
+    let drawingCount = 0;
+    bySheet.forEach((sheetCharts, sheetName) => {
+      const sheetPath = sheetParts.get(sheetName);
+      let sheetXml = sheetPath ? read(sheetPath) : null;
+      if (!sheetXml || /<drawing\b/.test(sheetXml)) {
+        console.warn(`⚠️ Skipping charts for sheet "${sheetName}" (sheet missing or already has a drawing)`);
+        return;
+      }
+      drawingCount++;
+      const drawingName = `chartDrawing${drawingCount}.xml`;
+      const anchors = sheetCharts.map((chart, i) => {
+        chartCount++;
+        write(`xl/charts/chart${chartCount}.xml`, this.buildChartXml(chart));
+        contentTypes = contentTypes.replace('</Types>',
+          `<Override PartName="/xl/charts/chart${chartCount}.xml" ContentType="application/vnd.openxmlformats-officedocument.drawingml.chart+xml"/></Types>`);
+        return { ...chart, rId: `rId${i + 1}`, chartFile: `chart${chartCount}.xml` };
+      });
+      write(`xl/drawings/${drawingName}`, this.buildDrawingXml(anchors));
+      write(`xl/drawings/_rels/${drawingName}.rels`,
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        anchors.map(a => `<Relationship Id="${a.rId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart" Target="../charts/${a.chartFile}"/>`).join('') +
+        '</Relationships>');
+      contentTypes = contentTypes.replace('</Types>',
+        `<Override PartName="/xl/drawings/${drawingName}" ContentType="application/vnd.openxmlformats-officedocument.drawing+xml"/></Types>`);
+
+      // Link the drawing from the worksheet's relationships
+      const sheetFile = sheetPath.split('/').pop();
+      const relsPath = sheetPath.replace(sheetFile, `_rels/${sheetFile}.rels`);
+      let sheetRels = read(relsPath) ||
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+      const usedIds = new Set((sheetRels.match(/Id="([^"]+)"/g) || []).map(m => m.slice(4, -1)));
+      let relNo = usedIds.size + 1;
+      while (usedIds.has(`rId${relNo}`)) relNo++;
+      const drawingRelId = `rId${relNo}`;
+      sheetRels = sheetRels.replace('</Relationships>',
+        `<Relationship Id="${drawingRelId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing" Target="../drawings/${drawingName}"/></Relationships>`);
+      write(relsPath, sheetRels);
+
+      // <drawing> goes after page setup and before legacy drawings, tables and extensions
+      if (!/xmlns:r=/.test(sheetXml.match(/<worksheet\b[^>]*>/)[0])) {
+        sheetXml = sheetXml.replace(/<worksheet\b/, '<worksheet xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"');
+      }
+      const drawingTag = `<drawing r:id="${drawingRelId}"/>`;
+      const before = sheetXml.search(/<(legacyDrawing|legacyDrawingHF|picture|oleObjects|controls|webPublishItems|tableParts|extLst)\b/);
+      sheetXml = before === -1
+        ? sheetXml.replace('</worksheet>', `${drawingTag}</worksheet>`)
+        : sheetXml.slice(0, before) + drawingTag + sheetXml.slice(before);
+      write(sheetPath, sheetXml);
+    });
+
+    write('[Content_Types].xml', contentTypes);
+    return zip.toBuffer();
+  }
+}
+
+WorkbookExportService.SHEETS = SHEETS;
+WorkbookExportService.TREND_METRICS = TREND_METRICS;
+WorkbookExportService.STYLES = STYLES;
+WorkbookExportService.DEFAULT_PROFILE = {
+  sheets: ['summary', 'data', 'trend'],
+  kpis: [],
+  trend: { metrics: Object.keys(TREND_METRICS), limit: 6 },
+  charts: true,
+  style: 'sections'
+};
+
+module.exports = WorkbookExportService;
@@ -0,0 +1,309 @@
+// Report column sections (placements, careers, ...) and the rules that assign a header to one,
+// shared by the server (require) and the browser (<script src="/shared/sectionRules.js"> exposes
+// window.SectionRules). Exports, the report generator and the viewers all colour headers from here.
+//
+// A config is { sections: [{ key, label, color, className }], rules: [{ section, ... }] }. Rules are
+// tried in order and the first match wins; a header no rule matches is in the "default" section.
+// Each rule may use any of:
+//   any:     header contains at least one of these (case-insensitive)
+//   all:     header contains every one of these
+//   none:    header contains none of these
+//   equals:  header is exactly one of these
+//   pattern: header matches this regular expression (case-insensitive)
+//   base:    true to test the header without a trailing "(Type)" / "[Label]" suffix
+// A section's className is optional: without one the browser uses a generated "section-<key>" class.
+// Admins can replace the config (GET/PUT /api/section-config); DEFAULT_CONFIG is the built-in set.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SectionRules = factory();
+  }
+})(typeof window !== 'undefined' ? window : {}, function () {
+  const EXPLICIT_ACTIVITY_TYPES = ['(employer engagement)', '(employer activity)', '(enrichment)', '(enrichment activity)'];
+
+  const DEFAULT_CONFIG = {
+    sections: [
+      { key: 'placements', label: 'Placements', color: '#DBEAFE', className: 'bg-blue-100' },
+      { key: 'assessments', label: 'Assessments', color: '#BBF7D0', className: 'bg-green-200' },
+      { key: 'careers', label: 'Careers', color: '#FED7AA', className: 'bg-orange-100' },
+      { key: 'activities', label: 'Activities', color: '#FEF3C7', className: 'bg-yellow-100' },
+      { key: 'activities-combined', label: 'Activities Combined KC', color: '#ECFCCB', className: 'bg-lime-100' },
+      { key: 'enrichment', label: 'Enrichment', color: '#CCFBF1', className: 'bg-teal-100' },
+      { key: 'employment', label: 'Employer Engagement', color: '#F3E8FF', className: 'bg-purple-100' },
+      { key: 'employer-activity', label: 'Employer Activity', color: '#FEE2E2', className: 'bg-red-100' },
+      { key: 'enrichment-activity', label: 'Enrichment Activity', color: '#E0F7FA', className: 'bg-cyan-100' },
+      { key: 'targets', label: 'Targets', color: '#FCE7F3', className: 'bg-pink-100' },
+      { key: 'login', label: 'Login', color: '#E0E7FF', className: 'bg-indigo-100' },
+      { key: 'department', label: 'Department', color: '#FEF3C7', className: 'bg-amber-100' },
+      { key: 'default', label: 'Other', color: '#F3F4F6', className: 'bg-gray-100' }
+    ],
+    rules: [
+      { section: 'department', equals: ['department'] },
+      // Placements come first so "Total Placements (Employer Activity)" stays a placement
+      { section: 'placements', base: true, any: ['placement', 'placed'] },
+      { section: 'placements', base: true, equals: ['student confirmed', 'employer confirmed'] },
+      { section: 'placements', any: ['hours scheduled', 'scheduled to date'] },
+      { section: 'employment', any: ['(employer engagement)'] },
+      { section: 'employer-activity', any: ['(employer activity)'] },
+      { section: 'enrichment-activity', any: ['(enrichment activity)'] },
+      { section: 'activities-combined', any: ['(activities-combined)', '(activities combined kc)'] },
+      // Activities Combined KC summary columns, unless the header names another activity type
+      { section: 'activities-combined', pattern: '^students\\s+with\\s+\\d+\\s+enrichment\\s+activit', none: EXPLICIT_ACTIVITY_TYPES },
+      { section: 'activities-combined', any: ['total students with activities', '% students with activities', 'percent students with activities', 'total activities', 'students with employer engagement activities'], none: EXPLICIT_ACTIVITY_TYPES },
+      { section: 'activities-combined', all: ['activity hours'], none: ['scheduled', ...EXPLICIT_ACTIVITY_TYPES] },
+      { section: 'enrichment', any: ['(enrichment)'] },
+      { section: 'employment', any: ['(employer)', '(employment)'] },
+      { section: 'careers', any: ['(careers)'] },
+      { section: 'assessments', any: ['(assessments)'] },
+      { section: 'targets', any: ['(targets)'] },
+      { section: 'login', any: ['(login)'] },
+      { section: 'assessments', any: ['assessment', 'score', 'students without', 'students with', 'assessed'] },
+      { section: 'careers', any: ['career', 'job profile', 'quiz', 'mapped'] },
+      { section: 'activities', any: ['activity'] },
+      { section: 'activities', all: ['hours'], none: ['scheduled'] },
+      { section: 'employment', any: ['employment', 'employ'] },
+      { section: 'enrichment', any: ['enrich'] },
+      { section: 'targets', any: ['target', 'goal'] },
+      { section: 'login', any: ['login', 'log in', 'access'] }
+    ]
+  };
+
+  // Tailwind background classes used for header colours, for saved headerColorClasses
+  const CLASS_COLORS = {
+    'bg-blue-100': '#DBEAFE', 'bg-blue-200': '#BFDBFE',
+    'bg-purple-100': '#F3E8FF', 'bg-yellow-100': '#FEF3C7',
+    'bg-green-100': '#DCFCE7', 'bg-green-200': '#BBF7D0',
+    'bg-pink-100': '#FCE7F3', 'bg-indigo-100': '#E0E7FF',
+    'bg-gray-100': '#F3F4F6', 'bg-amber-100': '#FEF3C7',
+    'bg-teal-100': '#CCFBF1', 'bg-cyan-100': '#E0F7FA',
+    'bg-orange-100': '#FED7AA', 'bg-red-100': '#FEE2E2',
+    'bg-lime-100': '#ECFCCB'
+  };
+
+  const RULE_FIELDS = ['any', 'all', 'none', 'equals'];
+
+  /**
+   * '#RRGGBB', 'RRGGBB' or ARGB as Excel ARGB ('FFRRGGBB'); null when not a colour
+   */
+  function toArgb(color) {
+    if (!color || typeof color !== 'string') return null;
+    const clean = color.replace('#', '').toUpperCase();
+    const rgb = clean.length === 8 ? clean.slice(2) : clean;
+    if (!/^[0-9A-F]{6}$/.test(rgb)) return null;
+    return `FF${rgb}`;
+  }
+
+  function toHex(color) {
+    const argb = toArgb(color);
+    return argb ? `#${argb.slice(2)}` : null;
+  }
+
+  /**
+   * Header without a trailing "[Label]" or "(Type)" suffix, lower-cased
+   */
+  function baseHeader(header) {
+    return String(header === undefined || header === null ? '' : header)
+      .replace(/\s*\[[^\]]+\]\s*$/, '')
+      .replace(/\s*\([^)]*\)\s*$/, '')
+      .trim()
+      .toLowerCase();
+  }
+
+  function validate(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return { valid: false, errors: ['Section config must be an object of { sections, rules }'] };
+    }
+    const sections = Array.isArray(config.sections) ? config.sections : [];
+    const rules = Array.isArray(config.rules) ? config.rules : [];
+    if (!Array.isArray(config.sections) || sections.length === 0) errors.push('At least one section is required');
+    if (!Array.isArray(config.rules)) errors.push('Rules must be an array');
+
+    const keys = new Set();
+    sections.forEach((section, i) => {
+      const key = section && typeof section.key === 'string' ? section.key.trim() : '';
+      if (!key) {
+        errors.push(`Section ${i + 1} needs a key`);
+        return;
+      }
+      if (!/^[a-z0-9_-]+$/i.test(key)) errors.push(`Section key "${key}" may only use letters, numbers, "-" and "_"`);
+      if (keys.has(key)) errors.push(`Section "${key}" is listed more than once`);
+      keys.add(key);
+      if (!toArgb(section.color)) errors.push(`Section "${key}" needs a colour like #DBEAFE`);
+    });
+    if (sections.length > 0 && !keys.has('default')) errors.push('A "default" section is required for unmatched headers');
+
+    rules.forEach((rule, i) => {
+      const label = `Rule ${i + 1}`;
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      if (!keys.has(rule.section)) errors.push(`${label} uses unknown section "${rule.section}"`);
+      RULE_FIELDS.forEach(field => {
+        if (rule[field] !== undefined && (!Array.isArray(rule[field]) || rule[field].some(v => typeof v !== 'string' || !v.trim()))) {
+          errors.push(`${label}: "${field}" must be a list of text`);
+        }
+      });
+      if (rule.pattern !== undefined) {
+        try {
+          new RegExp(rule.pattern, 'i');
+        } catch (error) {
+          errors.push(`${label}: invalid pattern (${error.message})`);
+        }
+      }
+      if (!['any', 'all', 'equals', 'pattern'].some(field => rule[field] !== undefined)) {
+        errors.push(`${label} needs "any", "all", "equals" or "pattern"`);
+      }
+    });
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Copy of a config with trimmed, lower-cased match text and normalised colours
+   */
+  function normalize(config) {
+    const source = config && Array.isArray(config.sections) && Array.isArray(config.rules) ? config : DEFAULT_CONFIG;
+    const lower = list => (Array.isArray(list) ? list.map(v => String(v).trim().toLowerCase()).filter(Boolean) : undefined);
+    return {
+      sections: source.sections.map(section => ({
+        key: String(section.key).trim(),
+        label: section.label ? String(section.label) : String(section.key).trim(),
+        color: toHex(section.color) || '#F3F4F6',
+        className: section.className ? String(section.className) : null
+      })),
+      rules: source.rules.map(rule => {
+        const out = { section: rule.section };
+        RULE_FIELDS.forEach(field => {
+          const values = lower(rule[field]);
+          if (values) out[field] = values;
+        });
+        if (rule.pattern !== undefined) out.pattern = String(rule.pattern);
+        if (rule.base) out.base = true;
+        return out;
+      })
+    };
+  }
+
+  /**
+   * Classifier for a config: sectionOf(header), describe(header) and colour lookups
+   */
+  function create(config) {
+    const normalized = normalize(config);
+    const sections = new Map(normalized.sections.map(section => [section.key, section]));
+    const fallback = sections.get('default') || { key: 'default', label: 'Other', color: '#F3F4F6', className: 'bg-gray-100' };
+    const rules = normalized.rules.map(rule => {
+      let regex = null;
+      if (rule.pattern) {
+        try {
+          regex = new RegExp(rule.pattern, 'i');
+        } catch {
+          regex = null;
+        }
+      }
+      return { ...rule, regex };
+    });
+
+    function matches(rule, header) {
+      const text = rule.base ? baseHeader(header) : String(header).toLowerCase().trim();
+      if (rule.pattern && (!rule.regex || !rule.regex.test(text))) return false;
+      if (rule.equals && !rule.equals.includes(text)) return false;
+      if (rule.any && !rule.any.some(v => text.includes(v))) return false;
+      if (rule.all && !rule.all.every(v => text.includes(v))) return false;
+      if (rule.none && rule.none.some(v => text.includes(v))) return false;
+      return true;
+    }
+
+    function sectionOf(header) {
+      if (header === undefined || header === null || String(header).trim() === '') return fallback.key;
+      const rule = rules.find(r => sections.has(r.section) && matches(r, header));
+      return rule ? rule.section : fallback.key;
+    }
+
+    function sectionInfo(key) {
+      return sections.get(key) || fallback;
+    }
+
+    return {
+      config: normalized,
+      sections: normalized.sections,
+      sectionOf,
+      colorOf: key => sectionInfo(key).color,
+      argbOf: key => toArgb(sectionInfo(key).color),
+      classOf: key => sectionInfo(key).className || `section-${sectionInfo(key).key}`,
+      labelOf: key => sectionInfo(key).label,
+      /**
+       * { section, color (Excel ARGB), hex, className } for a header
+       */
+      describe(header) {
+        const section = sectionOf(header);
+        const info = sectionInfo(section);
+        return { section, color: toArgb(info.color), hex: info.color, className: info.className || `section-${info.key}` };
+      }
+    };
+  }
+
+  let current = create(DEFAULT_CONFIG);
+
+  /**
+   * Replace the classifier used by the module-level helpers (e.g. with an admin-saved config)
+   */
+  function configure(config) {
+    current = create(config);
+    injectStyles(current);
+    return current;
+  }
+
+  /**
+   * Browser only: a "section-<key>" background class per section, so sections added by an admin
+   * (which have no Tailwind class) still colour headers
+   */
+  function injectStyles(classifier) {
+    if (typeof document === 'undefined' || !document.head) return;
+    let style = document.getElementById('section-rules-styles');
+    if (!style) {
+      style = document.createElement('style');
+      style.id = 'section-rules-styles';
+      document.head.appendChild(style);
+    }
+    style.textContent = classifier.sections
+      .filter(section => /^[a-z0-9_-]+$/i.test(section.key))
+      .map(section => `.section-${section.key} { background-color: ${section.color}; }`)
+      .join('\n');
+  }
+
+  /**
+   * Browser helper: fetch the saved config and configure the module with it
+   */
+  async function load(url = '/api/section-config') {
+    try {
+      const res = await fetch(url, { credentials: 'include' });
+      const json = await res.json();
+      if (json && json.config) configure(json.config);
+    } catch {
+      // Keep the built-in sections when the config cannot be loaded
+    }
+    return current;
+  }
+
+  return {
+    DEFAULT_CONFIG,
+    CLASS_COLORS,
+    toArgb,
+    toHex,
+    baseHeader,
+    validate,
+    normalize,
+    create,
+    configure,
+    load,
+    classifier: () => current,
+    sectionOf: header => current.sectionOf(header),
+    describe: header => current.describe(header),
+    colorOf: key => current.colorOf(key),
+    argbOf: key => current.argbOf(key),
+    classOf: key => current.classOf(key),
+    argbOfClass: className => (CLASS_COLORS[className] ? toArgb(CLASS_COLORS[className]) : null)
+  };
+});
@@ -0,0 +1,459 @@
+// Formula language for template computed columns, shared by the server (require) and the
+// browser (<script src="/shared/templateFormula.js"> exposes window.TemplateFormula).
+//
+//   [Students with Placements] / [Total Students] * 100
+//   IF([Total Students] >= 100, ROUND([A] / [B] * 100, 0), ROUND([A] / [B] * 100, 1))
+//
+// Columns are referenced by header in square brackets. Supported: numbers, + - * /, comparisons
+// (= <> != < <= > >=) and the functions below. Formulas are parsed into a tree and evaluated
+// directly - nothing is passed to eval/Function. A division by zero or an unknown column makes
+// the cell blank, the same as the IFERROR(...,"") wrapper used for exported Excel formulas.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TemplateFormula = factory();
+  }
+})(typeof window !== 'undefined' ? window : {}, function () {
+  const FUNCTIONS = {
+    ROUND: { min: 1, max: 2 },
+    ROUNDUP: { min: 1, max: 2 },
+    ROUNDDOWN: { min: 1, max: 2 },
+    IF: { min: 2, max: 3 },
+    MIN: { min: 1, max: 50 },
+    MAX: { min: 1, max: 50 },
+    SUM: { min: 1, max: 50 },
+    AVERAGE: { min: 1, max: 50 },
+    ABS: { min: 1, max: 1 },
+    AND: { min: 1, max: 50 },
+    OR: { min: 1, max: 50 },
+    NOT: { min: 1, max: 1 }
+  };
+  const COMPARISONS = ['<=', '>=', '<>', '!=', '=', '<', '>'];
+  const MAX_LENGTH = 1000;
+
+  class FormulaError extends Error {
+    constructor(message, position) {
+      super(message);
+      this.name = 'FormulaError';
+      this.position = position;
+    }
+  }
+
+  function tokenize(formula) {
+    const text = String(formula || '');
+    if (text.length > MAX_LENGTH) throw new FormulaError(`Formula is longer than ${MAX_LENGTH} characters`, 0);
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      const ch = text[i];
+      if (/\s/.test(ch)) { i++; continue; }
+      if (ch === '[') {
+        const end = text.indexOf(']', i + 1);
+        if (end === -1) throw new FormulaError('Unclosed column reference "["', i);
+        const name = text.slice(i + 1, end).trim();
+        if (!name) throw new FormulaError('Empty column reference "[]"', i);
+        tokens.push({ type: 'column', value: name, position: i });
+        i = end + 1;
+        continue;
+      }
+      const number = text.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+      if (number) {
+        tokens.push({ type: 'number', value: parseFloat(number[1]), position: i });
+        i += number[1].length;
+        continue;
+      }
+      const word = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      if (word) {
+        tokens.push({ type: 'name', value: word[0].toUpperCase(), position: i });
+        i += word[0].length;
+        continue;
+      }
+      const comparison = COMPARISONS.find(op => text.startsWith(op, i));
+      if (comparison) {
+        tokens.push({ type: 'op', value: comparison === '!=' ? '<>' : comparison, position: i });
+        i += comparison.length;
+        continue;
+      }
+      if ('+-*/(),'.includes(ch)) {
+        tokens.push({ type: ch === '(' || ch === ')' || ch === ',' ? ch : 'op', value: ch, position: i });
+        i++;
+        continue;
+      }
+      throw new FormulaError(`Unexpected character "${ch}"`, i);
+    }
+    return tokens;
+  }
+
+  /**
+   * Parse a formula into a tree of { type: number|column|unary|binary|call } nodes
+   */
+  function parse(formula) {
+    const tokens = tokenize(formula);
+    if (tokens.length === 0) throw new FormulaError('Formula is empty', 0);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (type) => {
+      const token = next();
+      if (!token || token.type !== type) {
+        throw new FormulaError(`Expected "${type}"`, token ? token.position : String(formula).length);
+      }
+      return token;
+    };
+
+    function comparison() {
+      let left = additive();
+      const token = peek();
+      if (token && token.type === 'op' && COMPARISONS.includes(token.value)) {
+        next();
+        left = { type: 'binary', op: token.value, left, right: additive() };
+      }
+      return left;
+    }
+    function additive() {
+      let left = term();
+      while (peek() && peek().type === 'op' && (peek().value === '+' || peek().value === '-')) {
+        const op = next().value;
+        left = { type: 'binary', op, left, right: term() };
+      }
+      return left;
+    }
+    function term() {
+      let left = unary();
+      while (peek() && peek().type === 'op' && (peek().value === '*' || peek().value === '/')) {
+        const op = next().value;
+        left = { type: 'binary', op, left, right: unary() };
+      }
+      return left;
+    }
+    function unary() {
+      const token = peek();
+      if (token && token.type === 'op' && (token.value === '-' || token.value === '+')) {
+        next();
+        return { type: 'unary', op: token.value, argument: unary() };
+      }
+      return primary();
+    }
+    function primary() {
+      const token = next();
+      if (!token) throw new FormulaError('Unexpected end of formula', String(formula).length);
+      if (token.type === 'number') return { type: 'number', value: token.value };
+      if (token.type === 'column') return { type: 'column', name: token.value };
+      if (token.type === '(') {
+        const inner = comparison();
+        expect(')');
+        return inner;
+      }
+      if (token.type === 'name') {
+        if (token.value === 'TRUE' || token.value === 'FALSE') return { type: 'number', value: token.value === 'TRUE' ? 1 : 0 };
+        const spec = FUNCTIONS[token.value];
+        if (!spec) throw new FormulaError(`Unknown function ${token.value}`, token.position);
+        expect('(');
+        const args = [];
+        if (peek() && peek().type !== ')') {
+          args.push(comparison());
+          while (peek() && peek().type === ',') {
+            next();
+            args.push(comparison());
+          }
+        }
+        expect(')');
+        if (args.length < spec.min || args.length > spec.max) {
+          throw new FormulaError(`${token.value} takes ${spec.min === spec.max ? spec.min : `${spec.min}-${spec.max}`} argument(s)`, token.position);
+        }
+        return { type: 'call', name: token.value, args };
+      }
+      throw new FormulaError(`Unexpected "${token.value}"`, token.position);
+    }
+
+    const tree = comparison();
+    if (pos < tokens.length) throw new FormulaError(`Unexpected "${tokens[pos].value}"`, tokens[pos].position);
+    return tree;
+  }
+
+  /**
+   * Column headers referenced by a formula (or parsed tree), in order of first use
+   */
+  function references(formulaOrTree) {
+    const tree = typeof formulaOrTree === 'string' ? parse(formulaOrTree) : formulaOrTree;
+    const names = [];
+    (function walk(node) {
+      if (!node) return;
+      if (node.type === 'column' && !names.includes(node.name)) names.push(node.name);
+      if (node.type === 'unary') walk(node.argument);
+      if (node.type === 'binary') { walk(node.left); walk(node.right); }
+      if (node.type === 'call') node.args.forEach(walk);
+    })(tree);
+    return names;
+  }
+
+  function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  function stripLabel(header) {
+    return String(header || '').replace(/\s*\[[^\]]+\]\s*$/, '').trim();
+  }
+
+  /**
+   * Index of a referenced column: exact header, then case/space-insensitive, then without the [File] label
+   */
+  function findHeaderIndex(headers, name) {
+    const list = Array.isArray(headers) ? headers : [];
+    let index = list.indexOf(name);
+    if (index !== -1) return index;
+    const wanted = normalizeHeader(name);
+    index = list.findIndex(h => normalizeHeader(h) === wanted);
+    if (index !== -1) return index;
+    const wantedBase = normalizeHeader(stripLabel(name));
+    return list.findIndex(h => normalizeHeader(stripLabel(h)) === wantedBase);
+  }
+
+  /**
+   * Parse a cell into a number; blank cells are 0 (as in Excel), text is not a number.
+   * "45%" is 0.45, the value Excel exports hold for it, so saved results match the exported formula
+   */
+  function toNumber(value) {
+    if (value === null || value === undefined || value === '') return 0;
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const text = String(value).replace(/[,\s]/g, '');
+    if (text === '') return 0;
+    const percent = /%$/.test(text);
+    const cleaned = percent ? text.slice(0, -1) : text;
+    if (!/^-?\d*\.?\d+$/.test(cleaned)) return null;
+    return percent ? parseFloat(cleaned) / 100 : parseFloat(cleaned);
+  }
+
+  // Excel rounds halves away from zero
+  function round(value, digits, mode) {
+    const places = Math.trunc(digits || 0);
+    const factor = Math.pow(10, places);
+    const scaled = Math.abs(value) * factor;
+    const fixed = parseFloat(scaled.toPrecision(15));
+    let rounded;
+    if (mode === 'up') rounded = Math.ceil(fixed);
+    else if (mode === 'down') rounded = Math.floor(fixed);
+    else rounded = Math.round(fixed);
+    return Math.sign(value) * rounded / factor;
+  }
+
+  /**
+   * Evaluate a formula (or parsed tree). getValue(name) returns the raw cell for a column reference.
+   * Returns a number, or null when the formula doesn't parse or the result is an error
+   * (division by zero, unknown column, text).
+   */
+  function evaluate(formulaOrTree, getValue) {
+    let tree = formulaOrTree;
+    if (typeof formulaOrTree === 'string') {
+      try {
+        tree = parse(formulaOrTree);
+      } catch (error) {
+        if (error instanceof FormulaError) return null;
+        throw error;
+      }
+    }
+    const fail = message => { throw new FormulaError(message); };
+
+    function run(node) {
+      switch (node.type) {
+        case 'number':
+          return node.value;
+        case 'column': {
+          const raw = getValue(node.name);
+          if (raw === undefined) fail(`Unknown column [${node.name}]`);
+          const num = toNumber(raw);
+          if (num === null) fail(`Column [${node.name}] is not a number`);
+          return num;
+        }
+        case 'unary':
+          return node.op === '-' ? -run(node.argument) : run(node.argument);
+        case 'binary': {
+          const left = run(node.left);
+          const right = run(node.right);
+          switch (node.op) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return right === 0 ? fail('Division by zero') : left / right;
+            case '=': return left === right ? 1 : 0;
+            case '<>': return left !== right ? 1 : 0;
+            case '<': return left < right ? 1 : 0;
+            case '<=': return left <= right ? 1 : 0;
+            case '>': return left > right ? 1 : 0;
+            case '>=': return left >= right ? 1 : 0;
+            default: return fail(`Unknown operator ${node.op}`);
+          }
+        }
+        case 'call': {
+          if (node.name === 'IF') {
+            return run(node.args[0]) !== 0 ? run(node.args[1]) : (node.args[2] ? run(node.args[2]) : 0);
+          }
+          const args = node.args.map(run);
+          switch (node.name) {
+            case 'ROUND': return round(args[0], args[1]);
+            case 'ROUNDUP': return round(args[0], args[1], 'up');
+            case 'ROUNDDOWN': return round(args[0], args[1], 'down');
+            case 'MIN': return Math.min(...args);
+            case 'MAX': return Math.max(...args);
+            case 'SUM': return args.reduce((a, b) => a + b, 0);
+            case 'AVERAGE': return args.reduce((a, b) => a + b, 0) / args.length;
+            case 'ABS': return Math.abs(args[0]);
+            case 'AND': return args.every(a => a !== 0) ? 1 : 0;
+            case 'OR': return args.some(a => a !== 0) ? 1 : 0;
+            case 'NOT': return args[0] === 0 ? 1 : 0;
+            default: return fail(`Unknown function ${node.name}`);
+          }
+        }
+        default:
+          return fail('Invalid formula');
+      }
+    }
+
+    try {
+      const result = run(tree);
+      return isFinite(result) ? result : null;
+    } catch (error) {
+      if (error instanceof FormulaError) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Excel/Luckysheet formula text (without "=") for one row. cellRef(name) returns e.g. "C5".
+   */
+  function toExcelFormula(formulaOrTree, cellRef) {
+    const tree = typeof formulaOrTree === 'string' ? parse(formulaOrTree) : formulaOrTree;
+    function emit(node) {
+      switch (node.type) {
+        case 'number': return String(node.value);
+        case 'column': {
+          const ref = cellRef(node.name);
+          if (!ref) throw new FormulaError(`Unknown column [${node.name}]`);
+          return ref;
+        }
+        case 'unary': return `${node.op}${emit(node.argument)}`;
+        case 'binary': return `(${emit(node.left)}${node.op}${emit(node.right)})`;
+        case 'call': return `${node.name}(${node.args.map(emit).join(',')})`;
+        default: throw new FormulaError('Invalid formula');
+      }
+    }
+    return `IFERROR(${emit(tree)},"")`;
+  }
+
+  /**
+   * Order computed columns so columns used by other formulas are evaluated first
+   */
+  function orderComputedColumns(computedColumns) {
+    const columns = (computedColumns || []).filter(c => c && c.header && c.formula);
+    const byHeader = new Map(columns.map(c => [normalizeHeader(c.header), c]));
+    const ordered = [];
+    const state = new Map();
+    const visit = (column, trail) => {
+      const key = normalizeHeader(column.header);
+      if (state.get(key) === 'done') return;
+      if (state.get(key) === 'visiting') {
+        throw new FormulaError(`Computed columns reference each other in a loop: ${[...trail, column.header].join(' -> ')}`);
+      }
+      state.set(key, 'visiting');
+      references(column.formula).forEach(name => {
+        const dependency = byHeader.get(normalizeHeader(name)) || byHeader.get(normalizeHeader(stripLabel(name)));
+        if (dependency) visit(dependency, [...trail, column.header]);
+      });
+      state.set(key, 'done');
+      ordered.push(column);
+    };
+    columns.forEach(column => visit(column, []));
+    return ordered;
+  }
+
+  /**
+   * Check computed column definitions against the template headers
+   * Returns { valid, errors: [{ header, message }] }
+   */
+  function validate(computedColumns, headers) {
+    const errors = [];
+    if (!Array.isArray(computedColumns)) {
+      return { valid: false, errors: [{ header: null, message: 'Computed columns must be an array' }] };
+    }
+    const known = [...(headers || []), ...computedColumns.map(c => c && c.header).filter(Boolean)];
+    computedColumns.forEach(column => {
+      if (!column || !column.header || !String(column.header).trim()) {
+        errors.push({ header: null, message: 'Computed column header is required' });
+        return;
+      }
+      try {
+        const missing = references(column.formula).filter(name => findHeaderIndex(known, name) === -1);
+        if (missing.length > 0) {
+          errors.push({ header: column.header, message: `Unknown column(s): ${missing.map(m => `[${m}]`).join(', ')}` });
+        }
+      } catch (error) {
+        errors.push({ header: column.header, message: error.message });
+      }
+    });
+    if (errors.length === 0) {
+      try {
+        orderComputedColumns(computedColumns);
+      } catch (error) {
+        errors.push({ header: null, message: error.message });
+      }
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Fill computed columns into a table. Computed headers missing from the table are appended
+   * unless options.addMissing is false. Returns { headers, rows, errors }.
+   */
+  function computeTable(headers, rows, computedColumns, options = {}) {
+    const outHeaders = Array.isArray(headers) ? [...headers] : [];
+    const outRows = (Array.isArray(rows) ? rows : []).map(row => (Array.isArray(row) ? [...row] : []));
+    const errors = [];
+    let ordered = [];
+    try {
+      ordered = orderComputedColumns(computedColumns);
+    } catch (error) {
+      return { headers: outHeaders, rows: outRows, errors: [{ header: null, message: error.message }] };
+    }
+
+    ordered.forEach(column => {
+      let tree;
+      try {
+        tree = parse(column.formula);
+      } catch (error) {
+        errors.push({ header: column.header, message: error.message });
+        return;
+      }
+      let target = findHeaderIndex(outHeaders, column.header);
+      if (target === -1) {
+        if (options.addMissing === false) return;
+        outHeaders.push(column.header);
+        target = outHeaders.length - 1;
+      }
+      const refIndexes = new Map(references(tree).map(name => [name, findHeaderIndex(outHeaders, name)]));
+      outRows.forEach(row => {
+        const value = evaluate(tree, name => {
+          const index = refIndexes.get(name);
+          return index === undefined || index === -1 ? undefined : row[index];
+        });
+        row[target] = value === null ? '' : value;
+      });
+    });
+
+    return { headers: outHeaders, rows: outRows, errors };
+  }
+
+  return {
+    FUNCTIONS: Object.keys(FUNCTIONS),
+    FormulaError,
+    parse,
+    references,
+    evaluate,
+    toExcelFormula,
+    findHeaderIndex,
+    orderComputedColumns,
+    validate,
+    computeTable
+  };
+});